@@ -0,0 +1,219 @@
+// config/permissions.js
+// Catalog of every permission enforced by requirePermission() and the
+// permissions of the built-in roles. Custom roles are stored in the Role
+// collection and can combine any of these.
+//
+// A role may also hold wildcards: '*' grants everything and 'inventory.*'
+// grants every permission starting with 'inventory.'.
+
+const PERMISSIONS = {
+  // Organization, users & access control
+  'organization.manage': 'Update organization details',
+  'users.view': 'View user accounts',
+  'users.manage': 'Invite, update, deactivate users and revoke their sessions',
+  'roles.manage': 'Create and edit roles and their permissions',
+  'apiKeys.manage': 'Create and revoke API keys for integrations',
+
+  // Locations
+  'locations.view': 'View locations',
+  'locations.create': 'Create locations',
+  'locations.update': 'Update locations the user has access to',
+  'locations.delete': 'Deactivate locations',
+
+  // Catalog
+  'products.view': 'View products',
+  'products.create': 'Create products',
+  'products.update': 'Update and reactivate products',
+  'products.delete': 'Deactivate or permanently delete products',
+  'categories.create': 'Create product categories',
+  'categories.update': 'Update product categories',
+  'categories.delete': 'Delete product categories',
+  'brands.view': 'View brands',
+  'brands.create': 'Create brands',
+  'brands.update': 'Update brands',
+  'brands.delete': 'Delete brands',
+  'barcodes.generate': 'Generate barcodes and QR codes',
+  'barcodes.manage': 'Clean up generated barcode files',
+
+  // Stock
+  'inventory.view': 'View inventory levels',
+  'inventory.create': 'Create inventory records at a location',
+  'inventory.adjust': 'Adjust stock and manage stock adjustments',
+  'transfers.view': 'View stock transfers',
+  'transfers.create': 'Create stock transfers',
+  'transfers.manage': 'Ship, receive and cancel stock transfers',
+
+  // Sales & customers
+  'sales.create': 'Record sales',
+  'sales.view': 'View a single sale',
+  'sales.list': 'List and search sales',
+  'sales.update': 'Update sales',
+  'sales.delete': 'Delete sales',
+  'sales.priceOverride': 'Sell at a price other than the price list price, or with a discount',
+  'priceLists.view': 'View price lists',
+  'priceLists.manage': 'Create, update and delete price lists',
+  'invoices.view': 'View invoices',
+  'invoices.manage': 'Create invoices and change their status',
+  'customers.view': 'View customers',
+  'customers.manage': 'Create, update and delete customers',
+
+  // Purchasing
+  'suppliers.view': 'View suppliers',
+  'suppliers.manage': 'Create, update and delete suppliers',
+  'purchases.view': 'View purchases',
+  'purchases.create': 'Create purchases',
+  'purchases.update': 'Update purchases',
+  'purchases.approve': 'Approve pending purchases (mark them as ordered)',
+  'purchases.receive': 'Receive purchases into inventory',
+  'purchases.payments': 'Record purchase payments',
+  'purchases.delete': 'Delete purchases',
+
+  // Finance
+  'expenses.view': 'View expenses',
+  'expenses.manage': 'Record, update and delete expenses',
+  'expenses.categories.create': 'Create expense categories',
+  'expenses.categories.update': 'Update expense categories',
+  'expenses.categories.delete': 'Delete expense categories',
+  'income.view': 'View income',
+  'income.manage': 'Record, update and delete income',
+  'income.categories.manage': 'Manage income categories',
+
+  // Reporting
+  'reports.inventory.view': 'View stock level, low stock and inventory reports',
+  'reports.sales.view': 'View sales and sales trend reports',
+  'reports.financial.view': 'View purchase, income, expense and profit & loss reports',
+  'analytics.view': 'View dashboards, optimisation recommendations and export analytics',
+  'audit.view': 'View the audit trail',
+
+  // System
+  'notifications.manage': 'Run notification checks, send system alerts and delete notifications',
+  'system.diagnostics': 'Use the real-time test endpoints'
+};
+
+const staffPermissions = [
+  'locations.view',
+  'products.view',
+  'categories.create',
+  'brands.view',
+  'inventory.view',
+  'transfers.view',
+  'sales.create',
+  'sales.view',
+  'invoices.view',
+  'invoices.manage',
+  'customers.view',
+  'customers.manage',
+  'priceLists.view',
+  'suppliers.view',
+  'suppliers.manage',
+  'purchases.view',
+  'purchases.create',
+  'expenses.view',
+  'expenses.manage',
+  'expenses.categories.create',
+  'income.view',
+  'income.manage',
+  'income.categories.manage'
+];
+
+const managerPermissions = [
+  ...staffPermissions,
+  'locations.create',
+  'locations.update',
+  'products.create',
+  'products.update',
+  'categories.update',
+  'brands.create',
+  'brands.update',
+  'barcodes.generate',
+  'barcodes.manage',
+  'inventory.create',
+  'inventory.adjust',
+  'transfers.create',
+  'transfers.manage',
+  'sales.list',
+  'sales.update',
+  'sales.delete',
+  'sales.priceOverride',
+  'priceLists.manage',
+  'purchases.update',
+  'purchases.approve',
+  'purchases.receive',
+  'purchases.payments',
+  'expenses.categories.update',
+  'reports.inventory.view',
+  'reports.sales.view',
+  'reports.financial.view',
+  'analytics.view',
+  'audit.view'
+];
+
+// Built-in roles, seeded for every organization. Their keys match the values historically
+// stored in User.role so existing accounts keep working. 'admin' keeps
+// implicit access to every location.
+const SYSTEM_ROLES = [
+  {
+    key: 'admin',
+    name: 'Administrator',
+    description: 'Full access to every feature and location',
+    permissions: ['*']
+  },
+  {
+    key: 'manager',
+    name: 'Manager',
+    description: 'Runs day-to-day operations at assigned locations',
+    permissions: managerPermissions
+  },
+  {
+    key: 'staff',
+    name: 'Staff',
+    description: 'Records sales and everyday transactions at assigned locations',
+    permissions: staffPermissions
+  }
+];
+
+// Permissions exercised at a specific location. A role assigned to a user at
+// one location (User.locationRoles) only grants these, and only there; every
+// other permission comes from the user's account-wide role.
+const LOCATION_SCOPED_PERMISSIONS = [
+  'locations.update',
+  'inventory.view',
+  'inventory.create',
+  'inventory.adjust',
+  'transfers.view',
+  'transfers.create',
+  'transfers.manage',
+  'sales.create',
+  'sales.view',
+  'sales.list',
+  'sales.update',
+  'sales.delete',
+  'sales.priceOverride',
+  'purchases.receive',
+  'reports.inventory.view',
+  'reports.sales.view'
+];
+
+const isLocationScopedPermission = (permission) => LOCATION_SCOPED_PERMISSIONS.includes(permission);
+
+// Permissions of the 'admin' role can never be edited, so an organisation
+// cannot lock itself out of role management.
+const LOCKED_ROLE_KEYS = ['admin'];
+
+const isKnownPermission = (permission) => {
+  if (permission === '*') return true;
+  if (permission.endsWith('.*')) {
+    const prefix = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some(p => p.startsWith(prefix));
+  }
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  LOCKED_ROLE_KEYS,
+  LOCATION_SCOPED_PERMISSIONS,
+  isKnownPermission,
+  isLocationScopedPermission
+};
@@ -3,6 +3,14 @@ const InventoryAnalyticsService = require('../services/inventoryAnalyticsService
 const AuditTrail = require('../models/AuditTrail');
 const AuditMiddleware = require('../middleware/auditMiddleware');
 const mongoose = require('mongoose');
+const {
+  SALE_LINE_COST,
+  SALE_COST,
+  SALE_NET_REVENUE,
+  NON_REVENUE_SALE_STATUSES,
+  grossMargin
+} = require('../services/costingService');
+const { LINE_BASE_QUANTITY } = require('../services/unitService');
 
 /**
  * Real-time analytics controller with MongoDB MCP integration
@@ -302,6 +310,10 @@ const getAuditAnalytics = asyncHandler(async (req, res) => {
 
   try {
     const summary = await AuditMiddleware.getAuditSummary(parseInt(days));
+    const security = {
+      loginActivity: await AuditTrail.getLoginActivity(parseInt(days)),
+      recentEvents: await AuditTrail.getSecurityEvents(parseInt(days), 50)
+    };
     
     // Get additional details if filters are specified
     let detailedResults = null;
@@ -321,6 +333,7 @@ const getAuditAnalytics = asyncHandler(async (req, res) => {
       success: true,
       data: {
         summary,
+        security,
         details: detailedResults,
         filters: { days: parseInt(days), userId, action }
       }
@@ -458,7 +471,15 @@ const getAdminDashboardStats = asyncHandler(async (req, res) => {
     ] = await Promise.all([
       // Financial KPIs
       Sale.aggregate([
-        { $group: { _id: null, total: { $sum: '$total' }, due: { $sum: '$total' } } }
+        {
+          $group: {
+            _id: null,
+            total: { $sum: '$total' },
+            due: { $sum: '$total' },
+            netRevenue: { $sum: { $cond: [{ $in: ['$status', NON_REVENUE_SALE_STATUSES] }, 0, SALE_NET_REVENUE] } },
+            costOfGoodsSold: { $sum: { $cond: [{ $in: ['$status', NON_REVENUE_SALE_STATUSES] }, 0, SALE_COST] } }
+          }
+        }
       ]),
       Purchase.aggregate([
         { $group: { _id: null, total: { $sum: '$total' }, due: { $sum: '$total' } } }
@@ -545,8 +566,9 @@ const getAdminDashboardStats = asyncHandler(async (req, res) => {
         {
           $group: {
             _id: '$items.product',
-            totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
+            totalQuantity: { $sum: LINE_BASE_QUANTITY },
+            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+            totalCost: { $sum: SALE_LINE_COST }
           }
         },
         {
@@ -594,6 +616,9 @@ const getAdminDashboardStats = asyncHandler(async (req, res) => {
         totalSalesDue: totalSales[0]?.due || 0,
         totalSaleAmount: totalSales[0]?.total || 0,
         totalExpenseAmount: totalExpenses[0]?.total || 0,
+        costOfGoodsSold: totalSales[0]?.costOfGoodsSold || 0,
+        grossProfit: (totalSales[0]?.netRevenue || 0) - (totalSales[0]?.costOfGoodsSold || 0),
+        grossMargin: grossMargin(totalSales[0]?.netRevenue || 0, totalSales[0]?.costOfGoodsSold || 0),
         customersCount,
         suppliersCount,
         purchaseInvoicesCount,
@@ -625,6 +650,8 @@ const getAdminDashboardStats = asyncHandler(async (req, res) => {
         name: item.productDetails.name,
         totalQuantity: item.totalQuantity,
         totalRevenue: item.totalRevenue,
+        totalCost: item.totalCost,
+        grossProfit: item.totalRevenue - item.totalCost,
         imageUrl: item.productDetails.imageUrl
       }))
     };
@@ -700,7 +727,9 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
             _id: null, 
             totalRevenue: { $sum: '$total' }, 
             totalOrders: { $sum: 1 },
-            averageOrderValue: { $avg: '$total' }
+            averageOrderValue: { $avg: '$total' },
+            netRevenue: { $sum: { $cond: [{ $in: ['$status', NON_REVENUE_SALE_STATUSES] }, 0, SALE_NET_REVENUE] } },
+            costOfGoodsSold: { $sum: { $cond: [{ $in: ['$status', NON_REVENUE_SALE_STATUSES] }, 0, SALE_COST] } }
           } 
         }
       ]),
@@ -727,8 +756,9 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
         {
           $group: {
             _id: '$items.product',
-            totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } }
+            totalQuantity: { $sum: LINE_BASE_QUANTITY },
+            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+            totalCost: { $sum: SALE_LINE_COST }
           }
         },
         {
@@ -792,7 +822,7 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
             _id: '$categoryDetails.name',
             categoryId: { $first: '$categoryDetails._id' },
             totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
-            totalQuantity: { $sum: '$items.quantity' },
+            totalQuantity: { $sum: LINE_BASE_QUANTITY },
             orderCount: { $sum: 1 }
           }
         },
@@ -859,7 +889,7 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
     ]);
 
     // Calculate growth percentages
-    const currentStats = currentPeriodStats[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0 };
+    const currentStats = currentPeriodStats[0] || { totalRevenue: 0, totalOrders: 0, averageOrderValue: 0, netRevenue: 0, costOfGoodsSold: 0 };
     const comparisonStats = comparisonPeriodStats[0] || { totalRevenue: 0, totalOrders: 0 };
     
     const revenueGrowth = comparisonStats.totalRevenue > 0 
@@ -884,6 +914,9 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
         totalOrders: currentStats.totalOrders || 0,
         revenueGrowth: parseFloat(revenueGrowth),
         ordersGrowth: parseFloat(ordersGrowth),
+        costOfGoodsSold: currentStats.costOfGoodsSold || 0,
+        grossProfit: (currentStats.netRevenue || 0) - (currentStats.costOfGoodsSold || 0),
+        grossMargin: grossMargin(currentStats.netRevenue || 0, currentStats.costOfGoodsSold || 0),
         topPaymentMethod: topPaymentMethod[0]?._id || 'N/A',
         topCategory: salesByCategory[0]?._id || 'N/A'
       },
@@ -892,6 +925,8 @@ const getSalesDashboardStats = asyncHandler(async (req, res) => {
         name: item.productDetails.name,
         totalQuantity: item.totalQuantity,
         totalRevenue: item.totalRevenue,
+        totalCost: item.totalCost,
+        grossProfit: item.totalRevenue - item.totalCost,
         imageUrl: item.productDetails.imageUrl,
         sku: item.productDetails.sku
       })),
@@ -0,0 +1,148 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const Location = require('../models/Location');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const { isKnownPermission } = require('../config/permissions');
+const { getPermissionsForRole, permissionMatches, expandPermissions } = require('../services/permissionService');
+
+const populateApiKey = (query) => query.populate('locations', 'name type _id').populate('createdBy revokedBy', 'name email');
+
+const findApiKeyOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid API key ID format');
+    }
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+        res.status(404);
+        throw new Error('API key not found');
+    }
+    return apiKey;
+};
+
+// A key can only be granted permissions its creator holds
+const validatePermissions = async (permissions, req, res) => {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        res.status(400);
+        throw new Error('permissions must be a non-empty array of permission names');
+    }
+    const unknown = permissions.filter(p => typeof p !== 'string' || !isKnownPermission(p));
+    if (unknown.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    const granted = req.permissions || await getPermissionsForRole(req.user.role);
+    const notHeld = expandPermissions(permissions).filter(p => !permissionMatches(granted, p));
+    if (notHeld.length > 0) {
+        res.status(403);
+        throw new Error(`You cannot grant permissions you do not hold: ${notHeld.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+};
+
+const validateLocations = async (locationIds, req, res) => {
+    if (!Array.isArray(locationIds)) {
+        res.status(400);
+        throw new Error('locations must be an array of Location IDs');
+    }
+    const invalidFormat = locationIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidFormat.length > 0) {
+        res.status(400);
+        throw new Error(`Invalid Location ID format: ${invalidFormat.join(', ')}`);
+    }
+    const found = await Location.find({ _id: { $in: locationIds } }).select('_id');
+    if (found.length !== new Set(locationIds.map(String)).size) {
+        res.status(400);
+        throw new Error('One or more locations not found');
+    }
+    const forbidden = found.filter(loc => !req.user.hasAccessToLocation(loc._id));
+    if (forbidden.length > 0) {
+        res.status(403);
+        throw new Error('You cannot scope a key to locations you do not have access to');
+    }
+    return found.map(loc => loc._id);
+};
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private (apiKeys.manage)
+const getApiKeys = asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+    const apiKeys = await populateApiKey(ApiKey.find(filter)).sort({ createdAt: -1 });
+    res.json(apiKeys);
+});
+
+// @desc    Get a single API key
+// @route   GET /api/api-keys/:id
+// @access  Private (apiKeys.manage)
+const getApiKeyById = asyncHandler(async (req, res) => {
+    await findApiKeyOr404(req.params.id, res);
+    res.json(await populateApiKey(ApiKey.findById(req.params.id)));
+});
+
+// @desc    Create an API key. The key is only returned in this response.
+// @route   POST /api/api-keys
+// @access  Private (apiKeys.manage)
+const createApiKey = asyncHandler(async (req, res) => {
+    const { name, permissions, locations = [], expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+        res.status(400);
+        throw new Error('API key name is required');
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+        res.status(400);
+        throw new Error('expiresInDays must be a positive number');
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+        name,
+        prefix,
+        keyHash,
+        permissions: await validatePermissions(permissions, req, res),
+        locations: await validateLocations(locations, req, res),
+        expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : undefined,
+        createdBy: req.user._id
+    });
+
+    await AuditMiddleware.logApiKeyAction(
+        'api_key_created', apiKey, `Created API key ${apiKey.name}`, req.auditContext,
+        { before: null, after: { permissions: apiKey.permissions, locations: apiKey.locations }, fields: ['permissions', 'locations'] }
+    );
+
+    const created = await populateApiKey(ApiKey.findById(apiKey._id));
+    res.status(201).json({
+        message: 'Store this key now: it will not be shown again.',
+        key,
+        apiKey: created
+    });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (apiKeys.manage)
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const apiKey = await findApiKeyOr404(req.params.id, res);
+    if (apiKey.revokedAt) {
+        res.status(400);
+        throw new Error('API key is already revoked');
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await AuditMiddleware.logApiKeyAction('api_key_revoked', apiKey, `Revoked API key ${apiKey.name}`, req.auditContext);
+
+    res.json({ message: `API key ${apiKey.name} revoked` });
+});
+
+module.exports = {
+    getApiKeys,
+    getApiKeyById,
+    createApiKey,
+    revokeApiKey
+};
@@ -1,49 +1,76 @@
 const User = require('../models/User');
-const Location = require('../models/Location'); // Needed for validating locations on register
-const jwt = require('jsonwebtoken');
+const UserToken = require('../models/UserToken');
+const AuditMiddleware = require('../middleware/auditMiddleware');
 const mongoose = require('mongoose');
 const Category = require('../models/Category');
+const sessionService = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottleService');
+const { getPermissionsForRole, roleRequiresTwoFactor } = require('../services/permissionService');
+const { createOrganization } = require('../services/organizationService');
+const { sendPasswordResetEmail, sendEmailVerificationEmail } = require('../services/emailService');
+const totp = require('../services/totpService');
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+// Time allowed between the password step and the two-factor step of a login
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = Number(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES) || 5;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Issue an email verification token and email it (never fails the caller)
+const sendVerificationEmail = async (user) => {
+    try {
+        const token = await UserToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+        return await sendEmailVerificationEmail(user, token, { expiresInHours: EMAIL_VERIFICATION_TTL_HOURS });
+    } catch (err) {
+        console.error(`Failed to send verification email to ${user.email}:`, err);
+        return { skipped: true, reason: err.message };
+    }
+};
+
+// Audit context for actions a user performs on their own account without being logged in
+const selfAuditContext = (user, req) => ({
+    userId: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    organizationId: user.organization,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+});
 
 // Register user
+// Signing up creates a new organization owned by the new user. People join an
+// existing organization through an invitation (see /api/users/invite).
 exports.register = async (req, res) => {
     try {
-        const { name, email, password, role, locations } = req.body; // Added locations
+        // Role and locations are never self-assigned: the registrant administers their own new organization
+        const { name, email, password, organizationName } = req.body;
 
         // Basic validation
         if (!name || !email || !password) {
              return res.status(400).json({ success: false, error: 'Name, email, and password are required.' });
         }
 
-        // Optional: Validate provided locations if any
-        let validLocationIds = [];
-        if (locations && Array.isArray(locations) && locations.length > 0) {
-             // Ensure only admin/manager can assign locations on register? Or maybe admin only?
-             // Let's assume for now an Admin is performing registration if locations are provided.
-             // Add role check middleware to the register route if needed.
-            const foundLocations = await Location.find({
-                 _id: { $in: locations },
-                 isActive: true
-             }).select('_id'); // Only get IDs
-
-            validLocationIds = foundLocations.map(loc => loc._id);
-
-            if (validLocationIds.length !== locations.length) {
-                // Find which ones were invalid/inactive
-                const invalidIds = locations.filter(id => !validLocationIds.some(validId => validId.equals(id)));
-                console.warn('Invalid or inactive location IDs provided during registration:', invalidIds);
-                // Decide: Reject registration or just ignore invalid ones? Let's ignore invalid.
-                // return res.status(400).json({ success: false, error: `Invalid or inactive location IDs provided: ${invalidIds.join(', ')}`});
-            }
+        if (await User.isEmailTaken(email)) {
+            return res.status(400).json({ success: false, error: 'Email address already in use.' });
         }
 
-
-        const user = await User.create({
+        const user = new User({
             name,
             email,
             password, // Will be auto-hashed
-            role: role || 'staff',
-            locations: validLocationIds // Assign validated location IDs
+            role: 'admin',
+            organization: new mongoose.Types.ObjectId()
+        });
+        // Validate before creating the organization so bad input leaves nothing behind
+        await user.validate();
+        await createOrganization({
+            _id: user.organization,
+            name: organizationName || `${name}'s Organization`,
+            owner: user._id,
+            contactEmail: user.email
         });
+        await user.save();
 
         // Create default categories for the new user
         const defaultCategories = [
@@ -57,19 +84,19 @@ exports.register = async (req, res) => {
             try {
                 await Category.create({
                     name: catName,
-                    createdBy: user._id
+                    createdBy: user._id,
+                    organization: user.organization
                 });
             } catch (e) {
                 // Ignore duplicate errors (shouldn't happen for new user)
             }
         }));
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user._id, role: user.role, locations: user.locations }, // Include locations in token? Optional.
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-        );
+        // Ask the new user to confirm their email address
+        await sendVerificationEmail(user);
+
+        // Start a session (short-lived access token + rotating refresh token)
+        const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
         // --- Populate locations for the response ---
         const userToSend = await User.findById(user._id)
@@ -79,7 +106,8 @@ exports.register = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            token,
+            token: accessToken,
+            refreshToken,
             user: userToSend
         });
     } catch (err) {
@@ -94,6 +122,148 @@ exports.register = async (req, res) => {
     }
 };
 
+// Minutes left on a lock, rounded up, for the error message
+const minutesUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 60000));
+
+const sendLockedOut = (res, lockedUntil) => {
+    res.set('Retry-After', String(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)));
+    return res.status(429).json({
+        success: false,
+        error: `Too many failed login attempts. Please try again in ${minutesUntil(lockedUntil)} minute(s).`,
+        lockedUntil
+    });
+};
+
+// Count a failed attempt and audit it. Attempts on unknown emails are throttled
+// too but not audited: they belong to no organization.
+const recordFailedLogin = async (email, user, reason, req) => {
+    const { accountLockedUntil, ipLockedUntil } = await loginThrottle.registerLoginFailure(email, req.ip);
+    if (user) {
+        const context = selfAuditContext(user, req);
+        await AuditMiddleware.logUserAction('user_login_failed', user, `Failed login for ${user.email}: ${reason}`, context);
+        if (accountLockedUntil) {
+            await AuditMiddleware.logUserAction(
+                'user_locked_out', user, `${user.email} locked out until ${accountLockedUntil.toISOString()} after repeated failed logins`, context
+            );
+        }
+    }
+    return accountLockedUntil || ipLockedUntil;
+};
+
+// Short-lived token linking the password step of a login to its two-factor step
+const issueTwoFactorChallenge = async (user, type) => ({
+    twoFactorToken: await UserToken.issue(user._id, type, TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000),
+    expiresInMinutes: TWO_FACTOR_CHALLENGE_TTL_MINUTES
+});
+
+// Resolve the user behind a two-factor challenge token, or answer 401
+const findChallengeUser = async (twoFactorToken, type, res) => {
+    const userToken = await UserToken.findValid(twoFactorToken, type);
+    const user = userToken && await User.findById(userToken.user).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.active) {
+        res.status(401).json({ success: false, error: 'Your login has expired. Please log in again.' });
+        return null;
+    }
+    return user;
+};
+
+// Match a TOTP code or a recovery code against the loaded user without using
+// it up. Returns { step } or { recoveryHash }, or null when neither matches.
+const matchSecondFactor = (user, { code, recoveryCode }) => {
+    if (code && user.twoFactor?.secret) {
+        const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep ?? -1);
+        return step === null ? null : { step };
+    }
+    if (recoveryCode) {
+        const recoveryHash = totp.hashRecoveryCode(recoveryCode);
+        return (user.twoFactor?.recoveryCodes || []).includes(recoveryHash) ? { recoveryHash } : null;
+    }
+    return null;
+};
+
+// Check a TOTP code or a recovery code; each can only be used once.
+// Returns { valid, usedRecoveryCode }.
+const checkSecondFactor = async (user, { code, recoveryCode }, match = matchSecondFactor(user, { code, recoveryCode })) => {
+    if (match?.step !== undefined) {
+        // Conditional update so two requests cannot use the same code
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: match.step } } },
+            { $set: { 'twoFactor.lastUsedStep': match.step } }
+        );
+        return { valid: result.modifiedCount === 1 };
+    }
+    if (match?.recoveryHash) {
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': match.recoveryHash },
+            { $pull: { 'twoFactor.recoveryCodes': match.recoveryHash } }
+        );
+        return { valid: result.modifiedCount === 1, usedRecoveryCode: true };
+    }
+    return { valid: false };
+};
+
+// Store a new pending secret and return what the authenticator app needs
+const startEnrollment = async (user) => {
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } });
+    return totp.buildEnrollment(secret, user.email);
+};
+
+// Time step of a first code from the app for the pending secret, or null
+const enrollmentStep = (user, code) => (user.twoFactor?.pendingSecret
+    ? totp.verifyCode(totp.decryptSecret(user.twoFactor.pendingSecret), code)
+    : null);
+
+// Turn on two-factor once the first code from the app is confirmed.
+// Returns the recovery codes, or null when the code is wrong.
+const confirmEnrollment = async (user, code) => {
+    const step = enrollmentStep(user, code);
+    if (step === null) return null;
+
+    const { codes, hashes } = totp.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.recoveryCodes': hashes,
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+    return codes;
+};
+
+// Final step of every login: start the session and record it
+const completeLogin = async (user, req, res, { description, extra = {} } = {}) => {
+    await loginThrottle.clearAccountFailures(user.email);
+
+    // Start a session (short-lived access token + rotating refresh token)
+    const { accessToken, refreshToken, session } = await sessionService.createSession(user, req);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false }); // Skip validation on login update
+
+    await AuditMiddleware.logUserAction('user_login', user, description || `${user.email} logged in`, {
+        ...selfAuditContext(user, req),
+        sessionId: session._id.toString()
+    });
+
+    // Reload without password or two-factor secrets
+    const userResponse = await User.findById(user._id)
+                                   .populate('locations', 'name type _id isActive')
+                                   .select('-password');
+
+    res.status(200).json({
+        success: true,
+        token: accessToken,
+        refreshToken,
+        user: userResponse,
+        ...extra
+    });
+};
+
 // Login user
 exports.login = async (req, res) => {
     try {
@@ -103,40 +273,45 @@ exports.login = async (req, res) => {
              return res.status(400).json({ success: false, error: 'Please provide email and password.' });
         }
 
+        // Locked accounts and IPs are refused before the password is even checked
+        const lockedUntil = await loginThrottle.getLoginLock(email, req.ip);
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+
         // Find user and explicitly select password, then populate locations
         const user = await User.findOne({ email })
                               .select('+password')
                               .populate('locations', 'name type _id isActive'); // Populate locations
 
         if (!user || !(await user.comparePassword(password))) {
+            const lockedNow = await recordFailedLogin(email, user, 'invalid password', req);
+            if (lockedNow) {
+                return sendLockedOut(res, lockedNow);
+            }
             return res.status(401).json({ success: false, error: 'Invalid credentials' });
         }
 
          if (!user.active) {
+             await AuditMiddleware.logUserAction('user_login_failed', user, `Failed login for ${user.email}: account inactive`, selfAuditContext(user, req));
              return res.status(403).json({ success: false, error: 'Your account is inactive. Please contact an administrator.' });
          }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { id: user._id, role: user.role, locations: user.locations.map(l => l._id) }, // Send IDs in token payload
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-        );
-
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save({ validateBeforeSave: false }); // Skip validation on login update
+         // Accounts created before verification existed have no emailVerified flag and are let through
+         if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && user.emailVerified === false) {
+             await AuditMiddleware.logUserAction('user_login_failed', user, `Failed login for ${user.email}: email not verified`, selfAuditContext(user, req));
+             return res.status(403).json({ success: false, error: 'Please verify your email address before logging in.', emailVerificationRequired: true });
+         }
 
-        // Omit password in response
-        const userResponse = user.toObject();
-        delete userResponse.password;
-        // locations are already populated
+        // Second step: a TOTP code (or enrollment when the role requires it but the user has none yet)
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({ success: true, twoFactorRequired: true, ...(await issueTwoFactorChallenge(user, 'two_factor_login')) });
+        }
+        if (await roleRequiresTwoFactor(user)) {
+            return res.status(200).json({ success: true, twoFactorSetupRequired: true, ...(await issueTwoFactorChallenge(user, 'two_factor_setup')) });
+        }
 
-        res.status(200).json({
-            success: true,
-            token,
-            user: userResponse // Send user object with populated locations
-        });
+        await completeLogin(user, req, res);
     } catch (err) {
         console.error("Login Error:", err); // Log server error
         res.status(500).json({ // Use 500 for unexpected server errors
@@ -146,6 +321,103 @@ exports.login = async (req, res) => {
     }
 };
 
+// Login step 2: a code from the authenticator app or a recovery code
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+        if (!twoFactorToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ success: false, error: 'Two-factor token and a code or recovery code are required.' });
+        }
+
+        const user = await findChallengeUser(twoFactorToken, 'two_factor_login', res);
+        if (!user) return;
+
+        const lockedUntil = await loginThrottle.getLoginLock(user.email, req.ip);
+        if (lockedUntil) {
+            return sendLockedOut(res, lockedUntil);
+        }
+
+        const rejectCode = async () => {
+            const lockedNow = await recordFailedLogin(user.email, user, 'invalid two-factor code', req);
+            if (lockedNow) {
+                return sendLockedOut(res, lockedNow);
+            }
+            return res.status(401).json({ success: false, error: 'Invalid two-factor code.' });
+        };
+        const match = matchSecondFactor(user, { code, recoveryCode });
+        if (!match) return await rejectCode();
+
+        // The challenge can only complete one login: it is used up before the code is
+        if (!(await UserToken.consume(twoFactorToken, 'two_factor_login'))) {
+            return res.status(401).json({ success: false, error: 'Your login has expired. Please log in again.' });
+        }
+        const { valid, usedRecoveryCode } = await checkSecondFactor(user, { code, recoveryCode }, match);
+        if (!valid) return await rejectCode();
+
+        if (usedRecoveryCode) {
+            const remaining = (await User.findById(user._id).select('+twoFactor.recoveryCodes')).twoFactor.recoveryCodes.length;
+            return await completeLogin(user, req, res, {
+                description: `${user.email} logged in with a recovery code (${remaining} left)`,
+                extra: { recoveryCodesRemaining: remaining }
+            });
+        }
+        await completeLogin(user, req, res);
+    } catch (err) {
+        console.error("Two-Factor Login Error:", err);
+        res.status(500).json({ success: false, error: 'Login failed due to a server error.' });
+    }
+};
+
+// Login step 2 when the role requires two-factor and the user has not set it up:
+// returns the QR code to scan
+exports.startTwoFactorLoginSetup = async (req, res) => {
+    try {
+        const { twoFactorToken } = req.body;
+        if (!twoFactorToken) {
+            return res.status(400).json({ success: false, error: 'Two-factor token is required.' });
+        }
+
+        const user = await findChallengeUser(twoFactorToken, 'two_factor_setup', res);
+        if (!user) return;
+
+        res.status(200).json({ success: true, ...(await startEnrollment(user)) });
+    } catch (err) {
+        console.error("Two-Factor Login Setup Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup.' });
+    }
+};
+
+// Confirm the first code, turn two-factor on and finish logging in
+exports.completeTwoFactorLoginSetup = async (req, res) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+        if (!twoFactorToken || !code) {
+            return res.status(400).json({ success: false, error: 'Two-factor token and code are required.' });
+        }
+
+        const user = await findChallengeUser(twoFactorToken, 'two_factor_setup', res);
+        if (!user) return;
+
+        if (enrollmentStep(user, code) === null) {
+            return res.status(400).json({ success: false, error: 'Invalid code. Scan the QR code again and enter the current code.' });
+        }
+        // The challenge can only complete one login: it is used up before two-factor is turned on
+        if (!(await UserToken.consume(twoFactorToken, 'two_factor_setup'))) {
+            return res.status(401).json({ success: false, error: 'Your login has expired. Please log in again.' });
+        }
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ success: false, error: 'Invalid code. Please log in again and enter the current code.' });
+        }
+        await AuditMiddleware.logUserAction('user_two_factor_enabled', user, `${user.email} enabled two-factor authentication`, selfAuditContext(user, req));
+
+        await completeLogin(user, req, res, { extra: { recoveryCodes } });
+    } catch (err) {
+        console.error("Two-Factor Login Setup Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to complete two-factor setup.' });
+    }
+};
+
 // Get current user info
 exports.getMe = async (req, res) => {
     try {
@@ -170,7 +442,16 @@ exports.getMe = async (req, res) => {
             name: user.name,
             email: user.email,
             role: user.role,
+            permissions: await getPermissionsForRole(user.role), // Lets the client hide actions it cannot perform
+            twoFactorRequired: await roleRequiresTwoFactor(user),
+            organization: req.organization,
             locations: user.locations,
+            // Roles held at specific locations, with what they allow there
+            locationRoles: req.user.locationRoles.map(({ location, role }) => ({
+                location,
+                role,
+                permissions: req.user.$locals.rolePermissions?.[role] || []
+            })),
             active: user.active,
             profileImage: user.profileImage // Include profile image URL
         });
@@ -199,8 +480,7 @@ exports.updateProfile = async (req, res) => {
         if (name !== undefined) user.name = name;
         if (email !== undefined) {
             // Check if email is already in use by another user
-            const existingUser = await User.findOne({ email, _id: { $ne: userId } });
-            if (existingUser) {
+            if (await User.isEmailTaken(email, userId)) {
                 return res.status(400).json({ success: false, error: 'Email address already in use' });
             }
             user.email = email;
@@ -219,13 +499,23 @@ exports.updateProfile = async (req, res) => {
         }
         
         // Update password if provided
-        if (password && password.trim()) {
+        const passwordChanged = !!(password && password.trim());
+        if (passwordChanged) {
             user.password = password; // Will be auto-hashed by pre-save middleware
         }
 
         // Save the updated user
         await user.save();
 
+        // A new password signs out every other device
+        if (passwordChanged) {
+            await sessionService.revokeAllUserSessions(user._id, {
+                reason: 'password_changed',
+                revokedBy: user._id,
+                exceptSessionId: req.sessionId
+            });
+        }
+
         // Return updated user data (excluding password)
         const updatedUser = await User.findById(userId)
                                     .populate('locations', 'name type _id isActive')
@@ -246,4 +536,414 @@ exports.updateProfile = async (req, res) => {
             error: 'Failed to update profile'
         });
     }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access token (refresh token is rotated)
+exports.refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, error: 'Refresh token is required.' });
+        }
+
+        const result = await sessionService.rotateRefreshToken(refreshToken, (userId) =>
+            User.findById(userId).populate('locations', 'name type _id isActive')
+        );
+
+        res.status(200).json({
+            success: true,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            user: result.user
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ success: false, error: err.message });
+        }
+        console.error("Refresh Token Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to refresh session.' });
+    }
+};
+
+// Log out the current device
+exports.logout = async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.sessionId, { reason: 'logout', revokedBy: req.user._id });
+        await AuditMiddleware.logUserAction('user_logout', req.user, `${req.user.email} logged out`, {
+            ...selfAuditContext(req.user, req),
+            sessionId: req.sessionId?.toString()
+        });
+        res.status(200).json({ success: true, message: 'Logged out successfully' });
+    } catch (err) {
+        console.error("Logout Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to log out.' });
+    }
+};
+
+// Log out every device of the current user (including this one)
+exports.logoutAll = async (req, res) => {
+    try {
+        const revokedCount = await sessionService.revokeAllUserSessions(req.user._id, {
+            reason: 'logout_all',
+            revokedBy: req.user._id
+        });
+        await AuditMiddleware.logUserAction(
+            'user_logout', req.user, `${req.user.email} logged out from all devices (${revokedCount} session(s))`, selfAuditContext(req.user, req)
+        );
+        res.status(200).json({ success: true, message: 'Logged out from all devices', revokedCount });
+    } catch (err) {
+        console.error("Logout All Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to log out from all devices.' });
+    }
+};
+
+// List the current user's active sessions
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.getActiveSessions(req.user._id);
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                ipAddress: session.ipAddress,
+                userAgent: session.userAgent,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.sessionId)
+            }))
+        });
+    } catch (err) {
+        console.error("Get Sessions Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to get sessions.' });
+    }
+};
+
+// Admin: revoke every session of a user
+exports.revokeUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, error: 'Invalid User ID format.' });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        const revokedCount = await sessionService.revokeAllUserSessions(user._id, {
+            reason: 'admin_revoked',
+            revokedBy: req.user._id
+        });
+
+        await AuditMiddleware.logUserAction(
+            'user_sessions_revoked', user, `Revoked ${revokedCount} session(s) of ${user.email}`, req.auditContext
+        );
+
+        res.status(200).json({
+            success: true,
+            message: `Revoked ${revokedCount} session(s) for ${user.email}`,
+            revokedCount
+        });
+    } catch (err) {
+        console.error("Revoke User Sessions Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to revoke user sessions.' });
+    }
+};
+
+// Accept an invitation: set a password and activate the account
+exports.activateAccount = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ success: false, error: 'Token and password are required.' });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters.' });
+        }
+
+        const userToken = await UserToken.consume(token, 'invitation');
+        if (!userToken) {
+            return res.status(400).json({ success: false, error: 'Invitation link is invalid or has expired.' });
+        }
+
+        const user = await User.findById(userToken.user);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        user.password = password; // Will be auto-hashed
+        user.active = true;
+        user.activatedAt = new Date();
+        // The invitation link was delivered to this address, so it is verified
+        user.emailVerified = true;
+        user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+        user.lastLogin = new Date();
+        await user.save();
+
+        await AuditMiddleware.logUserAction('user_activated', user, `${user.email} accepted their invitation`, selfAuditContext(user, req));
+
+        // The invited role may require two-factor: set it up before the first session
+        if (await roleRequiresTwoFactor(user)) {
+            return res.status(200).json({ success: true, twoFactorSetupRequired: true, ...(await issueTwoFactorChallenge(user, 'two_factor_setup')) });
+        }
+
+        const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+        const userToSend = await User.findById(user._id)
+                                    .populate('locations', 'name type _id isActive')
+                                    .select('-password');
+
+        res.status(200).json({
+            success: true,
+            token: accessToken,
+            refreshToken,
+            user: userToSend
+        });
+    } catch (err) {
+        console.error("Activate Account Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to activate account.' });
+    }
+};
+
+// Request a password reset link. Always answers the same way so the endpoint
+// cannot be used to find out which emails have an account.
+exports.forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ success: false, error: 'Email is required.' });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        if (user && user.active) {
+            const token = await UserToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+            await sendPasswordResetEmail(user, token, { expiresInMinutes: PASSWORD_RESET_TTL_MINUTES });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent.'
+        });
+    } catch (err) {
+        console.error("Forgot Password Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to process password reset request.' });
+    }
+};
+
+// Set a new password using a reset token; signs out every device
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ success: false, error: 'Token and password are required.' });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ success: false, error: 'Password must be at least 8 characters.' });
+        }
+
+        const userToken = await UserToken.consume(token, 'password_reset');
+        if (!userToken) {
+            return res.status(400).json({ success: false, error: 'Password reset link is invalid or has expired.' });
+        }
+
+        const user = await User.findById(userToken.user);
+        if (!user || !user.active) {
+            return res.status(400).json({ success: false, error: 'Password reset link is invalid or has expired.' });
+        }
+
+        user.password = password; // Will be auto-hashed
+        // Receiving the reset link proves ownership of the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        await sessionService.revokeAllUserSessions(user._id, { reason: 'password_changed', revokedBy: user._id });
+        await AuditMiddleware.logUserAction('user_password_reset', user, `${user.email} reset their password via email link`, selfAuditContext(user, req));
+
+        res.status(200).json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        console.error("Reset Password Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to reset password.' });
+    }
+};
+
+// Confirm an email address using the token from the verification email
+exports.verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ success: false, error: 'Token is required.' });
+        }
+
+        const userToken = await UserToken.consume(token, 'email_verification');
+        if (!userToken) {
+            return res.status(400).json({ success: false, error: 'Verification link is invalid or has expired.' });
+        }
+
+        const user = await User.findById(userToken.user);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save({ validateBeforeSave: false });
+            await AuditMiddleware.logUserAction('user_email_verified', user, `${user.email} verified their email address`, selfAuditContext(user, req));
+        }
+
+        res.status(200).json({ success: true, message: 'Email address verified.' });
+    } catch (err) {
+        console.error("Verify Email Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to verify email address.' });
+    }
+};
+
+// Send a new verification email to the logged-in user
+exports.resendVerificationEmail = async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({ success: false, error: 'Email address is already verified.' });
+        }
+
+        const result = await sendVerificationEmail(req.user);
+        res.status(200).json({
+            success: true,
+            message: result.skipped ? 'Verification email could not be sent.' : 'Verification email sent.',
+            emailSent: !result.skipped
+        });
+    } catch (err) {
+        console.error("Resend Verification Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to send verification email.' });
+    }
+};
+
+// Two-factor status of the logged-in user
+exports.getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+        res.status(200).json({
+            success: true,
+            enabled: !!user.twoFactor?.enabled,
+            enabledAt: user.twoFactor?.enabledAt,
+            required: await roleRequiresTwoFactor(user),
+            recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+        });
+    } catch (err) {
+        console.error("Two-Factor Status Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to get two-factor status.' });
+    }
+};
+
+// Start enrolling an authenticator app: returns the secret and its QR code
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled.' });
+        }
+        res.status(200).json({ success: true, ...(await startEnrollment(req.user)) });
+    } catch (err) {
+        console.error("Two-Factor Setup Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to start two-factor setup.' });
+    }
+};
+
+// Confirm the first code from the app and turn two-factor on
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, error: 'Code is required.' });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled.' });
+        }
+
+        const recoveryCodes = await confirmEnrollment(user, code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ success: false, error: 'Invalid code. Start the setup again if the QR code was not scanned.' });
+        }
+        await AuditMiddleware.logUserAction('user_two_factor_enabled', user, `${user.email} enabled two-factor authentication`, selfAuditContext(user, req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe: they will not be shown again.',
+            recoveryCodes
+        });
+    } catch (err) {
+        console.error("Enable Two-Factor Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication.' });
+    }
+};
+
+// Turn two-factor off (needs the password and a current code)
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({ success: false, error: 'Password and a code or recovery code are required.' });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled.' });
+        }
+        if (await roleRequiresTwoFactor(user)) {
+            return res.status(403).json({ success: false, error: 'Your role requires two-factor authentication.' });
+        }
+        if (!(await user.comparePassword(password)) || !(await checkSecondFactor(user, { code, recoveryCode })).valid) {
+            return res.status(401).json({ success: false, error: 'Invalid password or code.' });
+        }
+
+        await User.updateOne({ _id: user._id }, {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.enabledAt': 1
+            }
+        });
+        await AuditMiddleware.logUserAction('user_two_factor_disabled', user, `${user.email} disabled two-factor authentication`, selfAuditContext(user, req));
+
+        res.status(200).json({ success: true, message: 'Two-factor authentication disabled.' });
+    } catch (err) {
+        console.error("Disable Two-Factor Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication.' });
+    }
+};
+
+// Replace every recovery code (needs a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, error: 'Code is required.' });
+        }
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled.' });
+        }
+        if (!(await checkSecondFactor(user, { code })).valid) {
+            return res.status(401).json({ success: false, error: 'Invalid two-factor code.' });
+        }
+
+        const { codes, hashes } = totp.generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+        await AuditMiddleware.logUserAction('user_recovery_codes_regenerated', user, `${user.email} generated new recovery codes`, selfAuditContext(user, req));
+
+        res.status(200).json({ success: true, recoveryCodes: codes });
+    } catch (err) {
+        console.error("Regenerate Recovery Codes Error:", err);
+        res.status(500).json({ success: false, error: 'Failed to generate recovery codes.' });
+    }
+};
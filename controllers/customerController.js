@@ -6,7 +6,7 @@ const mongoose = require('mongoose');
 // @route   POST /api/customers
 // @access  Protected
 const createCustomer = asyncHandler(async (req, res) => {
-  const { customerName, code, email, phone, address, city, country, description, image, status } = req.body;
+  const { customerName, code, email, phone, address, city, country, description, image, status, group } = req.body;
   
   // Validate required fields
   if (!customerName || !email || !phone) {
@@ -40,6 +40,7 @@ const createCustomer = asyncHandler(async (req, res) => {
     country,
     description,
     image,
+    group: group || undefined,
     status: status || 'active',
     createdBy: req.user.id
   });
@@ -75,6 +76,10 @@ const getCustomers = asyncHandler(async (req, res) => {
     filter.country = { $regex: country, $options: 'i' };
   }
 
+  if (req.query.group) {
+    filter.group = String(req.query.group).toLowerCase();
+  }
+
   const customers = await Customer.find(filter)
     .populate('createdBy', 'name email')
     .sort({ customerName: 1 })
@@ -126,7 +131,7 @@ const updateCustomer = asyncHandler(async (req, res) => {
     throw new Error('Customer not found');
   }
 
-  const { customerName, email, phone, address, city, country, description, image, status } = req.body;
+  const { customerName, email, phone, address, city, country, description, image, status, group } = req.body;
 
   // Check if email is being changed and if new email already exists
   if (email && email.toLowerCase() !== customer.email) {
@@ -149,6 +154,7 @@ const updateCustomer = asyncHandler(async (req, res) => {
   if (country !== undefined) customer.country = country;
   if (description !== undefined) customer.description = description;
   if (image !== undefined) customer.image = image;
+  if (group !== undefined) customer.group = group || undefined;
   if (status) customer.status = status;
 
   const updatedCustomer = await customer.save();
@@ -4,6 +4,11 @@ const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const Inventory = require('../models/Inventory');
 const mongoose = require('mongoose');
+const { applyPurchaseCosts } = require('../services/costingService');
+const { recordPurchaseReceipt } = require('../services/supplierProductService');
+const { receiptLots, receiveIntoLots, lotSummary } = require('../services/lotService');
+const { receiptSerials, receiveSerials } = require('../services/serialService');
+const { baseQuantityOf, ITEMS_BASE_QUANTITY } = require('../services/unitService');
 
 // Enhanced receive purchase with comprehensive validation and analytics
 const enhancedReceivePurchase = asyncHandler(async (req, res) => {
@@ -68,6 +73,7 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
       $project: {
         _id: 1,
         purchaseNumber: 1,
+        purchaseDate: 1,
         supplier: 1,
         items: 1,
         warehouse: 1,
@@ -77,7 +83,7 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
         productDetails: 1,
         warehouseInfo: { $arrayElemAt: ['$warehouseInfo', 0] },
         totalItems: { $size: '$items' },
-        totalQuantity: { $sum: '$items.quantity' },
+        totalQuantity: ITEMS_BASE_QUANTITY,
         totalValue: '$grandTotal'
       }
     }
@@ -158,6 +164,18 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
   console.log('📦 Inventory Analysis:');
   console.log(`   Existing inventory records: ${existingInventory.length}`);
 
+  // Lot number and expiry per line: on the line, or given now ({ lots: [{ item, lotNumber, expiryDate }] })
+  // Serialized products: serial numbers per line, on the line or given now ({ serials: [{ item, serialNumbers }] })
+  let lots;
+  let serials;
+  try {
+    lots = receiptLots(purchaseData.items, req.body.lots);
+    serials = await receiptSerials(purchaseData.items, req.body.serials);
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+
   // Step 3: Advanced transaction with comprehensive audit trail
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -167,15 +185,20 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
     const auditEntries = [];
     const inventoryUpdates = [];
 
+    // Update product average costs before the received stock is added
+    const costChanges = await applyPurchaseCosts(purchaseData.items, { session });
+
     // Process each item with detailed logging
     for (const item of purchaseData.items) {
       const productId = item.product.toString();
       const existingInv = inventoryMap.get(productId);
+      const quantity = baseQuantityOf(item); // Stock is received in base units
+      const lot = lots.get(item._id.toString());
       
       const auditEntry = {
         user: req.user.id,
         action: 'purchase_received',
-        adjustment: item.quantity,
+        adjustment: quantity,
         note: `Received from purchase ${purchaseData.purchaseNumber} - Supplier: ${purchaseData.supplierInfo.supplierName}`,
         timestamp: receivingTimestamp,
         relatedPurchaseId: purchaseData._id,
@@ -185,44 +208,46 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
       };
 
       if (existingInv) {
-        // Update existing inventory
-        const newQuantity = existingInv.currentQuantity + item.quantity;
-        auditEntry.previousQuantity = existingInv.currentQuantity;
+        // Update existing inventory, the line going into its lot
+        const inventory = await Inventory.findById(existingInv._id).session(session);
+        const received = receiveIntoLots(inventory, {
+          ...lot, quantity, receivedAt: receivingTimestamp, purchase: purchaseData._id
+        });
+        const newQuantity = inventory.quantity;
+        auditEntry.previousQuantity = newQuantity - quantity;
         auditEntry.newQuantity = newQuantity;
-
-        await Inventory.updateOne(
-          { _id: existingInv._id },
-          {
-            $inc: { quantity: item.quantity },
-            $push: { auditLog: auditEntry },
-            $set: { lastUpdated: receivingTimestamp }
-          },
-          { session }
-        );
+        auditEntry.lots = lotSummary([{ ...lot, lot: received._id, receivedAt: receivingTimestamp, quantity }]);
+        inventory.auditLog.push(auditEntry);
+        inventory.lastUpdated = receivingTimestamp;
+        await inventory.save({ session });
 
         inventoryUpdates.push({
           action: 'updated',
           productId,
-          previousQuantity: existingInv.currentQuantity,
+          previousQuantity: auditEntry.previousQuantity,
           newQuantity,
-          adjustment: item.quantity
+          adjustment: quantity
         });
 
-        console.log(`   📈 Updated: ${existingInv.productInfo.name} - ${existingInv.currentQuantity} → ${newQuantity}`);
+        console.log(`   📈 Updated: ${existingInv.productInfo.name} - ${auditEntry.previousQuantity} → ${newQuantity}`);
       } else {
         // Create new inventory record
         auditEntry.previousQuantity = 0;
-        auditEntry.newQuantity = item.quantity;
+        auditEntry.newQuantity = quantity;
 
         const newInventory = new Inventory({
           product: item.product,
           location: purchaseData.warehouse || null,
-          quantity: item.quantity,
+          quantity: 0,
           minStockLevel: 0,
           maxStockLevel: 1000,
-          auditLog: [auditEntry],
           lastUpdated: receivingTimestamp
         });
+        const received = receiveIntoLots(newInventory, {
+          ...lot, quantity, receivedAt: receivingTimestamp, purchase: purchaseData._id
+        });
+        auditEntry.lots = lotSummary([{ ...lot, lot: received._id, receivedAt: receivingTimestamp, quantity }]);
+        newInventory.auditLog.push(auditEntry);
 
         await newInventory.save({ session });
 
@@ -230,14 +255,21 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
           action: 'created',
           productId,
           previousQuantity: 0,
-          newQuantity: item.quantity,
-          adjustment: item.quantity
+          newQuantity: quantity,
+          adjustment: quantity
         });
 
-        console.log(`   ✨ Created: Product ${productId} - Quantity: ${item.quantity}`);
+        console.log(`   ✨ Created: Product ${productId} - Quantity: ${quantity}`);
       }
 
       auditEntries.push(auditEntry);
+
+      const lineSerials = serials.get(item._id.toString());
+      if (lineSerials.length > 0) {
+        await receiveSerials(item.product, lineSerials, {
+          location: purchaseData.warehouse, purchase: purchaseData._id, userId: req.user.id, session
+        });
+      }
     }
 
     // Step 4: Update purchase with enhanced tracking
@@ -248,6 +280,14 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
       inventoryUpdates: inventoryUpdates,
       receivingNotes: req.body.notes || 'Automatically received via enhanced system'
     };
+    // Record on each line the lot it was received into
+    purchaseData.items.forEach((item, index) => {
+      const { lotNumber, expiryDate } = lots.get(item._id.toString());
+      if (lotNumber) purchaseUpdate[`items.${index}.lotNumber`] = lotNumber;
+      if (expiryDate) purchaseUpdate[`items.${index}.expiryDate`] = expiryDate;
+      const lineSerials = serials.get(item._id.toString());
+      if (lineSerials.length > 0) purchaseUpdate[`items.${index}.serialNumbers`] = lineSerials;
+    });
 
     await Purchase.updateOne(
       { _id: purchaseData._id },
@@ -255,6 +295,13 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
       { session }
     );
 
+    // Last costs and lead times of the supplier's products
+    const supplierProducts = await recordPurchaseReceipt(purchaseData, {
+      receivedAt: receivingTimestamp,
+      userId: req.user.id,
+      session
+    });
+
     // Step 5: Generate receiving analytics
     const receivingAnalytics = {
       purchaseId: purchaseData._id,
@@ -269,6 +316,8 @@ const enhancedReceivePurchase = asyncHandler(async (req, res) => {
       warehouseId: purchaseData.warehouse,
       warehouseName: purchaseData.warehouseInfo?.name || 'Default Location',
       inventoryUpdates: inventoryUpdates,
+      costChanges,
+      supplierProducts,
       processingTimeMs: Date.now() - receivingTimestamp.getTime()
     };
 
@@ -355,7 +404,7 @@ const getReceivingAnalytics = asyncHandler(async (req, res) => {
         totalPurchases: { $sum: 1 },
         totalValue: { $sum: '$grandTotal' },
         totalItems: { $sum: { $size: '$items' } },
-        totalQuantity: { $sum: { $sum: '$items.quantity' } },
+        totalQuantity: { $sum: ITEMS_BASE_QUANTITY },
         avgOrderValue: { $avg: '$grandTotal' },
         avgDeliveryTime: {
           $avg: {
@@ -383,7 +432,7 @@ const getReceivingAnalytics = asyncHandler(async (req, res) => {
         _id: null,
         totalReceived: { $sum: 1 },
         totalValue: { $sum: '$grandTotal' },
-        totalQuantity: { $sum: { $sum: '$items.quantity' } },
+        totalQuantity: { $sum: ITEMS_BASE_QUANTITY },
         avgOrderValue: { $avg: '$grandTotal' },
         uniqueSuppliers: { $addToSet: '$supplier' },
         uniqueWarehouses: { $addToSet: '$warehouse' }
@@ -474,7 +523,7 @@ const validateInventoryBeforeReceiving = asyncHandler(async (req, res) => {
             as: 'item',
             in: {
               product: '$$item.product',
-              quantity: '$$item.quantity',
+              quantity: { $ifNull: ['$$item.baseQuantity', '$$item.quantity'] },
               existingInventory: {
                 $filter: {
                   input: '$currentInventory',
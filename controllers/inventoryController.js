@@ -4,6 +4,7 @@ const Product = require('../models/Product');
 const Location = require('../models/Location');
 const mongoose = require('mongoose');
 const enhancedNotificationService = require('../services/enhancedNotificationService');
+const { adjustmentSerials, writeOffSerials } = require('../services/serialService');
 
 // @desc    Add a product to a location's inventory (initially often 0)
 // @route   POST /api/inventory
@@ -19,7 +20,7 @@ const addInventoryRecord = asyncHandler(async (req, res) => {
     }
 
     // Check if user has access to this location (Middleware should handle this, but double check concept)
-    if (req.user.role !== 'admin' && !req.user.locations.some(locId => locId.equals(locationId))) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(locationId, 'inventory.create')) {
          res.status(403); throw new Error('Forbidden: You do not have access to manage inventory at this location.');
     }
 
@@ -29,6 +30,12 @@ const addInventoryRecord = asyncHandler(async (req, res) => {
 
     if (!product) { res.status(404); throw new Error('Active Product not found'); }
     if (!location) { res.status(404); throw new Error('Active Location not found'); }
+    if (product.hasVariants) {
+        res.status(400); throw new Error(`${product.name} has variants: add inventory for a specific variant`);
+    }
+    if (product.isBundle) {
+        res.status(400); throw new Error(`${product.name} is a bundle: add inventory for its component products`);
+    }
 
     // Check if inventory record already exists
     const existingInventory = await Inventory.findOne({ product: productId, location: locationId });
@@ -41,6 +48,13 @@ const addInventoryRecord = asyncHandler(async (req, res) => {
     if (quantity < 0) {
          res.status(400); throw new Error('Initial quantity cannot be negative');
     }
+    if (quantity > 0) {
+        try {
+            await adjustmentSerials(product, quantity, undefined, locationId);
+        } catch (err) {
+            res.status(400); throw err;
+        }
+    }
 
     const inventoryData = {
         product: productId,
@@ -115,11 +129,11 @@ const getInventory = asyncHandler(async (req, res) => {
     // --- Authorization Filtering (Apply location restrictions) ---
     let accessibleLocations = null;
     if (req.user.role !== 'admin') {
-        if (!req.user.locations || req.user.locations.length === 0) {
+        if (req.user.accessibleLocations('inventory.view').length === 0) {
             // User has access to no locations, return empty results immediately
             return res.json({ data: [], pagination: { total: 0, page: queryPage, pages: 0, limit: queryLimit } });
         }
-        accessibleLocations = req.user.locations; // Get user's allowed locations
+        accessibleLocations = req.user.accessibleLocations('inventory.view'); // Get user's allowed locations
 
         // If a specific location is requested, ensure user has access
         if (locationId && !accessibleLocations.some(loc => loc.equals(locationId))) {
@@ -190,7 +204,7 @@ const getInventory = asyncHandler(async (req, res) => {
         const inventoryList = await Inventory.find(filter)
             .populate({ // Populate product and its category
                 path: 'product',
-                select: 'name sku price imageUrl isActive category', // Include category field
+                select: 'name sku price imageUrl thumbnailUrl isActive category', // Include category field
                 populate: { // Nested populate for category name
                     path: 'category',
                     select: 'name' // Select only the name of the category
@@ -238,7 +252,7 @@ const getInventoryById = asyncHandler(async (req, res) => {
     }
 
     // Authorization Check: User needs access to the location of this inventory item
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(inventory.location._id)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(inventory.location._id, 'inventory.view')) {
         res.status(403); throw new Error('Forbidden: Access denied to this inventory record');
     }
 
@@ -250,7 +264,7 @@ const getInventoryById = asyncHandler(async (req, res) => {
 // @route   PATCH /api/inventory/:id/adjust
 // @access  Admin, Manager (with access to location)
 const adjustInventory = asyncHandler(async (req, res) => {
-    const { adjustment, note } = req.body;
+    const { adjustment, note, serialNumbers } = req.body;
     const inventoryId = req.params.id;
 
     if (typeof adjustment !== 'number' || adjustment === 0) {
@@ -267,10 +281,18 @@ const adjustInventory = asyncHandler(async (req, res) => {
     }
 
     // Authorization Check
-     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(inventory.location)) {
+     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(inventory.location, 'inventory.adjust')) {
         res.status(403); throw new Error('Forbidden: You do not have permission to adjust stock at this location.');
     }
 
+    // Serialized products: name the units removed (serialNumbers)
+    let serials;
+    try {
+        serials = await adjustmentSerials(await Product.findById(inventory.product).select('name serialized'), adjustment, serialNumbers, inventory.location);
+    } catch (err) {
+        res.status(400); throw err;
+    }
+
     const newQuantity = inventory.quantity + adjustment;
     if (newQuantity < 0) {
         res.status(400);
@@ -289,6 +311,9 @@ const adjustInventory = asyncHandler(async (req, res) => {
     });
 
     const updatedInventory = await inventory.save();
+    if (serials.length > 0) {
+        await writeOffSerials(inventory.product, serials, { location: inventory.location, userId: req.user.id, note: note || 'Manual stock adjustment' });
+    }
 
     // Populate for response
     const populatedInventory = await Inventory.findById(updatedInventory._id)
@@ -324,33 +349,37 @@ const adjustInventory = asyncHandler(async (req, res) => {
     res.json(populatedInventory);
 });
 
-// @desc    Get expired inventory items (Expired or expiring today, with quantity > 0)
+// @desc    Get expired inventory items (Expired or expiring today, with quantity > 0),
+//          one entry per expired lot: quantity and expiryDate are the lot's,
+//          inventoryQuantity the record's. Records without lots count as one lot.
 // @route   GET /api/inventory/expired
 // @access  Authenticated User (filtered by access)
 const getExpiredInventory = asyncHandler(async (req, res) => {
     const { search, locationId, categoryId, status } = req.query; // Get filter params
 
     const now = new Date();
-    // Base filter for expired items with stock
-    const filter = {
-        expiryDate: { $lte: now }, // Items that expired before or at this moment
-        quantity: { $gt: 0 }       // Only items with positive stock
-    };
+    let expiryRange = { $lte: now }; // Lots that expired before or at this moment
 
     // --- Apply Status Filter ---
     if (status) {
         if (status === 'recent') {
             // Recently expired (within last 7 days)
             const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-            filter.expiryDate = { $gte: sevenDaysAgo, $lte: now };
+            expiryRange = { $gte: sevenDaysAgo, $lte: now };
         } else if (status === 'long') {
             // Long expired (more than 7 days ago)
             const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-            filter.expiryDate = { $lt: sevenDaysAgo };
+            expiryRange = { $lt: sevenDaysAgo };
         }
         // 'null' or 'all' status shows all expired items (default behavior)
     }
 
+    // Base filter for records with stock and an expired lot (or expired themselves, without lots)
+    const filter = {
+        quantity: { $gt: 0 },
+        $or: [{ 'lots.expiryDate': expiryRange }, { expiryDate: expiryRange }]
+    };
+
     // --- Apply Location Filter ---
     if (locationId) {
         if (!mongoose.Types.ObjectId.isValid(locationId)) {
@@ -362,10 +391,10 @@ const getExpiredInventory = asyncHandler(async (req, res) => {
     // --- Authorization Filtering (Apply BEFORE search for efficiency if possible) ---
     let accessibleLocations = null;
     if (req.user.role !== 'admin') {
-        if (!req.user.locations || req.user.locations.length === 0) {
+        if (req.user.accessibleLocations('inventory.view').length === 0) {
             return res.json([]); // User has access to no locations
         }
-        accessibleLocations = req.user.locations; // Store accessible locations
+        accessibleLocations = req.user.accessibleLocations('inventory.view'); // Store accessible locations
 
         // If a specific location was requested AND the user doesn't have access
         if (locationId && !accessibleLocations.some(loc => loc.equals(locationId))) {
@@ -413,18 +442,51 @@ const getExpiredInventory = asyncHandler(async (req, res) => {
 
 
     // --- Execute Query ---
-    const expiredList = await Inventory.find(filter)
-        // Populate necessary fields for display
-        .populate({
+    // Aggregations are not cast like queries: cast the filter first
+    const expiredList = await Inventory.aggregate([
+        { $match: Inventory.find().cast(Inventory, filter) },
+        { $project: { auditLog: 0 } },
+        {
+            $addFields: {
+                expiredLot: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$lots', []] } }, 0] },
+                        '$lots',
+                        [{ expiryDate: '$expiryDate', quantity: '$quantity' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$expiredLot' },
+        { $match: { 'expiredLot.quantity': { $gt: 0 }, 'expiredLot.expiryDate': expiryRange } },
+        {
+            $addFields: {
+                inventoryQuantity: '$quantity',
+                quantity: '$expiredLot.quantity',
+                expiryDate: '$expiredLot.expiryDate',
+                lot: {
+                    _id: '$expiredLot._id',
+                    lotNumber: '$expiredLot.lotNumber',
+                    receivedAt: '$expiredLot.receivedAt'
+                }
+            }
+        },
+        { $project: { lots: 0, expiredLot: 0 } },
+        { $sort: { expiryDate: 1 } } // Default: Recently expired first
+    ]);
+
+    // Populate necessary fields for display
+    await Inventory.populate(expiredList, [
+        {
             path: 'product',
-            select: 'name sku imageUrl isActive category brand',
+            select: 'name sku imageUrl thumbnailUrl isActive category brand',
             populate: [
                 { path: 'category', select: 'name' },
                 { path: 'brand', select: 'name' }
             ]
-        })
-        .populate('location', 'name type isActive') // Include isActive if needed
-        .sort({ expiryDate: 1 }); // Default: Recently expired first
+        },
+        { path: 'location', select: 'name type isActive' } // Include isActive if needed
+    ]);
 
     res.json(expiredList);
 });
@@ -456,8 +518,8 @@ const getLowStockInventory = asyncHandler(async (req, res) => {
     // --- Authorization Filtering ---
     let accessibleLocations = null;
     if (req.user.role !== 'admin') {
-        if (!req.user.locations || req.user.locations.length === 0) return res.json([]);
-        accessibleLocations = req.user.locations;
+        if (req.user.accessibleLocations('inventory.view').length === 0) return res.json([]);
+        accessibleLocations = req.user.accessibleLocations('inventory.view');
         if (locationId && !accessibleLocations.some(loc => loc.equals(locationId))) {
              res.status(403); throw new Error('Forbidden: Access denied to this location inventory');
         }
@@ -478,7 +540,7 @@ const getLowStockInventory = asyncHandler(async (req, res) => {
 
     // --- Execute Query ---
     const lowStockList = await Inventory.find(filter)
-        .populate('product', 'name sku imageUrl isActive') // Populate product details
+        .populate('product', 'name sku imageUrl thumbnailUrl isActive') // Populate product details
         .populate('location', 'name type isActive')      // Populate location details
         .sort({ 'location.name': 1, 'product.name': 1 }); // Sort by location, then product
 
@@ -507,8 +569,8 @@ const getOutOfStockInventory = asyncHandler(async (req, res) => {
     // --- Authorization Filtering ---
     let accessibleLocations = null;
     if (req.user.role !== 'admin') {
-        if (!req.user.locations || req.user.locations.length === 0) return res.json([]);
-        accessibleLocations = req.user.locations;
+        if (req.user.accessibleLocations('inventory.view').length === 0) return res.json([]);
+        accessibleLocations = req.user.accessibleLocations('inventory.view');
         if (locationId && !accessibleLocations.some(loc => loc.equals(locationId))) {
              res.status(403); throw new Error('Forbidden: Access denied to this location inventory');
         }
@@ -529,7 +591,7 @@ const getOutOfStockInventory = asyncHandler(async (req, res) => {
 
     // --- Execute Query ---
     const outOfStockList = await Inventory.find(filter)
-        .populate('product', 'name sku imageUrl isActive') // Include isActive status
+        .populate('product', 'name sku imageUrl thumbnailUrl isActive') // Include isActive status
         .populate('location', 'name type isActive')      // Include isActive status
         .sort({ 'location.name': 1, 'product.name': 1 }); // Sort by location, then product
 
@@ -0,0 +1,34 @@
+const asyncHandler = require('express-async-handler');
+const Organization = require('../models/Organization');
+
+// @desc    Get the organization of the signed-in user
+// @route   GET /api/organization
+// @access  Private
+const getCurrentOrganization = asyncHandler(async (req, res) => {
+    res.json(req.organization);
+});
+
+// @desc    Update the organization of the signed-in user
+// @route   PUT /api/organization
+// @access  Private (organization.manage)
+const updateCurrentOrganization = asyncHandler(async (req, res) => {
+    const { name, contactEmail } = req.body;
+    const organization = await Organization.findById(req.organization._id);
+
+    if (name !== undefined) {
+        if (!String(name).trim()) {
+            res.status(400);
+            throw new Error('Organization name cannot be empty');
+        }
+        organization.name = name;
+    }
+    if (contactEmail !== undefined) organization.contactEmail = contactEmail;
+
+    await organization.save();
+    res.json(organization);
+});
+
+module.exports = {
+    getCurrentOrganization,
+    updateCurrentOrganization
+};
@@ -0,0 +1,269 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Location = require('../models/Location');
+const Customer = require('../models/Customer');
+const { resolveSalePrices } = require('../services/priceListService');
+const { toBaseQuantity } = require('../services/unitService');
+
+const findPriceListOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid Price List ID format');
+    }
+    const priceList = await PriceList.findById(id);
+    if (!priceList) {
+        res.status(404);
+        throw new Error('Price list not found');
+    }
+    return priceList;
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && value > 0;
+
+// Validate price list items ({ product, price, tiers: [{ minQuantity, price }] })
+// and the products they refer to
+const validateItems = async (items, res) => {
+    if (!Array.isArray(items)) {
+        res.status(400);
+        throw new Error('items must be an array');
+    }
+    for (const item of items) {
+        if (!item || !mongoose.Types.ObjectId.isValid(item.product)) {
+            res.status(400);
+            throw new Error('Every item needs a valid product ID');
+        }
+        if (!isPositiveNumber(item.price)) {
+            res.status(400);
+            throw new Error(`Price for product ${item.product} must be a positive number`);
+        }
+        const tiers = item.tiers || [];
+        if (!Array.isArray(tiers) || tiers.some(tier => !tier || !Number.isInteger(tier.minQuantity) || tier.minQuantity < 1 || !isPositiveNumber(tier.price))) {
+            res.status(400);
+            throw new Error(`Tiers for product ${item.product} need a whole minQuantity of at least 1 and a positive price`);
+        }
+    }
+
+    const productIds = [...new Set(items.map(item => item.product.toString()))];
+    if (productIds.length !== items.length) {
+        res.status(400);
+        throw new Error('A product can only appear once in a price list');
+    }
+    const found = await Product.countDocuments({ _id: { $in: productIds } });
+    if (found !== productIds.length) {
+        res.status(400);
+        throw new Error('One or more products in the price list were not found');
+    }
+    return items.map(item => ({ product: item.product, price: item.price, tiers: item.tiers || [] }));
+};
+
+const validateLocations = async (locations, res) => {
+    if (!Array.isArray(locations) || locations.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        res.status(400);
+        throw new Error('locations must be an array of location IDs');
+    }
+    const found = await Location.countDocuments({ _id: { $in: locations } });
+    if (found !== new Set(locations.map(String)).size) {
+        res.status(400);
+        throw new Error('One or more locations were not found');
+    }
+    return locations;
+};
+
+const validateCustomerGroups = (customerGroups, res) => {
+    if (!Array.isArray(customerGroups) || customerGroups.some(group => typeof group !== 'string' || !group.trim())) {
+        res.status(400);
+        throw new Error('customerGroups must be an array of group names');
+    }
+    return customerGroups;
+};
+
+// Apply the editable fields of a request body to a price list
+const applyFields = async (priceList, body, res) => {
+    const { name, description, locations, customerGroups, priority, isActive, items } = body;
+    if (name !== undefined) priceList.name = name;
+    if (description !== undefined) priceList.description = description;
+    if (locations !== undefined) priceList.locations = await validateLocations(locations, res);
+    if (customerGroups !== undefined) priceList.customerGroups = validateCustomerGroups(customerGroups, res);
+    if (priority !== undefined) {
+        if (typeof priority !== 'number') {
+            res.status(400);
+            throw new Error('priority must be a number');
+        }
+        priceList.priority = priority;
+    }
+    if (isActive !== undefined) priceList.isActive = Boolean(isActive);
+    if (items !== undefined) priceList.items = await validateItems(items, res);
+};
+
+const savePriceList = async (priceList, res) => {
+    try {
+        return await priceList.save();
+    } catch (error) {
+        res.status(400);
+        if (error.code === 11000) throw new Error('A price list with this name already exists');
+        throw error;
+    }
+};
+
+// @desc    Get price lists (without their items unless includeItems=true)
+// @route   GET /api/price-lists
+// @access  Private (priceLists.view)
+const getPriceLists = asyncHandler(async (req, res) => {
+    const { isActive, locationId, customerGroup, includeItems } = req.query;
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (locationId) {
+        if (!mongoose.Types.ObjectId.isValid(locationId)) {
+            res.status(400);
+            throw new Error('Invalid Location ID');
+        }
+        filter.locations = locationId;
+    }
+    if (customerGroup) filter.customerGroups = String(customerGroup).toLowerCase();
+
+    const priceLists = await PriceList.find(filter)
+        .populate('locations', 'name type')
+        .sort({ priority: -1, name: 1 })
+        .lean();
+
+    res.json(priceLists.map(({ items, ...priceList }) => ({
+        ...priceList,
+        itemCount: items.length,
+        ...(includeItems === 'true' ? { items } : {})
+    })));
+});
+
+// @desc    Get a price list with its items
+// @route   GET /api/price-lists/:id
+// @access  Private (priceLists.view)
+const getPriceListById = asyncHandler(async (req, res) => {
+    await findPriceListOr404(req.params.id, res);
+    const priceList = await PriceList.findById(req.params.id)
+        .populate('locations', 'name type')
+        .populate('items.product', 'name sku price isActive')
+        .populate('createdBy', 'name email');
+    res.json(priceList);
+});
+
+// @desc    Create a price list
+// @route   POST /api/price-lists
+// @access  Private (priceLists.manage)
+const createPriceList = asyncHandler(async (req, res) => {
+    if (!req.body.name) {
+        res.status(400);
+        throw new Error('Price list name is required');
+    }
+    const priceList = new PriceList({ createdBy: req.user._id });
+    await applyFields(priceList, req.body, res);
+    const created = await savePriceList(priceList, res);
+    res.status(201).json(created);
+});
+
+// @desc    Update a price list (items, if given, replace the current ones)
+// @route   PUT /api/price-lists/:id
+// @access  Private (priceLists.manage)
+const updatePriceList = asyncHandler(async (req, res) => {
+    const priceList = await findPriceListOr404(req.params.id, res);
+    await applyFields(priceList, req.body, res);
+    res.json(await savePriceList(priceList, res));
+});
+
+// @desc    Add or replace the prices of some products, and remove others
+// @route   PATCH /api/price-lists/:id/items
+// @access  Private (priceLists.manage)
+const updatePriceListItems = asyncHandler(async (req, res) => {
+    const priceList = await findPriceListOr404(req.params.id, res);
+    const { items = [], remove = [] } = req.body;
+    if (!Array.isArray(remove)) {
+        res.status(400);
+        throw new Error('remove must be an array of product IDs');
+    }
+
+    const upserts = await validateItems(items, res);
+    const replaced = new Set([...upserts.map(item => item.product.toString()), ...remove.map(String)]);
+    priceList.items = [
+        ...priceList.items.filter(item => !replaced.has(item.product.toString())),
+        ...upserts
+    ];
+    res.json(await savePriceList(priceList, res));
+});
+
+// @desc    Delete a price list. Sales keep the prices they were made at.
+// @route   DELETE /api/price-lists/:id
+// @access  Private (priceLists.manage)
+const deletePriceList = asyncHandler(async (req, res) => {
+    const priceList = await findPriceListOr404(req.params.id, res);
+    await priceList.deleteOne();
+    res.json({ message: 'Price list deleted' });
+});
+
+// @desc    Resolve the prices a sale would get, e.g. to show them at checkout
+// @route   POST /api/price-lists/resolve
+// @access  Private (sales.create)
+const resolvePrices = asyncHandler(async (req, res) => {
+    const { locationId, customerId, items } = req.body;
+    if (!locationId || !mongoose.Types.ObjectId.isValid(locationId)) {
+        res.status(400);
+        throw new Error('Valid Location ID (locationId) is required');
+    }
+    if (!Array.isArray(items) || items.length === 0 ||
+        items.some(item => !item || !mongoose.Types.ObjectId.isValid(item.product) || !isPositiveNumber(item.quantity))) {
+        res.status(400);
+        throw new Error('items must list { product, quantity, unit? } with valid product IDs and positive quantities');
+    }
+
+    let customerGroup = null;
+    if (customerId) {
+        const customer = mongoose.Types.ObjectId.isValid(customerId) ? await Customer.findById(customerId) : null;
+        if (!customer) {
+            res.status(404);
+            throw new Error('Customer not found');
+        }
+        customerGroup = customer.group;
+    }
+
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } }).select('name sku price parentProduct baseUnit units');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+    const missing = items.find(item => !productMap.has(item.product.toString()));
+    if (missing) {
+        res.status(404);
+        throw new Error(`Product ${missing.product} not found`);
+    }
+
+    let lines;
+    try {
+        lines = items.map(item => ({
+            ...item,
+            ...toBaseQuantity(productMap.get(item.product.toString()), item.quantity, item.unit, 'sale')
+        }));
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+
+    const resolved = await resolveSalePrices(lines, productMap, { locationId, customerGroup });
+    res.json({
+        locationId,
+        customerGroup,
+        items: lines.map((item, index) => ({
+            product: item.product,
+            name: productMap.get(item.product.toString()).name,
+            quantity: item.quantity,
+            unit: item.unit,
+            baseQuantity: item.baseQuantity,
+            ...resolved[index]
+        }))
+    });
+});
+
+module.exports = {
+    getPriceLists,
+    getPriceListById,
+    createPriceList,
+    updatePriceList,
+    updatePriceListItems,
+    deletePriceList,
+    resolvePrices
+};
@@ -1,17 +1,51 @@
+const mongoose = require('mongoose');
 const ProductCategory = require('../models/ProductCategory');
+const {
+  categorySlug,
+  descendantIds,
+  breadcrumbs,
+  buildTree,
+  moveCategory,
+  relocateSubtree
+} = require('../services/categoryService');
+const { normalizeDefinitions, categoryAttributes } = require('../services/attributeService');
 
-// Create product category
+// Load the parent category named in a request; null means the root
+const findParent = async (parentId) => {
+  if (parentId === undefined || parentId === null || parentId === '') return null;
+  if (!mongoose.Types.ObjectId.isValid(parentId)) return undefined;
+  return (await ProductCategory.findOne({ _id: parentId })) || undefined;
+};
+
+const findCategory = async (id) => (
+  mongoose.Types.ObjectId.isValid(id) ? ProductCategory.findOne({ _id: id }) : null
+);
+
+// Create product category (under `parent`, if given, with custom product `attributes`)
 exports.createCategory = async (req, res) => {
-  const { name, description } = req.body;
+  const { name, description, parent: parentId } = req.body;
   if (!name) return res.status(400).json({ message: 'Name is required.' });
+  let attributes = [];
   try {
-    const exists = await ProductCategory.findOne({ name, createdBy: req.user.id });
+    if (req.body.attributes !== undefined) attributes = normalizeDefinitions(req.body.attributes);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  try {
+    const parent = await findParent(parentId);
+    if (parent === undefined) return res.status(400).json({ message: 'Parent category not found.' });
+    const exists = await ProductCategory.findOne({ name, parent: parent ? parent._id : null, createdBy: req.user.id });
     if (exists) return res.status(400).json({ message: 'Category already exists.' });
+    const ancestors = parent ? [...parent.ancestors, parent._id] : [];
     const category = await ProductCategory.create({
       name,
       description,
       createdBy: req.user.id,
-      slug: name.toLowerCase().replace(/\s+/g, '-'),
+      slug: categorySlug(name, parent),
+      parent: parent ? parent._id : null,
+      ancestors,
+      depth: ancestors.length,
+      attributes,
       status: 'active'
     });
     res.status(201).json(category);
@@ -35,9 +69,16 @@ exports.getCategories = async (req, res) => {
   }
 };
 
-// Update product category
+// Update product category. New attribute definitions apply to products as
+// they are next saved; existing values are not revalidated.
 exports.updateCategory = async (req, res) => {
   const { name, description, status } = req.body;
+  let attributes;
+  try {
+    if (req.body.attributes !== undefined) attributes = normalizeDefinitions(req.body.attributes);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
   try {
     const category = await ProductCategory.findOne({ _id: req.params.id });
     if (!category) {
@@ -49,27 +90,33 @@ exports.updateCategory = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this category.' });
     }
 
-    // Check if name already exists (excluding current category)
+    // Check if name already exists among its siblings (excluding current category)
     if (name) {
       const exists = await ProductCategory.findOne({
         name,
+        parent: category.parent,
         createdBy: req.user.id,
         _id: { $ne: req.params.id }
       });
       if (exists) return res.status(400).json({ message: 'Category name already exists.' });
     }
 
-    const updated = await ProductCategory.findByIdAndUpdate(
-      req.params.id,
-      {
-        name,
-        description,
-        status,
-        slug: name ? name.toLowerCase().replace(/\s+/g, '-') : undefined
-      },
-      { new: true }
-    );
-    res.json(updated);
+    if (description !== undefined) category.description = description;
+    if (status !== undefined) category.status = status;
+    if (attributes !== undefined) category.attributes = attributes;
+    if (name && name !== category.name) {
+      // A new name changes the slugs of the whole subtree
+      const parent = category.parent ? await ProductCategory.findOne({ _id: category.parent }) : null;
+      category.name = name;
+      await relocateSubtree(category, {
+        parent: category.parent,
+        ancestors: category.ancestors,
+        slug: categorySlug(name, parent)
+      });
+    } else {
+      await category.save();
+    }
+    res.json(category);
   } catch (err) {
     res.status(500).json({ message: 'Server error.' });
   }
@@ -88,9 +135,106 @@ exports.deleteCategory = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this category.' });
     }
 
+    // Subcategories have to be moved or deleted first
+    const hasChildren = await ProductCategory.exists({ parent: category._id });
+    if (hasChildren) {
+      return res.status(400).json({ message: 'Category has subcategories. Move or delete them first.' });
+    }
+
     await ProductCategory.deleteOne({ _id: req.params.id });
     res.json({ message: 'Category deleted successfully.' });
   } catch (err) {
     res.status(500).json({ message: 'Server error.' });
   }
+};
+
+// Get the category tree (optionally only active categories)
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const categories = await ProductCategory.find(filter).sort({ depth: 1, name: 1 }).lean();
+    res.json(buildTree(categories));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// Get a category with everything below it, nested
+exports.getSubtree = async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+    const categories = await ProductCategory.find({ _id: { $in: await descendantIds(category._id) } })
+      .sort({ depth: 1, name: 1 })
+      .lean();
+    // The category is the only one whose parent is outside the subtree
+    res.json(buildTree(categories)[0]);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// Get the path from the root to a category
+exports.getBreadcrumbs = async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+    res.json(await breadcrumbs(category));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// Get the attributes of products in a category, including inherited ones
+exports.getCategoryAttributes = async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+    res.json(await categoryAttributes(category._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// Move a category (and its subtree) under another parent, or to the root with parent: null
+exports.moveCategory = async (req, res) => {
+  const { parent: parentId } = req.body;
+  if (parentId === undefined) return res.status(400).json({ message: 'parent is required (null for the root).' });
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found.' });
+    }
+
+    // Check if user has permission to update
+    if (String(category.createdBy) !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to update this category.' });
+    }
+
+    const parent = await findParent(parentId);
+    if (parent === undefined) return res.status(400).json({ message: 'Parent category not found.' });
+
+    const exists = await ProductCategory.findOne({
+      name: category.name,
+      parent: parent ? parent._id : null,
+      createdBy: category.createdBy,
+      _id: { $ne: category._id }
+    });
+    if (exists) return res.status(400).json({ message: 'A category with this name already exists there.' });
+
+    try {
+      await moveCategory(category, parent);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    res.json(category);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error.' });
+  }
 };
\ No newline at end of file
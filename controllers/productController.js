@@ -2,8 +2,20 @@ const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
 const Inventory = require('../models/Inventory'); // <-- Import Inventory model
 const Location = require('../models/Location');   // <-- Import Location model for validation
+const SupplierProduct = require('../models/SupplierProduct');
+const SerialNumber = require('../models/SerialNumber');
 const mongoose = require('mongoose');
 const barcodeService = require('../services/barcodeService');
+const { organizationRoom } = require('../socket');
+const { recordPriceChange, syncInheritedPrices } = require('../services/priceService');
+const { validateComponents, bundleAvailability } = require('../services/bundleService');
+const { normalizeUnits } = require('../services/unitService');
+const { descendantIds } = require('../services/categoryService');
+const { deleteImageFiles } = require('../services/imageService');
+const { categoryAttributes, validateAttributeValues, attributeFilter } = require('../services/attributeService');
+const { checkMergeable, mergeProducts } = require('../services/productMergeService');
+const { productSuppliers } = require('../services/supplierProductService');
+const AuditMiddleware = require('../middleware/auditMiddleware');
 
 // @desc    Create product definition AND optionally its initial inventory record
 // @route   POST /api/products
@@ -11,9 +23,13 @@ const barcodeService = require('../services/barcodeService');
 const createProduct = asyncHandler(async (req, res) => {
     // --- Destructure ALL data from frontend ---
     const {
-        name, description, sku, category, brand, price, barcode, isActive, imageUrl, // Product fields
+        name, description, sku, category, brand, price, cost, barcode, isActive, imageUrl, // Product fields
         locationId, initialQuantity, expiryDate, minStock, notifyAt, // Initial Inventory fields
-        generateBarcode, barcodeFormat // Barcode generation fields
+        generateBarcode, barcodeFormat, // Barcode generation fields
+        isBundle, bundleComponents, // Bundle definition
+        baseUnit, units, // Units of measure
+        attributes, // Custom attributes of the category
+        serialized // Tracked by serial number
     } = req.body;
 
     // --- Basic Product Validation ---
@@ -25,6 +41,46 @@ const createProduct = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error('Price must be a positive number');
     }
+    // Opening unit cost; received purchases keep it up to date afterwards
+    if (cost !== undefined && (typeof cost !== 'number' || cost < 0)) {
+        res.status(400);
+        throw new Error('Cost must be a non-negative number');
+    }
+    // --- Units of measure: stock is kept in the base unit ---
+    let productUnits = [];
+    if (units !== undefined) {
+        try {
+            productUnits = normalizeUnits(baseUnit, units);
+        } catch (err) {
+            res.status(400);
+            throw err;
+        }
+    }
+
+    // --- Custom attributes, checked against the category's definitions ---
+    let attributeValues;
+    try {
+        attributeValues = validateAttributeValues(await categoryAttributes(category), attributes);
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+
+    // --- Bundles: validate components; stock is held by the components only ---
+    let components = [];
+    if (isBundle) {
+        if (locationId) {
+            res.status(400);
+            throw new Error('A bundle holds no stock of its own: add stock to its component products instead');
+        }
+        try {
+            components = await validateComponents(bundleComponents);
+        } catch (err) {
+            res.status(400);
+            throw err;
+        }
+    }
+
     // --- Validate SKU/Barcode Uniqueness ---
     if (sku) {
         const skuExists = await Product.findOne({ sku: sku.trim() });
@@ -34,7 +90,7 @@ const createProduct = asyncHandler(async (req, res) => {
         }
     }
     if (barcode) {
-        const barcodeExists = await Product.findOne({ barcode: barcode.trim() });
+        const barcodeExists = await Product.findOne({ $or: [{ barcode: barcode.trim() }, { barcodeAliases: barcode.trim() }] });
         if (barcodeExists) {
             res.status(400);
             throw new Error('Product with this Barcode already exists');
@@ -94,6 +150,12 @@ const createProduct = asyncHandler(async (req, res) => {
         throw new Error('A Location ID is required when providing initial stock details (quantity, minStock, etc.).');
     }
 
+    // Units of a serialized product enter stock with their serial numbers: through purchases
+    if (serialized && parsedInitialQuantity > 0) {
+        res.status(400);
+        throw new Error('A serialized product cannot have initial stock: receive it through a purchase with its serial numbers');
+    }
+
 
     // --- Create Product Document ---
     const product = new Product({
@@ -104,8 +166,15 @@ const createProduct = asyncHandler(async (req, res) => {
         category, // Assuming frontend sends ObjectId
         brand: brand || undefined, // Assuming frontend sends ObjectId or null/undefined
         price,
+        cost: cost || 0,
         barcode: finalBarcode ? finalBarcode.trim() : undefined, // Allow sparse
         isActive: typeof isActive === 'boolean' ? isActive : true,
+        isBundle: Boolean(isBundle),
+        bundleComponents: components,
+        baseUnit: baseUnit ? String(baseUnit).trim() : undefined,
+        units: productUnits,
+        attributes: attributeValues,
+        serialized: Boolean(serialized),
         createdBy: req.user.id,
         auditLog: [{ user: req.user.id, action: 'created', timestamp: new Date() }]
     });
@@ -183,7 +252,7 @@ const createProduct = asyncHandler(async (req, res) => {
 
     // --- Emit product created event ---
     if (req.io) {
-      req.io.emit('productCreated', createdProduct); // Send the created product object
+      req.io.to(organizationRoom(req.organization._id)).emit('productCreated', createdProduct); // Send the created product object
     }
 
     // --- Respond with the Created Product ---
@@ -206,7 +275,13 @@ const updateProduct = asyncHandler(async (req, res) => {
     }
     const productId = req.params.id;
     // imageUrl will be included in updateData if sent in the request body
-    const { quantity, location, auditLog, createdBy, createdAt, updatedAt, ...updateData } = req.body;
+    // Variant structure is managed through the /variants endpoints, the image gallery through /images
+    const {
+        quantity, location, auditLog, createdBy, createdAt, updatedAt,
+        hasVariants, variantOptions, parentProduct, variantAttributes, priceOverride,
+        priceChangeReason, isBundle, images, thumbnailUrl,
+        ...updateData
+    } = req.body;
 
     const product = await Product.findById(productId);
 
@@ -215,6 +290,20 @@ const updateProduct = asyncHandler(async (req, res) => {
         throw new Error('Product not found');
     }
 
+    // Only a bundle's components can change; a product cannot become one later
+    if (updateData.bundleComponents !== undefined) {
+        if (!product.isBundle) {
+            res.status(400);
+            throw new Error('Only bundles have components');
+        }
+        try {
+            updateData.bundleComponents = await validateComponents(updateData.bundleComponents, product._id);
+        } catch (err) {
+            res.status(400);
+            throw err;
+        }
+    }
+
      // Check for SKU/Barcode uniqueness if changed
     if (updateData.sku && updateData.sku !== product.sku) {
         const skuExists = await Product.findOne({ sku: updateData.sku, _id: { $ne: productId } });
@@ -223,7 +312,10 @@ const updateProduct = asyncHandler(async (req, res) => {
         }
     }
      if (updateData.barcode && updateData.barcode !== product.barcode) {
-        const barcodeExists = await Product.findOne({ barcode: updateData.barcode, _id: { $ne: productId } });
+        const barcodeExists = await Product.findOne({
+            $or: [{ barcode: updateData.barcode }, { barcodeAliases: updateData.barcode }],
+            _id: { $ne: productId }
+        });
         if (barcodeExists) {
             res.status(400); throw new Error('Another product with this Barcode already exists');
         }
@@ -232,11 +324,57 @@ const updateProduct = asyncHandler(async (req, res) => {
      if (updateData.price !== undefined && updateData.price <= 0) {
          res.status(400); throw new Error('Price must be a positive value');
      }
+     if (updateData.cost !== undefined && !(typeof updateData.cost === 'number' && updateData.cost >= 0)) {
+         res.status(400); throw new Error('Cost must be a non-negative number');
+     }
+     if (updateData.cost !== undefined) updateData.costUpdatedAt = new Date();
+     // Factors are relative to the base unit: units are checked against the (new) base unit
+     if (updateData.units !== undefined || updateData.baseUnit !== undefined) {
+         if (updateData.baseUnit !== undefined && !String(updateData.baseUnit).trim()) {
+             res.status(400); throw new Error('Base unit cannot be empty');
+         }
+         // Stock, lots and cost are counted in the base unit: it cannot change under them
+         if (updateData.baseUnit !== undefined &&
+             String(updateData.baseUnit).trim().toLowerCase() !== (product.baseUnit || 'unit').toLowerCase() &&
+             await Inventory.exists({ product: product._id, quantity: { $gt: 0 } })) {
+             res.status(400); throw new Error('The base unit can only be changed while the product has no stock');
+         }
+         try {
+             updateData.units = normalizeUnits(updateData.baseUnit ?? product.baseUnit, updateData.units ?? product.units);
+         } catch (err) {
+             res.status(400); throw err;
+         }
+     }
+     // Stock on hand has no serial numbers recorded, or has them and needs them
+     if (updateData.serialized !== undefined) {
+         updateData.serialized = updateData.serialized === true || updateData.serialized === 'true';
+         if (updateData.serialized !== Boolean(product.serialized) &&
+             await Inventory.exists({ product: product._id, quantity: { $gt: 0 } })) {
+             res.status(400); throw new Error('Serial tracking can only be switched on or off while the product has no stock');
+         }
+     }
+     // Attributes are checked against the (new) category; a new category
+     // needs the current values to fit it too
+     if (updateData.attributes !== undefined || (updateData.category && String(updateData.category) !== String(product.category))) {
+         try {
+             updateData.attributes = validateAttributeValues(
+                 await categoryAttributes(updateData.category || product.category),
+                 updateData.attributes !== undefined ? updateData.attributes : product.attributes
+             );
+         } catch (err) {
+             res.status(400); throw err;
+         }
+     }
 
 
     // Apply updates - Mongoose handles only updating changed fields
     // imageUrl will be updated if it exists in updateData
+    const previousPrice = product.price;
     Object.assign(product, updateData);
+    // Setting a variant's price overrides the price inherited from its parent
+    if (product.parentProduct && updateData.price !== undefined) {
+        product.priceOverride = updateData.price;
+    }
 
     // Add an audit log entry for the update
     // Only log if there were actual changes attempted
@@ -252,9 +390,16 @@ const updateProduct = asyncHandler(async (req, res) => {
 
     const updatedProduct = await product.save();
 
+    if (updateData.price !== undefined && updatedProduct.price !== previousPrice) {
+        await recordPriceChange(updatedProduct, previousPrice, { userId: req.user._id, reason: priceChangeReason });
+        if (updatedProduct.hasVariants) {
+            await syncInheritedPrices(updatedProduct, { userId: req.user._id });
+        }
+    }
+
     // Emit event (updatedProduct will include imageUrl)
     if (req.io) {
-      req.io.emit('productUpdated', updatedProduct);
+      req.io.to(organizationRoom(req.organization._id)).emit('productUpdated', updatedProduct);
     }
 
     res.json(updatedProduct);
@@ -333,7 +478,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
 
     if (req.io) {
         console.log('📡 Emitting socket event: productDeactivated');
-        req.io.emit('productDeactivated', updatedProduct._id); // Send ID or object
+        req.io.to(organizationRoom(req.organization._id)).emit('productDeactivated', updatedProduct._id); // Send ID or object
     } else {
         console.log('⚠️ No socket.io instance found');
     }
@@ -393,6 +538,19 @@ const permanentDeleteProduct = asyncHandler(async (req, res) => {
     // Safety checks before permanent deletion
     console.log('🔍 Running safety checks...');
 
+    // Parent products keep their variants together: delete the variants first
+    if (product.hasVariants && await Product.exists({ parentProduct: product._id })) {
+        res.status(400);
+        throw new Error('Cannot delete a product that still has variants. Delete its variants first.');
+    }
+
+    // Bundles would lose a component
+    const containingBundles = await Product.find({ 'bundleComponents.product': product._id }).select('name');
+    if (containingBundles.length > 0) {
+        res.status(400);
+        throw new Error(`Cannot delete a component of bundle(s): ${containingBundles.map(bundle => bundle.name).join(', ')}. Remove it from them first.`);
+    }
+
     // Check for active inventory
     const activeInventory = await Inventory.find({ 
         product: product._id, 
@@ -456,6 +614,12 @@ const permanentDeleteProduct = asyncHandler(async (req, res) => {
             console.log(`✅ Deleted ${deletedInventory.deletedCount} inventory records`);
         }
 
+        // The product leaves the catalogs of its suppliers
+        await SupplierProduct.deleteMany({ product: product._id });
+
+        // Its serial number registry goes with it
+        await SerialNumber.deleteMany({ product: product._id });
+
         // TODO: Add other cascade deletions here when models are available
         // await StockAdjustment.deleteMany({ product: product._id });
         // await StockTransfer.deleteMany({ product: product._id });
@@ -485,10 +649,13 @@ const permanentDeleteProduct = asyncHandler(async (req, res) => {
         await Product.findByIdAndDelete(product._id);
         console.log('✅ Product permanently deleted from database');
 
+        // Remove its gallery files (originals and renditions)
+        await deleteImageFiles(product.images, product._id);
+
         // Emit socket event for real-time updates
         if (req.io) {
             console.log('📡 Emitting socket event: productPermanentlyDeleted');
-            req.io.emit('productPermanentlyDeleted', { 
+            req.io.to(organizationRoom(req.organization._id)).emit('productPermanentlyDeleted', { 
                 productId: product._id, 
                 productName: product.name 
             });
@@ -578,7 +745,7 @@ const reactivateProduct = asyncHandler(async (req, res) => {
 
     if (req.io) {
         console.log('📡 Emitting socket event: productReactivated');
-        req.io.emit('productReactivated', updatedProduct);
+        req.io.to(organizationRoom(req.organization._id)).emit('productReactivated', updatedProduct);
     } else {
         console.log('⚠️ No socket.io instance found');
     }
@@ -592,13 +759,49 @@ const reactivateProduct = asyncHandler(async (req, res) => {
     });
 });
 
+const populateProductFields = (query, fields) => {
+    if (fields.includes('category')) query = query.populate('category', 'name');
+    if (fields.includes('brand')) query = query.populate('brand', 'name');
+    if (fields.includes('createdBy')) query = query.populate('createdBy', 'name email');
+    return query;
+};
+
+// Replace matched variants by their parent product, listing the parent's
+// variants under `variants`. Products without variants are returned as is.
+const groupVariantsUnderParents = async (products, isActive, fieldsToPopulate) => {
+    const matchedIds = new Set(products.map(p => p._id.toString()));
+    const missingParentIds = [...new Set(products
+        .filter(p => p.parentProduct && !matchedIds.has(p.parentProduct.toString()))
+        .map(p => p.parentProduct.toString()))];
+    const missingParents = missingParentIds.length > 0
+        ? await populateProductFields(Product.find({ _id: { $in: missingParentIds } }), fieldsToPopulate)
+        : [];
+
+    const topLevel = [...products.filter(p => !p.parentProduct), ...missingParents]
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const parentIds = topLevel.filter(p => p.hasVariants).map(p => p._id);
+    const variantFilter = { parentProduct: { $in: parentIds } };
+    if (isActive !== undefined) variantFilter.isActive = isActive;
+    const variants = parentIds.length > 0 ? await Product.find(variantFilter).sort({ name: 1 }) : [];
+
+    return topLevel.map(product => {
+        const productObj = product.toObject();
+        if (product.hasVariants) {
+            productObj.variants = variants
+                .filter(variant => variant.parentProduct.equals(product._id))
+                .map(variant => variant.toObject());
+        }
+        return productObj;
+    });
+};
+
 // @desc    Get product definitions
 // @route   GET /api/products
 // @access  Authenticated
 const getProducts = asyncHandler(async (req, res) => {
     // Existing query params: category, brand, search, includeInactive, populate
     // New query param: locationId
-    const { category, brand, search, includeInactive, populate, locationId, includeInventory } = req.query;
+    const { category, includeSubcategories, brand, search, includeInactive, populate, locationId, includeInventory, parentProduct, groupVariants, attributes } = req.query;
     const filter = {};
 
     if (includeInactive !== 'true') {
@@ -608,12 +811,24 @@ const getProducts = asyncHandler(async (req, res) => {
     // Existing filters
     if (category) {
         if (!mongoose.Types.ObjectId.isValid(category)) { res.status(400); throw new Error('Invalid Category ID'); }
-        filter.category = category;
+        // Products of subcategories are included unless includeSubcategories=false
+        filter.category = includeSubcategories === 'false' ? category : { $in: await descendantIds(category) };
     }
     if (brand) {
         if (!mongoose.Types.ObjectId.isValid(brand)) { res.status(400); throw new Error('Invalid Brand ID'); }
         filter.brand = brand;
     }
+    // Custom attribute values, e.g. attributes[fabric]=cotton or attributes[voltage][min]=110
+    try {
+        Object.assign(filter, attributeFilter(attributes));
+    } catch (err) {
+        res.status(400); throw err;
+    }
+    // Variants of one parent product
+    if (parentProduct) {
+        if (!mongoose.Types.ObjectId.isValid(parentProduct)) { res.status(400); throw new Error('Invalid Parent Product ID'); }
+        filter.parentProduct = parentProduct;
+    }
 
     if (search) {
         const searchRegex = { $regex: search, $options: 'i' };
@@ -646,6 +861,14 @@ const getProducts = asyncHandler(async (req, res) => {
         if (productIdsInLocation.length === 0) {
              return res.json([]);
         }
+        // Bundles hold no stock: list those whose components are all stocked there
+        const stockedIds = new Set(productIdsInLocation.map(id => id.toString()));
+        const bundles = await Product.find({ isBundle: true, 'bundleComponents.product': { $in: productIdsInLocation } })
+            .select('bundleComponents');
+        bundles
+            .filter(bundle => bundle.bundleComponents.every(component => stockedIds.has(component.product.toString())))
+            .forEach(bundle => productIdsInLocation.push(bundle._id));
+
         // Add the product IDs condition to the main filter
         filter._id = { $in: productIdsInLocation };
     }
@@ -653,38 +876,40 @@ const getProducts = asyncHandler(async (req, res) => {
 
 
     // --- Query Execution ---
-    let query = Product.find(filter);
-
-    // Population (remains the same)
     const fieldsToPopulate = (populate || 'category,brand,createdBy').split(',');
-    if (fieldsToPopulate.includes('category')) query = query.populate('category', 'name');
-    if (fieldsToPopulate.includes('brand')) query = query.populate('brand', 'name');
-    if (fieldsToPopulate.includes('createdBy')) query = query.populate('createdBy', 'name email');
-
     // Sorting (remains the same)
-    query = query.sort({ name: 1 });
+    const products = await populateProductFields(Product.find(filter), fieldsToPopulate).sort({ name: 1 });
 
-    const products = await query.exec();
+    // --- Group variants under their parent product if requested ---
+    let results = products.map(product => product.toObject());
+    if (groupVariants === 'true') {
+        results = await groupVariantsUnderParents(products, filter.isActive, fieldsToPopulate);
+    }
 
     // --- *** Add inventory data to products if requested *** ---
     if (locationId || includeInventory === 'true') {
-        // Get all inventory records for these products
-        const productIds = products.map(p => p._id);
+        // Get all inventory records for these products (and their variants)
+        const productIds = results.flatMap(p => [p._id, ...(p.variants || []).map(v => v._id)]);
         const inventoryRecords = await Inventory.find({
             product: { $in: productIds }
         }).populate('location', 'name');
-
-        // Add inventory array to each product
-        const productsWithInventory = products.map(product => {
-            const productObj = product.toObject();
+        const availability = await bundleAvailability(results.filter(p => p.isBundle), locationId || null);
+
+        const addInventory = (productObj) => {
+            if (productObj.isBundle) {
+                // Number of bundles the component stock can make up
+                productObj.inventory = [];
+                productObj.totalStock = availability.get(productObj._id.toString()) || 0;
+                productObj.sellingPrice = productObj.price;
+                return;
+            }
             productObj.inventory = inventoryRecords.filter(inv =>
-                inv.product.toString() === product._id.toString()
+                inv.product.toString() === productObj._id.toString()
             );
 
             // For specific location filtering
             if (locationId) {
-                const locationInventory = inventoryRecords.find(inv =>
-                    inv.product.toString() === product._id.toString() &&
+                const locationInventory = productObj.inventory.find(inv =>
                     inv.location._id.toString() === locationId
                 );
                 productObj.totalStock = locationInventory ? locationInventory.quantity : 0;
@@ -692,16 +917,23 @@ const getProducts = asyncHandler(async (req, res) => {
                 // For general inventory inclusion, calculate total across all locations
                 productObj.totalStock = productObj.inventory.reduce((sum, inv) => sum + (inv.quantity || 0), 0);
             }
-            
-            productObj.sellingPrice = product.price; // Use the base price as selling price
 
-            return productObj;
+            productObj.sellingPrice = productObj.price; // Use the base price as selling price
+        };
+
+        results.forEach(productObj => {
+            if (!productObj.variants) return addInventory(productObj);
+            // Parent products hold no stock themselves: roll up their variants
+            productObj.variants.forEach(addInventory);
+            productObj.inventory = productObj.variants.flatMap(variant => variant.inventory);
+            productObj.totalStock = productObj.variants.reduce((sum, variant) => sum + variant.totalStock, 0);
+            productObj.sellingPrice = productObj.price;
         });
 
-        return res.json(productsWithInventory);
+        return res.json(results);
     }
 
-    res.json(products);
+    res.json(groupVariants === 'true' ? results : products);
 });
 
 const getProductById = asyncHandler(async (req, res) => {
@@ -734,7 +966,34 @@ const getProductById = asyncHandler(async (req, res) => {
     const product = await query.exec(); // Execute the query
 
     if (product) {
-        res.json(product); // Send the found product
+        const productObj = product.toJSON();
+        // Variants of a parent product, or the parent of a variant
+        if (product.hasVariants) {
+            productObj.variants = await Product.find({ parentProduct: product._id })
+                .select('name sku barcode price priceOverride variantAttributes isActive')
+                .sort({ name: 1 });
+        } else if (product.parentProduct) {
+            productObj.parent = await Product.findById(product.parentProduct).select('name sku price variantOptions');
+        }
+        // Bundle components and how many bundles their stock can make up
+        if (product.isBundle) {
+            const componentProducts = await Product.find({ _id: { $in: product.bundleComponents.map(c => c.product) } })
+                .select('name sku price cost isActive');
+            productObj.bundleComponents = product.bundleComponents.map(component => ({
+                quantity: component.quantity,
+                product: componentProducts.find(p => p._id.equals(component.product)) || component.product
+            }));
+            const { locationId } = req.query;
+            if (locationId && !mongoose.Types.ObjectId.isValid(locationId)) {
+                res.status(400); throw new Error('Invalid Location ID format');
+            }
+            productObj.availableQuantity = (await bundleAvailability([product], locationId || null)).get(product._id.toString());
+        }
+        // Who can supply it and at what cost, preferred supplier first
+        if (!product.hasVariants && !product.isBundle) {
+            productObj.suppliers = await productSuppliers(product._id);
+        }
+        res.json(productObj); // Send the found product
     } else {
         // If ID format is valid but product doesn't exist
         res.status(404);
@@ -754,7 +1013,9 @@ const getProductByBarcode = asyncHandler(async (req, res) => {
         throw new Error('Barcode is required');
     }
 
-    let product = await Product.findOne({ barcode: barcode.trim() }).populate('category', 'name');
+    // Barcodes of merged products still find the product they were merged into
+    let product = await Product.findOne({ barcode: barcode.trim() }).populate('category', 'name') ||
+        await Product.findOne({ barcodeAliases: barcode.trim() }).populate('category', 'name');
 
     if (!product) {
         res.status(404);
@@ -766,9 +1027,19 @@ const getProductByBarcode = asyncHandler(async (req, res) => {
         if (!mongoose.Types.ObjectId.isValid(locationId)) {
             res.status(400); throw new Error('Invalid Location ID format');
         }
+        if (product.isBundle) {
+            const availability = await bundleAvailability([product], locationId);
+            product = product.toObject();
+            product.currentStock = availability.get(product._id.toString());
+            return res.json(product);
+        }
         const inventory = await Inventory.findOne({ product: product._id, location: locationId });
         product = product.toObject(); // Convert Mongoose document to plain object
         product.currentStock = inventory ? inventory.quantity : 0;
+    } else if (product.isBundle) {
+        const availability = await bundleAvailability([product]);
+        product = product.toObject();
+        product.currentStock = availability.get(product._id.toString());
     } else {
         // Otherwise, get total stock across all locations
         product = product.toObject();
@@ -778,6 +1049,45 @@ const getProductByBarcode = asyncHandler(async (req, res) => {
     res.json(product);
 });
 
+// @desc    Merge a duplicate product into this one: its stock is added per
+//          location, sales, purchases, adjustments, transfers, invoices and
+//          notifications point here, its barcode becomes an alias and the
+//          duplicate is deleted
+// @route   POST /api/products/:id/merge
+// @access  Private (products.delete)
+const mergeProduct = asyncHandler(async (req, res) => {
+    const { duplicateId, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(duplicateId)) {
+        res.status(400);
+        throw new Error('Valid product ID and duplicateId are required');
+    }
+    const [survivor, duplicate] = await Promise.all([
+        Product.findById(req.params.id),
+        Product.findById(duplicateId)
+    ]);
+    if (!survivor || !duplicate) {
+        res.status(404);
+        throw new Error(`${survivor ? 'Duplicate product' : 'Product'} not found`);
+    }
+    try {
+        await checkMergeable(survivor, duplicate);
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+
+    const summary = await mergeProducts(survivor, duplicate, { userId: req.user._id, reason, checked: true });
+    await AuditMiddleware.logProductMerge(survivor, duplicate, summary, req.auditContext, reason);
+
+    if (req.io) {
+        const room = req.io.to(organizationRoom(req.organization._id));
+        room.emit('productUpdated', survivor);
+        room.emit('productPermanentlyDeleted', { productId: duplicate._id, productName: duplicate.name, mergedInto: survivor._id });
+    }
+
+    res.json({ message: `${duplicate.name} merged into ${survivor.name}`, product: survivor, summary });
+});
+
 module.exports = {
     createProduct,
     updateProduct,
@@ -786,5 +1096,6 @@ module.exports = {
     reactivateProduct,
     getProducts,
     getProductById,
-    getProductByBarcode
+    getProductByBarcode,
+    mergeProduct
 };
@@ -0,0 +1,174 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { organizationRoom } = require('../socket');
+const { runWithOrganization } = require('../services/tenantContext');
+const { createRenditions, deleteImageFiles, discardUploads } = require('../services/imageService');
+
+const MAX_IMAGES = 20;
+
+const findProductOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid Product ID format');
+    }
+    const product = await Product.findById(id);
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+    return product;
+};
+
+const findImageOr404 = (product, imageId, res) => {
+    const image = mongoose.Types.ObjectId.isValid(imageId) ? product.images.id(imageId) : null;
+    if (!image) {
+        res.status(404);
+        throw new Error('Image not found');
+    }
+    return image;
+};
+
+// Save the gallery change and tell clients about the product
+const saveImages = async (product, req, changes) => {
+    product.auditLog.push({
+        user: req.user.id,
+        action: 'images_updated',
+        changes,
+        timestamp: new Date()
+    });
+    const updated = await product.save();
+    if (req.io) {
+        req.io.to(organizationRoom(req.organization._id)).emit('productUpdated', updated);
+    }
+    return updated;
+};
+
+// @desc    Get the image gallery of a product
+// @route   GET /api/products/:id/images
+// @access  Private (products.view)
+const getProductImages = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    res.json(product.images);
+});
+
+const addImages = async (req, res) => {
+    const files = req.files || [];
+    let product;
+    try {
+        product = await findProductOr404(req.params.id, res);
+        if (files.length === 0) {
+            res.status(400);
+            throw new Error('Upload one or more images in the "images" field');
+        }
+        if (product.images.length + files.length > MAX_IMAGES) {
+            res.status(400);
+            throw new Error(`A product can have at most ${MAX_IMAGES} images`);
+        }
+    } catch (err) {
+        await discardUploads(files);
+        throw err;
+    }
+
+    const entries = [];
+    try {
+        for (const file of files) {
+            entries.push(await createRenditions(file.filename));
+        }
+    } catch (err) {
+        await deleteImageFiles(entries);
+        await discardUploads(files);
+        res.status(400);
+        throw err;
+    }
+
+    // One "alt" form field per file, in the same order
+    const alts = [].concat(req.body.alt || []);
+    const makePrimary = req.body.primary === 'true' || req.body.primary === true;
+    if (makePrimary) product.images.forEach(image => { image.isPrimary = false; });
+    entries.forEach((entry, index) => {
+        product.images.push({
+            ...entry,
+            alt: typeof alts[index] === 'string' ? alts[index] : '',
+            isPrimary: makePrimary && index === 0,
+            uploadedBy: req.user.id
+        });
+    });
+
+    const updated = await saveImages(product, req, { added: entries.map(entry => entry.url) });
+    res.status(201).json(updated.images);
+};
+
+// @desc    Upload images (multipart field "images") to the end of a product's
+//          gallery, with thumbnail and medium renditions. The first image of
+//          an empty gallery becomes primary, or any with primary=true.
+// @route   POST /api/products/:id/images
+// @access  Private (products.update)
+// The upload middleware runs outside verifyToken's organization context: restore
+// it, so a product of another organization is not found
+const addProductImages = asyncHandler((req, res) =>
+    runWithOrganization(req.organization._id, () => addImages(req, res))
+);
+
+// @desc    Reorder a product's gallery ({ imageIds } lists every image in the new order)
+// @route   PUT /api/products/:id/images/order
+// @access  Private (products.update)
+const reorderProductImages = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const { imageIds } = req.body;
+    const current = product.images.map(image => image._id.toString());
+    if (!Array.isArray(imageIds) || imageIds.length !== current.length ||
+        new Set(imageIds.map(String)).size !== current.length ||
+        imageIds.some(id => !current.includes(String(id)))) {
+        res.status(400);
+        throw new Error('imageIds must list every image of the product exactly once');
+    }
+
+    const byId = new Map(product.images.map(image => [image._id.toString(), image.toObject()]));
+    product.images = imageIds.map(id => byId.get(String(id)));
+    const updated = await saveImages(product, req, { reordered: imageIds });
+    res.json(updated.images);
+});
+
+// @desc    Update an image's alt text or make it the primary image
+// @route   PATCH /api/products/:id/images/:imageId
+// @access  Private (products.update)
+const updateProductImage = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const image = findImageOr404(product, req.params.imageId, res);
+    const { alt, isPrimary } = req.body;
+
+    if (alt !== undefined) image.alt = String(alt);
+    if (isPrimary === true) {
+        product.images.forEach(entry => { entry.isPrimary = entry._id.equals(image._id); });
+    } else if (isPrimary === false && image.isPrimary) {
+        res.status(400);
+        throw new Error('Make another image primary instead');
+    }
+
+    const updated = await saveImages(product, req, { image: image._id, alt, isPrimary });
+    res.json(updated.images);
+});
+
+// @desc    Remove an image from a product's gallery and delete its files.
+//          The next image becomes primary if the primary one was removed.
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (products.update)
+const deleteProductImage = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const image = findImageOr404(product, req.params.imageId, res);
+    const removed = image.toObject();
+
+    product.images.pull(image._id);
+    const updated = await saveImages(product, req, { removed: removed.url });
+    await deleteImageFiles([removed], product._id);
+    res.json(updated.images);
+});
+
+module.exports = {
+    getProductImages,
+    addProductImages,
+    reorderProductImages,
+    updateProductImage,
+    deleteProductImage
+};
@@ -0,0 +1,99 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const { organizationRoom } = require('../socket');
+const { runWithOrganization } = require('../services/tenantContext');
+const {
+    DEFAULT_BATCH_SIZE,
+    parseFile,
+    resolveColumns,
+    validateRows,
+    commitRows
+} = require('../services/productImportService');
+
+const MAX_BATCH_SIZE = 1000;
+
+const isTrue = (value) => value === true || value === 'true';
+
+const importFile = async (req, res) => {
+    if (!req.file) {
+        res.status(400);
+        throw new Error('Upload a .csv or .xlsx file in the "file" field');
+    }
+    const dryRun = isTrue(req.query.dryRun) || isTrue(req.body.dryRun);
+    const skipInvalid = isTrue(req.query.skipInvalid) || isTrue(req.body.skipInvalid);
+    const batchSize = Math.min(Math.max(Number(req.body.batchSize) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+
+    let parsed;
+    let columns;
+    try {
+        // mapping: { field: 'Column header' }, sent as a JSON string in the form data
+        const mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : (req.body.mapping || {});
+        parsed = await parseFile(req.file.buffer, req.file.originalname);
+        columns = resolveColumns(parsed.headers, mapping);
+    } catch (err) {
+        res.status(400);
+        throw new Error(err instanceof SyntaxError ? 'mapping must be valid JSON' : err.message);
+    }
+
+    const results = await validateRows(parsed.rows, columns, {
+        canStockLocation: (location) => req.user.role === 'admin' || req.user.hasAccessToLocation(location._id, 'inventory.create')
+    });
+    const invalidRows = results.filter(row => row.errors.length > 0);
+    const validRows = results.filter(row => row.errors.length === 0);
+    const summary = {
+        totalRows: results.length,
+        validRows: validRows.length,
+        invalidRows: invalidRows.length,
+        withInitialStock: validRows.filter(row => row.inventory).length
+    };
+
+    if (dryRun) {
+        return res.json({ dryRun: true, columns, summary, errors: invalidRows });
+    }
+    if (invalidRows.length > 0 && !skipInvalid) {
+        return res.status(422).json({
+            message: `${invalidRows.length} row(s) have errors. Fix them, or import with skipInvalid=true to create only the valid rows.`,
+            summary,
+            errors: invalidRows
+        });
+    }
+
+    const { created, failed } = await commitRows(validRows, req.user._id, batchSize);
+    const importSummary = {
+        ...summary,
+        created: created.length,
+        failed: failed.length,
+        skipped: invalidRows.length
+    };
+
+    await AuditMiddleware.logDataImport(
+        'product', new mongoose.Types.ObjectId(), req.file.originalname,
+        `Imported ${created.length} product(s) from ${req.file.originalname}`,
+        req.auditContext, importSummary, created.map(row => row.productId), 'Product'
+    );
+
+    if (req.io && created.length > 0) {
+        req.io.to(organizationRoom(req.organization._id)).emit('productsImported', { count: created.length });
+    }
+
+    res.status(201).json({
+        message: `Imported ${created.length} of ${results.length} row(s)`,
+        summary: importSummary,
+        created,
+        errors: [...invalidRows, ...failed]
+    });
+};
+
+// @desc    Import products (and optional initial stock) from a CSV or XLSX file.
+//          With dryRun=true nothing is written and per-row errors are returned.
+// @route   POST /api/products/import
+// @access  Private (products.create; stock rows also need inventory.create at their location)
+// The upload middleware runs outside verifyToken's organization context: restore it
+const importProducts = asyncHandler((req, res) =>
+    runWithOrganization(req.organization._id, () => importFile(req, res))
+);
+
+module.exports = {
+    importProducts
+};
@@ -0,0 +1,151 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductPrice = require('../models/ProductPrice');
+const { getPriceAt } = require('../services/priceService');
+
+const findProductOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid Product ID format');
+    }
+    const product = await Product.findById(id);
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+    return product;
+};
+
+const parseDate = (value, field, res) => {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+        res.status(400);
+        throw new Error(`${field} must be a valid date`);
+    }
+    return date;
+};
+
+// @desc    Get the price history and scheduled price changes of a product
+// @route   GET /api/products/:id/prices
+// @access  Private (products.view)
+const getPriceHistory = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const filter = { product: product._id };
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+    const entries = await ProductPrice.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('cancelledBy', 'name email')
+        .sort({ effectiveFrom: -1, createdAt: -1 });
+
+    res.json({
+        product: { _id: product._id, name: product.name, sku: product.sku, price: product.price },
+        scheduled: entries.filter(entry => entry.status === 'scheduled').reverse(),
+        history: entries.filter(entry => entry.status !== 'scheduled')
+    });
+});
+
+// @desc    Get the price of a product in effect at a date
+// @route   GET /api/products/:id/prices/at?date=
+// @access  Private (products.view)
+const getProductPriceAt = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const date = req.query.date === undefined ? new Date() : parseDate(req.query.date, 'date', res);
+
+    const result = await getPriceAt(product, date);
+    if (!result) {
+        res.status(404);
+        throw new Error('No price recorded for this product at that date');
+    }
+
+    res.json({
+        product: product._id,
+        date,
+        price: result.price,
+        effectiveFrom: result.effectiveFrom,
+        effectiveTo: result.effectiveTo,
+        source: result.entry ? result.entry.source : 'initial'
+    });
+});
+
+// @desc    Schedule a price change. With effectiveTo the current price returns
+//          at that time (e.g. a promotion).
+// @route   POST /api/products/:id/prices/schedule
+// @access  Private (products.update)
+const schedulePriceChange = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    const { price, reason } = req.body;
+
+    // On a parent product the change also applies to variants inheriting its price
+    if (typeof price !== 'number' || price <= 0) {
+        res.status(400);
+        throw new Error('Price must be a positive value');
+    }
+    const effectiveFrom = parseDate(req.body.effectiveFrom, 'effectiveFrom', res);
+    if (effectiveFrom <= new Date()) {
+        res.status(400);
+        throw new Error('effectiveFrom must be in the future. Use PUT /api/products/:id to change the price now.');
+    }
+    let effectiveTo = null;
+    if (req.body.effectiveTo !== undefined && req.body.effectiveTo !== null) {
+        effectiveTo = parseDate(req.body.effectiveTo, 'effectiveTo', res);
+        if (effectiveTo <= effectiveFrom) {
+            res.status(400);
+            throw new Error('effectiveTo must be after effectiveFrom');
+        }
+    }
+
+    const conflict = await ProductPrice.findOne({ product: product._id, status: 'scheduled', effectiveFrom });
+    if (conflict) {
+        res.status(409);
+        throw new Error('A price change is already scheduled for this product at that time');
+    }
+
+    const entry = await ProductPrice.create({
+        product: product._id,
+        price,
+        effectiveFrom,
+        effectiveTo,
+        status: 'scheduled',
+        source: 'scheduled',
+        reason,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json(entry);
+});
+
+// @desc    Cancel a scheduled price change
+// @route   DELETE /api/products/:id/prices/:priceId
+// @access  Private (products.update)
+const cancelScheduledPrice = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    if (!mongoose.Types.ObjectId.isValid(req.params.priceId)) {
+        res.status(400);
+        throw new Error('Invalid price ID format');
+    }
+    const entry = await ProductPrice.findOne({ _id: req.params.priceId, product: product._id });
+    if (!entry) {
+        res.status(404);
+        throw new Error('Price entry not found for this product');
+    }
+    if (entry.status !== 'scheduled') {
+        res.status(400);
+        throw new Error(`Only scheduled price changes can be cancelled (this one is ${entry.status})`);
+    }
+
+    entry.status = 'cancelled';
+    entry.cancelledAt = new Date();
+    entry.cancelledBy = req.user._id;
+    await entry.save();
+
+    res.json({ message: 'Scheduled price change cancelled', entry });
+});
+
+module.exports = {
+    getPriceHistory,
+    getProductPriceAt,
+    schedulePriceChange,
+    cancelScheduledPrice
+};
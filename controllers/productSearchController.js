@@ -0,0 +1,80 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { descendantIds } = require('../services/categoryService');
+const { searchOptions, searchProducts } = require('../services/productSearchService');
+const { attributeFilter } = require('../services/attributeService');
+
+const parsePrice = (value, name, res) => {
+    const price = Number(value);
+    if (value === '' || Number.isNaN(price) || price < 0) {
+        res.status(400);
+        throw new Error(`${name} must be a non-negative number`);
+    }
+    return price;
+};
+
+// @desc    Search products: ranked by relevance (typos in names are
+//          corrected), filtered, sorted, paged with a cursor, and with facet
+//          counts by category, brand and (with locationId) stock status.
+//          Query: q, category, includeSubcategories, brand, minPrice, maxPrice,
+//          attributes[key], includeInactive, locationId, stockStatus, sort,
+//          limit, cursor, facets
+// @route   GET /api/products/search
+// @access  Private (products.view; inventory.view at locationId for stock)
+const searchProductCatalog = asyncHandler(async (req, res) => {
+    const {
+        q, category, includeSubcategories, brand, minPrice, maxPrice, attributes, includeInactive,
+        locationId, stockStatus, sort, limit, cursor, facets
+    } = req.query;
+
+    const filter = {};
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (category) {
+        if (!mongoose.Types.ObjectId.isValid(category)) { res.status(400); throw new Error('Invalid Category ID'); }
+        filter.category = includeSubcategories === 'false' ? category : { $in: await descendantIds(category) };
+    }
+    if (brand) {
+        if (!mongoose.Types.ObjectId.isValid(brand)) { res.status(400); throw new Error('Invalid Brand ID'); }
+        filter.brand = brand;
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.price = {};
+        if (minPrice !== undefined) filter.price.$gte = parsePrice(minPrice, 'minPrice', res);
+        if (maxPrice !== undefined) filter.price.$lte = parsePrice(maxPrice, 'maxPrice', res);
+    }
+    try {
+        Object.assign(filter, attributeFilter(attributes));
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+    if (locationId) {
+        if (!mongoose.Types.ObjectId.isValid(locationId)) { res.status(400); throw new Error('Invalid Location ID format'); }
+        if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(locationId, 'inventory.view')) {
+            res.status(403);
+            throw new Error('Forbidden: Access denied to stock at this location');
+        }
+    }
+
+    let options;
+    try {
+        options = searchOptions({
+            query: q,
+            filter,
+            locationId,
+            stockStatus,
+            sort,
+            limit,
+            cursor,
+            facets: facets !== 'false'
+        });
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+    res.json(await searchProducts(options));
+});
+
+module.exports = {
+    searchProductCatalog
+};
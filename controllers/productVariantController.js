@@ -0,0 +1,290 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const { organizationRoom } = require('../socket');
+const {
+    normalizeOptions,
+    validateAttributes,
+    attributesOf,
+    buildVariant,
+    generateVariants
+} = require('../services/variantService');
+const { recordPriceChange } = require('../services/priceService');
+
+const findProductOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid Product ID format');
+    }
+    const product = await Product.findById(id);
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+    return product;
+};
+
+const findParentOr404 = async (id, res) => {
+    const parent = await findProductOr404(id, res);
+    if (!parent.hasVariants) {
+        res.status(400);
+        throw new Error('Product has no variant options. Set them with PUT /api/products/:id/variant-options first.');
+    }
+    return parent;
+};
+
+// SKUs and barcodes of variants share the product namespace
+const ensureUniqueCodes = async (variants, res) => {
+    const skus = variants.map(v => v.sku);
+    const barcodes = variants.map(v => v.barcode).filter(Boolean);
+    const duplicates = [skus, barcodes].flatMap(codes => codes.filter((code, i) => codes.indexOf(code) !== i));
+    if (duplicates.length > 0) {
+        res.status(400);
+        throw new Error(`Duplicate SKU or barcode among variants: ${[...new Set(duplicates)].join(', ')}`);
+    }
+    const taken = await Product.find({
+        _id: { $nin: variants.map(v => v._id) },
+        $or: [{ sku: { $in: skus } }, ...(barcodes.length > 0 ? [{ barcode: { $in: barcodes } }] : [])]
+    }).select('sku barcode');
+    if (taken.length > 0) {
+        res.status(400);
+        throw new Error(`Another product already uses SKU or barcode: ${taken.map(p => p.sku).join(', ')}`);
+    }
+};
+
+const validatePriceOverride = (priceOverride, res) => {
+    if (priceOverride === undefined || priceOverride === null) return null;
+    if (typeof priceOverride !== 'number' || priceOverride <= 0) {
+        res.status(400);
+        throw new Error('priceOverride must be a positive number or null');
+    }
+    return priceOverride;
+};
+
+const emitProductUpdated = (req, product) => {
+    if (req.io) {
+        req.io.to(organizationRoom(req.organization._id)).emit('productUpdated', product);
+    }
+};
+
+// @desc    List the variants of a product
+// @route   GET /api/products/:id/variants
+// @access  Private (products.view)
+const getVariants = asyncHandler(async (req, res) => {
+    const parent = await findProductOr404(req.params.id, res);
+    const filter = { parentProduct: parent._id };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+    const variants = await Product.find(filter).sort({ name: 1 });
+
+    if (req.query.includeInventory !== 'true') {
+        return res.json({ product: parent, variants });
+    }
+
+    const inventory = await Inventory.find({ product: { $in: variants.map(v => v._id) } }).populate('location', 'name');
+    const variantsWithStock = variants.map(variant => {
+        const variantObj = variant.toJSON();
+        variantObj.inventory = inventory.filter(inv => inv.product.equals(variant._id));
+        variantObj.totalStock = variantObj.inventory.reduce((sum, inv) => sum + inv.quantity, 0);
+        return variantObj;
+    });
+    res.json({
+        product: parent,
+        variants: variantsWithStock,
+        totalStock: variantsWithStock.reduce((sum, v) => sum + v.totalStock, 0)
+    });
+});
+
+// @desc    Set the option axes (e.g. Size, Color) of a parent product
+// @route   PUT /api/products/:id/variant-options
+// @access  Private (products.update)
+const setVariantOptions = asyncHandler(async (req, res) => {
+    const product = await findProductOr404(req.params.id, res);
+    if (product.parentProduct) {
+        res.status(400);
+        throw new Error('A variant cannot have variants of its own');
+    }
+    if (product.isBundle) {
+        res.status(400);
+        throw new Error('A bundle cannot have variants');
+    }
+
+    let options;
+    try {
+        options = normalizeOptions(req.body.variantOptions);
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+
+    if (!product.hasVariants && await Inventory.exists({ product: product._id })) {
+        res.status(409);
+        throw new Error('This product already has inventory records. Products with variants hold stock per variant only.');
+    }
+
+    // Existing variants must still match the options: values can be added, not removed
+    const variants = await Product.find({ parentProduct: product._id }).select('name variantAttributes');
+    const optionsAsParent = { variantOptions: options };
+    const mismatched = variants.filter(variant => {
+        try {
+            const attributes = attributesOf(variant);
+            validateAttributes(optionsAsParent, attributes);
+            return Object.keys(attributes).length !== options.length;
+        } catch (err) {
+            return true;
+        }
+    });
+    if (mismatched.length > 0) {
+        res.status(400);
+        throw new Error(`These variants no longer match the options: ${mismatched.map(v => v.name).join(', ')}`);
+    }
+
+    const before = product.variantOptions.map(option => ({ name: option.name, values: [...option.values] }));
+    product.hasVariants = true;
+    product.variantOptions = options;
+    product.auditLog.push({
+        user: req.user.id,
+        action: 'variant_options_updated',
+        changes: { before, after: options },
+        timestamp: new Date()
+    });
+    const updatedProduct = await product.save();
+
+    emitProductUpdated(req, updatedProduct);
+    res.json(updatedProduct);
+});
+
+// @desc    Create the variants missing for the option combinations
+// @route   POST /api/products/:id/variants/generate
+// @access  Private (products.create)
+const generateProductVariants = asyncHandler(async (req, res) => {
+    const parent = await findParentOr404(req.params.id, res);
+    const overrides = Array.isArray(req.body.overrides) ? req.body.overrides : [];
+    overrides.forEach(override => validatePriceOverride(override.priceOverride, res));
+
+    let created;
+    try {
+        created = await generateVariants(parent, req.user.id, overrides, {
+            beforeInsert: (variants) => ensureUniqueCodes(variants, res)
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            res.status(400);
+            throw new Error('Another product already uses one of the generated SKUs or barcodes');
+        }
+        throw err;
+    }
+
+    if (created.length > 0) {
+        parent.auditLog.push({
+            user: req.user.id,
+            action: 'variants_generated',
+            changes: { variants: created.map(v => v.sku) },
+            timestamp: new Date()
+        });
+        await parent.save();
+        emitProductUpdated(req, parent);
+    }
+
+    res.status(201).json({
+        message: `${created.length} variant(s) created`,
+        variants: created
+    });
+});
+
+// @desc    Create a single variant for an option combination
+// @route   POST /api/products/:id/variants
+// @access  Private (products.create)
+const createVariant = asyncHandler(async (req, res) => {
+    const parent = await findParentOr404(req.params.id, res);
+    const { attributes, sku, barcode } = req.body;
+
+    let validAttributes;
+    try {
+        validAttributes = validateAttributes(parent, attributes);
+    } catch (err) {
+        res.status(400);
+        throw err;
+    }
+
+    const siblings = await Product.find({ parentProduct: parent._id }).select('variantAttributes');
+    const exists = siblings.some(variant => {
+        const existing = attributesOf(variant);
+        return parent.variantOptions.every(option => existing[option.name] === validAttributes[option.name]);
+    });
+    if (exists) {
+        res.status(409);
+        throw new Error('A variant with these option values already exists');
+    }
+
+    const variant = buildVariant(parent, validAttributes, req.user.id, {
+        sku,
+        barcode,
+        priceOverride: validatePriceOverride(req.body.priceOverride, res)
+    });
+    await ensureUniqueCodes([variant], res);
+    const createdVariant = await variant.save();
+
+    parent.auditLog.push({
+        user: req.user.id,
+        action: 'variants_generated',
+        changes: { variants: [createdVariant.sku] },
+        timestamp: new Date()
+    });
+    await parent.save();
+
+    emitProductUpdated(req, parent);
+    res.status(201).json(createdVariant);
+});
+
+// @desc    Update a variant's SKU, barcode, price override or status
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private (products.update)
+const updateVariant = asyncHandler(async (req, res) => {
+    const parent = await findParentOr404(req.params.id, res);
+    const variant = await findProductOr404(req.params.variantId, res);
+    if (!variant.parentProduct || !variant.parentProduct.equals(parent._id)) {
+        res.status(404);
+        throw new Error('Variant not found for this product');
+    }
+
+    const { sku, barcode, priceOverride, isActive } = req.body;
+    const changes = {};
+    if (sku !== undefined) changes.sku = String(sku).trim();
+    if (barcode !== undefined) changes.barcode = barcode ? String(barcode).trim() : undefined;
+    if (priceOverride !== undefined) {
+        changes.priceOverride = validatePriceOverride(priceOverride, res);
+        changes.price = changes.priceOverride ?? parent.price;
+    }
+    if (isActive !== undefined) changes.isActive = Boolean(isActive);
+
+    if (changes.sku !== undefined || changes.barcode) {
+        await ensureUniqueCodes([{ _id: variant._id, sku: changes.sku ?? variant.sku, barcode: changes.barcode ?? variant.barcode }], res);
+    }
+
+    const previousPrice = variant.price;
+    Object.assign(variant, changes);
+    if (Object.keys(changes).length > 0) {
+        variant.auditLog.push({
+            user: req.user.id,
+            action: 'updated',
+            changes,
+            timestamp: new Date()
+        });
+    }
+    const updatedVariant = await variant.save();
+    if (updatedVariant.price !== previousPrice) {
+        await recordPriceChange(updatedVariant, previousPrice, { userId: req.user._id });
+    }
+
+    emitProductUpdated(req, updatedVariant);
+    res.json(updatedVariant);
+});
+
+module.exports = {
+    getVariants,
+    setVariantOptions,
+    generateProductVariants,
+    createVariant,
+    updateVariant
+};
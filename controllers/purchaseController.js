@@ -4,6 +4,59 @@ const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const Inventory = require('../models/Inventory');
 const mongoose = require('mongoose');
+const { userHasPermission } = require('../services/permissionService');
+const { applyPurchaseCosts } = require('../services/costingService');
+const { recordPurchaseReceipt } = require('../services/supplierProductService');
+const { parseLot, receiptLots, receiveIntoLots } = require('../services/lotService');
+const { parseSerials, receiptSerials, receiveSerials } = require('../services/serialService');
+const { toBaseQuantity, baseQuantityOf, LINE_BASE_QUANTITY } = require('../services/unitService');
+
+// Moving a purchase from 'pending' to 'ordered' is its approval
+const ensureCanApprove = async (req, res, fromStatus, toStatus) => {
+  if (fromStatus === 'pending' && toStatus === 'ordered' && !(await userHasPermission(req.user, 'purchases.approve'))) {
+    res.status(403);
+    throw new Error('Forbidden: Requires permission: purchases.approve');
+  }
+};
+
+// Parent products only group variants: purchases are made per variant.
+// Bundles are purchased as their components.
+const rejectParentProducts = (products, res) => {
+  const parents = products.filter(product => product.hasVariants);
+  if (parents.length > 0) {
+    res.status(400);
+    throw new Error(`${parents.map(product => product.name).join(', ')} has variants: select specific variants to purchase`);
+  }
+  const bundles = products.filter(product => product.isBundle);
+  if (bundles.length > 0) {
+    res.status(400);
+    throw new Error(`${bundles.map(product => product.name).join(', ')} is a bundle: purchase its component products instead`);
+  }
+};
+
+// Unit of a purchase line: quantity and unitCost are per this unit, stock is received in base units
+const purchaseUnit = (products, item, res) => {
+  const product = products.find(p => p._id.toString() === item.product.toString());
+  try {
+    const { unit, unitFactor } = toBaseQuantity(product, Number(item.quantity), item.unit, 'purchase');
+    return { unit, unitFactor };
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+};
+
+// Lot number, expiry and serial numbers of a purchase line, if given
+// (serial numbers are checked against the product at receipt)
+const purchaseLot = (item, res) => {
+  try {
+    const serialNumbers = parseSerials(item.serialNumbers, 'the purchase line');
+    return { ...parseLot(item), serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined };
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+};
 
 // @desc    Create a new purchase
 // @route   POST /api/purchases
@@ -40,6 +93,8 @@ const createPurchase = asyncHandler(async (req, res) => {
     throw new Error('Supplier and at least one item are required');
   }
 
+  if (status) await ensureCanApprove(req, res, 'pending', status);
+
   // Validate supplier exists
   const supplierExists = await Supplier.findById(supplier);
   if (!supplierExists) {
@@ -55,6 +110,7 @@ const createPurchase = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('One or more products not found');
   }
+  rejectParentProducts(products, res);
 
   // Validate item data
   console.log('Validating items:', items);
@@ -79,9 +135,11 @@ const createPurchase = asyncHandler(async (req, res) => {
     const validatedItem = {
       product: item.product,
       quantity: Number(item.quantity),
+      ...purchaseUnit(products, item, res),
       unitCost: Number(item.unitCost),
       discount: Number(item.discount) || 0,
-      taxRate: Number(item.taxRate) || 0
+      taxRate: Number(item.taxRate) || 0,
+      ...purchaseLot(item, res)
     };
     
     console.log(`Validated item ${index + 1}:`, validatedItem);
@@ -322,7 +380,10 @@ const updatePurchase = asyncHandler(async (req, res) => {
   if (purchaseDate) purchase.purchaseDate = purchaseDate;
   if (dueDate) purchase.dueDate = dueDate;
   if (referenceNumber !== undefined) purchase.referenceNumber = referenceNumber;
-  if (status) purchase.status = status;
+  if (status) {
+    await ensureCanApprove(req, res, purchase.status, status);
+    purchase.status = status;
+  }
   if (orderTax !== undefined) purchase.orderTax = Number(orderTax);
   if (discountAmount !== undefined) purchase.discountAmount = Number(discountAmount);
   if (shippingCost !== undefined) purchase.shippingCost = Number(shippingCost);
@@ -340,6 +401,7 @@ const updatePurchase = asyncHandler(async (req, res) => {
       res.status(404);
       throw new Error('One or more products not found');
     }
+    rejectParentProducts(products, res);
 
     const validatedItems = items.map(item => {
       if (!item.product || !item.quantity || !item.unitCost) {
@@ -349,9 +411,11 @@ const updatePurchase = asyncHandler(async (req, res) => {
       return {
         product: item.product,
         quantity: Number(item.quantity),
+        ...purchaseUnit(products, item, res),
         unitCost: Number(item.unitCost),
         discount: Number(item.discount) || 0,
-        taxRate: Number(item.taxRate) || 0
+        taxRate: Number(item.taxRate) || 0,
+        ...purchaseLot(item, res)
       };
     });
 
@@ -425,44 +489,65 @@ const receivePurchase = asyncHandler(async (req, res) => {
     throw new Error('Purchase has already been received');
   }
 
+  // Lot number and expiry per line: on the line, or given now ({ lots: [{ item, lotNumber, expiryDate }] })
+  // Serialized products: serial numbers per line, on the line or given now ({ serials: [{ item, serialNumbers }] })
+  let lots;
+  let serials;
+  try {
+    lots = receiptLots(purchase.items, req.body.lots);
+    serials = await receiptSerials(purchase.items, req.body.serials);
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+  const receivedAt = new Date();
+
   // Start a transaction for inventory updates
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Update inventory for each item
+    // Update product average costs before the received stock is added
+    const costChanges = await applyPurchaseCosts(purchase.items, { session });
+
+    // Update inventory for each item, each line going into its lot
     for (const item of purchase.items) {
       const inventoryFilter = {
         product: item.product._id,
         location: purchase.warehouse || null
       };
 
-      const existingInventory = await Inventory.findOne(inventoryFilter).session(session);
-
-      if (existingInventory) {
-        // Update existing inventory
-        existingInventory.quantity += item.quantity;
-        existingInventory.lastUpdated = new Date();
-        await existingInventory.save({ session });
-      } else {
-        // Create new inventory record
-        const newInventory = new Inventory({
-          product: item.product._id,
-          location: purchase.warehouse || null,
-          quantity: item.quantity,
-          minStockLevel: 0,
-          maxStockLevel: 1000,
-          lastUpdated: new Date()
+      const inventory = await Inventory.findOne(inventoryFilter).session(session) || new Inventory({
+        product: item.product._id,
+        location: purchase.warehouse || null,
+        quantity: 0,
+        minStockLevel: 0,
+        maxStockLevel: 1000
+      });
+      const lot = lots.get(item._id.toString());
+      item.lotNumber = lot.lotNumber;
+      item.expiryDate = lot.expiryDate;
+      receiveIntoLots(inventory, { ...lot, quantity: baseQuantityOf(item), receivedAt, purchase: purchase._id });
+      inventory.lastUpdated = receivedAt;
+      await inventory.save({ session });
+
+      const lineSerials = serials.get(item._id.toString());
+      if (lineSerials.length > 0) {
+        item.serialNumbers = lineSerials;
+        await receiveSerials(item.product._id, lineSerials, {
+          location: purchase.warehouse, purchase: purchase._id, userId: req.user.id, session
         });
-        await newInventory.save({ session });
       }
     }
 
     // Update purchase status
     purchase.status = 'received';
-    purchase.receivedDate = new Date();
+    purchase.receivedDate = receivedAt;
     await purchase.save({ session });
 
+    // Last costs and lead times of the supplier's products
+    await recordPurchaseReceipt(purchase, { receivedAt: purchase.receivedDate, userId: req.user.id, session });
+
     await session.commitTransaction();
 
     const populatedPurchase = await Purchase.findById(purchase._id)
@@ -473,7 +558,8 @@ const receivePurchase = asyncHandler(async (req, res) => {
 
     res.json({
       message: 'Purchase received successfully and inventory updated',
-      purchase: populatedPurchase
+      purchase: populatedPurchase,
+      costChanges
     });
 
   } catch (error) {
@@ -581,7 +667,7 @@ const getPurchaseReport = asyncHandler(async (req, res) => {
     { $unwind: '$items' },
     { $group: {
       _id: '$items.product',
-      totalQuantity: { $sum: '$items.quantity' },
+      totalQuantity: { $sum: LINE_BASE_QUANTITY },
       totalAmount: { $sum: '$items.lineTotal' },
       averagePrice: { $avg: '$items.unitCost' },
       purchaseCount: { $sum: 1 }
@@ -10,6 +10,17 @@ const Product = require('../models/Product');
 const Location = require('../models/Location');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
+const { productRollupStages } = require('../services/variantService');
+const { categoryRollupStages } = require('../services/categoryService');
+const { baseQuantityOf, LINE_BASE_QUANTITY, ITEMS_BASE_QUANTITY } = require('../services/unitService');
+const {
+    SALE_LINE_REVENUE,
+    SALE_LINE_COST,
+    SALE_COST,
+    SALE_NET_REVENUE,
+    NON_REVENUE_SALE_STATUSES,
+    grossMargin
+} = require('../services/costingService');
 
 // --- PDF/Excel Generation Helpers
 const PdfPrinter = require('pdfmake');
@@ -87,6 +98,10 @@ const getDateFilter = (startDate, endDate) => {
     return filter;
 };
 
+// Locations a non-admin may report on: those where the role they hold grants
+// the permissions of the report route (see requirePermission)
+const reportLocations = (req) => req.user.accessibleLocations(...(req.requiredPermissions || []));
+
 // Utility function to apply location filtering based on user role
 const applyLocationFilter = (filter, req, locationIdQueryParam = 'locationId') => {
     const locationId = req.query[locationIdQueryParam];
@@ -103,7 +118,7 @@ const applyLocationFilter = (filter, req, locationIdQueryParam = 'locationId') =
         // No location filter means all locations for admin
     } else {
         // Non-admins are restricted to their assigned locations
-        const accessibleLocations = req.user.locations || [];
+        const accessibleLocations = reportLocations(req);
         if (accessibleLocations.length === 0) {
             // User has no locations assigned, they can't see any location-specific data
             filter.location = { $in: [] }; // Effectively returns nothing
@@ -124,12 +139,42 @@ const applyLocationFilter = (filter, req, locationIdQueryParam = 'locationId') =
     return true; // Indicate access is potentially possible
 };
 
+// Line items rolled up per product (?groupBy=product), per parent product
+// with variants combined (?groupBy=parent), or per product category
+// (?groupBy=category, at tree level ?categoryLevel=N with 0 the top-level
+// categories; without a level, per the products' own categories).
+// Returns null without groupBy.
+const productBreakdown = async (Model, filter, groupBy, res, { unwind, productField, quantity, value, cost, categoryLevel }) => {
+    if (!groupBy) return null;
+    if (!['product', 'parent', 'category'].includes(groupBy)) {
+        res.status(400);
+        throw new Error("groupBy must be 'product', 'parent' or 'category'");
+    }
+    let level = null;
+    if (groupBy === 'category' && categoryLevel !== undefined && categoryLevel !== '') {
+        level = Number(categoryLevel);
+        if (!Number.isInteger(level) || level < 0) {
+            res.status(400);
+            throw new Error('categoryLevel must be a whole number of at least 0');
+        }
+    }
+    // Aggregations are not cast like queries: cast the shared filter first
+    const match = Model.find().cast(Model, { ...filter });
+    return Model.aggregate([
+        { $match: match },
+        ...(unwind ? [{ $unwind: unwind }] : []),
+        ...(groupBy === 'category'
+            ? categoryRollupStages({ productField, quantity, value, cost, level })
+            : productRollupStages({ productField, quantity, value, cost, byParent: groupBy === 'parent' }))
+    ]);
+};
+
 
 // @desc    Get Stock Levels Report
 // @route   GET /api/reports/stock-levels
 // @access  Admin, Manager
 exports.getStockLevelReport = asyncHandler(async (req, res) => {
-    const { format = 'json', locationId, productId } = req.query; // format can be 'json', 'pdf', 'excel'
+    const { format = 'json', locationId, productId, groupBy, categoryLevel } = req.query; // format can be 'json', 'pdf', 'excel'
 
     const filter = {};
     if (productId) {
@@ -206,6 +251,15 @@ exports.getStockLevelReport = asyncHandler(async (req, res) => {
         ];
         await generateExcel(columns, reportData, 'stock_level_report', 'Stock Levels', res);
 
+    } else if (groupBy) {
+        // Stock (and value at current price) per product, parent product or category
+        const breakdown = await productBreakdown(Inventory, filter, groupBy, res, {
+            productField: 'product',
+            quantity: '$quantity',
+            value: { $multiply: ['$quantity', '$rollupProduct.price'] },
+            categoryLevel
+        });
+        res.json(breakdown);
     } else { // Default to JSON
         res.json(inventoryList); // Send original populated data for JSON
     }
@@ -311,9 +365,12 @@ exports.getSalesTrendReport = asyncHandler(async (req, res) => {
                 _id: { $dateToString: { format: groupFormat, date: "$createdAt", timezone: "UTC" } }, // Group by date string
                 totalSalesAmount: { $sum: "$total" },
                 numberOfSales: { $sum: 1 },
-                totalItemsSold: { $sum: { $sum: "$items.quantity" } } // Sum quantities across all items in each sale
+                totalItemsSold: { $sum: ITEMS_BASE_QUANTITY }, // Sum base quantities across all items in each sale
+                netRevenue: { $sum: SALE_NET_REVENUE },
+                costOfGoodsSold: { $sum: SALE_COST }
             }
         },
+        { $addFields: { grossProfit: { $subtract: ['$netRevenue', '$costOfGoodsSold'] } } },
         { $sort: { _id: 1 } } // Sort by date ascending
     ]);
 
@@ -322,7 +379,10 @@ exports.getSalesTrendReport = asyncHandler(async (req, res) => {
         period: trend._id,
         totalSalesAmount: parseFloat(trend.totalSalesAmount.toFixed(2)),
         numberOfSales: trend.numberOfSales,
-        totalItemsSold: trend.totalItemsSold
+        totalItemsSold: trend.totalItemsSold,
+        costOfGoodsSold: parseFloat(trend.costOfGoodsSold.toFixed(2)),
+        grossProfit: parseFloat(trend.grossProfit.toFixed(2)),
+        grossMargin: grossMargin(trend.netRevenue, trend.costOfGoodsSold)
     }));
 
     if (format === 'pdf') {
@@ -351,6 +411,9 @@ exports.getSalesTrendReport = asyncHandler(async (req, res) => {
              { header: 'Total Sales Amount', key: 'totalSalesAmount', width: 20, style: { numFmt: '$#,##0.00' } },
              { header: 'Number of Sales', key: 'numberOfSales', width: 15 },
              { header: 'Total Items Sold', key: 'totalItemsSold', width: 15 },
+             { header: 'Cost of Goods Sold', key: 'costOfGoodsSold', width: 20, style: { numFmt: '$#,##0.00' } },
+             { header: 'Gross Profit', key: 'grossProfit', width: 15, style: { numFmt: '$#,##0.00' } },
+             { header: 'Gross Margin %', key: 'grossMargin', width: 15 },
         ];
         await generateExcel(columns, reportData, 'sales_trends_report', 'Sales Trends', res);
 
@@ -814,6 +877,8 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
         customerId, 
         status, 
         paymentMethod,
+        groupBy,
+        categoryLevel,
         format = 'json',
         limit = 100,
         page = 1
@@ -885,8 +950,11 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
                 _id: null,
                 totalSales: { $sum: 1 },
                 totalRevenue: { $sum: '$total' },
-                totalItemsSold: { $sum: { $sum: '$items.quantity' } },
-                avgOrderValue: { $avg: '$total' }
+                totalItemsSold: { $sum: ITEMS_BASE_QUANTITY },
+                avgOrderValue: { $avg: '$total' },
+                // Revenue before tax, and the cost of the goods sold at the time of sale
+                netRevenue: { $sum: SALE_NET_REVENUE },
+                totalCost: { $sum: SALE_COST }
             }
         }
     ]);
@@ -895,12 +963,18 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
         totalSales: summaryData[0].totalSales,
         totalRevenue: parseFloat(summaryData[0].totalRevenue.toFixed(2)),
         totalItemsSold: summaryData[0].totalItemsSold,
-        avgOrderValue: parseFloat(summaryData[0].avgOrderValue.toFixed(2))
+        avgOrderValue: parseFloat(summaryData[0].avgOrderValue.toFixed(2)),
+        costOfGoodsSold: parseFloat(summaryData[0].totalCost.toFixed(2)),
+        grossProfit: parseFloat((summaryData[0].netRevenue - summaryData[0].totalCost).toFixed(2)),
+        grossMargin: grossMargin(summaryData[0].netRevenue, summaryData[0].totalCost)
     } : {
         totalSales: 0,
         totalRevenue: 0,
         totalItemsSold: 0,
-        avgOrderValue: 0
+        avgOrderValue: 0,
+        costOfGoodsSold: 0,
+        grossProfit: 0,
+        grossMargin: 0
     };
 
     // Prepare data for export formats
@@ -911,7 +985,8 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
         customerType: sale.customer?.type || 'Individual',
         locationName: sale.location?.name || 'N/A',
         itemsCount: sale.items.length,
-        totalQuantity: sale.items.reduce((sum, item) => sum + item.quantity, 0),
+        totalQuantity: sale.items.reduce((sum, item) => sum + baseQuantityOf(item), 0),
+        cost: parseFloat(sale.items.reduce((sum, item) => sum + item.quantity * (item.cost || 0), 0).toFixed(2)),
         subtotal: parseFloat(sale.subtotal?.toFixed(2) || 0),
         tax: parseFloat(sale.tax?.toFixed(2) || 0),
         discount: parseFloat(sale.discount?.toFixed(2) || 0),
@@ -941,6 +1016,7 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
         // Add summary row
         body.push(['', '', '', '', '', '', '', '']);
         body.push(['SUMMARY', '', `Sales: ${summary.totalSales}`, `Revenue: $${summary.totalRevenue}`, `Items: ${summary.totalItemsSold}`, `Avg: $${summary.avgOrderValue}`, '', '']);
+        body.push(['', '', `COGS: $${summary.costOfGoodsSold}`, `Gross profit: $${summary.grossProfit}`, `Margin: ${summary.grossMargin}%`, '', '', '']);
 
         const docDefinition = {
             content: [
@@ -976,6 +1052,7 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
             { header: 'Tax', key: 'tax', width: 10, style: { numFmt: '$#,##0.00' } },
             { header: 'Discount', key: 'discount', width: 12, style: { numFmt: '$#,##0.00' } },
             { header: 'Total', key: 'total', width: 12, style: { numFmt: '$#,##0.00' } },
+            { header: 'Cost', key: 'cost', width: 12, style: { numFmt: '$#,##0.00' } },
             { header: 'Payment Method', key: 'paymentMethod', width: 15 },
             { header: 'Status', key: 'status', width: 12 },
             { header: 'Notes', key: 'notes', width: 30 }
@@ -990,9 +1067,21 @@ exports.getSalesReport = asyncHandler(async (req, res) => {
             limit: parseInt(limit)
         };
 
+        // Units and revenue per product, per parent product with ?groupBy=parent,
+        // or per category with ?groupBy=category
+        const productSummary = await productBreakdown(Sale, filter, groupBy, res, {
+            unwind: '$items',
+            productField: 'items.product',
+            quantity: LINE_BASE_QUANTITY,
+            value: SALE_LINE_REVENUE,
+            cost: SALE_LINE_COST,
+            categoryLevel
+        });
+
         res.json({
             sales,
             summary,
+            ...(productSummary && { productSummary }),
             pagination
         });
     }
@@ -1026,6 +1115,10 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
 
     console.log('📅 Date filter:', dateFilter);
 
+    // Cost of goods sold comes from the cost captured on each sale line
+    const salesFilter = { status: { $nin: NON_REVENUE_SALE_STATUSES } };
+    if (dateFilter.date) salesFilter.createdAt = dateFilter.date;
+
     try {
         // Build comprehensive aggregation pipelines
         const incomeAggregation = [
@@ -1110,10 +1203,34 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
             }
         ];
 
+        const costOfSalesAggregation = [
+            { $match: salesFilter },
+            { $unwind: '$items' },
+            {
+                $facet: {
+                    summary: [
+                        { $group: { _id: null, revenue: { $sum: SALE_LINE_REVENUE }, cost: { $sum: SALE_LINE_COST } } }
+                    ],
+                    monthly: [
+                        {
+                            $group: {
+                                _id: {
+                                    year: { $year: '$createdAt' },
+                                    month: { $month: '$createdAt' }
+                                },
+                                cost: { $sum: SALE_LINE_COST }
+                            }
+                        }
+                    ]
+                }
+            }
+        ];
+
         // Execute aggregations in parallel
-        const [incomeResults, expenseResults] = await Promise.all([
+        const [incomeResults, expenseResults, costOfSalesResults] = await Promise.all([
             Income.aggregate(incomeAggregation),
-            Expense.aggregate(expenseAggregation)
+            Expense.aggregate(expenseAggregation),
+            Sale.aggregate(costOfSalesAggregation)
         ]);
 
         console.log('📊 Aggregation results:', {
@@ -1125,15 +1242,22 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
         const incomeSummary = incomeResults[0]?.summary[0] || { totalIncome: 0, totalTransactions: 0, avgAmount: 0 };
         const expenseSummary = expenseResults[0]?.summary[0] || { totalExpenses: 0, totalTransactions: 0, avgAmount: 0 };
 
+        const costOfSalesSummary = costOfSalesResults[0]?.summary[0] || { revenue: 0, cost: 0 };
+
         // Calculate profit/loss metrics
         const totalIncome = incomeSummary.totalIncome || 0;
         const totalExpenses = expenseSummary.totalExpenses || 0;
-        const netProfitLoss = totalIncome - totalExpenses;
+        const costOfGoodsSold = costOfSalesSummary.cost || 0;
+        const netProfitLoss = totalIncome - costOfGoodsSold - totalExpenses;
         const profitMargin = totalIncome > 0 ? ((netProfitLoss / totalIncome) * 100) : 0;
 
         // Build summary object
         const summary = {
             totalIncome: parseFloat(totalIncome.toFixed(2)),
+            salesRevenue: parseFloat(costOfSalesSummary.revenue.toFixed(2)),
+            costOfGoodsSold: parseFloat(costOfGoodsSold.toFixed(2)),
+            grossProfit: parseFloat((costOfSalesSummary.revenue - costOfGoodsSold).toFixed(2)),
+            grossMargin: grossMargin(costOfSalesSummary.revenue, costOfGoodsSold),
             totalExpenses: parseFloat(totalExpenses.toFixed(2)),
             netProfitLoss: parseFloat(netProfitLoss.toFixed(2)),
             profitMargin: parseFloat(profitMargin.toFixed(2)),
@@ -1170,35 +1294,32 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
         // Merge monthly data
         const monthlyMap = new Map();
         
+        const monthlyCostOfSales = costOfSalesResults[0]?.monthly || [];
+        const monthEntry = (id) => {
+            const key = `${id.year}-${id.month}`;
+            if (!monthlyMap.has(key)) {
+                monthlyMap.set(key, { year: id.year, month: id.month, income: 0, costOfGoodsSold: 0, expenses: 0, netProfit: 0 });
+            }
+            return monthlyMap.get(key);
+        };
+
         monthlyIncome.forEach(item => {
-            const key = `${item._id.year}-${item._id.month}`;
-            monthlyMap.set(key, {
-                year: item._id.year,
-                month: item._id.month,
-                income: parseFloat(item.amount.toFixed(2)),
-                expenses: 0,
-                netProfit: 0
-            });
+            monthEntry(item._id).income = parseFloat(item.amount.toFixed(2));
         });
 
         monthlyExpenses.forEach(item => {
-            const key = `${item._id.year}-${item._id.month}`;
-            const existing = monthlyMap.get(key) || {
-                year: item._id.year,
-                month: item._id.month,
-                income: 0,
-                expenses: 0,
-                netProfit: 0
-            };
-            existing.expenses = parseFloat(item.amount.toFixed(2));
-            monthlyMap.set(key, existing);
+            monthEntry(item._id).expenses = parseFloat(item.amount.toFixed(2));
+        });
+
+        monthlyCostOfSales.forEach(item => {
+            monthEntry(item._id).costOfGoodsSold = parseFloat(item.cost.toFixed(2));
         });
 
         // Calculate net profit for each month and sort
         breakdown.monthlyData = Array.from(monthlyMap.values())
             .map(item => ({
                 ...item,
-                netProfit: parseFloat((item.income - item.expenses).toFixed(2))
+                netProfit: parseFloat((item.income - item.costOfGoodsSold - item.expenses).toFixed(2))
             }))
             .sort((a, b) => {
                 if (a.year !== b.year) return a.year - b.year;
@@ -1305,6 +1426,7 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
 
             // Add summary rows
             body.push(['Total Income', `$${summary.totalIncome.toFixed(2)}`, `${summary.incomeTransactions} transactions`]);
+            body.push(['Cost of Goods Sold', `$${summary.costOfGoodsSold.toFixed(2)}`, `Gross profit $${summary.grossProfit.toFixed(2)} (${summary.grossMargin.toFixed(2)}% margin)`]);
             body.push(['Total Expenses', `$${summary.totalExpenses.toFixed(2)}`, `${summary.expenseTransactions} transactions`]);
             body.push(['Net Profit/Loss', `$${summary.netProfitLoss.toFixed(2)}`, `${summary.profitMargin.toFixed(2)}% margin`]);
             body.push(['', '', '']);
@@ -1355,6 +1477,8 @@ exports.getProfitLossReport = asyncHandler(async (req, res) => {
                 { metric: 'Period End', amount: endDate || 'All', details: '' },
                 { metric: '', amount: '', details: '' },
                 { metric: 'Total Income', amount: summary.totalIncome, details: `${summary.incomeTransactions} transactions` },
+                { metric: 'Cost of Goods Sold', amount: summary.costOfGoodsSold, details: '' },
+                { metric: 'Gross Profit', amount: summary.grossProfit, details: `${summary.grossMargin.toFixed(2)}% margin` },
                 { metric: 'Total Expenses', amount: summary.totalExpenses, details: `${summary.expenseTransactions} transactions` },
                 { metric: 'Net Profit/Loss', amount: summary.netProfitLoss, details: `${summary.profitMargin.toFixed(2)}% margin` },
                 { metric: '', amount: '', details: '' },
@@ -1400,6 +1524,8 @@ exports.getPurchaseReport = asyncHandler(async (req, res) => {
         supplierId, 
         status, 
         paymentStatus,
+        groupBy,
+        categoryLevel,
         format = 'json',
         limit = 100,
         page = 1
@@ -1431,7 +1557,7 @@ exports.getPurchaseReport = asyncHandler(async (req, res) => {
     // Apply role-based location filtering for non-admin users
     // Note: Admin users have full access regardless of their locations array
     if (req.user.role !== 'admin') {
-        const accessibleLocations = req.user.locations || [];
+        const accessibleLocations = reportLocations(req);
         if (accessibleLocations.length === 0) {
             if (format === 'json') return res.json({ purchases: [], summary: {}, pagination: {} });
             else return res.status(403).json({ message: 'No locations accessible for this report.' });
@@ -1507,7 +1633,7 @@ exports.getPurchaseReport = asyncHandler(async (req, res) => {
                 _id: null,
                 totalPurchases: { $sum: 1 },
                 totalAmount: { $sum: '$grandTotal' },
-                totalItemsOrdered: { $sum: { $sum: '$items.quantity' } },
+                totalItemsOrdered: { $sum: ITEMS_BASE_QUANTITY },
                 avgOrderValue: { $avg: '$grandTotal' },
                 totalPaid: { $sum: '$amountPaid' },
                 totalDue: { $sum: '$amountDue' }
@@ -1573,7 +1699,7 @@ exports.getPurchaseReport = asyncHandler(async (req, res) => {
         supplierEmail: purchase.supplier?.email || 'N/A',
         warehouseName: purchase.warehouse?.name || 'No Warehouse Assigned',
         itemsCount: purchase.items.length,
-        totalQuantity: purchase.items.reduce((sum, item) => sum + item.quantity, 0),
+        totalQuantity: purchase.items.reduce((sum, item) => sum + baseQuantityOf(item), 0),
         subtotal: parseFloat(purchase.subtotal?.toFixed(2) || 0),
         orderTax: parseFloat(purchase.orderTax?.toFixed(2) || 0),
         discountAmount: parseFloat(purchase.discountAmount?.toFixed(2) || 0),
@@ -1665,9 +1791,20 @@ exports.getPurchaseReport = asyncHandler(async (req, res) => {
             limit: parseInt(limit)
         };
 
+        // Units and cost per product, per parent product with ?groupBy=parent,
+        // or per category with ?groupBy=category
+        const productSummary = await productBreakdown(Purchase, filter, groupBy, res, {
+            unwind: '$items',
+            productField: 'items.product',
+            quantity: LINE_BASE_QUANTITY,
+            value: '$items.lineTotal',
+            categoryLevel
+        });
+
         res.json({
             purchases,
             summary,
+            ...(productSummary && { productSummary }),
             pagination
         });
     }
@@ -1741,8 +1878,9 @@ exports.getInventoryReport = asyncHandler(async (req, res) => {
 
         // Apply authorization filters
         const matchFilters = {};
+        let accessibleLocations = null;
         if (req.user.role !== 'admin') {
-            const accessibleLocations = req.user.locations || [];
+            accessibleLocations = reportLocations(req);
             if (accessibleLocations.length === 0) {
                 return res.json({ inventory: [], summary: {}, pagination: {} });
             }
@@ -1755,6 +1893,10 @@ exports.getInventoryReport = asyncHandler(async (req, res) => {
                 res.status(400);
                 throw new Error('Invalid Location ID format');
             }
+            if (accessibleLocations && !accessibleLocations.some(loc => loc.equals(locationId))) {
+                res.status(403);
+                throw new Error('Forbidden: Access denied to this location');
+            }
             matchFilters.location = mongoose.Types.ObjectId(locationId);
         }
 
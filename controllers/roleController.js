@@ -0,0 +1,190 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const { PERMISSIONS, LOCKED_ROLE_KEYS, isKnownPermission } = require('../config/permissions');
+const { invalidateRole } = require('../services/permissionService');
+const sessionService = require('../services/sessionService');
+
+// Role given to requests authenticated with an API key (see services/apiKeyService.js)
+const RESERVED_ROLE_KEYS = ['api_key'];
+
+const findRoleOr404 = async (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid Role ID format');
+    }
+    const role = await Role.findById(id);
+    if (!role) {
+        res.status(404);
+        throw new Error('Role not found');
+    }
+    return role;
+};
+
+const validatePermissions = (permissions, res) => {
+    if (!Array.isArray(permissions)) {
+        res.status(400);
+        throw new Error('permissions must be an array of permission names');
+    }
+    const unknown = permissions.filter(p => typeof p !== 'string' || !isKnownPermission(p));
+    if (unknown.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+};
+
+const validateRequireTwoFactor = (value, res) => {
+    if (typeof value !== 'boolean') {
+        res.status(400);
+        throw new Error('requireTwoFactor must be a boolean');
+    }
+    return value;
+};
+
+// @desc    List the permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+const getPermissionCatalog = asyncHandler(async (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+});
+
+// @desc    List roles with the number of users holding each (account-wide and at a location)
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+const getRoles = asyncHandler(async (req, res) => {
+    const [roles, counts, locationCounts] = await Promise.all([
+        Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+        User.aggregate([
+            { $unwind: '$locationRoles' },
+            { $group: { _id: '$locationRoles.role', users: { $addToSet: '$_id' } } },
+            { $project: { count: { $size: '$users' } } }
+        ])
+    ]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    const locationCountByRole = Object.fromEntries(locationCounts.map(c => [c._id, c.count]));
+    res.json(roles.map(role => ({
+        ...role,
+        userCount: countByRole[role.key] || 0,
+        locationUserCount: locationCountByRole[role.key] || 0
+    })));
+});
+
+// @desc    Get a single role
+// @route   GET /api/roles/:id
+// @access  Private (roles.manage)
+const getRoleById = asyncHandler(async (req, res) => {
+    const role = await findRoleOr404(req.params.id, res);
+    res.json(role);
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+const createRole = asyncHandler(async (req, res) => {
+    const { key, name, description, permissions = [], requireTwoFactor = false } = req.body;
+
+    if (!key || !name) {
+        res.status(400);
+        throw new Error('Role key and name are required');
+    }
+    const normalizedKey = String(key).trim().toLowerCase();
+    if (RESERVED_ROLE_KEYS.includes(normalizedKey)) {
+        res.status(400);
+        throw new Error(`'${normalizedKey}' is reserved`);
+    }
+    if (await Role.exists({ key: normalizedKey })) {
+        res.status(400);
+        throw new Error(`Role '${normalizedKey}' already exists`);
+    }
+
+    const role = await Role.create({
+        key: normalizedKey,
+        name,
+        description,
+        permissions: validatePermissions(permissions, res),
+        requireTwoFactor: validateRequireTwoFactor(requireTwoFactor, res),
+        createdBy: req.user._id
+    });
+
+    await AuditMiddleware.logRoleAction('role_created', role, `Created role ${role.key}`, req.auditContext,
+        { before: null, after: { permissions: role.permissions }, fields: ['permissions'] });
+
+    res.status(201).json(role);
+});
+
+// @desc    Update a role's name, description, permissions or two-factor requirement
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+const updateRole = asyncHandler(async (req, res) => {
+    const { name, description, permissions, requireTwoFactor } = req.body;
+    const role = await findRoleOr404(req.params.id, res);
+
+    if (permissions !== undefined && LOCKED_ROLE_KEYS.includes(role.key)) {
+        res.status(400);
+        throw new Error(`Permissions of the '${role.key}' role cannot be changed`);
+    }
+    if (req.body.key !== undefined && req.body.key !== role.key) {
+        res.status(400);
+        throw new Error('Role key cannot be changed');
+    }
+
+    const before = { name: role.name, permissions: [...role.permissions], requireTwoFactor: role.requireTwoFactor };
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = validatePermissions(permissions, res);
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = validateRequireTwoFactor(requireTwoFactor, res);
+    role.updatedBy = req.user._id;
+    await role.save();
+    invalidateRole(role.key);
+
+    // Users of the role without two-factor must log in again, which makes them set it up
+    if (role.requireTwoFactor && !before.requireTwoFactor) {
+        const users = await User.find({ role: role.key, 'twoFactor.enabled': { $ne: true } }).select('_id');
+        for (const user of users) {
+            await sessionService.revokeAllUserSessions(user._id, { reason: 'two_factor_required', revokedBy: req.user._id });
+        }
+    }
+
+    await AuditMiddleware.logRoleAction('role_updated', role, `Updated role ${role.key}`, req.auditContext,
+        { before, after: { name: role.name, permissions: role.permissions, requireTwoFactor: role.requireTwoFactor }, fields: ['name', 'permissions', 'requireTwoFactor'] });
+
+    res.json(role);
+});
+
+// @desc    Delete a custom role that no user holds
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+const deleteRole = asyncHandler(async (req, res) => {
+    const role = await findRoleOr404(req.params.id, res);
+
+    if (role.isSystem) {
+        res.status(400);
+        throw new Error('Built-in roles cannot be deleted');
+    }
+    const userCount = await User.countDocuments({ $or: [{ role: role.key }, { 'locationRoles.role': role.key }] });
+    if (userCount > 0) {
+        res.status(400);
+        throw new Error(`Role is assigned to ${userCount} user(s). Reassign them before deleting it.`);
+    }
+
+    await role.deleteOne();
+    invalidateRole(role.key);
+
+    await AuditMiddleware.logRoleAction('role_deleted', role, `Deleted role ${role.key}`, req.auditContext,
+        { before: { permissions: role.permissions }, after: null, fields: ['permissions'] });
+
+    res.json({ message: `Role ${role.key} deleted` });
+});
+
+module.exports = {
+    getPermissionCatalog,
+    getRoles,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+};
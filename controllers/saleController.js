@@ -3,11 +3,22 @@ const Sale = require('../models/Sale');
 const Product = require('../models/Product');
 const Inventory = require('../models/Inventory'); // Import Inventory
 const Location = require('../models/Location'); // Import Location
+const Customer = require('../models/Customer');
 const mongoose = require('mongoose');
+const { resolveSalePrices, isSamePrice } = require('../services/priceListService');
+const { componentDemand } = require('../services/bundleService');
+const { toBaseQuantity } = require('../services/unitService');
+const { checkStockSerials } = require('../services/serialService');
 // const { emitNewSale } = require('../socket'); // Keep if you use this pattern
 
-// Helper function to validate sale items against inventory at a specific location
-async function validateSaleItems(items, locationId) {
+// Helper function to validate sale items against inventory at a specific location.
+// Prices come from the applicable price lists: an item may omit its price, and
+// a different price, or a line discount, is only accepted with
+// canOverridePrice. Returns the items with their prices resolved. Quantities
+// may be in any sale unit of the product; stock is checked in base units. Bundles are checked against, and
+// carry, the component stock they need. Lines of serialized products (or of
+// bundles with serialized components) name the units sold in serialNumbers.
+async function validateSaleItems(items, locationId, { customerGroup, canOverridePrice = false } = {}) {
     if (!items || !Array.isArray(items) || items.length === 0) {
         throw new Error('Sale must contain at least one item');
     }
@@ -18,6 +29,10 @@ async function validateSaleItems(items, locationId) {
      const location = await Location.findOne({_id: locationId, isActive: true});
      if (!location) throw new Error(`Active location with ID ${locationId} not found.`);
 
+    const products = new Map();
+    const lines = []; // items with their unit conversion
+    const stockNeeded = new Map(); // productId -> base quantity, over every line
+    const serialsSold = new Set(); // a unit can only be sold once per sale
     for (const item of items) {
         if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
             throw new Error(`Invalid product ID found in items.`);
@@ -25,7 +40,7 @@ async function validateSaleItems(items, locationId) {
         if (typeof item.quantity !== 'number' || item.quantity <= 0) {
              throw new Error(`Invalid quantity for product ID ${item.product}.`);
         }
-         if (typeof item.price !== 'number' || item.price <= 0) {
+         if (item.price !== undefined && item.price !== null && (typeof item.price !== 'number' || item.price <= 0)) {
             throw new Error(`Invalid price for product ID ${item.product}.`);
         }
 
@@ -33,20 +48,70 @@ async function validateSaleItems(items, locationId) {
         if (!product || !product.isActive) {
             throw new Error(`Active product ${item.product} not found`);
         }
+        if (product.hasVariants) {
+            throw new Error(`${product.name} has variants: select a specific variant to sell`);
+        }
+        products.set(product._id.toString(), product);
+        const line = { ...item, ...toBaseQuantity(product, item.quantity, item.unit, 'sale') };
+        lines.push(line);
+
+        const demand = product.isBundle
+            ? componentDemand(product, line.baseQuantity)
+            : [{ product: product._id, quantity: line.baseQuantity }];
+        demand.forEach(({ product: productId, quantity }) => {
+            const key = productId.toString();
+            stockNeeded.set(key, (stockNeeded.get(key) || 0) + quantity);
+        });
+
+        line.serialNumbers = await checkStockSerials(item.serialNumbers, demand, locationId, product.name);
+        const repeated = line.serialNumbers.find(serial => serialsSold.has(serial));
+        if (repeated) {
+            throw new Error(`Serial number ${repeated} is sold more than once in this sale`);
+        }
+        line.serialNumbers.forEach(serial => serialsSold.add(serial));
+    }
 
-        // *** Check inventory at the SPECIFIC location ***
+    // *** Check inventory at the SPECIFIC location ***
+    for (const [productId, quantity] of stockNeeded) {
         const inventory = await Inventory.findOne({
-            product: item.product,
+            product: productId,
             location: locationId
         });
 
-        if (!inventory || inventory.quantity < item.quantity) {
-            const productName = product.name || 'Unknown Product';
+        if (!inventory || inventory.quantity < quantity) {
+            const stockedProduct = products.get(productId) || await Product.findById(productId).select('name');
+            const productName = stockedProduct?.name || 'Unknown Product';
             const locationName = location.name || 'Unknown Location';
             const availableQuantity = inventory?.quantity || 0;
             throw new Error(`Insufficient stock for ${productName} at ${locationName}. Available: ${availableQuantity}`);
         }
     }
+
+    const resolved = await resolveSalePrices(lines, products, { locationId, customerGroup });
+    return lines.map((item, index) => {
+        const { price: listPrice, priceList } = resolved[index];
+        const product = products.get(item.product.toString());
+        const hasPrice = item.price !== undefined && item.price !== null;
+        if (hasPrice && !isSamePrice(item.price, listPrice) && !canOverridePrice) {
+            throw new Error(`Price of ${product.name} must be ${listPrice.toFixed(2)} per ${item.unit} (got ${item.price}). Changing it requires the sales.priceOverride permission.`);
+        }
+        if (Number(item.discount) && !canOverridePrice) {
+            throw new Error(`A discount on ${product.name} requires the sales.priceOverride permission.`);
+        }
+        return {
+            product: item.product,
+            quantity: item.quantity,
+            unit: item.unit,
+            unitFactor: item.unitFactor,
+            baseQuantity: item.baseQuantity,
+            discount: item.discount,
+            price: hasPrice ? item.price : listPrice,
+            listPrice,
+            priceList,
+            components: product.isBundle ? componentDemand(product, item.baseQuantity) : undefined,
+            serialNumbers: item.serialNumbers.length > 0 ? item.serialNumbers : undefined
+        };
+    });
 }
 
 
@@ -70,13 +135,44 @@ const createSale = asyncHandler(async (req, res) => {
         //    res.status(403); throw new Error('Forbidden: Access denied to create sales at this location.');
         // }
 
+        // A registered customer's group selects its price lists
+        let saleCustomer = customer || undefined;
+        if (customer && customer.customerId) {
+            if (!mongoose.Types.ObjectId.isValid(customer.customerId)) {
+                return res.status(400).json({ message: 'Invalid customer ID format' });
+            }
+            const registered = await Customer.findOne({ _id: customer.customerId, status: 'active' });
+            if (!registered) {
+                return res.status(400).json({ message: `Active customer ${customer.customerId} not found` });
+            }
+            saleCustomer = {
+                customerId: registered._id,
+                group: registered.group,
+                name: customer.name || registered.customerName,
+                contact: customer.contact || registered.phone,
+                email: customer.email || registered.email
+            };
+        } else if (customer) {
+            // Walk-in customer details cannot claim a group price
+            saleCustomer = { name: customer.name, contact: customer.contact, email: customer.email };
+        }
+
+        // Prices other than the price list's and discounts need sales.priceOverride
+        const canOverridePrice = req.user.role === 'admin' || req.user.hasAccessToLocation(locationId, 'sales.priceOverride');
+        if (Number(discount) && !canOverridePrice) {
+            return res.status(400).json({ message: 'A sale discount requires the sales.priceOverride permission.' });
+        }
+
         // *** Call the updated validation helper ***
-        await validateSaleItems(items, locationId);
+        const pricedItems = await validateSaleItems(items, locationId, {
+            customerGroup: saleCustomer?.group,
+            canOverridePrice
+        });
 
         const sale = new Sale({
-            items,
+            items: pricedItems,
             paymentMethod,
-            customer: customer || undefined,
+            customer: saleCustomer,
             location: locationId, // Store the ObjectId
             notes,
             tax: tax || 0,
@@ -161,16 +257,16 @@ const getSales = asyncHandler(async (req, res) => {
 
     // Authorization Filtering: Admins see all. Managers see sales only for their locations.
     if (req.user.role !== 'admin') {
-         if (!req.user.locations || req.user.locations.length === 0) {
+         if (req.user.accessibleLocations('sales.list').length === 0) {
             return res.json([]); // Manager has access to no locations
          }
          // If a specific location was requested, ensure they have access
-         if (locationId && !req.user.hasAccessToLocation(locationId)) {
+         if (locationId && !req.user.hasAccessToLocation(locationId, 'sales.list')) {
              res.status(403); throw new Error('Forbidden: Access denied to sales for this location.');
          }
          // If no specific location requested, filter by their accessible locations
          else if (!locationId) {
-            filter.location = { $in: req.user.locations };
+            filter.location = { $in: req.user.accessibleLocations('sales.list') };
          }
     }
 
@@ -203,7 +299,7 @@ const getSale = asyncHandler(async (req, res) => {
     }
 
     // Authorization check: Admin or user with access to the sale's location
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(sale.location._id)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(sale.location._id, 'sales.view')) {
        res.status(403);
        throw new Error('Forbidden: You do not have access to view this sale.');
     }
@@ -236,7 +332,7 @@ const deleteSale = asyncHandler(async (req, res) => {
         throw new Error('Invalid Sale ID format');
     }
 
-    const sale = await Sale.findById(id).populate('location', '_id');
+    const sale = await Sale.findById(id);
 
     if (!sale) {
         res.status(404);
@@ -244,18 +340,19 @@ const deleteSale = asyncHandler(async (req, res) => {
     }
 
     // Authorization check: Admin or user with access to the sale's location
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(sale.location._id)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(sale.location, 'sales.delete')) {
         res.status(403);
         throw new Error('Forbidden: You do not have access to delete this sale.');
     }
 
     try {
-        // Use deleteOne() instead of remove()
-        await Sale.deleteOne({ _id: id });
+        // Document deleteOne() runs the pre-delete hook that puts the stock back
+        sale.$locals.deletedBy = req.user.id;
+        await sale.deleteOne();
 
         // Emit socket event for sale deletion
         if (req.io) {
-            req.io.to('sales').to(`location_${sale.location._id.toString()}`).emit('saleDeleted', { saleId: id });
+            req.io.to('sales').to(`location_${sale.location.toString()}`).emit('saleDeleted', { saleId: id });
         }
 
         res.json({ message: 'Sale deleted successfully', saleId: id });
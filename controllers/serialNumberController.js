@@ -0,0 +1,113 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const SerialNumber = require('../models/SerialNumber');
+
+const SERIAL_STATUSES = SerialNumber.schema.path('status').enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Locations whose units the user may see; null for admins (every location)
+const viewableLocations = (user) => (user.role === 'admin' ? null : user.accessibleLocations('inventory.view'));
+
+// Units at one of `locationIds`, or, while in transit or sold, last seen at one
+const atLocations = (locationIds) => ({
+  $or: [
+    { location: { $in: locationIds } },
+    { location: null, $expr: { $in: [{ $arrayElemAt: ['$history.location', -1] }, locationIds] } }
+  ]
+});
+
+// History events of a unit at locations the user cannot see are left out
+const visibleHistory = (unit, locationIds) => {
+  const visible = unit.toObject();
+  if (locationIds) {
+    visible.history = visible.history.filter(event =>
+      !event.location || locationIds.some(id => id.equals(event.location._id || event.location)));
+  }
+  return visible;
+};
+
+// References of a unit and its history, for responses
+const populateSerial = (query) => query
+  .populate('product', 'name sku')
+  .populate('location', 'name type')
+  .populate('purchase', 'purchaseNumber purchaseDate')
+  .populate('transfer', 'transferId status')
+  .populate('sale', 'createdAt total')
+  .populate('history.location', 'name')
+  .populate('history.purchase', 'purchaseNumber')
+  .populate('history.transfer', 'transferId')
+  .populate('history.sale', 'createdAt total')
+  .populate('history.user', 'name');
+
+// @desc    List serial numbers with their current status and location
+// @route   GET /api/serials?productId=&status=&locationId=&search=
+// @access  Protected
+const getSerialNumbers = asyncHandler(async (req, res) => {
+  const { productId, status, locationId, search } = req.query;
+  const locationIds = viewableLocations(req.user);
+  if (locationIds && locationIds.length === 0) return res.json([]);
+  const filter = locationIds ? atLocations(locationIds) : {};
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      res.status(400);
+      throw new Error('Invalid Product ID format');
+    }
+    filter.product = productId;
+  }
+  if (status) {
+    if (!SERIAL_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Invalid status. Use one of: ${SERIAL_STATUSES.join(', ')}`);
+    }
+    filter.status = status;
+  }
+  if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+      res.status(400);
+      throw new Error('Invalid Location ID format');
+    }
+    if (locationIds && !locationIds.some(id => id.equals(locationId))) {
+      res.status(403);
+      throw new Error('Forbidden: Access denied to this location inventory');
+    }
+    filter.location = locationId;
+  }
+  if (search) filter.serial = { $regex: `^${escapeRegex(String(search).trim())}`, $options: 'i' };
+
+  const serials = await SerialNumber.find(filter)
+    .select('-history')
+    .populate('product', 'name sku')
+    .populate('location', 'name type')
+    .sort({ updatedAt: -1 })
+    .limit(500);
+  res.json(serials);
+});
+
+// @desc    Look up a serial number: current status, location and full history
+// @route   GET /api/serials/:serial?productId=
+// @access  Protected
+const getSerialHistory = asyncHandler(async (req, res) => {
+  const locationIds = viewableLocations(req.user);
+  const filter = { serial: req.params.serial.trim(), ...(locationIds ? atLocations(locationIds) : {}) };
+  // Serial numbers are unique per product; without one, every product's unit is returned
+  if (req.query.productId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.productId)) {
+      res.status(400);
+      throw new Error('Invalid Product ID format');
+    }
+    filter.product = req.query.productId;
+  }
+
+  const units = await populateSerial(SerialNumber.find(filter)).sort({ createdAt: 1 });
+  if (units.length === 0) {
+    res.status(404);
+    throw new Error('Serial number not found');
+  }
+  res.json(units.map(unit => visibleHistory(unit, locationIds)));
+});
+
+module.exports = {
+  getSerialNumbers,
+  getSerialHistory
+};
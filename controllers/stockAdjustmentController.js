@@ -5,6 +5,8 @@ const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 const Location = require('../models/Location');
 const mongoose = require('mongoose');
+const { toBaseQuantity } = require('../services/unitService');
+const { adjustmentSerials, writeOffSerials } = require('../services/serialService');
 
 // @desc    Create a new stock adjustment
 // @route   POST /api/stock-adjustments
@@ -41,8 +43,9 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
             throw new Error(`Invalid Product ID format for product ${adj.productId}`);
         }
 
+        // Whole units unless entered in another unit (converted to whole base units below)
         const qty = Number(adj.quantityAdjusted);
-        if (isNaN(qty) || qty < 0 || !Number.isInteger(qty)) {
+        if (isNaN(qty) || qty < 0 || (!adj.unit && !Number.isInteger(qty))) {
             res.status(400);
             throw new Error('Quantity adjusted must be a non-negative integer');
         }
@@ -60,7 +63,7 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
     }
 
     // Check User Access
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(locationId)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(locationId, 'inventory.adjust')) {
         res.status(403);
         throw new Error('Forbidden: You do not have permission to adjust stock at this location.');
     }
@@ -75,7 +78,15 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
 
         // Process each adjustment
         for (const adj of adjustments) {
-            const { productId, adjustmentType, quantityAdjusted, reason } = adj;
+            const { productId, adjustmentType, reason } = adj;
+
+            // Stock is adjusted in the product's base unit
+            const adjustedProduct = await Product.findById(productId).session(session);
+            if (!adjustedProduct) {
+                throw new Error(`Product ${productId} not found`);
+            }
+            const conversion = toBaseQuantity(adjustedProduct, Number(adj.quantityAdjusted), adj.unit);
+            const quantityAdjusted = conversion.baseQuantity;
 
             // Find or create inventory record
             let inventory = await Inventory.findOne({
@@ -125,6 +136,15 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
 
             const newQuantity = previousQuantity + change;
 
+            // Serialized products: the units removed are named (adj.serialNumbers)
+            let serials;
+            try {
+                serials = await adjustmentSerials(adjustedProduct, change, adj.serialNumbers, locationId);
+            } catch (err) {
+                err.statusCode = 400;
+                throw err;
+            }
+
             // Check for negative stock only if subtracting
             if (change < 0 && newQuantity < 0) {
                 throw new Error(`Adjustment results in negative stock (${newQuantity}). Current: ${previousQuantity}, Adjusting by: ${change}`);
@@ -145,6 +165,9 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
 
             const updatedInventory = await inventory.save({ session });
             inventoryUpdates.push(updatedInventory);
+            if (serials.length > 0) {
+                await writeOffSerials(productId, serials, { location: locationId, userId: req.user.id, note: auditNote.substring(0, 200), session });
+            }
 
             // Create Stock Adjustment Record
             const newAdjustment = new StockAdjustment({
@@ -153,6 +176,9 @@ const createStockAdjustment = asyncHandler(async (req, res) => {
                 inventory: updatedInventory._id,
                 adjustmentType,
                 quantityAdjusted: quantityAdjusted,
+                unit: conversion.unitFactor !== 1 ? conversion.unit : undefined,
+                unitQuantity: conversion.unitFactor !== 1 ? Number(adj.quantityAdjusted) : undefined,
+                serialNumbers: serials.length > 0 ? serials : undefined,
                 previousQuantity,
                 newQuantity,
                 reason: reason || notes,
@@ -239,11 +265,11 @@ const getStockAdjustments = asyncHandler(async (req, res) => {
 
     // --- Location Access Filter ---
     if (req.user.role !== 'admin') {
-        if (!req.user.locations || req.user.locations.length === 0) {
+        if (req.user.accessibleLocations('inventory.adjust').length === 0) {
             return res.json({ data: [], pagination: { total: 0, page: queryPage, pages: 0, limit: queryLimit } });
         }
         // User can only see adjustments for locations they have access to
-        const accessibleLocations = req.user.locations;
+        const accessibleLocations = req.user.accessibleLocations('inventory.adjust');
         if (locationId) { // If specific location requested, check access
             if (!accessibleLocations.some(loc => loc.equals(locationId))) {
                 res.status(403); throw new Error('Forbidden: Access denied to this location');
@@ -344,7 +370,7 @@ const getStockAdjustmentById = asyncHandler(async (req, res) => {
     }
 
     // --- Authorization Check ---
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(adjustment.location._id)) { // Use adjustment.location._id
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(adjustment.location._id, 'inventory.adjust')) { // Use adjustment.location._id
        res.status(403); throw new Error('Forbidden: Access denied to this stock adjustment record');
     }
 
@@ -373,7 +399,7 @@ const updateStockAdjustment = asyncHandler(async (req, res) => {
     }
 
     // --- Authorization Check ---
-     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(adjustment.location)) {
+     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(adjustment.location, 'inventory.adjust')) {
        res.status(403); throw new Error('Forbidden: Access denied to update this record');
     }
 
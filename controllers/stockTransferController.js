@@ -4,12 +4,15 @@ const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
 const Location = require('../models/Location');
 const mongoose = require('mongoose');
+const { toBaseQuantity } = require('../services/unitService');
+const { takeFromLots, receiveIntoLots, lotSummary } = require('../services/lotService');
+const { checkStockSerials, shipSerials, receiveTransferSerials } = require('../services/serialService');
 
 // @desc    Create a stock transfer request
 // @route   POST /api/transfers
 // @access  Admin, Manager (with access to fromLocation)
 const createTransfer = asyncHandler(async (req, res) => {
-    const { productId, quantity, fromLocationId, toLocationId, notes } = req.body;
+    const { productId, quantity, unit, fromLocationId, toLocationId, notes } = req.body;
 
     // --- Basic Validation ---
     if (!productId || !quantity || !fromLocationId || !toLocationId) {
@@ -18,8 +21,8 @@ const createTransfer = asyncHandler(async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(fromLocationId) || !mongoose.Types.ObjectId.isValid(toLocationId)) {
          res.status(400); throw new Error('Invalid ID format for product or locations');
     }
-     const transferQuantity = Number(quantity);
-    if (isNaN(transferQuantity) || transferQuantity <= 0) {
+     const requestedQuantity = Number(quantity);
+    if (isNaN(requestedQuantity) || requestedQuantity <= 0) {
         res.status(400); throw new Error('Quantity must be a positive number');
     }
      if (fromLocationId === toLocationId) {
@@ -27,7 +30,7 @@ const createTransfer = asyncHandler(async (req, res) => {
     }
 
     // --- Authorization ---
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(fromLocationId)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(fromLocationId, 'transfers.create')) {
         res.status(403); throw new Error('Forbidden: You do not have access to transfer stock FROM this location');
     }
 
@@ -41,6 +44,15 @@ const createTransfer = asyncHandler(async (req, res) => {
     if (!fromLocation) { res.status(404); throw new Error('Active FROM Location not found'); }
     if (!toLocation) { res.status(404); throw new Error('Active TO Location not found'); }
 
+    // --- Unit Conversion: stock moves in base units ---
+    let conversion;
+    try {
+        conversion = toBaseQuantity(product, requestedQuantity, unit);
+    } catch (err) {
+        res.status(400); throw err;
+    }
+    const transferQuantity = conversion.baseQuantity;
+
     // --- Stock Availability Check ---
     const fromInventory = await Inventory.findOne({ product: productId, location: fromLocationId });
     if (!fromInventory || fromInventory.quantity < transferQuantity) {
@@ -48,10 +60,21 @@ const createTransfer = asyncHandler(async (req, res) => {
         throw new Error(`Insufficient stock for ${product.name} at ${fromLocation.name}. Available: ${fromInventory?.quantity || 0}`);
     }
 
+    // --- Serial Numbers: a serialized product names every unit moved ---
+    let serialNumbers;
+    try {
+        serialNumbers = await checkStockSerials(req.body.serialNumbers, [{ product: product._id, quantity: transferQuantity }], fromLocationId, product.name);
+    } catch (err) {
+        res.status(400); throw err;
+    }
+
     // --- Create Transfer Record ---
     const transfer = new StockTransfer({
         product: productId,
         quantity: transferQuantity,
+        unit: conversion.unitFactor !== 1 ? conversion.unit : undefined,
+        unitQuantity: conversion.unitFactor !== 1 ? requestedQuantity : undefined,
+        serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
         fromLocation: fromLocationId,
         toLocation: toLocationId,
         status: 'Pending',
@@ -101,19 +124,19 @@ const getTransfers = asyncHandler(async (req, res) => {
 
     // Authorization Filtering: Admins see all. Others see transfers involving their locations.
     if (req.user.role !== 'admin') {
-         if (!req.user.locations || req.user.locations.length === 0) {
+         if (req.user.accessibleLocations('transfers.view').length === 0) {
             return res.json([]); // No locations, no transfers visible
          }
          // If specific locations are filtered, ensure user has access to at least one of them
          const requestedLocations = [fromLocationId, toLocationId].filter(id => id);
-         if (requestedLocations.length > 0 && !requestedLocations.some(locId => req.user.hasAccessToLocation(locId))) {
+         if (requestedLocations.length > 0 && !requestedLocations.some(locId => req.user.hasAccessToLocation(locId, 'transfers.view'))) {
              res.status(403); throw new Error('Forbidden: You do not have access to view transfers for the specified locations.');
          }
 
          // Filter transfers where the user has access to EITHER the from OR the to location
          filter.$or = [
-            { fromLocation: { $in: req.user.locations } },
-            { toLocation: { $in: req.user.locations } }
+            { fromLocation: { $in: req.user.accessibleLocations('transfers.view') } },
+            { toLocation: { $in: req.user.accessibleLocations('transfers.view') } }
          ];
     }
 
@@ -152,8 +175,8 @@ const getTransferById = asyncHandler(async (req, res) => {
 
     // Authorization: Admin or user with access to FROM or TO location
     if (req.user.role !== 'admin' &&
-        !req.user.hasAccessToLocation(transfer.fromLocation._id) &&
-        !req.user.hasAccessToLocation(transfer.toLocation._id))
+        !req.user.hasAccessToLocation(transfer.fromLocation._id, 'transfers.view') &&
+        !req.user.hasAccessToLocation(transfer.toLocation._id, 'transfers.view'))
     {
         res.status(403); throw new Error('Forbidden: You do not have access to view this transfer.');
     }
@@ -178,7 +201,7 @@ const shipTransfer = asyncHandler(async (req, res) => {
     if (transfer.status !== 'Pending') {
         res.status(400); throw new Error(`Cannot ship transfer with status: ${transfer.status}`);
     }
-    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(transfer.fromLocation)) {
+    if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(transfer.fromLocation, 'transfers.manage')) {
         res.status(403); throw new Error('Forbidden: You do not have access to ship transfers FROM this location');
     }
 
@@ -196,10 +219,16 @@ const shipTransfer = asyncHandler(async (req, res) => {
         res.status(400);
         throw new Error(`Insufficient stock to ship. Available: ${fromInventory?.quantity || 0}`);
     }
+    // The units named on the transfer must still be there
+    try {
+        await checkStockSerials(transfer.serialNumbers, [{ product: transfer.product, quantity: transfer.quantity }], transfer.fromLocation, 'This transfer');
+    } catch (err) {
+        res.status(400); throw err;
+    }
 
-    // 1. Update Inventory
-    const newQuantity = fromInventory.quantity - transfer.quantity;
-    fromInventory.quantity = newQuantity;
+    // 1. Update Inventory: stock leaves first-expiry-first-out
+    const shippedLots = lotSummary(takeFromLots(fromInventory, transfer.quantity));
+    const newQuantity = fromInventory.quantity;
     fromInventory.auditLog.push({
         user: req.user.id,
         action: 'transfer_out',
@@ -207,10 +236,12 @@ const shipTransfer = asyncHandler(async (req, res) => {
         note: `Shipped for Transfer ID: ${transfer.transferId || transfer._id}`,
         relatedTransferId: transfer._id,
         newQuantity: newQuantity,
+        lots: shippedLots,
         timestamp: new Date()
     });
 
     // 2. Update Transfer Status
+    transfer.lots = shippedLots;
     transfer.status = 'Shipped';
     transfer.shippedBy = req.user.id;
     transfer.shippedAt = new Date();
@@ -221,6 +252,9 @@ const shipTransfer = asyncHandler(async (req, res) => {
         fromInventory.save(),
         transfer.save()
     ]);
+    if (transfer.serialNumbers?.length) {
+        await shipSerials(transfer, req.user.id);
+    }
 
     // --- Respond & Emit ---
     const populatedTransfer = await StockTransfer.findById(transfer._id) // Re-populate after save
@@ -269,7 +303,7 @@ const receiveTransfer = asyncHandler(async (req, res) => {
     if (transfer.status !== 'Shipped') {
         res.status(400); throw new Error(`Cannot receive transfer with status: ${transfer.status}`);
     }
-     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(transfer.toLocation)) {
+     if (req.user.role !== 'admin' && !req.user.hasAccessToLocation(transfer.toLocation, 'transfers.manage')) {
         res.status(403); throw new Error('Forbidden: You do not have access to receive transfers AT this location');
     }
 
@@ -282,53 +316,56 @@ const receiveTransfer = asyncHandler(async (req, res) => {
         location: transfer.toLocation
     });
 
-    let newQuantity;
+    const isNewRecord = !toInventory;
     if (!toInventory) {
         // Product doesn't exist in this location's inventory yet, create it.
         toInventory = new Inventory({
             product: transfer.product,
             location: transfer.toLocation,
-            quantity: transfer.quantity, // Starts with the received quantity
+            quantity: 0, // Takes the received quantity below
             // Should ideally pull default minStock/notifyAt from Product or have defaults
             minStock: 5,
             notifyAt: 5,
-            createdBy: req.user.id, // User receiving the transfer initiates the record here
-            auditLog: [{
-                user: req.user.id,
-                action: 'transfer_in',
-                adjustment: transfer.quantity,
-                note: `Received via Transfer ID: ${transfer.transferId || transfer._id}. Created inventory record.`,
-                relatedTransferId: transfer._id,
-                newQuantity: transfer.quantity,
-                timestamp: new Date()
-            }]
-        });
-        newQuantity = transfer.quantity;
-    } else {
-        // Inventory record exists, increment it
-        newQuantity = toInventory.quantity + transfer.quantity;
-        toInventory.quantity = newQuantity;
-        toInventory.auditLog.push({
-            user: req.user.id,
-            action: 'transfer_in',
-            adjustment: transfer.quantity,
-            note: `Received via Transfer ID: ${transfer.transferId || transfer._id}`,
-            relatedTransferId: transfer._id,
-            newQuantity: newQuantity,
-            timestamp: new Date()
+            createdBy: req.user.id // User receiving the transfer initiates the record here
         });
     }
 
+    // The shipped lots arrive as the same lots; the rest is stock held in no lot
+    const receivedAt = new Date();
+    transfer.lots.forEach(lot => receiveIntoLots(toInventory, {
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        receivedAt: lot.receivedAt || receivedAt,
+        quantity: lot.quantity,
+        transfer: transfer._id
+    }));
+    const lotQuantity = transfer.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    toInventory.quantity += Math.max(transfer.quantity - lotQuantity, 0);
+    const newQuantity = toInventory.quantity;
+    toInventory.auditLog.push({
+        user: req.user.id,
+        action: 'transfer_in',
+        adjustment: transfer.quantity,
+        note: `Received via Transfer ID: ${transfer.transferId || transfer._id}${isNewRecord ? '. Created inventory record.' : ''}`,
+        relatedTransferId: transfer._id,
+        newQuantity: newQuantity,
+        lots: transfer.lots.length > 0 ? transfer.lots.map(lot => lot.toObject()) : undefined,
+        timestamp: receivedAt
+    });
+
     // Update Transfer Status
     transfer.status = 'Received';
     transfer.receivedBy = req.user.id;
-    transfer.receivedAt = new Date();
+    transfer.receivedAt = receivedAt;
 
     // Save Both
     await Promise.all([
         toInventory.save(),
         transfer.save()
     ]);
+    if (transfer.serialNumbers?.length) {
+        await receiveTransferSerials(transfer, req.user.id);
+    }
 
     // --- Respond & Emit ---
      const populatedTransfer = await StockTransfer.findById(transfer._id) // Re-populate after save
@@ -383,8 +420,8 @@ const cancelTransfer = asyncHandler(async (req, res) => {
 
     // --- Authorization ---
     const canCancel = req.user.role === 'admin' ||
-                      req.user.hasAccessToLocation(transfer.fromLocation) ||
-                      req.user.hasAccessToLocation(transfer.toLocation) ||
+                      req.user.hasAccessToLocation(transfer.fromLocation, 'transfers.manage') ||
+                      req.user.hasAccessToLocation(transfer.toLocation, 'transfers.manage') ||
                       transfer.requestedBy.equals(req.user.id);
 
     if (!canCancel) {
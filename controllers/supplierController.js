@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const Supplier = require('../models/Supplier');
+const SupplierProduct = require('../models/SupplierProduct');
 const mongoose = require('mongoose');
 
 // @desc    Create a new supplier
@@ -90,6 +91,7 @@ const deleteSupplier = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Supplier not found');
   }
+  await SupplierProduct.deleteMany({ supplier: supplier._id });
   await supplier.deleteOne();
   res.status(200).json({ message: 'Supplier deleted successfully' });
 });
@@ -0,0 +1,121 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const SupplierProduct = require('../models/SupplierProduct');
+const { supplierProductFields, clearOtherPreferred } = require('../services/supplierProductService');
+
+// Load the supplier of the route, or respond 400/404
+const findSupplier = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid Supplier ID format');
+  }
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) {
+    res.status(404);
+    throw new Error('Supplier not found');
+  }
+  return supplier;
+};
+
+const parseFields = (body, res) => {
+  try {
+    return supplierProductFields(body);
+  } catch (err) {
+    res.status(400);
+    throw err;
+  }
+};
+
+// @desc    Get the products a supplier sells, with their terms
+// @route   GET /api/suppliers/:id/products
+// @access  Protected
+const getSupplierProducts = asyncHandler(async (req, res) => {
+  const supplier = await findSupplier(req, res);
+  const products = await SupplierProduct.find({ supplier: supplier._id })
+    .populate('product', 'name sku baseUnit cost isActive')
+    .populate('lastPurchase', 'purchaseNumber purchaseDate')
+    .sort({ updatedAt: -1 });
+  res.json(products);
+});
+
+// @desc    Add a product to a supplier's catalog
+// @route   POST /api/suppliers/:id/products
+// @access  Protected
+const addSupplierProduct = asyncHandler(async (req, res) => {
+  const supplier = await findSupplier(req, res);
+  const { product: productId } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    res.status(400);
+    throw new Error('A valid product is required');
+  }
+  const product = await Product.findById(productId).select('hasVariants');
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+  if (product.hasVariants) {
+    res.status(400);
+    throw new Error('Add the variants of this product instead');
+  }
+  if (await SupplierProduct.exists({ supplier: supplier._id, product: product._id })) {
+    res.status(400);
+    throw new Error('This supplier already has this product');
+  }
+
+  const record = new SupplierProduct({
+    supplier: supplier._id,
+    product: product._id,
+    ...parseFields(req.body, res),
+    createdBy: req.user.id
+  });
+  if (record.isPreferred) await clearOtherPreferred(record);
+  await record.save();
+  res.status(201).json(record);
+});
+
+// @desc    Update a supplier's terms for a product
+// @route   PUT /api/suppliers/:id/products/:productId
+// @access  Protected
+const updateSupplierProduct = asyncHandler(async (req, res) => {
+  const supplier = await findSupplier(req, res);
+  if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+    res.status(400);
+    throw new Error('Invalid Product ID format');
+  }
+  const record = await SupplierProduct.findOne({ supplier: supplier._id, product: req.params.productId });
+  if (!record) {
+    res.status(404);
+    throw new Error('This supplier does not have this product');
+  }
+  record.set(parseFields(req.body, res));
+  if (record.isModified('isPreferred') && record.isPreferred) await clearOtherPreferred(record);
+  const updatedRecord = await record.save();
+  res.json(updatedRecord);
+});
+
+// @desc    Remove a product from a supplier's catalog
+// @route   DELETE /api/suppliers/:id/products/:productId
+// @access  Protected
+const removeSupplierProduct = asyncHandler(async (req, res) => {
+  const supplier = await findSupplier(req, res);
+  if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+    res.status(400);
+    throw new Error('Invalid Product ID format');
+  }
+  const record = await SupplierProduct.findOne({ supplier: supplier._id, product: req.params.productId });
+  if (!record) {
+    res.status(404);
+    throw new Error('This supplier does not have this product');
+  }
+  await record.deleteOne();
+  res.status(200).json({ message: 'Product removed from supplier' });
+});
+
+module.exports = {
+  getSupplierProducts,
+  addSupplierProduct,
+  updateSupplierProduct,
+  removeSupplierProduct,
+};
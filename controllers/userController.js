@@ -0,0 +1,481 @@
+const asyncHandler = require('express-async-handler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const UserToken = require('../models/UserToken');
+const Role = require('../models/Role');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const sessionService = require('../services/sessionService');
+const loginThrottle = require('../services/loginThrottleService');
+const { sendInvitationEmail } = require('../services/emailService');
+
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_EXPIRES_HOURS) || 72;
+
+const populateUser = (query) => query
+    .populate('locations', 'name type _id isActive')
+    .populate('locationRoles.location', 'name type _id')
+    .select('-password');
+
+const ensureValidId = (id, res) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid User ID format');
+    }
+};
+
+const findUserOr404 = async (id, res) => {
+    ensureValidId(id, res);
+    const user = await User.findById(id);
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    return user;
+};
+
+// Returns the ObjectIds of the given locations, rejecting unknown/inactive ones
+const resolveLocations = async (locationIds, res) => {
+    if (!Array.isArray(locationIds)) {
+        res.status(400);
+        throw new Error('locations must be an array of Location IDs');
+    }
+    const invalidFormat = locationIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidFormat.length > 0) {
+        res.status(400);
+        throw new Error(`Invalid Location ID format: ${invalidFormat.join(', ')}`);
+    }
+    const found = await Location.find({ _id: { $in: locationIds }, isActive: true }).select('_id');
+    const foundIds = found.map(loc => loc._id);
+    const missing = locationIds.filter(id => !foundIds.some(foundId => foundId.equals(id)));
+    if (missing.length > 0) {
+        res.status(400);
+        throw new Error(`Invalid or inactive location IDs: ${missing.join(', ')}`);
+    }
+    return foundIds;
+};
+
+// Roles are configurable, so validate against the Role collection
+const ensureValidRole = async (role, res) => {
+    if (!role || !(await Role.exists({ key: role }))) {
+        const roles = await Role.find().select('key').sort({ key: 1 }).lean();
+        res.status(400);
+        throw new Error(`Invalid role: ${role}. Must be one of: ${roles.map(r => r.key).join(', ')}`);
+    }
+};
+
+// An admin must not lock themselves out through the management API
+const preventSelfLockout = (req, user, res, message) => {
+    if (user._id.equals(req.user._id)) {
+        res.status(400);
+        throw new Error(message);
+    }
+};
+
+// @desc    List / search users
+// @route   GET /api/users
+// @access  Private (users.view)
+const getUsers = asyncHandler(async (req, res) => {
+    const { search, role, active, locationId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (search) {
+        const searchRegex = { $regex: search, $options: 'i' };
+        filter.$or = [{ name: searchRegex }, { email: searchRegex }, { username: searchRegex }];
+    }
+    if (role) filter.role = role;
+    if (active === 'true' || active === 'false') filter.active = active === 'true';
+    if (locationId) {
+        if (!mongoose.Types.ObjectId.isValid(locationId)) {
+            res.status(400);
+            throw new Error('Invalid Location ID format');
+        }
+        filter.locations = locationId;
+    }
+
+    const queryLimit = Math.min(parseInt(limit, 10) || 20, 100);
+    const queryPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [users, total] = await Promise.all([
+        populateUser(User.find(filter))
+            .sort({ name: 1 })
+            .skip((queryPage - 1) * queryLimit)
+            .limit(queryLimit),
+        User.countDocuments(filter)
+    ]);
+
+    res.json({
+        users,
+        totalPages: Math.ceil(total / queryLimit),
+        currentPage: queryPage,
+        total
+    });
+});
+
+// @desc    Get a single user
+// @route   GET /api/users/:id
+// @access  Private (users.view)
+const getUserById = asyncHandler(async (req, res) => {
+    ensureValidId(req.params.id, res);
+    const user = await populateUser(User.findById(req.params.id)).populate('invitedBy', 'name email');
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+    // Lets admins see (and lift) a lockout caused by failed logins
+    res.json({ ...user.toObject(), lockedUntil: await loginThrottle.getAccountLock(user.email) });
+});
+
+// @desc    Invite a user by email (account stays inactive until activated)
+// @route   POST /api/users/invite
+// @access  Private (users.manage)
+const inviteUser = asyncHandler(async (req, res) => {
+    const { name, email, role = 'staff', locations = [] } = req.body;
+
+    if (!name || !email) {
+        res.status(400);
+        throw new Error('Name and email are required');
+    }
+    await ensureValidRole(role, res);
+    if (await User.isEmailTaken(email)) {
+        res.status(400);
+        throw new Error('Email address already in use');
+    }
+    const locationIds = await resolveLocations(locations, res);
+
+    const user = await User.create({
+        name,
+        email,
+        // Unusable random password until the invitee picks their own
+        password: crypto.randomBytes(32).toString('hex'),
+        role,
+        locations: locationIds,
+        active: false,
+        invitedBy: req.user._id,
+        invitedAt: new Date()
+    });
+
+    const token = await UserToken.issue(user._id, 'invitation', INVITATION_TTL_HOURS * 60 * 60 * 1000, req.user._id);
+    const emailResult = await sendInvitationEmail(user, token, {
+        invitedBy: req.user,
+        expiresInHours: INVITATION_TTL_HOURS
+    });
+
+    await AuditMiddleware.logUserAction(
+        'user_invited',
+        user,
+        `Invited ${user.email} as ${role}`,
+        req.auditContext,
+        { before: null, after: { role, locations: locationIds }, fields: ['role', 'locations'] }
+    );
+
+    res.status(201).json({
+        message: `Invitation created for ${user.email}`,
+        user: await populateUser(User.findById(user._id)),
+        emailSent: !emailResult.skipped,
+        // Let the admin share the link manually when email could not be sent
+        activationLink: emailResult.skipped ? emailResult.activationLink : undefined
+    });
+});
+
+// @desc    Re-send the invitation of a user who has not activated yet
+// @route   POST /api/users/:id/resend-invite
+// @access  Private (users.manage)
+const resendInvitation = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    if (!user.invitedAt || user.activatedAt) {
+        res.status(400);
+        throw new Error('This user has no pending invitation');
+    }
+
+    const token = await UserToken.issue(user._id, 'invitation', INVITATION_TTL_HOURS * 60 * 60 * 1000, req.user._id);
+    const emailResult = await sendInvitationEmail(user, token, {
+        invitedBy: req.user,
+        expiresInHours: INVITATION_TTL_HOURS
+    });
+
+    await AuditMiddleware.logUserAction('user_invited', user, `Re-sent invitation to ${user.email}`, req.auditContext);
+
+    res.json({
+        message: `Invitation re-sent to ${user.email}`,
+        emailSent: !emailResult.skipped,
+        activationLink: emailResult.skipped ? emailResult.activationLink : undefined
+    });
+});
+
+// @desc    Update basic user details
+// @route   PUT /api/users/:id
+// @access  Private (users.manage)
+const updateUser = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    const { name, email, phone, username } = req.body;
+    const before = { name: user.name, email: user.email, phone: user.phone, username: user.username };
+
+    if (email !== undefined && email.toLowerCase().trim() !== user.email) {
+        if (await User.isEmailTaken(email, user._id)) {
+            res.status(400);
+            throw new Error('Email address already in use');
+        }
+        user.email = email;
+    }
+    if (name !== undefined) user.name = name;
+    if (phone !== undefined) user.phone = phone;
+    if (username !== undefined) user.username = username;
+
+    await user.save();
+
+    const after = { name: user.name, email: user.email, phone: user.phone, username: user.username };
+    const fields = Object.keys(after).filter(key => before[key] !== after[key]);
+    if (fields.length > 0) {
+        await AuditMiddleware.logUserAction(
+            'user_updated', user, `Updated ${fields.join(', ')} of ${user.email}`, req.auditContext,
+            { before, after, fields }
+        );
+    }
+
+    res.json(await populateUser(User.findById(user._id)));
+});
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:id/role
+// @access  Private (users.manage)
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { role } = req.body;
+    await ensureValidRole(role, res);
+    const user = await findUserOr404(req.params.id, res);
+    preventSelfLockout(req, user, res, 'You cannot change your own role');
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+        return res.json({ message: `User already has role ${role}`, user: await populateUser(User.findById(user._id)) });
+    }
+    user.role = role;
+    await user.save();
+
+    // Access tokens carry the role, so force the user to sign in again
+    await sessionService.revokeAllUserSessions(user._id, { reason: 'admin_revoked', revokedBy: req.user._id });
+
+    await AuditMiddleware.logUserAction(
+        'user_role_changed', user, `Changed role of ${user.email} from ${previousRole} to ${role}`, req.auditContext,
+        { before: { role: previousRole }, after: { role }, fields: ['role'] }
+    );
+
+    res.json({ message: `Role updated to ${role}`, user: await populateUser(User.findById(user._id)) });
+});
+
+// Shared by the three location endpoints below
+const saveUserLocations = async (req, res, user, newLocationIds, description) => {
+    const before = user.locations.map(id => id.toString());
+    user.locations = newLocationIds;
+    await user.save();
+    const after = user.locations.map(id => id.toString());
+
+    await AuditMiddleware.logUserAction(
+        'user_locations_changed', user, description, req.auditContext,
+        { before: { locations: before }, after: { locations: after }, fields: ['locations'] }
+    );
+
+    res.json({ message: 'User locations updated', user: await populateUser(User.findById(user._id)) });
+};
+
+// @desc    Replace the list of locations assigned to a user
+// @route   PUT /api/users/:id/locations
+// @access  Private (users.manage)
+const setUserLocations = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    const locationIds = await resolveLocations(req.body.locations, res);
+    await saveUserLocations(req, res, user, locationIds, `Set locations of ${user.email} (${locationIds.length} location(s))`);
+});
+
+// @desc    Assign additional locations to a user
+// @route   POST /api/users/:id/locations
+// @access  Private (users.manage)
+const assignUserLocations = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    const locationIds = await resolveLocations(req.body.locations, res);
+    const toAdd = locationIds.filter(id => !user.locations.some(existing => existing.equals(id)));
+    await saveUserLocations(req, res, user, [...user.locations, ...toAdd], `Assigned ${toAdd.length} location(s) to ${user.email}`);
+});
+
+// @desc    Unassign a location from a user
+// @route   DELETE /api/users/:id/locations/:locationId
+// @access  Private (users.manage)
+const unassignUserLocation = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    const { locationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+        res.status(400);
+        throw new Error('Invalid Location ID format');
+    }
+    if (!user.locations.some(id => id.equals(locationId))) {
+        res.status(404);
+        throw new Error('Location is not assigned to this user');
+    }
+    const remaining = user.locations.filter(id => !id.equals(locationId));
+    await saveUserLocations(req, res, user, remaining, `Unassigned location ${locationId} from ${user.email}`);
+});
+
+// @desc    Replace the roles a user holds at specific locations (e.g. manager at
+//          one store, staff at another). Other assigned locations use the user's role.
+// @route   PUT /api/users/:id/location-roles
+// @access  Private (users.manage)
+const setUserLocationRoles = asyncHandler(async (req, res) => {
+    const { locationRoles } = req.body;
+    if (!Array.isArray(locationRoles)) {
+        res.status(400);
+        throw new Error('locationRoles must be an array of { location, role }');
+    }
+    const user = await findUserOr404(req.params.id, res);
+    preventSelfLockout(req, user, res, 'You cannot change your own location roles');
+
+    const requested = locationRoles.map(a => a?.location);
+    await resolveLocations(requested, res);
+    if (new Set(requested.map(String)).size !== requested.length) {
+        res.status(400);
+        throw new Error('Each location can only have one role');
+    }
+    const locationIds = requested.map(id => new mongoose.Types.ObjectId(String(id)));
+    for (const { role } of locationRoles) {
+        // The admin role already covers every location
+        if (role === 'admin') {
+            res.status(400);
+            throw new Error("The admin role applies to every location and cannot be assigned per location");
+        }
+        await ensureValidRole(role, res);
+    }
+
+    const before = user.locationRoles.map(a => ({ location: a.location.toString(), role: a.role }));
+    // A location role implies access to the location
+    const toAdd = locationIds.filter(id => !user.locations.some(existing => existing.equals(id)));
+    user.locations = [...user.locations, ...toAdd];
+    user.locationRoles = locationRoles.map((a, i) => ({ location: locationIds[i], role: a.role }));
+    await user.save();
+    const after = user.locationRoles.map(a => ({ location: a.location.toString(), role: a.role }));
+
+    await AuditMiddleware.logUserAction(
+        'user_location_roles_changed', user, `Set location roles of ${user.email} (${after.length} location(s))`, req.auditContext,
+        { before: { locationRoles: before }, after: { locationRoles: after }, fields: ['locationRoles'] }
+    );
+
+    res.json({ message: 'User location roles updated', user: await populateUser(User.findById(user._id)) });
+});
+
+// @desc    Activate or deactivate a user
+// @route   PATCH /api/users/:id/status
+// @access  Private (users.manage)
+const setUserStatus = asyncHandler(async (req, res) => {
+    const { active } = req.body;
+    if (typeof active !== 'boolean') {
+        res.status(400);
+        throw new Error('active must be a boolean');
+    }
+    const user = await findUserOr404(req.params.id, res);
+    preventSelfLockout(req, user, res, 'You cannot change the status of your own account');
+
+    if (user.active === active) {
+        return res.json({ message: `User is already ${active ? 'active' : 'inactive'}`, user: await populateUser(User.findById(user._id)) });
+    }
+    if (active && user.invitedAt && !user.activatedAt) {
+        res.status(400);
+        throw new Error('This user has not accepted their invitation yet');
+    }
+
+    user.active = active;
+    await user.save({ validateBeforeSave: false });
+
+    if (!active) {
+        await sessionService.revokeAllUserSessions(user._id, { reason: 'user_deactivated', revokedBy: req.user._id });
+    }
+
+    await AuditMiddleware.logUserAction(
+        active ? 'user_reactivated' : 'user_deactivated',
+        user,
+        `${active ? 'Reactivated' : 'Deactivated'} ${user.email}`,
+        req.auditContext,
+        { before: { active: !active }, after: { active }, fields: ['active'] }
+    );
+
+    res.json({ message: `User ${active ? 'activated' : 'deactivated'}`, user: await populateUser(User.findById(user._id)) });
+});
+
+// @desc    Set a new password for a user and sign them out everywhere
+// @route   POST /api/users/:id/reset-password
+// @access  Private (users.manage)
+const resetUserPassword = asyncHandler(async (req, res) => {
+    const { password } = req.body;
+    if (!password || password.length < 8) {
+        res.status(400);
+        throw new Error('A new password of at least 8 characters is required');
+    }
+    const user = await findUserOr404(req.params.id, res);
+
+    user.password = password; // Hashed by the pre-save hook
+    await user.save();
+    await sessionService.revokeAllUserSessions(user._id, { reason: 'password_changed', revokedBy: req.user._id });
+
+    await AuditMiddleware.logUserAction('user_password_reset', user, `Reset password of ${user.email}`, req.auditContext);
+
+    res.json({ message: `Password reset for ${user.email}. All sessions have been signed out.` });
+});
+
+// @desc    Lift the lockout applied to a user after repeated failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users.manage)
+const unlockUser = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+
+    const lockedUntil = await loginThrottle.getAccountLock(user.email);
+    if (!lockedUntil) {
+        res.status(400);
+        throw new Error('This account is not locked');
+    }
+    await loginThrottle.clearAccountFailures(user.email);
+
+    await AuditMiddleware.logUserAction('user_unlocked', user, `Unlocked ${user.email}`, req.auditContext);
+
+    res.json({ message: `${user.email} can log in again` });
+});
+
+// @desc    Turn off two-factor for a user who lost their authenticator and recovery codes
+// @route   POST /api/users/:id/reset-two-factor
+// @access  Private (users.manage)
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const user = await findUserOr404(req.params.id, res);
+    if (!user.twoFactor?.enabled) {
+        res.status(400);
+        throw new Error('Two-factor authentication is not enabled for this user');
+    }
+
+    await User.updateOne({ _id: user._id }, {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodes': 1,
+            'twoFactor.lastUsedStep': 1,
+            'twoFactor.enabledAt': 1
+        }
+    });
+    await sessionService.revokeAllUserSessions(user._id, { reason: 'two_factor_reset', revokedBy: req.user._id });
+
+    await AuditMiddleware.logUserAction('user_two_factor_reset', user, `Reset two-factor authentication of ${user.email}`, req.auditContext);
+
+    res.json({ message: `Two-factor authentication reset for ${user.email}. All sessions have been signed out.` });
+});
+
+module.exports = {
+    getUsers,
+    getUserById,
+    inviteUser,
+    resendInvitation,
+    updateUser,
+    updateUserRole,
+    setUserLocations,
+    assignUserLocations,
+    unassignUserLocation,
+    setUserLocationRoles,
+    setUserStatus,
+    resetUserPassword,
+    unlockUser,
+    resetUserTwoFactor
+};
@@ -1,5 +1,15 @@
 const AuditTrail = require('../models/AuditTrail');
 
+const HIGH_URGENCY_USER_ACTIONS = ['user_role_changed', 'user_location_roles_changed', 'user_deactivated', 'user_password_reset', 'user_sessions_revoked', 'user_locked_out',
+  'user_two_factor_disabled', 'user_two_factor_reset'];
+const LOW_URGENCY_USER_ACTIONS = ['user_login', 'user_logout'];
+
+const userActionUrgency = (action) => {
+  if (HIGH_URGENCY_USER_ACTIONS.includes(action)) return 'high';
+  if (LOW_URGENCY_USER_ACTIONS.includes(action)) return 'low';
+  return 'medium';
+};
+
 /**
  * Comprehensive audit middleware for tracking all system activities
  * Integrates with MongoDB MCP for optimized logging and querying
@@ -104,9 +114,11 @@ class AuditMiddleware {
         userId: req.user?.id,
         userEmail: req.user?.email,
         userRole: req.user?.role,
+        organizationId: req.organization?._id,
+        source: req.apiKey ? 'api' : undefined,
         ipAddress: req.ip || req.connection.remoteAddress,
         userAgent: req.get('User-Agent'),
-        sessionId: req.session?.id
+        sessionId: req.sessionId?.toString() || req.session?.id
       };
       next();
     };
@@ -128,6 +140,7 @@ class AuditMiddleware {
         ipAddress: context.ipAddress,
         userAgent: context.userAgent,
         sessionId: context.sessionId,
+        source: context.source,
         metadata: {
           ...metadata,
           urgencyLevel: metadata.urgencyLevel || 'medium'
@@ -141,6 +154,135 @@ class AuditMiddleware {
     }
   }
 
+  /**
+   * User management audit (invites, role/location changes, deactivation...)
+   */
+  static async logUserAction(action, targetUser, description, context, changes = null) {
+    try {
+      const auditData = {
+        action,
+        userId: context.userId,
+        userEmail: context.userEmail,
+        userRole: context.userRole,
+        // Set explicitly: account emails (activation, resets) are handled outside a tenant context
+        organization: context.organizationId || targetUser.organization,
+        entityType: 'user',
+        entityId: targetUser._id,
+        entityName: targetUser.email,
+        description,
+        changes,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        source: context.source,
+        metadata: {
+          relatedType: 'User',
+          urgencyLevel: userActionUrgency(action)
+        }
+      };
+
+      return await AuditTrail.logAction(auditData);
+    } catch (error) {
+      console.error('User management audit failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Role/permission management audit
+   */
+  static async logRoleAction(action, role, description, context, changes = null) {
+    try {
+      return await AuditTrail.logAction({
+        action,
+        userId: context.userId,
+        userEmail: context.userEmail,
+        userRole: context.userRole,
+        entityType: 'role',
+        entityId: role._id,
+        entityName: role.key,
+        description,
+        changes,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        source: context.source,
+        metadata: {
+          relatedType: 'Role',
+          urgencyLevel: 'high'
+        }
+      });
+    } catch (error) {
+      console.error('Role management audit failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * API key management audit
+   */
+  static async logApiKeyAction(action, apiKey, description, context, changes = null) {
+    try {
+      return await AuditTrail.logAction({
+        action,
+        userId: context.userId,
+        userEmail: context.userEmail,
+        userRole: context.userRole,
+        entityType: 'api_key',
+        entityId: apiKey._id,
+        entityName: `${apiKey.name} (${apiKey.prefix}…)`,
+        description,
+        changes,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        source: context.source,
+        metadata: {
+          urgencyLevel: 'high'
+        }
+      });
+    } catch (error) {
+      console.error('API key audit failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Product merge audit: the surviving product, with the merged one and what moved
+   */
+  static async logProductMerge(survivor, duplicate, summary, context, reason) {
+    try {
+      return await AuditTrail.logAction({
+        action: 'product_merged',
+        userId: context.userId,
+        userEmail: context.userEmail,
+        userRole: context.userRole,
+        entityType: 'product',
+        entityId: survivor._id,
+        entityName: `${survivor.name} (${survivor.sku})`,
+        description: `Merged ${duplicate.name} (${duplicate.sku}) into ${survivor.name} (${survivor.sku})${reason ? `: ${reason}` : ''}`,
+        changes: {
+          before: { id: duplicate._id, name: duplicate.name, sku: duplicate.sku, barcode: duplicate.barcode },
+          after: summary,
+          fields: ['inventory', 'barcodeAliases']
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        source: context.source,
+        metadata: {
+          relatedDocuments: [duplicate._id],
+          relatedType: 'Product',
+          quantityChange: summary.inventory.reduce((sum, entry) => sum + entry.quantity, 0),
+          urgencyLevel: 'high'
+        }
+      });
+    } catch (error) {
+      console.error('Product merge audit failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Enhanced purchase receiving audit
    */
@@ -158,6 +300,7 @@ class AuditMiddleware {
         ipAddress: context.ipAddress,
         userAgent: context.userAgent,
         sessionId: context.sessionId,
+        source: context.source,
         metadata: {
           location: purchaseData.warehouse,
           quantityChange: inventoryUpdates.reduce((sum, update) => sum + update.adjustment, 0),
@@ -197,6 +340,7 @@ class AuditMiddleware {
         description: `Stock ${adjustment > 0 ? 'increased' : 'decreased'} by ${Math.abs(adjustment)} units: ${reason}`,
         ipAddress: context.ipAddress,
         userAgent: context.userAgent,
+        source: context.source,
         metadata: {
           ...metadata,
           quantityChange: adjustment,
@@ -211,6 +355,37 @@ class AuditMiddleware {
     }
   }
 
+  /**
+   * Bulk data import audit: one entry per import, the created documents as related documents
+   */
+  static async logDataImport(entityType, importId, fileName, description, context, summary, relatedIds = [], relatedType = null) {
+    try {
+      return await AuditTrail.logAction({
+        action: 'data_import',
+        userId: context.userId,
+        userEmail: context.userEmail,
+        userRole: context.userRole,
+        entityType,
+        entityId: importId,
+        entityName: fileName,
+        description,
+        changes: { before: null, after: summary },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        sessionId: context.sessionId,
+        source: 'import',
+        metadata: {
+          relatedDocuments: relatedIds,
+          relatedType,
+          urgencyLevel: 'medium'
+        }
+      });
+    } catch (error) {
+      console.error('Data import audit failed:', error);
+      return null;
+    }
+  }
+
   /**
    * Low stock alert audit
    */
@@ -1,31 +1,93 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const User = require('../models/User'); // **** Import the User model ****
+const Organization = require('../models/Organization');
+const { isSessionActive } = require('../services/sessionService');
+const { getPermissionsForRole, permissionMatches, loadRolePermissions } = require('../services/permissionService');
+const { isLocationScopedPermission } = require('../config/permissions');
+const { runWithOrganization } = require('../services/tenantContext');
+const { authenticateApiKey, trackApiKeyUsage } = require('../services/apiKeyService');
+
+// Integrations authenticate with an X-API-Key header instead of a Bearer JWT
+const verifyApiKey = async (req, res, next, rawKey) => {
+  try {
+    const { apiKey, organization, principal } = await authenticateApiKey(rawKey, req);
+    req.user = principal;
+    req.apiKey = apiKey;
+    req.organization = organization;
+    req.permissions = apiKey.permissions; // Keys carry their own permissions
+    trackApiKeyUsage(req, res, apiKey);
+    runWithOrganization(organization._id, () => next());
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("API Key Verification Error:", err);
+    res.status(500).json({ message: 'Failed to authenticate API key.' });
+  }
+};
+
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Verify an access token and load everything a request needs from it.
+// Shared by verifyToken and the Socket.io handshake (see socket.js).
+// Throws jsonwebtoken errors, or an Error with a `status` property.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // --- Reject tokens whose session was logged out or revoked ---
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    throw authError(401, 'Session has been revoked. Please log in again.');
+  }
+
+  // --- Fetch the full user document from DB ---
+  const user = await User.findById(decoded.id)
+    .populate('locations', '_id name type'); // Populate locations if needed downstream
+
+  if (!user) {
+    throw authError(401, 'User belonging to this token does no longer exist.');
+  }
+
+  if (!user.active) {
+    throw authError(403, 'User account is inactive.');
+  }
+
+  // --- Resolve the tenant: everything after this runs scoped to the user's organization ---
+  const organization = user.organization && await Organization.findById(user.organization);
+  if (!organization || !organization.isActive) {
+    throw authError(403, 'Organization is inactive or no longer exists.');
+  }
+
+  return { user, organization, sessionId: decoded.sid, expiresAt: new Date(decoded.exp * 1000) };
+};
+exports.resolveAccessToken = resolveAccessToken;
 
 exports.verifyToken = async (req, res, next) => { // **** Make async ****
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return verifyApiKey(req, res, next, apiKey);
+
   const token = req.headers.authorization?.split(' ')[1];
 
   if (!token) return res.status(401).json({ message: 'Access denied. No token provided.' }); // Use message for consistency
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // --- Fetch the full user document from DB ---
-    const user = await User.findById(decoded.id)
-                           .populate('locations', '_id name type'); // Populate locations if needed downstream
-
-    if (!user) {
-        return res.status(401).json({ message: 'User belonging to this token does no longer exist.' });
-    }
-
-    if (!user.active) {
-         return res.status(403).json({ message: 'User account is inactive.' });
-    }
+    const { user, organization, sessionId } = await resolveAccessToken(token);
 
     // --- Set req.user to the Mongoose document ---
     req.user = user;
-    next();
+    req.organization = organization;
+    req.sessionId = sessionId;
+    // Permissions of every role the user holds, for the per-location checks
+    await runWithOrganization(organization._id, () => loadRolePermissions(user));
+    runWithOrganization(organization._id, () => next());
   } catch (err) {
+     if (err.status) {
+         return res.status(err.status).json({ message: err.message });
+     }
      if (err.name === 'JsonWebTokenError') {
          return res.status(401).json({ message: 'Invalid token.' });
      }
@@ -38,6 +100,66 @@ exports.verifyToken = async (req, res, next) => { // **** Make async ****
   }
 };
 
+// Resolve the permissions of the user's role once per request
+// (API keys set req.permissions in verifyToken)
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await getPermissionsForRole(req.user.role);
+  }
+  return req.permissions;
+};
+
+// Whether the user holds a permission through their account-wide role or,
+// for location-scoped permissions, through a role held at any location.
+// Which locations it applies to is checked by hasLocationAccess / hasAccessToLocation.
+const holdsPermission = (req, granted, permission) => {
+  if (permissionMatches(granted, permission)) return true;
+  if (!isLocationScopedPermission(permission) || !req.user.locationRoles) return false;
+  const rolePermissions = req.user.$locals?.rolePermissions || {};
+  return req.user.locationRoles.some(a => permissionMatches(rolePermissions[a.role] || [], permission));
+};
+
+// Middleware to require every one of the given permissions (see config/permissions.js)
+// Usage: router.post('/', verifyToken, requirePermission('products.create'), createProduct)
+exports.requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+  try {
+    const granted = await loadPermissions(req);
+    const missing = permissions.filter(p => !holdsPermission(req, granted, p));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: `Forbidden: Requires permission: ${missing.join(', ')}` });
+    }
+    // hasLocationAccess checks these again against the role held at the location
+    req.requiredPermissions = [...(req.requiredPermissions || []), ...permissions];
+    next();
+  } catch (err) {
+    console.error('Permission check error:', err);
+    res.status(500).json({ message: 'Failed to check permissions.' });
+  }
+};
+
+// Middleware to require at least one of the given permissions
+exports.requireAnyPermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+  try {
+    const granted = await loadPermissions(req);
+    if (!permissions.some(p => holdsPermission(req, granted, p))) {
+      return res.status(403).json({ message: `Forbidden: Requires one of permissions: ${permissions.join(', ')}` });
+    }
+    next();
+  } catch (err) {
+    console.error('Permission check error:', err);
+    res.status(500).json({ message: 'Failed to check permissions.' });
+  }
+};
+
+// --- Role checks below are kept for backwards compatibility. ---
+// Routes use requirePermission() so access can be configured per role.
+
 // Example: Middleware to check for Admin role
 exports.isAdmin = async (req, res, next) => {
     // Now req.user is the full Mongoose document
@@ -59,8 +181,10 @@ exports.isManagerOrAdmin = async (req, res, next) => {
 };
 
 // Example: Middleware to check if user has access to a specific location
-// Assumes locationId is available in req.params, req.query, or req.body
-exports.hasLocationAccess = (locationIdParam = 'id') => { // Default param name is 'id'
+// Assumes locationId is available in req.params, req.query, or req.body.
+// The role the user holds at that location must grant the given permissions,
+// or by default those demanded by requirePermission earlier in the route.
+exports.hasLocationAccess = (locationIdParam = 'id', ...permissions) => { // Default param name is 'id'
   return async (req, res, next) => { // Function needs to be async if user lookup happened here, but it's now in verifyToken
     const locationId = req.params[locationIdParam] || req.query[locationIdParam] || req.body[locationIdParam];
 
@@ -74,7 +198,9 @@ exports.hasLocationAccess = (locationIdParam = 'id') => { // Default param name
 
     // Find the user from the token (verifyToken already fetched the full user document)
     // Use the User model method we added - This should now work!
-    if (req.user && req.user.hasAccessToLocation(locationId)) {
+    const required = permissions.length > 0 ? permissions : (req.requiredPermissions || []);
+    if (req.user && req.user.hasAccessToLocation(locationId) &&
+        required.every(permission => req.user.hasAccessToLocation(locationId, permission))) {
       next();
     } else {
       // Log details for debugging, but send generic error to client
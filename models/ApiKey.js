@@ -0,0 +1,74 @@
+// models/ApiKey.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// Credentials for machine-to-machine integrations. Only the SHA-256 hash of
+// the key is stored; the key itself is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true
+  },
+  // First characters of the key, so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Empty means every location of the organization
+  locations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }],
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+apiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generate a new random key. Returns the raw key (to hand to the caller
+ * once) together with the values to store.
+ */
+apiKeySchema.statics.generateKey = function() {
+  const key = `sfk_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, 12), keyHash: this.hashKey(key) };
+};
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
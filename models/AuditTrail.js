@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const auditTrailSchema = new mongoose.Schema({
   // Core audit information
@@ -21,14 +22,45 @@ const auditTrailSchema = new mongoose.Schema({
       'purchase_cancelled',
       'purchase_payment',
       
+      // Product actions
+      'product_merged',
+
       // Sales actions
       'sale_created',
       'sale_updated',
       'sale_cancelled',
       'sale_refund',
       
+      // User management actions
+      'user_invited',
+      'user_activated',
+      'user_updated',
+      'user_role_changed',
+      'user_locations_changed',
+      'user_location_roles_changed',
+      'user_deactivated',
+      'user_reactivated',
+      'user_password_reset',
+      'user_email_verified',
+      'user_sessions_revoked',
+      'user_unlocked',
+      'user_two_factor_enabled',
+      'user_two_factor_disabled',
+      'user_two_factor_reset',
+      'user_recovery_codes_regenerated',
+      'role_created',
+      'role_updated',
+      'role_deleted',
+      
+      // Integration actions
+      'api_key_created',
+      'api_key_revoked',
+      'api_request',
+      
       // System actions
       'user_login',
+      'user_login_failed',
+      'user_locked_out',
       'user_logout',
       'settings_changed',
       'report_generated',
@@ -56,7 +88,7 @@ const auditTrailSchema = new mongoose.Schema({
   entityType: {
     type: String,
     required: true,
-    enum: ['inventory', 'purchase', 'sale', 'product', 'supplier', 'customer', 'user', 'system']
+    enum: ['inventory', 'purchase', 'sale', 'product', 'supplier', 'customer', 'user', 'role', 'api_key', 'system']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -94,7 +126,7 @@ const auditTrailSchema = new mongoose.Schema({
     }],
     relatedType: {
       type: String,
-      enum: ['Purchase', 'Sale', 'Inventory', 'Product', 'User']
+      enum: ['Purchase', 'Sale', 'Inventory', 'Product', 'User', 'Role']
     },
     quantityChange: Number,
     valueChange: Number,
@@ -171,16 +203,67 @@ auditTrailSchema.statics.getUserActivity = async function(userId, days = 30, lim
   .limit(limit);
 };
 
-auditTrailSchema.statics.getSecurityEvents = async function(days = 7) {
+auditTrailSchema.statics.SECURITY_ACTIONS = [
+  'user_login',
+  'user_login_failed',
+  'user_locked_out',
+  'user_unlocked',
+  'user_two_factor_enabled',
+  'user_two_factor_disabled',
+  'user_two_factor_reset',
+  'user_recovery_codes_regenerated',
+  'user_logout',
+  'user_sessions_revoked',
+  'user_password_reset',
+  'settings_changed'
+];
+
+auditTrailSchema.statics.getSecurityEvents = async function(days = 7, limit = 100) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
   return await this.find({
-    action: { $in: ['user_login', 'user_logout', 'settings_changed'] },
+    action: { $in: this.SECURITY_ACTIONS },
     timestamp: { $gte: startDate }
   })
   .populate('userId', 'name email')
-  .sort({ timestamp: -1 });
+  .sort({ timestamp: -1 })
+  .limit(limit);
+};
+
+// Login outcomes per day, for the security view of the audit dashboard
+auditTrailSchema.statics.getLoginActivity = async function(days = 7) {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+
+  return await this.aggregate([
+    {
+      $match: {
+        action: { $in: ['user_login', 'user_login_failed', 'user_locked_out'] },
+        timestamp: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          action: '$action'
+        },
+        count: { $sum: 1 },
+        users: { $addToSet: '$userEmail' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id.date',
+        action: '$_id.action',
+        count: 1,
+        uniqueUsers: { $size: '$users' }
+      }
+    },
+    { $sort: { date: 1, action: 1 } }
+  ]);
 };
 
 auditTrailSchema.statics.getCriticalEvents = async function(hours = 24) {
@@ -217,4 +300,6 @@ auditTrailSchema.methods.toSummary = function() {
   };
 };
 
+auditTrailSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('AuditTrail', auditTrailSchema);
\ No newline at end of file
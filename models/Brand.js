@@ -1,11 +1,11 @@
 // models/Brand.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const brandSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Brand name is required'],
-    unique: true, // Ensure brand names are unique
     trim: true
   },
   status: { 
@@ -21,6 +21,9 @@ const brandSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
-brandSchema.index({ name: 1 });
+// Brand names are unique within an organization
+brandSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+brandSchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('Brand', brandSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/Category.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -27,7 +28,9 @@ const categorySchema = new mongoose.Schema({
   // parentCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }
 }, { timestamps: true });
 
-// Compound unique index for (name, createdBy)
-categorySchema.index({ name: 1, createdBy: 1 }, { unique: true });
+// Compound unique index for (organization, name, createdBy)
+categorySchema.index({ organization: 1, name: 1, createdBy: 1 }, { unique: true });
+
+categorySchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
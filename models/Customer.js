@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const customerSchema = new mongoose.Schema({
   customerName: {
@@ -9,7 +10,6 @@ const customerSchema = new mongoose.Schema({
   code: {
     type: String,
     required: [true, 'Customer code is required'],
-    unique: true,
     trim: true
   },
   email: {
@@ -50,6 +50,12 @@ const customerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Customer group (e.g. 'wholesale') selecting the price lists of its sales
+  group: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   status: {
     type: String,
     enum: ['active', 'inactive'],
@@ -64,10 +70,11 @@ const customerSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 customerSchema.index({ customerName: 1 });
-customerSchema.index({ code: 1 });
+customerSchema.index({ organization: 1, code: 1 }, { unique: true }); // Codes are unique per organization
 customerSchema.index({ email: 1 });
 customerSchema.index({ phone: 1 });
 customerSchema.index({ status: 1 });
+customerSchema.index({ group: 1 });
 
 // Virtual for full address
 customerSchema.virtual('fullAddress').get(function() {
@@ -78,4 +85,6 @@ customerSchema.virtual('fullAddress').get(function() {
 // Ensure virtual fields are serialized
 customerSchema.set('toJSON', { virtuals: true });
 
+customerSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const expenseSchema = new mongoose.Schema({
     category: {
@@ -76,4 +77,6 @@ const defaultCategories = [
 
 // Remove problematic initializeCategories method - categories are managed by ExpenseCategory model
 
+expenseSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
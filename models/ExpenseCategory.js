@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const expenseCategorySchema = new mongoose.Schema({
   name: {
@@ -23,6 +24,8 @@ const expenseCategorySchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-expenseCategorySchema.index({ name: 1, createdBy: 1 }, { unique: true });
+expenseCategorySchema.index({ organization: 1, name: 1, createdBy: 1 }, { unique: true });
+
+expenseCategorySchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('ExpenseCategory', expenseCategorySchema);
\ No newline at end of file
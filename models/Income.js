@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const incomeSchema = new mongoose.Schema({
     source: {
@@ -42,4 +43,6 @@ const incomeSchema = new mongoose.Schema({
 incomeSchema.index({ date: -1 });
 incomeSchema.index({ source: 1 });
 
+incomeSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Income', incomeSchema);
\ No newline at end of file
@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const incomeCategorySchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'Income category name is required.'],
-        trim: true,
-        unique: true
+        trim: true
     },
     description: {
         type: String,
@@ -18,7 +18,9 @@ const incomeCategorySchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
-// Index for faster querying by name
-incomeCategorySchema.index({ name: 1 });
+// Names are unique within an organization
+incomeCategorySchema.index({ organization: 1, name: 1 }, { unique: true });
+
+incomeCategorySchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('IncomeCategory', incomeCategorySchema);
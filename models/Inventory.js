@@ -1,5 +1,37 @@
 // models/Inventory.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+const { reconcileLots } = require('../services/lotService');
+
+// Stock from one delivery (see services/lotService.js)
+const lotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  quantity: { // In the product's base unit
+    type: Number,
+    required: true,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase' },
+  transfer: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTransfer' },
+  lastNotified: Date // Last expiry warning for this lot
+});
+
+// Stock of a lot moved by an action, as recorded on audit entries
+const movedLotSchema = new mongoose.Schema({
+  lot: mongoose.Schema.Types.ObjectId,
+  lotNumber: String,
+  expiryDate: Date,
+  receivedAt: Date,
+  quantity: Number
+}, { _id: false });
 
 const inventorySchema = new mongoose.Schema({
   product: {
@@ -18,10 +50,12 @@ const inventorySchema = new mongoose.Schema({
     min: [0, 'Quantity cannot be negative'],
     default: 0
   },
-  expiryDate: {
+  expiryDate: { // With lots: the earliest expiry among them (kept in sync on save)
     type: Date,
     required: false
   },
+  // Lots, first-expiry-first-out. Stock beyond their total is held in no lot.
+  lots: [lotSchema],
   minStock: {
     type: Number,
     min: [0, 'Minimum stock cannot be negative'],
@@ -44,6 +78,7 @@ const inventorySchema = new mongoose.Schema({
     newQuantity: Number, // Quantity AFTER this action
     relatedSaleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
     relatedTransferId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTransfer' },
+    lots: { type: [movedLotSchema], default: undefined }, // Lots the stock came from or went into
     timestamp: { type: Date, default: Date.now }
   }]
 }, { timestamps: true });
@@ -56,5 +91,32 @@ inventorySchema.index({ quantity: 1 }); // For finding low stock items
 // Index expiry date. Sparse means it only indexes documents that HAVE this field.
 inventorySchema.index({ expiryDate: 1 }, { sparse: true });
 // --- END ADDED INDEX ---
+inventorySchema.index({ 'lots.expiryDate': 1 }, { sparse: true });
+
+// Stock taken out without going through the lots leaves them FEFO
+inventorySchema.pre('save', function(next) {
+  if (this.isModified('quantity') || this.isModified('lots')) reconcileLots(this);
+  next();
+});
+
+// Parent products only group variants; stock is held per variant. Bundles
+// are made up from their components' stock.
+inventorySchema.pre('validate', async function(next) {
+  if (!this.isNew) return next();
+  try {
+    const product = await mongoose.model('Product').findById(this.product).select('hasVariants isBundle');
+    if (product && product.hasVariants) {
+      return next(new Error('Inventory cannot be held for a product with variants: use one of its variants'));
+    }
+    if (product && product.isBundle) {
+      return next(new Error('Inventory cannot be held for a bundle: stock its component products instead'));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+inventorySchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('Inventory', inventorySchema);
\ No newline at end of file
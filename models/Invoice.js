@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const invoiceSchema = new mongoose.Schema({
     sale: {
@@ -8,8 +9,7 @@ const invoiceSchema = new mongoose.Schema({
     },
     invoiceNumber: {
         type: String,
-        required: true,
-        unique: true
+        required: true
     },
     customer: {
         name: String,
@@ -69,16 +69,21 @@ const invoiceSchema = new mongoose.Schema({
     notes: String
 }, { timestamps: true });
 
+// Invoice numbers are unique within an organization
+invoiceSchema.index({ organization: 1, invoiceNumber: 1 }, { unique: true });
+
 // Generate invoice number before saving
 invoiceSchema.pre('save', async function(next) {
     if (!this.invoiceNumber) {
         const date = new Date();
         const year = date.getFullYear().toString().slice(-2);
         const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const count = await this.constructor.countDocuments();
+        const count = await this.constructor.countDocuments({ organization: this.organization });
         this.invoiceNumber = `INV-${year}${month}-${(count + 1).toString().padStart(4, '0')}`;
     }
     next();
 });
 
+invoiceSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -1,18 +1,16 @@
 // models/Location.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const locationSchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Location name is required'],
-    trim: true,
-    unique: true 
+    trim: true
   },
   storeCode: {
     type: String,
-    unique: true,
-    trim: true,
-    sparse: true // Allows multiple null values but unique non-null values
+    trim: true
   },
   address: {
     street: String,
@@ -128,6 +126,13 @@ locationSchema.virtual('fullAddress').get(function() {
   return addressParts.join(', ');
 });
 
+// Names and store codes are unique within an organization
+locationSchema.index({ organization: 1, name: 1 }, { unique: true });
+locationSchema.index(
+  { organization: 1, storeCode: 1 },
+  { unique: true, partialFilterExpression: { storeCode: { $type: 'string' } } } // Allows locations without a store code
+);
+
 // Virtual for contact info
 locationSchema.virtual('contactInfo').get(function() {
   if (!this.contactPerson || !this.contactPerson.name) return 'No contact person';
@@ -142,7 +147,7 @@ locationSchema.pre('save', async function(next) {
                   this.type === 'Warehouse' ? 'WH' : 
                   this.type === 'Distribution Center' ? 'DC' : 'OT';
     
-    const count = await this.constructor.countDocuments({ type: this.type });
+    const count = await this.constructor.countDocuments({ organization: this.organization, type: this.type });
     this.storeCode = `${prefix}${(count + 1).toString().padStart(3, '0')}`;
   }
   next();
@@ -151,4 +156,6 @@ locationSchema.pre('save', async function(next) {
 // Ensure virtual fields are serialized
 locationSchema.set('toJSON', { virtuals: true });
 
+locationSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Location', locationSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+// models/LoginThrottle.js
+const mongoose = require('mongoose');
+
+// Failed login attempts counted per account (email) and per client IP.
+// Not scoped to an organization: attempts are counted before anyone is
+// authenticated, and unknown emails are counted like existing ones.
+const loginThrottleSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop counters once their window or lockout is over
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,5 +1,6 @@
 // models/Notification.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const notificationSchema = new mongoose.Schema({
   type: {
@@ -52,8 +53,7 @@ const notificationSchema = new mongoose.Schema({
     readAt: Date
   }],
   targetRoles: [{
-    type: String,
-    enum: ['admin', 'manager', 'staff']
+    type: String // Role keys
   }],
   targetLocations: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -167,4 +167,6 @@ notificationSchema.statics.createRoleNotification = async function(notificationD
   return await notification.save();
 };
 
+notificationSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
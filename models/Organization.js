@@ -0,0 +1,49 @@
+// models/Organization.js
+const mongoose = require('mongoose');
+
+// A business using this deployment. Every tenant-scoped document carries a
+// reference to its organization (see models/plugins/tenantPlugin.js).
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+organizationSchema.statics.slugify = function(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '') || 'organization';
+};
+
+// Slugs are only used to identify an organization in URLs/logs, so append a
+// counter when the name is already taken.
+organizationSchema.statics.generateUniqueSlug = async function(name) {
+  const base = this.slugify(name);
+  let slug = base;
+  for (let i = 2; await this.exists({ slug }); i++) {
+    slug = `${base}-${i}`;
+  }
+  return slug;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,101 @@
+// models/PriceList.js
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// Quantity break: from minQuantity units of the product in a sale, each unit
+// sells at price
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Unit price below the first tier
+  price: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  tiers: [priceTierSchema]
+}, { _id: false });
+
+// Named set of selling prices (e.g. "Wholesale"). A list applies to sales at
+// its locations and/or to customers of its customer groups; a list with
+// neither applies everywhere. Products missing from every applicable list sell
+// at Product.price.
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  locations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }],
+  customerGroups: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Among lists at the same level, the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  items: [priceListItemSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+priceListSchema.index({ organization: 1, name: 1 }, { unique: true }); // Names are unique per organization
+priceListSchema.index({ isActive: 1, locations: 1 });
+priceListSchema.index({ isActive: 1, customerGroups: 1 });
+priceListSchema.index({ 'items.product': 1 });
+
+priceListSchema.pre('validate', function(next) {
+  const seen = new Set();
+  for (const item of this.items) {
+    const productId = item.product.toString();
+    if (seen.has(productId)) {
+      return next(new Error(`Product ${productId} appears more than once in the price list`));
+    }
+    seen.add(productId);
+
+    item.tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+    for (let i = 1; i < item.tiers.length; i++) {
+      if (item.tiers[i].minQuantity === item.tiers[i - 1].minQuantity) {
+        return next(new Error(`Product ${productId} has two tiers from ${item.tiers[i].minQuantity} units`));
+      }
+    }
+  }
+  next();
+});
+
+priceListSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -1,5 +1,6 @@
 // models/Product.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 const { v4: uuidv4 } = require('uuid');
 // Keep Inventory model import if needed for hooks/methods, otherwise remove
 // const Inventory = require('./Inventory'); // Can often be loaded dynamically in methods
@@ -14,15 +15,33 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // With a gallery, imageUrl and thumbnailUrl follow the primary image's
+  // medium and thumbnail renditions, so listings never load the original
   imageUrl: {
     type: String,
     trim: true,
     default: ''
   },
+  thumbnailUrl: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Ordered gallery (see services/imageService.js); exactly one is primary
+  images: [{
+    url: { type: String, required: true },
+    mediumUrl: String,
+    thumbnailUrl: String,
+    width: Number,
+    height: Number,
+    alt: { type: String, trim: true, default: '' },
+    isPrimary: { type: Boolean, default: false },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
   sku: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   category: {
@@ -34,21 +53,97 @@ const productSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Brand'
   },
+  // Values of the custom attributes of the product's category, by key
+  // (e.g. { voltage: 220, fabric: 'cotton' })
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // Weighted-average unit cost, updated when purchases are received
+  cost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  costUpdatedAt: Date,
   barcode: {
     type: String,
-    unique: true,
-    sparse: true,
     trim: true
   },
+  // Barcodes of products merged into this one; they still scan to it
+  barcodeAliases: [{
+    type: String,
+    trim: true
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Parent products describe option axes (e.g. Size, Color) and are not
+  // stocked themselves; each combination is a variant product below.
+  hasVariants: {
+    type: Boolean,
+    default: false
+  },
+  variantOptions: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }]
+  }],
+  // Set on variants: the parent product and the option values, e.g. { Size: 'M', Color: 'Red' }
+  parentProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  variantAttributes: {
+    type: Map,
+    of: String
+  },
+  // Variant price; null inherits the parent price (kept in sync in `price`)
+  priceOverride: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Inventory is kept in the base unit; other units hold `factor` base units
+  // and may be allowed for purchases and/or sales (see services/unitService.js)
+  baseUnit: {
+    type: String,
+    trim: true,
+    default: 'unit'
+  },
+  units: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    factor: { type: Number, required: true, min: 0 },
+    purchase: { type: Boolean, default: true },
+    sale: { type: Boolean, default: true }
+  }],
+  // Bundles (kits, gift baskets) hold no stock of their own: selling one
+  // deducts its components at the sale location
+  isBundle: {
+    type: Boolean,
+    default: false
+  },
+  bundleComponents: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  // Serialized products are tracked unit by unit: receiving, transferring
+  // and selling them names the serial number of every base unit
+  // (see services/serialService.js)
+  serialized: {
+    type: Boolean,
+    default: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -64,9 +159,47 @@ const productSchema = new mongoose.Schema({
 
 // Create indexes for faster queries
 productSchema.index({ name: 1, createdBy: 1 });
-productSchema.index({ sku: 1 }, { unique: true });
-productSchema.index({ barcode: 1 }, { unique: true, sparse: true });
+// SKUs and barcodes are unique within an organization
+productSchema.index({ organization: 1, sku: 1 }, { unique: true });
+productSchema.index(
+  { organization: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+productSchema.index({ barcodeAliases: 1 });
 productSchema.index({ category: 1 });
+productSchema.index({ parentProduct: 1 });
+productSchema.index({ 'bundleComponents.product': 1 });
+// Ranked product search (see services/productSearchService.js)
+productSchema.index(
+  { name: 'text', sku: 'text', barcode: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, sku: 8, barcode: 8, description: 1 } }
+);
+
+// A bundle's units are its components' units
+productSchema.pre('validate', function(next) {
+  if (this.serialized && this.isBundle) {
+    return next(new Error('A bundle cannot be serialized: serialize its component products instead'));
+  }
+  next();
+});
+
+// Keep one primary image and the listing URLs in step with it
+productSchema.pre('validate', function(next) {
+  if (!this.isModified('images')) return next();
+  if (this.images.length === 0) {
+    // The last gallery image was removed (new products may bring a plain imageUrl)
+    if (!this.isNew) {
+      this.imageUrl = '';
+      this.thumbnailUrl = '';
+    }
+    return next();
+  }
+  const primary = this.images.find(image => image.isPrimary) || this.images[0];
+  this.images.forEach(image => { image.isPrimary = image === primary; });
+  this.imageUrl = primary.mediumUrl || primary.url;
+  this.thumbnailUrl = primary.thumbnailUrl || primary.url;
+  next();
+});
 
 // Method to get total stock across all locations
 productSchema.methods.getTotalStock = async function() {
@@ -82,4 +215,6 @@ productSchema.methods.getStockAtLocation = async function(locationId) {
     return inventory ? inventory.quantity : 0;
 };
 
+productSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
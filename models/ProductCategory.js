@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select', 'multiselect'];
 
 const productCategorySchema = new mongoose.Schema({
     name: {
@@ -12,7 +15,6 @@ const productCategorySchema = new mongoose.Schema({
     },
     slug: {
         type: String,
-        unique: true,
         lowercase: true
     },
     status: {
@@ -27,12 +29,46 @@ const productCategorySchema = new mongoose.Schema({
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-    }
+    },
+    // Categories form a tree: `ancestors` lists the path from the root down
+    // to the parent, so a subtree is every category with the root in it
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductCategory',
+        default: null
+    },
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductCategory'
+    }],
+    depth: {
+        type: Number,
+        default: 0
+    },
+    // Custom attributes of the products in this category and its
+    // subcategories (see services/attributeService.js)
+    attributes: [{
+        _id: false,
+        key: { type: String, required: true, trim: true },
+        label: { type: String, trim: true },
+        type: { type: String, enum: ATTRIBUTE_TYPES, default: 'text' },
+        required: { type: Boolean, default: false },
+        // Choices of select and multiselect attributes
+        allowedValues: [{ type: String, trim: true }],
+        unit: { type: String, trim: true }
+    }]
 }, {
     timestamps: true
 });
 
 // Create index for faster queries
-productCategorySchema.index({ name: 1, createdBy: 1 }, { unique: true });
+productCategorySchema.index({ organization: 1, parent: 1, name: 1, createdBy: 1 }, { unique: true });
+productCategorySchema.index({ ancestors: 1 });
+// Slugs are unique within an organization
+productCategorySchema.index({ organization: 1, slug: 1 }, { unique: true });
+
+productCategorySchema.statics.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
+productCategorySchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('ProductCategory', productCategorySchema);
\ No newline at end of file
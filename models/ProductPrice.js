@@ -0,0 +1,66 @@
+// models/ProductPrice.js
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// Selling price history of a product, and price changes scheduled for later.
+// A product has at most one 'active' entry: the price currently in effect.
+// Entries it replaced are 'ended' with effectiveTo set to the moment of the
+// change. A 'scheduled' entry becomes active at effectiveFrom; if it also has
+// an effectiveTo (e.g. a promotion) the previous price returns at that time.
+const productPriceSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  // Price to return to at effectiveTo, recorded when a temporary price starts
+  revertPrice: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'scheduled', 'inherited', 'initial'],
+    default: 'manual'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+productPriceSchema.index({ product: 1, effectiveFrom: -1 });
+// Scheduler lookups of due changes
+productPriceSchema.index({ status: 1, effectiveFrom: 1 });
+productPriceSchema.index({ status: 1, effectiveTo: 1 });
+
+productPriceSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('ProductPrice', productPriceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 // Purchase Item Schema (subdocument)
 const purchaseItemSchema = new mongoose.Schema({
@@ -7,12 +8,22 @@ const purchaseItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: [true, 'Product is required']
   },
-  quantity: {
+  quantity: { // In `unit`
     type: Number,
     required: [true, 'Quantity is required'],
     min: [1, 'Quantity must be at least 1']
   },
-  unitCost: {
+  unit: String, // Unit purchased in (the product's base unit if not set)
+  unitFactor: { // Base units per unit
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  baseQuantity: { // Stock received, in the product's base unit
+    type: Number,
+    min: 0
+  },
+  unitCost: { // Per `unit`
     type: Number,
     required: [true, 'Unit cost is required'],
     min: [0, 'Unit cost cannot be negative']
@@ -37,14 +48,21 @@ const purchaseItemSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Line total cannot be negative'],
     default: 0
-  }
+  },
+  // Lot the line is received into (may also be given at receipt)
+  lotNumber: {
+    type: String,
+    trim: true
+  },
+  expiryDate: Date,
+  // Serialized products: one serial number per base unit (may also be given at receipt)
+  serialNumbers: { type: [String], default: undefined }
 });
 
 // Main Purchase Schema
 const purchaseSchema = new mongoose.Schema({
   purchaseNumber: {
     type: String,
-    unique: true,
     trim: true
   },
   supplier: {
@@ -144,7 +162,7 @@ const purchaseSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-purchaseSchema.index({ purchaseNumber: 1 });
+purchaseSchema.index({ organization: 1, purchaseNumber: 1 }, { unique: true }); // Unique per organization
 purchaseSchema.index({ supplier: 1 });
 purchaseSchema.index({ status: 1 });
 purchaseSchema.index({ paymentStatus: 1 });
@@ -163,7 +181,8 @@ purchaseSchema.virtual('totalItems').get(function() {
 });
 
 purchaseSchema.virtual('totalQuantity').get(function() {
-  return this.items ? this.items.reduce((total, item) => total + item.quantity, 0) : 0;
+  // In base units, so lines bought in different units add up
+  return this.items ? this.items.reduce((total, item) => total + (item.baseQuantity ?? item.quantity), 0) : 0;
 });
 
 // Pre-save middleware to auto-generate purchase number
@@ -175,6 +194,7 @@ purchaseSchema.pre('save', async function(next) {
       
       // Count existing purchases for the current year and month
       const count = await this.constructor.countDocuments({
+        organization: this.organization,
         purchaseNumber: { $regex: `^PO${year}${month}` }
       });
       
@@ -208,6 +228,7 @@ purchaseSchema.pre('save', async function(next) {
         // Update item with validated values
         item.unitCost = unitCost;
         item.quantity = quantity;
+        item.baseQuantity = quantity * (item.unitFactor || 1);
         item.discount = discount;
         item.taxRate = taxRate;
         
@@ -294,4 +315,6 @@ purchaseSchema.pre('save', async function(next) {
 // Ensure virtual fields are serialized
 purchaseSchema.set('toJSON', { virtuals: true });
 
+purchaseSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Purchase', purchaseSchema);
\ No newline at end of file
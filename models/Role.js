@@ -0,0 +1,52 @@
+// models/Role.js
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// A named set of permissions. User.role holds the role key.
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Role key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role key may only contain lowercase letters, digits, "_" and "-"']
+  },
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  // Users holding this role must set up two-factor authentication to log in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Built-in roles cannot be deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Role keys are unique within an organization
+roleSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+roleSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,9 +1,13 @@
 // models/Sale.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 const Product = require('./Product');
 const Income = require('./Income');
 const Inventory = require('./Inventory'); // Import Inventory model
 const Location = require('./Location'); // Import Location model
+const { baseQuantityOf } = require('../services/unitService');
+const { takeFromLots, returnToLots, lotSummary } = require('../services/lotService');
+const { sellSerials, returnSaleSerials } = require('../services/serialService');
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -11,12 +15,22 @@ const saleItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
-  quantity: {
+  quantity: { // In `unit`
     type: Number,
     required: true,
     min: 1
   },
-  price: { // Price AT THE TIME OF SALE
+  unit: String, // Unit sold in (the product's base unit if not set)
+  unitFactor: { // Base units per unit
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  baseQuantity: { // Stock moved, in the product's base unit
+    type: Number,
+    min: 0
+  },
+  price: { // Price per `unit` AT THE TIME OF SALE
     type: Number,
     required: true,
     min: 0.01
@@ -26,7 +40,28 @@ const saleItemSchema = new mongoose.Schema({
     default: 0,
     min: 0,
     max: 100
-  }
+  },
+  cost: { // Cost per `unit` AT THE TIME OF SALE (for COGS and margin)
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  listPrice: { // Price resolved from price lists (differs from price only on an authorized override)
+    type: Number,
+    min: 0
+  },
+  priceList: { // Price list the listPrice came from (none: Product.price)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  components: [{ // Bundles only: component stock deducted for this line (all units)
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  // Units sold of serialized products (the product, or a bundle's serialized components)
+  serialNumbers: { type: [String], default: undefined }
 }, {_id: false}); // No separate _id for subdocuments unless needed
 
 const saleSchema = new mongoose.Schema({
@@ -47,6 +82,11 @@ const saleSchema = new mongoose.Schema({
     required: true
   },
   customer: {
+    customerId: { // Registered customer, whose group selects price lists
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    group: String,
     name: String,
     contact: String,
     email: String
@@ -64,6 +104,42 @@ const saleSchema = new mongoose.Schema({
   notes: String
 }, { timestamps: true });
 
+// Stock moved by a sale: bundle lines move their components
+const stockMovements = (sale) => sale.items.flatMap(item =>
+    item.components && item.components.length > 0
+      ? item.components.map(component => ({ product: component.product, quantity: component.quantity }))
+      : [{ product: item.product, quantity: baseQuantityOf(item) }]);
+
+// Stock moved by a sale, one entry per product
+const groupedMovements = (sale) => {
+  const byProduct = new Map();
+  stockMovements(sale).forEach(movement => {
+    const key = movement.product.toString();
+    const entry = byProduct.get(key) || { product: movement.product, quantity: 0 };
+    entry.quantity += movement.quantity;
+    byProduct.set(key, entry);
+  });
+  return [...byProduct.values()];
+};
+
+// --- Capture product costs on new sales ---
+saleSchema.pre('validate', async function() {
+    if (!this.isNew) return;
+    const productIds = this.items.flatMap(item => [item.product, ...(item.components || []).map(c => c.product)]);
+    const products = await Product.find({ _id: { $in: productIds } }).select('cost');
+    const costs = new Map(products.map(product => [product._id.toString(), product.cost || 0]));
+    this.items.forEach(item => {
+      if (item.baseQuantity === undefined || item.baseQuantity === null) item.baseQuantity = baseQuantityOf(item);
+      if (item.components && item.components.length > 0) {
+        // A bundle costs what its components cost
+        const total = item.components.reduce((sum, c) => sum + c.quantity * (costs.get(c.product.toString()) || 0), 0);
+        item.cost = parseFloat((total / item.quantity).toFixed(4));
+      } else {
+        item.cost = (costs.get(item.product.toString()) || 0) * (item.unitFactor || 1);
+      }
+    });
+});
+
 // --- Pre-Save Hooks for Calculation (Keep as is or refine) ---
 saleSchema.pre('validate', function(next) {
     // Ensure price precision
@@ -94,7 +170,8 @@ saleSchema.post('save', async function(doc, next) {
   // Use a try-catch block for robust error handling in post hooks
   try {
     // --- Inventory Update Logic (Location Specific) ---
-    await Promise.all(doc.items.map(async item => {
+    // One product at a time: each update rewrites the record's lots
+    for (const item of groupedMovements(doc)) {
       const inventory = await Inventory.findOne({
         product: item.product,
         location: doc.location // Use the sale's location
@@ -104,34 +181,29 @@ saleSchema.post('save', async function(doc, next) {
         // This case should ideally be caught during sale validation, but handle defensively
         console.error(`CRITICAL: Inventory record not found for product ${item.product} at location ${doc.location} during sale ${doc._id} post-save. Stock not updated.`);
         // Consider throwing an error or logging more permanently
-        return; // Skip update for this item
+        continue; // Skip update for this item
       }
 
       if (inventory.quantity < item.quantity) {
          // This should also be caught in validation, but double-check
          console.error(`CRITICAL: Insufficient stock detected post-save for product ${item.product} at location ${doc.location} during sale ${doc._id}. Stock not updated.`);
-         return; // Skip update
+         continue; // Skip update
       }
 
-      const newQuantity = inventory.quantity - item.quantity;
-
-      await Inventory.updateOne(
-        { _id: inventory._id },
-        {
-          $inc: { quantity: -item.quantity },
-          $push: {
-            auditLog: {
-              user: doc.createdBy,
-              action: 'sale',
-              adjustment: -item.quantity,
-              note: `Sold in sale ${doc._id}`,
-              newQuantity: newQuantity,
-              relatedSaleId: doc._id,
-              timestamp: new Date()
-            }
-          }
-        }
-      );
+      // Sold first-expiry-first-out
+      const taken = takeFromLots(inventory, item.quantity);
+      const newQuantity = inventory.quantity;
+      inventory.auditLog.push({
+        user: doc.createdBy,
+        action: 'sale',
+        adjustment: -item.quantity,
+        note: `Sold in sale ${doc._id}`,
+        newQuantity: newQuantity,
+        relatedSaleId: doc._id,
+        lots: lotSummary(taken),
+        timestamp: new Date()
+      });
+      await inventory.save();
       // Emit socket event for this specific inventory update
       // Need access to io instance (pass via options or use a global getter)
        if (global.io) { // Check if io is globally accessible (simplest way)
@@ -145,8 +217,10 @@ saleSchema.post('save', async function(doc, next) {
                saleId: doc._id
            });
        }
+    }
 
-    }));
+    // Units of serialized products named on the lines leave the registry's stock
+    await sellSerials(doc);
 
     // --- Automatic Income Record Creation ---
     if (doc.total > 0) {
@@ -173,50 +247,53 @@ saleSchema.post('save', async function(doc, next) {
   }
 });
 
-// --- Pre-Remove Hook for Reversal ---
-saleSchema.pre('remove', async function(next) {
-    console.log(`Attempting pre-remove actions for Sale ID: ${this._id}`);
+// --- Pre-Delete Hook for Reversal ---
+// Runs on sale.deleteOne() (document middleware); query deletes bypass it
+saleSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+    console.log(`Attempting pre-delete actions for Sale ID: ${this._id}`);
     try {
         // --- Reverse Inventory Changes ---
-        await Promise.all(this.items.map(async item => {
-            const inventoryUpdate = await Inventory.findOneAndUpdate(
-                { product: item.product, location: this.location },
-                {
-                    $inc: { quantity: item.quantity }, // Add quantity back
-                    $push: {
-                        auditLog: {
-                            user: this.createdBy, // Or a system user ID if needed
-                            action: 'sale_deleted',
-                            adjustment: item.quantity, // Positive adjustment
-                            note: `Reversed sale ${this._id}`,
-                            // Calculating exact newQuantity might be complex if other changes happened,
-                            // just log the adjustment. Can be refined if needed.
-                            relatedSaleId: this._id,
-                            timestamp: new Date()
-                        }
-                    }
-                },
-                { new: true } // Optionally return the updated doc
-            );
+        for (const item of groupedMovements(this)) {
+            const inventoryUpdate = await Inventory.findOne({ product: item.product, location: this.location });
 
             if (!inventoryUpdate) {
                  console.warn(`Inventory record not found for product ${item.product} at location ${this.location} during sale ${this._id} deletion reversal. Stock may be inconsistent.`);
                  // Decide if this should halt the process
-            } else {
-                 // Emit socket event for inventory update reversal
-                 if (global.io) {
-                     global.io.to('products').to(`location_${this.location.toString()}`).emit('inventoryUpdate', {
-                         inventoryId: inventoryUpdate._id,
-                         productId: item.product,
-                         locationId: this.location,
-                         newQuantity: inventoryUpdate.quantity, // The updated quantity
-                         adjustment: item.quantity, // Positive adjustment
-                         action: 'sale_deleted',
-                         saleId: this._id
-                     });
-                 }
+                 continue;
             }
-        }));
+
+            // Back into the lots the sale took it from
+            const saleEntry = inventoryUpdate.auditLog.find(entry => entry.action === 'sale' && entry.relatedSaleId && entry.relatedSaleId.equals(this._id));
+            const fromLots = saleEntry && saleEntry.lots ? saleEntry.lots.map(lot => lot.toObject()) : [];
+            const lotQuantity = fromLots.reduce((sum, lot) => sum + lot.quantity, 0);
+            returnToLots(inventoryUpdate, [...fromLots, { quantity: Math.max(item.quantity - lotQuantity, 0) }]);
+            inventoryUpdate.auditLog.push({
+                user: this.createdBy, // Or a system user ID if needed
+                action: 'sale_deleted',
+                adjustment: item.quantity, // Positive adjustment
+                note: `Reversed sale ${this._id}`,
+                newQuantity: inventoryUpdate.quantity,
+                relatedSaleId: this._id,
+                lots: fromLots.length > 0 ? fromLots : undefined,
+                timestamp: new Date()
+            });
+            await inventoryUpdate.save();
+
+            // Emit socket event for inventory update reversal
+            if (global.io) {
+                global.io.to('products').to(`location_${this.location.toString()}`).emit('inventoryUpdate', {
+                    inventoryId: inventoryUpdate._id,
+                    productId: item.product,
+                    locationId: this.location,
+                    newQuantity: inventoryUpdate.quantity, // The updated quantity
+                    adjustment: item.quantity, // Positive adjustment
+                    action: 'sale_deleted',
+                    saleId: this._id
+                });
+            }
+        }
+        // Sold units go back in stock, in the name of the user deleting the sale
+        await returnSaleSerials(this, this.$locals.deletedBy || this.createdBy);
         console.log(`Inventory reversal completed for Sale ID: ${this._id}`);
 
         // --- Delete Associated Income Record ---
@@ -231,10 +308,12 @@ saleSchema.pre('remove', async function(next) {
 
         next(); // Proceed with deletion
     } catch (error) {
-        console.error(`Error during pre-remove hook for Sale ${this._id}:`, error);
+        console.error(`Error during pre-delete hook for Sale ${this._id}:`, error);
         // Prevent deletion if reversal fails critically
         next(new Error(`Failed to reverse inventory/income for sale ${this._id}. Deletion aborted.`));
     }
 });
 
+saleSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
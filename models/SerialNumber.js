@@ -0,0 +1,71 @@
+// models/SerialNumber.js
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// One unit of a serialized product: where it is now and everything that
+// happened to it (see services/serialService.js)
+const serialEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['received', 'transfer_out', 'transfer_in', 'sold', 'sale_reversed', 'written_off']
+  },
+  location: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase' },
+  transfer: { type: mongoose.Schema.Types.ObjectId, ref: 'StockTransfer' },
+  sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+  customerName: String,
+  note: String, // Why a unit was written off
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+const serialNumberSchema = new mongoose.Schema({
+  serial: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  status: {
+    type: String,
+    enum: ['in_stock', 'in_transit', 'sold', 'written_off'],
+    default: 'in_stock'
+  },
+  location: { // Where the unit is in stock; none while in transit or sold
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  },
+  purchase: { // Purchase it was received with
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase'
+  },
+  transfer: { // Transfer it is travelling with
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
+  sale: { // Sale it went out with
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  customer: { // Customer it was sold to, if registered
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: String,
+  history: [serialEventSchema]
+}, { timestamps: true });
+
+// Serial numbers are unique per product (manufacturers may reuse each other's)
+serialNumberSchema.index({ organization: 1, product: 1, serial: 1 }, { unique: true });
+serialNumberSchema.index({ serial: 1 });
+serialNumberSchema.index({ product: 1, status: 1, location: 1 });
+serialNumberSchema.index({ sale: 1 });
+
+serialNumberSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
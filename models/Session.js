@@ -0,0 +1,50 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token itself is never stored,
+// only a SHA-256 hash of its secret part, and it is replaced on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: String,
+  userAgent: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'admin_revoked', 'token_reuse', 'user_deactivated', 'password_changed', 'two_factor_required', 'two_factor_reset']
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
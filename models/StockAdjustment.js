@@ -1,5 +1,6 @@
 // models/StockAdjustment.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 const AutoIncrementFactory = require('mongoose-sequence');
 
 // Initialize AutoIncrement with mongoose
@@ -8,7 +9,6 @@ const AutoIncrement = AutoIncrementFactory(mongoose);
 const stockAdjustmentSchema = new mongoose.Schema({
     adjustmentNumber: {
         type: String,
-        unique: true,
         required: true,
         default: function() {
             return `ADJ-${new Date().getFullYear()}${String(Math.floor(Math.random() * 100000)).padStart(5, '0')}`;
@@ -27,12 +27,17 @@ const stockAdjustmentSchema = new mongoose.Schema({
         ],
         required: true
     },
-    quantityAdjusted: {
+    quantityAdjusted: { // In the product's base unit
         type: Number,
         required: true,
         min: [0],
         validate: { validator: Number.isInteger, message: '{VALUE} is not an integer value for quantityAdjusted' }
     },
+    // Quantity as entered, when entered in another unit than the base unit
+    unit: String,
+    unitQuantity: Number,
+    // Units of a serialized product written off by the adjustment
+    serialNumbers: { type: [String], default: undefined },
     previousQuantity: {
         type: Number,
         required: true,
@@ -57,6 +62,9 @@ const stockAdjustmentSchema = new mongoose.Schema({
 stockAdjustmentSchema.index({ location: 1, adjustmentDate: -1 });
 stockAdjustmentSchema.index({ product: 1, adjustmentDate: -1 });
 
+// Adjustment numbers are unique within an organization
+stockAdjustmentSchema.index({ organization: 1, adjustmentNumber: 1 }, { unique: true });
+
 // Add counter for sequential numbering (as a backup)
 stockAdjustmentSchema.plugin(AutoIncrement, {
     inc_field: 'sequence',
@@ -74,4 +82,6 @@ stockAdjustmentSchema.pre('save', async function(next) {
     next();
 });
 
+stockAdjustmentSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
\ No newline at end of file
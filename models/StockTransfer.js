@@ -1,5 +1,6 @@
 // models/StockTransfer.js
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 const { v4: uuidv4 } = require('uuid');
 
 const stockTransferSchema = new mongoose.Schema({
@@ -13,11 +14,16 @@ const stockTransferSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
-  quantity: {
+  quantity: { // In the product's base unit
     type: Number,
     required: true,
     min: [1, 'Transfer quantity must be at least 1']
   },
+  // Quantity as requested, when entered in another unit (e.g. 2 case = 48 base units)
+  unit: String,
+  unitQuantity: Number,
+  // Serialized products: the units transferred
+  serialNumbers: { type: [String], default: undefined },
   fromLocation: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Location',
@@ -55,7 +61,16 @@ const stockTransferSchema = new mongoose.Schema({
   shippedAt: Date,
   receivedAt: Date,
   cancelledAt: Date,
-  cancellationReason: String
+  cancellationReason: String,
+  // Lots shipped, taken first-expiry-first-out at the source and received
+  // as the same lots at the destination. Stock held in no lot is not listed.
+  lots: [{
+    _id: false,
+    lotNumber: String,
+    expiryDate: Date,
+    receivedAt: Date,
+    quantity: Number
+  }]
 }, { timestamps: true });
 
 stockTransferSchema.index({ status: 1 });
@@ -74,4 +89,6 @@ stockTransferSchema.pre('validate', function(next) {
 });
 
 
+stockTransferSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('StockTransfer', stockTransferSchema);
\ No newline at end of file
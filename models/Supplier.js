@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 
 const supplierSchema = new mongoose.Schema({
   supplierName: {
@@ -9,7 +10,6 @@ const supplierSchema = new mongoose.Schema({
   code: {
     type: String,
     required: [true, 'Supplier code is required'],
-    unique: true,
     trim: true
   },
   email: {
@@ -38,6 +38,8 @@ const supplierSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 supplierSchema.index({ supplierName: 1 });
-supplierSchema.index({ code: 1 });
+supplierSchema.index({ organization: 1, code: 1 }, { unique: true }); // Codes are unique per organization
+
+supplierSchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model('Supplier', supplierSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+// models/SupplierProduct.js
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
+
+// A product as a supplier sells it. Costs and the minimum order quantity are
+// per base unit of the product. Receiving a purchase creates the record of
+// each of its products and updates the last cost and the lead time (see
+// services/supplierProductService.js).
+const supplierProductSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  supplierSku: { // The supplier's own code for the product
+    type: String,
+    trim: true
+  },
+  lastCost: { // From the last purchase received, after line discount
+    type: Number,
+    min: [0, 'Cost cannot be negative']
+  },
+  contractCost: { // Agreed price, if any
+    type: Number,
+    min: [0, 'Contract cost cannot be negative']
+  },
+  minimumOrderQuantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Minimum order quantity cannot be negative']
+  },
+  leadTimeDays: { // Quoted by the supplier, or else the last one observed
+    type: Number,
+    min: [0, 'Lead time cannot be negative']
+  },
+  lastLeadTimeDays: { // Purchase date to receipt of the last purchase
+    type: Number,
+    min: 0
+  },
+  isPreferred: { // At most one preferred supplier per product
+    type: Boolean,
+    default: false
+  },
+  lastPurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase'
+  },
+  lastReceivedAt: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+supplierProductSchema.index({ organization: 1, supplier: 1, product: 1 }, { unique: true });
+supplierProductSchema.index({ product: 1, isPreferred: -1 });
+supplierProductSchema.index(
+  { organization: 1, product: 1 },
+  { unique: true, partialFilterExpression: { isPreferred: true }, name: 'one_preferred_supplier' }
+);
+
+supplierProductSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('SupplierProduct', supplierProductSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenantPlugin');
 const bcrypt = require('bcryptjs');
+const { isLocationScopedPermission } = require('../config/permissions');
+const { permissionMatches } = require('../services/permissionService');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,9 +18,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/\S+@\S+\.\S+/, 'Please enter a valid email address']
   },
+  // Key of a Role document (see models/Role.js)
   role: {
     type: String,
-    enum: ['admin', 'manager', 'staff'],
+    trim: true,
+    lowercase: true,
     default: 'staff'
   },
   password: {
@@ -30,6 +35,22 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Location'
   }],
+  // Role held at a specific location instead of `role` (e.g. manager at one
+  // store, staff at another). Each location must also be in `locations`.
+  locationRoles: [{
+    _id: false,
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true
+    },
+    role: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: true
+    }
+  }],
   profileImage: {
     type: String,
     default: null
@@ -75,7 +96,47 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  lastLogin: Date
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  passwordChangedAt: Date,
+  // Set for accounts created through the admin invite flow
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: Date,
+  activatedAt: Date,
+  lastLogin: Date,
+  // TOTP second factor. The secret is encrypted (see services/totpService.js)
+  // and recovery codes are stored as SHA-256 hashes.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrollment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -88,28 +149,74 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (err) {
     next(err);
   }
 });
 
+// A location role is dropped along with its location
+userSchema.pre('save', function(next) {
+  if (this.isModified('locations') && this.locationRoles?.length > 0) {
+    this.locationRoles = this.locationRoles.filter(assignment =>
+      this.locations.some(loc => (loc._id || loc).equals(assignment.location))
+    );
+  }
+  next();
+});
+
 // Method to compare passwords (for login)
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Add a helper method to check if user has access to a specific location
-userSchema.methods.hasAccessToLocation = function(locationId) {
-    if (!locationId) return false;
-    // Admins have access to all locations implicitly
+// Role that applies at a location: a per-location assignment wins over the
+// account-wide role. Returns null for locations the user is not assigned to.
+userSchema.methods.roleAtLocation = function(locationId) {
+    if (!locationId) return null;
+    // Admins hold the admin role at every location
     if (this.role === 'admin') {
-        return true;
+        return 'admin';
     }
-    // Managers/Staff only have access if the location is in their list
     // Ensure comparison handles ObjectId types correctly
-    return this.locations.some(loc => loc.equals(locationId));
+    if (!this.locations.some(loc => loc.equals(locationId))) return null;
+    const assignment = (this.locationRoles || []).find(a => a.location.equals(locationId));
+    return assignment ? assignment.role : this.role;
 };
 
+// Add a helper method to check if user has access to a specific location.
+// With a permission, also checks that the role held there grants it; this
+// needs the role permissions loaded by verifyToken (see loadRolePermissions).
+userSchema.methods.hasAccessToLocation = function(locationId, permission) {
+    const role = this.roleAtLocation(locationId);
+    if (!role) return false;
+    if (!permission) return true;
+    if (!this.$locals.rolePermissions) {
+        throw new Error('Role permissions are not loaded for this user');
+    }
+    const effectiveRole = isLocationScopedPermission(permission) ? role : this.role;
+    return permissionMatches(this.$locals.rolePermissions[effectiveRole] || [], permission);
+};
+
+// Assigned locations where the user holds every given permission (all
+// assigned ones without any). Admins are not limited to assigned locations:
+// callers handle them separately.
+userSchema.methods.accessibleLocations = function(...permissions) {
+    return this.locations
+        .map(loc => loc._id || loc)
+        .filter(locationId => permissions.every(permission => this.hasAccessToLocation(locationId, permission)));
+};
+
+// Email addresses identify a login across every organization, so the check
+// must not be limited to the current tenant.
+userSchema.statics.isEmailTaken = async function(email, exceptUserId) {
+    const filter = { email: String(email).toLowerCase().trim() };
+    if (exceptUserId) filter._id = { $ne: exceptUserId };
+    return !!(await this.exists(filter).setOptions({ skipTenant: true }));
+};
+
+userSchema.plugin(tenantPlugin);
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
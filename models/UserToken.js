@@ -0,0 +1,81 @@
+// models/UserToken.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use tokens sent to users by email (invitations, password resets,
+// email verification) or handed out between the two steps of a two-factor login.
+// Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['invitation', 'password_reset', 'email_verification', 'two_factor_login', 'two_factor_setup']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create a fresh token of the given type for a user, invalidating any
+ * unused token of the same type. Returns the raw token (to be emailed).
+ */
+userTokenSchema.statics.issue = async function(userId, type, ttlMs, createdBy) {
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    createdBy
+  });
+  return token;
+};
+
+/**
+ * Find a token that can still be used, without using it up. Returns the
+ * token document or null.
+ */
+userTokenSchema.statics.findValid = async function(token, type) {
+  if (!token || typeof token !== 'string') return null;
+  return this.findOne({ tokenHash: this.hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Atomically mark a token as used. Returns the token document, or null when
+ * the token is unknown, expired or already used.
+ */
+userTokenSchema.statics.consume = async function(token, type) {
+  if (!token || typeof token !== 'string') return null;
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
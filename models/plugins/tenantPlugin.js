@@ -0,0 +1,91 @@
+// models/plugins/tenantPlugin.js
+const mongoose = require('mongoose');
+const { getOrganizationId } = require('../../services/tenantContext');
+
+const QUERY_MIDDLEWARE = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+// Stages that must stay first in an aggregation pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch', '$collStats', '$indexStats'];
+
+/**
+ * Scopes a model to the current organization.
+ *
+ * - adds a required `organization` reference
+ * - new documents take the organization of the running request/job
+ * - queries and aggregations only see documents of that organization
+ *
+ * Outside an organization context (login, migrations, startup) nothing is
+ * filtered. A single query can opt out with `.setOptions({ skipTenant: true })`
+ * (or `aggregate().option({ skipTenant: true })`).
+ */
+module.exports = function tenantPlugin(schema) {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return next();
+    if (!this.organization) {
+      this.organization = organizationId;
+    } else if (!organizationId.equals(this.organization._id || this.organization)) {
+      return next(new Error('Cannot save a document that belongs to another organization'));
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const organizationId = getOrganizationId();
+    if (organizationId) {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        if (doc && !doc.organization) doc.organization = organizationId;
+      });
+    }
+    next();
+  });
+
+  schema.pre(QUERY_MIDDLEWARE, function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId || this.getOptions().skipTenant) return;
+    if (this.getFilter().organization === undefined) {
+      this.where({ organization: organizationId });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId || this.options?.skipTenant) return;
+
+    const pipeline = this.pipeline();
+    const leading = pipeline.findIndex(stage => !LEADING_STAGES.some(name => stage[name]));
+    const position = leading === -1 ? pipeline.length : leading;
+    const stage = pipeline[position];
+
+    // Merge into an existing $match so a $text search can stay the first stage
+    if (stage?.$match) {
+      if (stage.$match.organization === undefined) {
+        stage.$match = { organization: organizationId, ...stage.$match };
+      }
+    } else {
+      pipeline.splice(position, 0, { $match: { organization: organizationId } });
+    }
+  });
+};
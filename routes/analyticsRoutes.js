@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const AuditMiddleware = require('../middleware/auditMiddleware');
 const analyticsController = require('../controllers/analyticsController');
 
@@ -9,7 +9,7 @@ router.use(verifyToken);
 router.use(AuditMiddleware.captureUserContext());
 
 // Dashboard analytics - comprehensive overview
-router.get('/dashboard', isManagerOrAdmin, analyticsController.getDashboardAnalytics);
+router.get('/dashboard', requirePermission('analytics.view'), analyticsController.getDashboardAnalytics);
 
 // Inventory analytics with filtering
 router.get('/inventory', analyticsController.getInventoryAnalytics);
@@ -18,19 +18,19 @@ router.get('/inventory', analyticsController.getInventoryAnalytics);
 router.get('/purchases', analyticsController.getPurchaseAnalytics);
 
 // Optimization recommendations
-router.get('/optimization', isManagerOrAdmin, analyticsController.getOptimizationRecommendations);
+router.get('/optimization', requirePermission('analytics.view'), analyticsController.getOptimizationRecommendations);
 
 // Real-time alerts and notifications
 router.get('/alerts', analyticsController.getRealTimeAlerts);
 
 // Audit trail analytics
-router.get('/audit', isManagerOrAdmin, analyticsController.getAuditAnalytics);
+router.get('/audit', requirePermission('audit.view'), analyticsController.getAuditAnalytics);
 
 // Export analytics data
-router.get('/export', isManagerOrAdmin, analyticsController.exportAnalytics);
+router.get('/export', requirePermission('analytics.view'), analyticsController.exportAnalytics);
 
 // Dashboard specific endpoints
-router.get('/dashboard/admin', isManagerOrAdmin, analyticsController.getAdminDashboardStats);
+router.get('/dashboard/admin', requirePermission('analytics.view'), analyticsController.getAdminDashboardStats);
 router.get('/dashboard/sales', analyticsController.getSalesDashboardStats);
 
 module.exports = router;
\ No newline at end of file
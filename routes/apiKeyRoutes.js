@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const apiKeyController = require('../controllers/apiKeyController');
+
+// API key management is audited and requires apiKeys.manage
+router.use(verifyToken, requirePermission('apiKeys.manage'), AuditMiddleware.captureUserContext());
+
+router.get('/', apiKeyController.getApiKeys);
+router.post('/', apiKeyController.createApiKey);
+router.get('/:id', apiKeyController.getApiKeyById);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
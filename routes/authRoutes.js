@@ -1,11 +1,53 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe, updateProfile } = require('../controllers/authController');
-const { verifyToken } = require('../middleware/authJwt');
+const {
+    register,
+    login,
+    getMe,
+    updateProfile,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeUserSessions,
+    activateAccount,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    verifyTwoFactorLogin,
+    startTwoFactorLoginSetup,
+    completeTwoFactorLoginSetup,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('../controllers/authController');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const AuditMiddleware = require('../middleware/auditMiddleware');
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/2fa/login/verify', verifyTwoFactorLogin);
+router.post('/2fa/login/setup', startTwoFactorLoginSetup);
+router.post('/2fa/login/enable', completeTwoFactorLoginSetup);
+router.post('/activate', activateAccount);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', verifyToken, resendVerificationEmail);
+router.post('/refresh', refresh);
+router.post('/logout', verifyToken, logout);
+router.post('/logout-all', verifyToken, logoutAll);
+router.get('/sessions', verifyToken, getSessions);
+router.delete('/sessions/user/:userId', verifyToken, requirePermission('users.manage'), AuditMiddleware.captureUserContext(), revokeUserSessions);
 router.get('/me', verifyToken, getMe);
 router.put('/profile', verifyToken, updateProfile);
+router.get('/2fa', verifyToken, getTwoFactorStatus);
+router.post('/2fa/setup', verifyToken, setupTwoFactor);
+router.post('/2fa/enable', verifyToken, enableTwoFactor);
+router.post('/2fa/disable', verifyToken, disableTwoFactor);
+router.post('/2fa/recovery-codes', verifyToken, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
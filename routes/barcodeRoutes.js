@@ -1,7 +1,7 @@
 // routes/barcodeRoutes.js
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const barcodeService = require('../services/barcodeService');
 const Product = require('../models/Product');
 const asyncHandler = require('express-async-handler');
@@ -9,9 +9,9 @@ const asyncHandler = require('express-async-handler');
 /**
  * @route POST /api/barcodes/generate
  * @desc Generate barcode image
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/generate', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/generate', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { text, format, width, height, displayValue } = req.body;
     
@@ -58,9 +58,9 @@ router.post('/generate', verifyToken, isManagerOrAdmin, asyncHandler(async (req,
 /**
  * @route POST /api/barcodes/generate-base64
  * @desc Generate barcode as base64 string
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/generate-base64', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/generate-base64', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { text, format, width, height, displayValue } = req.body;
     
@@ -100,7 +100,7 @@ router.post('/generate-base64', verifyToken, isManagerOrAdmin, asyncHandler(asyn
  * @desc Get barcode image for specific product
  * @access Private
  */
-router.get('/product/:productId', verifyToken, asyncHandler(async (req, res) => {
+router.get('/product/:productId', verifyToken, requirePermission('products.view'), asyncHandler(async (req, res) => {
   try {
     const { productId } = req.params;
     const { format, regenerate } = req.query;
@@ -165,9 +165,9 @@ router.get('/product/:productId', verifyToken, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/barcodes/batch
  * @desc Generate multiple barcodes for batch operations
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/batch', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/batch', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { productIds, format, width, height } = req.body;
     
@@ -213,9 +213,9 @@ router.post('/batch', verifyToken, isManagerOrAdmin, asyncHandler(async (req, re
 /**
  * @route POST /api/barcodes/qr-code
  * @desc Generate QR code image
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/qr-code', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/qr-code', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { text, width, height } = req.body;
     
@@ -252,9 +252,9 @@ router.post('/qr-code', verifyToken, isManagerOrAdmin, asyncHandler(async (req,
 /**
  * @route POST /api/barcodes/qr-code-base64
  * @desc Generate QR code as base64 string
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/qr-code-base64', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/qr-code-base64', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { text, width, height } = req.body;
     
@@ -291,9 +291,9 @@ router.post('/qr-code-base64', verifyToken, isManagerOrAdmin, asyncHandler(async
 /**
  * @route POST /api/barcodes/auto-generate
  * @desc Generate auto barcode for product
- * @access Private (Manager/Admin)
+ * @access Private (barcodes.generate)
  */
-router.post('/auto-generate', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.post('/auto-generate', verifyToken, requirePermission('barcodes.generate'), asyncHandler(async (req, res) => {
   try {
     const { productId, sku, prefix } = req.body;
     
@@ -332,7 +332,7 @@ router.post('/auto-generate', verifyToken, isManagerOrAdmin, asyncHandler(async
  * @desc Validate barcode format
  * @access Private
  */
-router.post('/validate', verifyToken, asyncHandler(async (req, res) => {
+router.post('/validate', verifyToken, requirePermission('products.view'), asyncHandler(async (req, res) => {
   try {
     const { text, format } = req.body;
     
@@ -367,9 +367,9 @@ router.post('/validate', verifyToken, asyncHandler(async (req, res) => {
 /**
  * @route DELETE /api/barcodes/cleanup
  * @desc Clean up old barcode files
- * @access Private (Admin)
+ * @access Private (barcodes.manage)
  */
-router.delete('/cleanup', verifyToken, isManagerOrAdmin, asyncHandler(async (req, res) => {
+router.delete('/cleanup', verifyToken, requirePermission('barcodes.manage'), asyncHandler(async (req, res) => {
   try {
     const { olderThanDays } = req.query;
     
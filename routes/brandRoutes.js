@@ -1,22 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt'); // Adjust path if needed
+const { verifyToken, requirePermission } = require('../middleware/authJwt'); // Adjust path if needed
 const brandController = require('../controllers/brandController');
 
 
 // Create Brand
-router.post('/', verifyToken, isManagerOrAdmin, brandController.createBrand);
+router.post('/', verifyToken, requirePermission('brands.create'), brandController.createBrand);
 
 // Get all Brands
-router.get('/', verifyToken, brandController.getBrands);
+router.get('/', verifyToken, requirePermission('brands.view'), brandController.getBrands);
 
 // Get single Brand
-router.get('/:id', verifyToken, brandController.getBrandById);
+router.get('/:id', verifyToken, requirePermission('brands.view'), brandController.getBrandById);
 
 // Update Brand
-router.put('/:id', verifyToken, isManagerOrAdmin, brandController.updateBrand);
+router.put('/:id', verifyToken, requirePermission('brands.update'), brandController.updateBrand);
 
 // Delete Brand
-router.delete('/:id', verifyToken, isAdmin, brandController.deleteBrand);
+router.delete('/:id', verifyToken, requirePermission('brands.delete'), brandController.deleteBrand);
 
 module.exports = router;
\ No newline at end of file
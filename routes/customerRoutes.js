@@ -1,24 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const customerController = require('../controllers/customerController');
 
 // Get Customer Statistics
-router.get('/stats', verifyToken, customerController.getCustomerStats);
+router.get('/stats', verifyToken, requirePermission('customers.view'), customerController.getCustomerStats);
 
 // Create Customer
-router.post('/', verifyToken, customerController.createCustomer);
+router.post('/', verifyToken, requirePermission('customers.manage'), customerController.createCustomer);
 
 // Get All Customers
-router.get('/', verifyToken, customerController.getCustomers);
+router.get('/', verifyToken, requirePermission('customers.view'), customerController.getCustomers);
 
 // Get Single Customer
-router.get('/:id', verifyToken, customerController.getCustomerById);
+router.get('/:id', verifyToken, requirePermission('customers.view'), customerController.getCustomerById);
 
 // Update Customer
-router.put('/:id', verifyToken, customerController.updateCustomer);
+router.put('/:id', verifyToken, requirePermission('customers.manage'), customerController.updateCustomer);
 
 // Delete Customer
-router.delete('/:id', verifyToken, customerController.deleteCustomer);
+router.delete('/:id', verifyToken, requirePermission('customers.manage'), customerController.deleteCustomer);
 
 module.exports = router;
\ No newline at end of file
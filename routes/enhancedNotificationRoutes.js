@@ -14,7 +14,7 @@ const {
   deleteNotification,
   bulkDeleteNotifications
 } = require('../controllers/enhancedNotificationController');
-const { verifyToken, checkRole } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 
 // @route   GET /api/notifications
 // @desc    Get user notifications with filtering and pagination
@@ -32,29 +32,29 @@ router.get('/unread-count', verifyToken, getUnreadCount);
 router.post('/mark-all-read', verifyToken, markAllAsRead);
 
 // @route   GET /api/notifications/stats
-// @desc    Get notification statistics (Admin only)
+// @desc    Get notification statistics (notifications.manage)
 // @access  Admin
-router.get('/stats', verifyToken, checkRole(['admin']), getNotificationStats);
+router.get('/stats', verifyToken, requirePermission('notifications.manage'), getNotificationStats);
 
 // @route   POST /api/notifications/check-low-stock
-// @desc    Manual trigger for low stock check (Admin only)
+// @desc    Manual trigger for low stock check (notifications.manage)
 // @access  Admin
-router.post('/check-low-stock', verifyToken, checkRole(['admin']), manualLowStockCheck);
+router.post('/check-low-stock', verifyToken, requirePermission('notifications.manage'), manualLowStockCheck);
 
 // @route   POST /api/notifications/check-expiring
-// @desc    Manual trigger for expiry check (Admin only)
+// @desc    Manual trigger for expiry check (notifications.manage)
 // @access  Admin
-router.post('/check-expiring', verifyToken, checkRole(['admin']), manualExpiryCheck);
+router.post('/check-expiring', verifyToken, requirePermission('notifications.manage'), manualExpiryCheck);
 
 // @route   POST /api/notifications/system-alert
-// @desc    Create system alert (Admin only)
+// @desc    Create system alert (notifications.manage)
 // @access  Admin
-router.post('/system-alert', verifyToken, checkRole(['admin']), createSystemAlert);
+router.post('/system-alert', verifyToken, requirePermission('notifications.manage'), createSystemAlert);
 
 // @route   DELETE /api/notifications/bulk
-// @desc    Bulk delete notifications (Admin only)
+// @desc    Bulk delete notifications (notifications.manage)
 // @access  Admin
-router.delete('/bulk', verifyToken, checkRole(['admin']), bulkDeleteNotifications);
+router.delete('/bulk', verifyToken, requirePermission('notifications.manage'), bulkDeleteNotifications);
 
 // @route   GET /api/notifications/:id
 // @desc    Get notification by ID
@@ -67,8 +67,8 @@ router.get('/:id', verifyToken, getNotificationById);
 router.post('/:id/mark-read', verifyToken, markAsRead);
 
 // @route   DELETE /api/notifications/:id
-// @desc    Delete notification (Admin only)
+// @desc    Delete notification (notifications.manage)
 // @access  Admin
-router.delete('/:id', verifyToken, checkRole(['admin']), deleteNotification);
+router.delete('/:id', verifyToken, requirePermission('notifications.manage'), deleteNotification);
 
 module.exports = router;
\ No newline at end of file
@@ -1,18 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const ctrl = require('../controllers/expenseCategoryController');
 
 // Create Category (any authenticated user)
-router.post('/', verifyToken, ctrl.createCategory);
+router.post('/', verifyToken, requirePermission('expenses.categories.create'), ctrl.createCategory);
 
 // Get Categories (any authenticated user)
-router.get('/', verifyToken, ctrl.getCategories);
+router.get('/', verifyToken, requirePermission('expenses.view'), ctrl.getCategories);
 
 // Update Category (manager or admin)
-router.put('/:id', verifyToken, isManagerOrAdmin, ctrl.updateCategory);
+router.put('/:id', verifyToken, requirePermission('expenses.categories.update'), ctrl.updateCategory);
 
 // Delete Category (admin only)
-router.delete('/:id', verifyToken, isAdmin, ctrl.deleteCategory);
+router.delete('/:id', verifyToken, requirePermission('expenses.categories.delete'), ctrl.deleteCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expenseController');
-const { verifyToken } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 
 router.use(verifyToken); // Apply auth to all routes
 
 // POST /api/expense - Record expense
-router.post('/', expenseController.recordExpense);
+router.post('/', requirePermission('expenses.manage'), expenseController.recordExpense);
 
 // GET /api/expense - Get all expenses
-router.get('/', expenseController.getAllExpenses);
+router.get('/', requirePermission('expenses.view'), expenseController.getAllExpenses);
 
 // GET /api/expense/:id - Get single expense
-router.get('/:id', expenseController.getExpenseById);
+router.get('/:id', requirePermission('expenses.view'), expenseController.getExpenseById);
 
 // PUT /api/expense/:id - Update expense <-- ADDED
-router.put('/:id', expenseController.updateExpense);
+router.put('/:id', requirePermission('expenses.manage'), expenseController.updateExpense);
 
 // DELETE /api/expense/:id - Delete expense <-- ADDED
-router.delete('/:id', expenseController.deleteExpense);
+router.delete('/:id', requirePermission('expenses.manage'), expenseController.deleteExpense);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const incomeController = require('../controllers/incomeController');
-const { verifyToken } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 
 router.use(verifyToken); // Apply auth to all routes
 
 // POST /api/income - Record income
-router.post('/', incomeController.recordIncome);
+router.post('/', requirePermission('income.manage'), incomeController.recordIncome);
 
 // GET /api/income - Get all income
-router.get('/', incomeController.getAllIncome);
+router.get('/', requirePermission('income.view'), incomeController.getAllIncome);
 
 // GET /api/income/:id - Get single income
-router.get('/:id', incomeController.getIncomeById);
+router.get('/:id', requirePermission('income.view'), incomeController.getIncomeById);
 
 // PUT /api/income/:id - Update income  <-- ADDED
-router.put('/:id', incomeController.updateIncome);
+router.put('/:id', requirePermission('income.manage'), incomeController.updateIncome);
 
 // DELETE /api/income/:id - Delete income <-- ADDED
-router.delete('/:id', incomeController.deleteIncome);
+router.delete('/:id', requirePermission('income.manage'), incomeController.deleteIncome);
 
 module.exports = router;
\ No newline at end of file
@@ -6,14 +6,16 @@ const {
     getInvoice,
     updateInvoiceStatus
 } = require('../controllers/invoiceController');
-const { protect } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+
+router.use(verifyToken);
 
 router.route('/')
-    .post(protect, createInvoice)
-    .get(protect, getInvoices);
+    .post(requirePermission('invoices.manage'), createInvoice)
+    .get(requirePermission('invoices.view'), getInvoices);
 
 router.route('/:id')
-    .get(protect, getInvoice)
-    .put(protect, updateInvoiceStatus);
+    .get(requirePermission('invoices.view'), getInvoice)
+    .put(requirePermission('invoices.manage'), updateInvoiceStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,24 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin, hasLocationAccess } = require('../middleware/authJwt'); // Assuming hasLocationAccess exists
+const { verifyToken, requirePermission, hasLocationAccess } = require('../middleware/authJwt'); // Assuming hasLocationAccess exists
 const locationController = require('../controllers/locationController');
 
 // Create Location
-router.post('/', verifyToken, isManagerOrAdmin, locationController.createLocation);
+router.post('/', verifyToken, requirePermission('locations.create'), locationController.createLocation);
 
 // Get Location Statistics
-router.get('/stats', verifyToken, locationController.getLocationStats);
+router.get('/stats', verifyToken, requirePermission('locations.view'), locationController.getLocationStats);
 
 // Get All Locations (active by default)
-router.get('/', verifyToken, locationController.getLocations);
+router.get('/', verifyToken, requirePermission('locations.view'), locationController.getLocations);
 
 // Get Single Location
-router.get('/:id', verifyToken, locationController.getLocationById);
+router.get('/:id', verifyToken, requirePermission('locations.view'), locationController.getLocationById);
 
 // Update Location (Manager needs access to the specific location being updated)
-router.put('/:id', verifyToken, isManagerOrAdmin, hasLocationAccess('id'), locationController.updateLocation); // Use hasLocationAccess middleware
+router.put('/:id', verifyToken, requirePermission('locations.update'), hasLocationAccess('id'), locationController.updateLocation); // Use hasLocationAccess middleware
 
 // Soft Delete Location
-router.delete('/:id', verifyToken, isAdmin, locationController.deleteLocation);
+router.delete('/:id', verifyToken, requirePermission('locations.delete'), locationController.deleteLocation);
 
 module.exports = router;
\ No newline at end of file
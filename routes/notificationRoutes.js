@@ -4,17 +4,17 @@ const {
   manualLowStockCheck,
   updateNotificationSettings
 } = require('../controllers/notificationController');
-const { verifyToken, checkRole } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 
 router.get('/notifications/low-stock-check',
   verifyToken,
-  checkRole(['admin']),
+  requirePermission('notifications.manage'),
   manualLowStockCheck
 );
 
 router.patch('/products/:productId/notification-settings',
   verifyToken,
-  checkRole(['admin', 'manager']),
+  requirePermission('products.update'),
   updateNotificationSettings
 );
 
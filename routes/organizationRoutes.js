@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const organizationController = require('../controllers/organizationController');
+
+router.get('/', verifyToken, organizationController.getCurrentOrganization);
+router.put('/', verifyToken, requirePermission('organization.manage'), organizationController.updateCurrentOrganization);
+
+module.exports = router;
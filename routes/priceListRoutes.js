@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission, hasLocationAccess } = require('../middleware/authJwt');
+const {
+  getPriceLists,
+  getPriceListById,
+  createPriceList,
+  updatePriceList,
+  updatePriceListItems,
+  deletePriceList,
+  resolvePrices
+} = require('../controllers/priceListController');
+
+// Prices a sale at a location would get (checks access to req.body.locationId)
+router.post('/resolve', verifyToken, requirePermission('sales.create'), hasLocationAccess('locationId'), resolvePrices);
+
+router.get('/', verifyToken, requirePermission('priceLists.view'), getPriceLists);
+router.get('/:id', verifyToken, requirePermission('priceLists.view'), getPriceListById);
+router.post('/', verifyToken, requirePermission('priceLists.manage'), createPriceList);
+router.put('/:id', verifyToken, requirePermission('priceLists.manage'), updatePriceList);
+router.patch('/:id/items', verifyToken, requirePermission('priceLists.manage'), updatePriceListItems);
+router.delete('/:id', verifyToken, requirePermission('priceLists.manage'), deletePriceList);
+
+module.exports = router;
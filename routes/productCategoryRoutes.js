@@ -1,18 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const ctrl = require('../controllers/productCategoryController');
 
 // Create Category (any authenticated user)
-router.post('/', verifyToken, ctrl.createCategory);
+router.post('/', verifyToken, requirePermission('categories.create'), ctrl.createCategory);
 
 // Get Categories (any authenticated user)
-router.get('/', verifyToken, ctrl.getCategories);
+router.get('/', verifyToken, requirePermission('products.view'), ctrl.getCategories);
+
+// Category tree, subtrees and breadcrumbs (any authenticated user)
+router.get('/tree', verifyToken, requirePermission('products.view'), ctrl.getCategoryTree);
+router.get('/:id/subtree', verifyToken, requirePermission('products.view'), ctrl.getSubtree);
+router.get('/:id/breadcrumbs', verifyToken, requirePermission('products.view'), ctrl.getBreadcrumbs);
+
+// Custom product attributes of a category, with inherited ones (any authenticated user)
+router.get('/:id/attributes', verifyToken, requirePermission('products.view'), ctrl.getCategoryAttributes);
+
+// Move Category under another parent (manager or admin)
+router.put('/:id/move', verifyToken, requirePermission('categories.update'), ctrl.moveCategory);
 
 // Update Category (manager or admin)
-router.put('/:id', verifyToken, isManagerOrAdmin, ctrl.updateCategory);
+router.put('/:id', verifyToken, requirePermission('categories.update'), ctrl.updateCategory);
 
 // Delete Category (admin only)
-router.delete('/:id', verifyToken, isAdmin, ctrl.deleteCategory);
+router.delete('/:id', verifyToken, requirePermission('categories.delete'), ctrl.deleteCategory);
 
 module.exports = router;
\ No newline at end of file
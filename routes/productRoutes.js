@@ -1,6 +1,9 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const AuditMiddleware = require('../middleware/auditMiddleware');
 const {
   createProduct,
   updateProduct,
@@ -9,30 +12,135 @@ const {
   reactivateProduct,
   getProducts,
   getProductById,
-  getProductByBarcode
+  getProductByBarcode,
+  mergeProduct
 } = require('../controllers/productController');
+const {
+  getVariants,
+  setVariantOptions,
+  generateProductVariants,
+  createVariant,
+  updateVariant
+} = require('../controllers/productVariantController');
+const { importProducts } = require('../controllers/productImportController');
+const { searchProductCatalog } = require('../controllers/productSearchController');
+const {
+  getPriceHistory,
+  getProductPriceAt,
+  schedulePriceChange,
+  cancelScheduledPrice
+} = require('../controllers/productPriceController');
+const {
+  getProductImages,
+  addProductImages,
+  reorderProductImages,
+  updateProductImage,
+  deleteProductImage
+} = require('../controllers/productImageController');
+const { PRODUCT_IMAGE_DIR, isAllowedImage } = require('../services/imageService');
+
+// Import files are parsed in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter(req, file, cb) {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    cb(new Error('Invalid file type: Only CSV and XLSX files can be imported.'));
+  }
+});
+
+// Gallery images are stored with the other product uploads; renditions are made by the controller
+const imageUpload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      cb(null, PRODUCT_IMAGE_DIR);
+    },
+    filename(req, file, cb) {
+      cb(null, `product-${Date.now()}-${Math.round(Math.random() * 1e6)}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024, files: 10 }, // 5MB per image, 10 per request
+  fileFilter(req, file, cb) {
+    if (isAllowedImage(file)) return cb(null, true);
+    cb(new Error('Invalid file type: Only JPG, JPEG, PNG, GIF, WEBP allowed.'));
+  }
+});
 
-// Use isManagerOrAdmin for creation and update
-router.post('/', verifyToken, isManagerOrAdmin, createProduct);
-router.put('/:id', verifyToken, isManagerOrAdmin, updateProduct);
+// Creation and update
+router.post('/', verifyToken, requirePermission('products.create'), createProduct);
 
-// Use isAdmin for the soft delete operation
-router.delete('/:id', verifyToken, isAdmin, deleteProduct);
+// Bulk import from CSV/XLSX (dryRun=true to validate only)
+router.post(
+  '/import',
+  verifyToken,
+  requirePermission('products.create'),
+  AuditMiddleware.captureUserContext(),
+  importUpload.single('file'),
+  importProducts
+);
+router.put('/:id', verifyToken, requirePermission('products.update'), updateProduct);
 
-// Use isAdmin for permanent delete operation (more restrictive)
-router.delete('/:id/permanent', verifyToken, isAdmin, permanentDeleteProduct);
+// Soft delete
+router.delete('/:id', verifyToken, requirePermission('products.delete'), deleteProduct);
 
-// Use isManagerOrAdmin for reactivation
-router.patch('/:id/reactivate', verifyToken, isManagerOrAdmin, reactivateProduct);
+// Permanent delete
+router.delete('/:id/permanent', verifyToken, requirePermission('products.delete'), permanentDeleteProduct);
+
+// Merge a duplicate product (body: duplicateId, reason) into this one
+router.post(
+  '/:id/merge',
+  verifyToken,
+  requirePermission('products.delete'),
+  AuditMiddleware.captureUserContext(),
+  mergeProduct
+);
+
+// Reactivation
+router.patch('/:id/reactivate', verifyToken, requirePermission('products.update'), reactivateProduct);
 
 // Any authenticated user can get product definitions
-router.get('/', verifyToken, getProducts);
+router.get('/', verifyToken, requirePermission('products.view'), getProducts);
+
+// GET /api/products/search - Ranked search with facets and cursor pagination
+router.get('/search', verifyToken, requirePermission('products.view'), searchProductCatalog);
 
 // GET /api/products/:id
-router.get('/:id', verifyToken, getProductById);
+router.get('/:id', verifyToken, requirePermission('products.view'), getProductById);
 
 // GET /api/products/barcode/:barcode - Get product by barcode
-router.get('/barcode/:barcode', verifyToken, getProductByBarcode);
+router.get('/barcode/:barcode', verifyToken, requirePermission('products.view'), getProductByBarcode);
+
+// Variants (size, color, ...) of a parent product
+router.get('/:id/variants', verifyToken, requirePermission('products.view'), getVariants);
+router.put('/:id/variant-options', verifyToken, requirePermission('products.update'), setVariantOptions);
+router.post('/:id/variants/generate', verifyToken, requirePermission('products.create'), generateProductVariants);
+router.post('/:id/variants', verifyToken, requirePermission('products.create'), createVariant);
+router.put('/:id/variants/:variantId', verifyToken, requirePermission('products.update'), updateVariant);
+
+// Price history and scheduled price changes
+router.get('/:id/prices', verifyToken, requirePermission('products.view'), getPriceHistory);
+router.get('/:id/prices/at', verifyToken, requirePermission('products.view'), getProductPriceAt);
+router.post('/:id/prices/schedule', verifyToken, requirePermission('products.update'), schedulePriceChange);
+router.delete('/:id/prices/:priceId', verifyToken, requirePermission('products.update'), cancelScheduledPrice);
 
+// Image gallery with thumbnail and medium renditions
+router.get('/:id/images', verifyToken, requirePermission('products.view'), getProductImages);
+router.post(
+  '/:id/images',
+  verifyToken,
+  requirePermission('products.update'),
+  imageUpload.array('images'),
+  // Rejected uploads (size, count, file type) never reach the controller
+  (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: `Upload Error: ${error.message}` });
+    }
+    res.status(400).json({ message: error.message || 'Image upload failed.' });
+  },
+  addProductImages
+);
+router.put('/:id/images/order', verifyToken, requirePermission('products.update'), reorderProductImages);
+router.patch('/:id/images/:imageId', verifyToken, requirePermission('products.update'), updateProductImage);
+router.delete('/:id/images/:imageId', verifyToken, requirePermission('products.update'), deleteProductImage);
 
 module.exports = router;
\ No newline at end of file
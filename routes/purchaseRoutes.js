@@ -1,43 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const purchaseController = require('../controllers/purchaseController');
 const enhancedPurchaseController = require('../controllers/enhancedPurchaseController');
 
 // Get purchase statistics
-router.get('/stats', verifyToken, purchaseController.getPurchaseStats);
+router.get('/stats', verifyToken, requirePermission('purchases.view'), purchaseController.getPurchaseStats);
 
 // Get purchase report data
-router.get('/report', verifyToken, purchaseController.getPurchaseReport);
+router.get('/report', verifyToken, requirePermission('purchases.view'), purchaseController.getPurchaseReport);
 
 // Create purchase
-router.post('/', verifyToken, purchaseController.createPurchase);
+router.post('/', verifyToken, requirePermission('purchases.create'), purchaseController.createPurchase);
 
 // Get all purchases
-router.get('/', verifyToken, purchaseController.getPurchases);
+router.get('/', verifyToken, requirePermission('purchases.view'), purchaseController.getPurchases);
 
 // Get single purchase
-router.get('/:id', verifyToken, purchaseController.getPurchaseById);
+router.get('/:id', verifyToken, requirePermission('purchases.view'), purchaseController.getPurchaseById);
 
 // Update purchase
-router.put('/:id', verifyToken, isManagerOrAdmin, purchaseController.updatePurchase);
+router.put('/:id', verifyToken, requirePermission('purchases.update'), purchaseController.updatePurchase);
 
 // Receive purchase (update inventory) - Original implementation
-router.post('/:id/receive', verifyToken, isManagerOrAdmin, purchaseController.receivePurchase);
+router.post('/:id/receive', verifyToken, requirePermission('purchases.receive'), purchaseController.receivePurchase);
 
 // Enhanced receive purchase with comprehensive validation and analytics
-router.post('/:id/receive-enhanced', verifyToken, isManagerOrAdmin, enhancedPurchaseController.enhancedReceivePurchase);
+router.post('/:id/receive-enhanced', verifyToken, requirePermission('purchases.receive'), enhancedPurchaseController.enhancedReceivePurchase);
 
 // Validate inventory before receiving
-router.get('/:id/validate-receive', verifyToken, enhancedPurchaseController.validateInventoryBeforeReceiving);
+router.get('/:id/validate-receive', verifyToken, requirePermission('purchases.receive'), enhancedPurchaseController.validateInventoryBeforeReceiving);
 
 // Get receiving analytics
-router.get('/analytics/receiving', verifyToken, enhancedPurchaseController.getReceivingAnalytics);
+router.get('/analytics/receiving', verifyToken, requirePermission('purchases.view'), enhancedPurchaseController.getReceivingAnalytics);
 
 // Record payment for purchase
-router.post('/:id/payment', verifyToken, isManagerOrAdmin, purchaseController.recordPayment);
+router.post('/:id/payment', verifyToken, requirePermission('purchases.payments'), purchaseController.recordPayment);
 
 // Delete purchase (soft delete)
-router.delete('/:id', verifyToken, isAdmin, purchaseController.deletePurchase);
+router.delete('/:id', verifyToken, requirePermission('purchases.delete'), purchaseController.deletePurchase);
 
 module.exports = router;
\ No newline at end of file
@@ -2,23 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt'); // Assuming you have these role checks
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 
 // Protect all report routes
 router.use(verifyToken);
-// Apply role-based access control (adjust as needed)
-// ManagerOrAdmin can access most reports, potentially some are Admin only if desired
-router.use(isManagerOrAdmin);
 
 // Define report endpoints
-router.get('/stock-levels', reportController.getStockLevelReport);
-router.get('/low-stock', reportController.getLowStockReport);
-router.get('/sales-trends', reportController.getSalesTrendReport);
-router.get('/sales', reportController.getSalesReport);
-router.get('/purchases', reportController.getPurchaseReport);
-router.get('/inventory', reportController.getInventoryReport);
-router.get('/income', reportController.getIncomeReport);
-router.get('/expenses', reportController.getExpenseReport);
-router.get('/profit-loss', reportController.getProfitLossReport);
+// Inventory reports
+router.get('/stock-levels', requirePermission('reports.inventory.view'), reportController.getStockLevelReport);
+router.get('/low-stock', requirePermission('reports.inventory.view'), reportController.getLowStockReport);
+router.get('/inventory', requirePermission('reports.inventory.view'), reportController.getInventoryReport);
+// Sales reports
+router.get('/sales-trends', requirePermission('reports.sales.view'), reportController.getSalesTrendReport);
+router.get('/sales', requirePermission('reports.sales.view'), reportController.getSalesReport);
+// Financial reports
+router.get('/purchases', requirePermission('reports.financial.view'), reportController.getPurchaseReport);
+router.get('/income', requirePermission('reports.financial.view'), reportController.getIncomeReport);
+router.get('/expenses', requirePermission('reports.financial.view'), reportController.getExpenseReport);
+router.get('/profit-loss', requirePermission('reports.financial.view'), reportController.getProfitLossReport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const roleController = require('../controllers/roleController');
+
+// Role management is audited and requires roles.manage
+router.use(verifyToken, requirePermission('roles.manage'), AuditMiddleware.captureUserContext());
+
+router.get('/permissions', roleController.getPermissionCatalog);
+router.get('/', roleController.getRoles);
+router.post('/', roleController.createRole);
+router.get('/:id', roleController.getRoleById);
+router.put('/:id', roleController.updateRole);
+router.delete('/:id', roleController.deleteRole);
+
+module.exports = router;
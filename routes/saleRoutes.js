@@ -1,38 +1,38 @@
 const express = require('express');
 const router = express.Router();
-// Use specific role checks and location access check
-const { verifyToken, isAdmin, isManagerOrAdmin, hasLocationAccess, checkRole } = require('../middleware/authJwt');
+// Use permission checks and location access check
+const { verifyToken, requirePermission, hasLocationAccess } = require('../middleware/authJwt');
 const { createSale, getSales, getSale, updateSale, deleteSale } = require('../controllers/saleController');
 
-// Create a sale (Requires Staff+ role and access to the location specified in body)
+// Create a sale (Requires sales.create and access to the location specified in body)
 router.post(
   '/',
   verifyToken,
-  checkRole(['admin', 'manager', 'staff']), // Allow staff to create sales
+  requirePermission('sales.create'),
   hasLocationAccess('locationId'), // Check access to req.body.locationId
   createSale
 );
 
-// Get all sales (Requires Manager+ role, filtered by location access)
+// Get all sales (Requires sales.list, filtered by location access)
 router.get(
   '/',
   verifyToken,
-  isManagerOrAdmin, // Only managers/admins can see list view
+  requirePermission('sales.list'),
   getSales // Controller handles filtering by user's locations
 );
 
-// Get single sale (Requires Staff+ role and access to the sale's location)
+// Get single sale (Requires sales.view and access to the sale's location)
 router.get(
   '/:id',
   verifyToken,
-  checkRole(['admin', 'manager', 'staff']), // Allow staff to view sales they might have made
+  requirePermission('sales.view'),
   getSale // Controller handles location access check internally
 );
 
-// Update a sale (Requires Admin or Manager role)
-router.put('/:id', verifyToken, checkRole(['admin', 'manager']), updateSale);
+// Update a sale
+router.put('/:id', verifyToken, requirePermission('sales.update'), updateSale);
 
-// Delete a sale (Requires Admin or Manager role)
-router.delete('/:id', verifyToken, checkRole(['admin', 'manager']), deleteSale);
+// Delete a sale
+router.delete('/:id', verifyToken, requirePermission('sales.delete'), deleteSale);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const serialNumberController = require('../controllers/serialNumberController');
+
+// Serial number registry of serialized products
+router.get('/', verifyToken, requirePermission('inventory.view'), serialNumberController.getSerialNumbers);
+
+// Status, location and full history of a serial number
+router.get('/:serial', verifyToken, requirePermission('inventory.view'), serialNumberController.getSerialHistory);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const {
 } = require('../controllers/stockAdjustmentController');
 
 // --- Import your actual middleware functions ---
-const { verifyToken, isAdmin, isManagerOrAdmin } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 // Assuming hasLocationAccess check is done inside controllers where location context is clearer
 // --- End Import ---
 
@@ -19,15 +19,13 @@ router.use(verifyToken); // Replaces 'protect'
 
 // Routes
 router.route('/')
-    // User must be Manager or Admin to POST or GET list
-    .post(isManagerOrAdmin, createStockAdjustment)   // Replaces 'manager'
-    .get(isManagerOrAdmin, getStockAdjustments);     // Replaces 'manager'
+    // Stock adjustments are managed by users holding inventory.adjust
+    .post(requirePermission('inventory.adjust'), createStockAdjustment)
+    .get(requirePermission('inventory.adjust'), getStockAdjustments);
 
 router.route('/:id')
-    // User must be Manager or Admin to GET by ID or PUT update
-    .get(isManagerOrAdmin, getStockAdjustmentById)    // Replaces 'manager'
-    .put(isManagerOrAdmin, updateStockAdjustment)     // Replaces 'manager'
-    // User must be Manager or Admin to DELETE (as per new requirement)
-    .delete(isManagerOrAdmin, deleteStockAdjustment); // Replaces 'admin' with 'isManagerOrAdmin'
+    .get(requirePermission('inventory.adjust'), getStockAdjustmentById)
+    .put(requirePermission('inventory.adjust'), updateStockAdjustment)
+    .delete(requirePermission('inventory.adjust'), deleteStockAdjustment);
 
 module.exports = router;
\ No newline at end of file
@@ -1,24 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin, isManagerOrAdmin, hasLocationAccess } = require('../middleware/authJwt');
+const { verifyToken, requirePermission, hasLocationAccess } = require('../middleware/authJwt');
 const stockTransferController = require('../controllers/stockTransferController');
 
 // Create Transfer Request (Requires access to FROM location)
-router.post('/', verifyToken, isManagerOrAdmin, hasLocationAccess('fromLocationId'), stockTransferController.createTransfer); // Checks req.body.fromLocationId
+router.post('/', verifyToken, requirePermission('transfers.create'), hasLocationAccess('fromLocationId'), stockTransferController.createTransfer); // Checks req.body.fromLocationId
 
 // Get Transfers List (Filtered based on user's location access)
-router.get('/', verifyToken, stockTransferController.getTransfers);
+router.get('/', verifyToken, requirePermission('transfers.view'), stockTransferController.getTransfers);
 
 // Get Single Transfer (Requires access to EITHER location)
-router.get('/:id', verifyToken, stockTransferController.getTransferById); // Controller checks access internally
+router.get('/:id', verifyToken, requirePermission('transfers.view'), stockTransferController.getTransferById); // Controller checks access internally
 
 // Ship Transfer (Requires access to FROM location)
-router.patch('/:id/ship', verifyToken, isManagerOrAdmin, stockTransferController.shipTransfer); // Controller checks access internally based on transfer's fromLocation
+router.patch('/:id/ship', verifyToken, requirePermission('transfers.manage'), stockTransferController.shipTransfer); // Controller checks access internally based on transfer's fromLocation
 
 // Receive Transfer (Requires access to TO location)
-router.patch('/:id/receive', verifyToken, isManagerOrAdmin, stockTransferController.receiveTransfer); // Controller checks access internally based on transfer's toLocation
+router.patch('/:id/receive', verifyToken, requirePermission('transfers.manage'), stockTransferController.receiveTransfer); // Controller checks access internally based on transfer's toLocation
 
 // Cancel Transfer (Requires access to EITHER location or be requester)
-router.patch('/:id/cancel', verifyToken, isManagerOrAdmin, stockTransferController.cancelTransfer); // Controller checks access internally
+router.patch('/:id/cancel', verifyToken, requirePermission('transfers.manage'), stockTransferController.cancelTransfer); // Controller checks access internally
 
 module.exports = router;
\ No newline at end of file
@@ -1,21 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/authJwt');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
 const supplierController = require('../controllers/supplierController');
+const supplierProductController = require('../controllers/supplierProductController');
 
 // Create Supplier
-router.post('/', verifyToken, supplierController.createSupplier);
+router.post('/', verifyToken, requirePermission('suppliers.manage'), supplierController.createSupplier);
 
 // Get All Suppliers
-router.get('/', verifyToken, supplierController.getSuppliers);
+router.get('/', verifyToken, requirePermission('suppliers.view'), supplierController.getSuppliers);
 
 // Get Single Supplier
-router.get('/:id', verifyToken, supplierController.getSupplierById);
+router.get('/:id', verifyToken, requirePermission('suppliers.view'), supplierController.getSupplierById);
 
 // Update Supplier
-router.put('/:id', verifyToken, supplierController.updateSupplier);
+router.put('/:id', verifyToken, requirePermission('suppliers.manage'), supplierController.updateSupplier);
 
 // Delete Supplier
-router.delete('/:id', verifyToken, supplierController.deleteSupplier);
+router.delete('/:id', verifyToken, requirePermission('suppliers.manage'), supplierController.deleteSupplier);
+
+// Supplier's product catalog (supplier SKUs, costs, lead times)
+router.get('/:id/products', verifyToken, requirePermission('suppliers.view'), supplierProductController.getSupplierProducts);
+router.post('/:id/products', verifyToken, requirePermission('suppliers.manage'), supplierProductController.addSupplierProduct);
+router.put('/:id/products/:productId', verifyToken, requirePermission('suppliers.manage'), supplierProductController.updateSupplierProduct);
+router.delete('/:id/products/:productId', verifyToken, requirePermission('suppliers.manage'), supplierProductController.removeSupplierProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const testController = require('../controllers/testController');
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+
+router.use(verifyToken, requirePermission('system.diagnostics'));
 
 // Test routes for triggering real-time events
 router.post('/trigger-sale', testController.triggerTestSale);
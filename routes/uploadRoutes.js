@@ -6,13 +6,14 @@ const fs = require('fs');
 
 // **** Import the required middleware functions ****
 // Adjust the path '../middleware/authMiddleware' if your file structure is different
-const { verifyToken, isManagerOrAdmin } = require('../middleware/authJWT');
+const { verifyToken, requireAnyPermission } = require('../middleware/authJWT');
+const { PRODUCT_IMAGE_DIR, createRenditions, discardUploads } = require('../services/imageService');
 
 const router = express.Router();
 
 // --- Configure Multer Storage ---
 // Ensure this path is correct relative to your project root
-const uploadsDir = path.join(__dirname, '..', 'public', 'uploads', 'products');
+const uploadsDir = PRODUCT_IMAGE_DIR;
 const profilesDir = path.join(__dirname, '..', 'public', 'uploads', 'profiles');
 
 // Ensure the directories exist
@@ -88,14 +89,14 @@ const profileUpload = multer({
 // POST /api/upload/product-image
 // Apply middleware in sequence:
 // 1. verifyToken: Authenticates the user and populates req.user
-// 2. isManagerOrAdmin: Checks if the authenticated user has the required role
+// 2. requireAnyPermission: Checks the user may create or update products
 // 3. upload.single: If authenticated and authorized, processes the file upload
 router.post(
     '/product-image',
     verifyToken,         // Check for valid token and set req.user
-    isManagerOrAdmin,    // Ensure user is Manager or Admin
+    requireAnyPermission('products.create', 'products.update'),
     upload.single('productImage'), // Process the image upload named 'productImage'
-    (req, res) => {
+    async (req, res) => {
         // If middleware passed and upload successful, req.file will exist
         if (!req.file) {
             // This case might not be reached if upload fails due to filter/limits,
@@ -103,13 +104,21 @@ router.post(
             return res.status(400).json({ message: 'Image upload failed or no file provided.' });
         }
 
-        // Construct the public URL - Adjust if your static serving setup is different
-        // This assumes '/uploads/products/' is accessible relative to your server's root URL
-        const imageUrl = `/uploads/products/${req.file.filename}`;
+        // Resize into thumbnail and medium renditions next to the original
+        // (see services/imageService.js). Product galleries use POST /api/products/:id/images.
+        let renditions;
+        try {
+            renditions = await createRenditions(req.file.filename);
+        } catch (error) {
+            await discardUploads([req.file]);
+            return res.status(400).json({ message: error.message || 'Image could not be processed.' });
+        }
 
         res.status(201).json({
             message: 'Image uploaded successfully',
-            imageUrl: imageUrl // Send the relative URL back to the frontend
+            imageUrl: renditions.url, // Send the relative URL back to the frontend
+            mediumUrl: renditions.mediumUrl,
+            thumbnailUrl: renditions.thumbnailUrl
         });
     },
     // **** Add Multer Error Handling Middleware ****
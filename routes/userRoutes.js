@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, requirePermission } = require('../middleware/authJwt');
+const AuditMiddleware = require('../middleware/auditMiddleware');
+const userController = require('../controllers/userController');
+
+// All user management is audited
+router.use(verifyToken, AuditMiddleware.captureUserContext());
+
+router.get('/', requirePermission('users.view'), userController.getUsers);
+router.get('/:id', requirePermission('users.view'), userController.getUserById);
+
+router.use(requirePermission('users.manage'));
+
+router.post('/invite', userController.inviteUser);
+router.put('/:id', userController.updateUser);
+router.post('/:id/resend-invite', userController.resendInvitation);
+router.patch('/:id/role', userController.updateUserRole);
+router.put('/:id/locations', userController.setUserLocations);
+router.post('/:id/locations', userController.assignUserLocations);
+router.delete('/:id/locations/:locationId', userController.unassignUserLocation);
+router.put('/:id/location-roles', userController.setUserLocationRoles);
+router.patch('/:id/status', userController.setUserStatus);
+router.post('/:id/reset-password', userController.resetUserPassword);
+router.post('/:id/unlock', userController.unlockUser);
+router.post('/:id/reset-two-factor', userController.resetUserTwoFactor);
+
+module.exports = router;
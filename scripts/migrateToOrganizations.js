@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { seedOrganizationDefaults } = require('../services/organizationService');
+
+/**
+ * One-off migration from the single-tenant schema.
+ *
+ * - creates an organization for the existing data (name from the first
+ *   argument or DEFAULT_ORGANIZATION_NAME) unless one already exists
+ * - assigns every document without an organization to it
+ * - replaces the old global unique indexes with the per-organization ones
+ *
+ * Usage: node scripts/migrateToOrganizations.js "My Company"
+ */
+
+// Every model using models/plugins/tenantPlugin.js
+const TENANT_MODELS = [
+  'ApiKey', 'AuditTrail', 'Brand', 'Category', 'Customer', 'Expense', 'ExpenseCategory', 'Income',
+  'IncomeCategory', 'Inventory', 'Invoice', 'Location', 'Notification', 'PriceList',
+  'Product', 'ProductCategory', 'ProductPrice', 'Purchase', 'Role', 'Sale', 'SerialNumber',
+  'StockAdjustment', 'StockTransfer', 'Supplier', 'SupplierProduct', 'User'
+];
+
+async function migrateToOrganizations(organizationName) {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let organization = await Organization.findOne().sort({ createdAt: 1 });
+    if (!organization) {
+      const name = organizationName || process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization';
+      const owner = await User.findOne({ role: 'admin' }).sort({ createdAt: 1 });
+      organization = await Organization.create({
+        name,
+        slug: await Organization.generateUniqueSlug(name),
+        owner: owner?._id,
+        contactEmail: owner?.email
+      });
+      console.log(`✅ Created organization "${organization.name}" (${organization._id})`);
+    } else {
+      console.log(`ℹ️ Using existing organization "${organization.name}" (${organization._id})`);
+    }
+
+    for (const modelName of TENANT_MODELS) {
+      const Model = require(`../models/${modelName}`);
+      // Go through the driver: documents without an organization fail validation
+      const result = await Model.collection.updateMany(
+        { organization: { $exists: false } },
+        { $set: { organization: organization._id } }
+      );
+      console.log(`✅ ${modelName}: assigned ${result.modifiedCount} document(s)`);
+
+      // Drops indexes no longer declared (e.g. the global unique ones) and builds the new ones
+      const dropped = await Model.syncIndexes();
+      if (dropped.length > 0) {
+        console.log(`   Dropped indexes: ${dropped.join(', ')}`);
+      }
+    }
+
+    await seedOrganizationDefaults(organization._id);
+    console.log('✅ Seeded roles and default categories');
+
+    console.log('\n✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateToOrganizations(process.argv[2]).catch(console.error);
+}
+
+module.exports = { migrateToOrganizations };
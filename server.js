@@ -6,9 +6,7 @@ const socketIo = require('socket.io'); // Added for real-time
 const connectDB = require('./config/db');
 const { initSocket, getIO } = require('./socket');
 const { startScheduler } = require('./services/notificationService');
-const Expense = require('./models/Expense'); // Added for initializing expense categories
-const ExpenseCategory = require('./models/ExpenseCategory');
-const ProductCategory = require('./models/ProductCategory'); // Add this line
+const { forEachOrganization, seedOrganizationDefaults } = require('./services/organizationService');
 
 const locationRoutes = require('./routes/locationRoutes');
 const productRoutes = require('./routes/productRoutes');
@@ -32,6 +30,12 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const testRoutes = require('./routes/testRoutes');
 const enhancedNotificationRoutes = require('./routes/enhancedNotificationRoutes');
 const barcodeRoutes = require('./routes/barcodeRoutes');
+const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
+const serialNumberRoutes = require('./routes/serialNumberRoutes');
 
 const app = express();
 const path = require('path');
@@ -58,7 +62,8 @@ const corsOptions = {
     'Cache-Control', 
     'Pragma', 
     'Expires',
-    'X-Requested-With'
+    'X-Requested-With',
+    'X-API-Key'
   ],
   credentials: true, // Allow credentials
   optionsSuccessStatus: 200 // For legacy browser support
@@ -85,61 +90,13 @@ connectDB();
 
 // Remove problematic expense initialization - handled by ExpenseCategory model instead
 
-const defaultCategories = [
-  { name: 'Supplies', description: 'Office and business supplies', isDefault: true },
-  { name: 'Rent', description: 'Office or warehouse rent', isDefault: true },
-  { name: 'Utilities', description: 'Electricity, water, internet, etc.', isDefault: true },
-  { name: 'Salaries', description: 'Employee salaries and wages', isDefault: true },
-  { name: 'Marketing', description: 'Advertising and marketing expenses', isDefault: true },
-  { name: 'Travel', description: 'Business travel expenses', isDefault: true },
-  { name: 'Equipment', description: 'Machinery and equipment', isDefault: true },
-  { name: 'Software', description: 'Software subscriptions and licenses', isDefault: true },
-  { name: 'Taxes', description: 'Business taxes', isDefault: true },
-  { name: 'Other', description: 'Other miscellaneous expenses', isDefault: true }
-];
-
-async function insertDefaultCategories() {
-  for (const cat of defaultCategories) {
-    await ExpenseCategory.updateOne(
-      { name: cat.name, createdBy: null },
-      { $setOnInsert: cat },
-      { upsert: true }
-    );
-  }
-}
-
-const defaultProductCategories = [
-  { name: 'Electronics', description: 'Electronic devices and accessories', isDefault: true },
-  { name: 'Clothing', description: 'Apparel and fashion items', isDefault: true },
-  { name: 'Food & Beverages', description: 'Food and drink products', isDefault: true },
-  { name: 'Home & Kitchen', description: 'Home goods and kitchen items', isDefault: true },
-  { name: 'Beauty & Personal Care', description: 'Beauty and personal care products', isDefault: true },
-  { name: 'Sports & Outdoors', description: 'Sports equipment and outdoor gear', isDefault: true },
-  { name: 'Books & Media', description: 'Books, movies, and other media', isDefault: true },
-  { name: 'Toys & Games', description: 'Toys and games for all ages', isDefault: true },
-  { name: 'Health & Wellness', description: 'Health and wellness products', isDefault: true },
-  { name: 'Other', description: 'Other miscellaneous products', isDefault: true }
-];
-
-async function insertDefaultProductCategories() {
-  for (const cat of defaultProductCategories) {
-    // Generate slug from name for uniqueness
-    const slug = cat.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-    await ProductCategory.updateOne(
-      { name: cat.name, createdBy: null },
-      { $setOnInsert: { ...cat, slug } },
-      { upsert: true }
-    );
-  }
-}
-
-// Initialize default data after database connection
+// Initialize default data after database connection.
+// New organizations are seeded when they are created; this backfills defaults
+// added since for existing organizations.
 connectDB().then(async () => {
   try {
-    await insertDefaultCategories();
-    console.log('✅ Default expense categories initialized');
-    await insertDefaultProductCategories();
-    console.log('✅ Default product categories initialized');
+    await forEachOrganization(organization => seedOrganizationDefaults(organization._id));
+    console.log('✅ Organization defaults (roles, expense and product categories) initialized');
   } catch (error) {
     console.error('Error initializing default data:', error);
   }
@@ -147,10 +104,15 @@ connectDB().then(async () => {
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organization', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/locations', locationRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/transfers', stockTransferRoutes);
+app.use('/api/serials', serialNumberRoutes);
 app.use('/api/sales', saleRoutes);
 app.use('/api/income', incomeRoutes);
 app.use('/api/expense', expenseRoutes);
@@ -163,6 +125,7 @@ app.use('/api/income-categories', incomeCategoryRoutes);
 app.use('/api/product-categories', productCategoryRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/customers', customerRoutes);
+app.use('/api/price-lists', priceListRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/test', testRoutes);
@@ -0,0 +1,179 @@
+const ProductCategory = require('../models/ProductCategory');
+
+// Categories define custom product attributes ({ key, label, type, required,
+// allowedValues, unit }). A product takes the attributes of its category and
+// of every category above it; a subcategory may redefine an inherited key.
+// Values live in Product.attributes, keyed by attribute key.
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Validate a category's attribute definitions. Throws an Error with a
+ * client-facing message.
+ */
+function normalizeDefinitions(definitions) {
+  if (!Array.isArray(definitions)) throw new Error('attributes must be an array');
+  const types = ProductCategory.ATTRIBUTE_TYPES;
+  const seen = new Set();
+  return definitions.map(definition => {
+    const key = definition && typeof definition.key === 'string' ? definition.key.trim() : '';
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Attribute key "${key}" must start with a lowercase letter and contain only lowercase letters, digits and _`);
+    }
+    if (seen.has(key)) throw new Error(`Attribute "${key}" is defined more than once`);
+    seen.add(key);
+
+    const type = definition.type || 'text';
+    if (!types.includes(type)) throw new Error(`Attribute "${key}" must have a type of: ${types.join(', ')}`);
+    const allowedValues = definition.allowedValues || [];
+    if (!Array.isArray(allowedValues) || allowedValues.some(value => typeof value !== 'string' || !value.trim())) {
+      throw new Error(`allowedValues of attribute "${key}" must be a list of values`);
+    }
+    if (['select', 'multiselect'].includes(type) && allowedValues.length === 0) {
+      throw new Error(`Attribute "${key}" is a ${type} and needs allowedValues`);
+    }
+
+    return {
+      key,
+      label: definition.label || key,
+      type,
+      required: Boolean(definition.required),
+      allowedValues: ['select', 'multiselect'].includes(type) ? [...new Set(allowedValues.map(value => value.trim()))] : [],
+      unit: definition.unit
+    };
+  });
+}
+
+/**
+ * Attribute definitions that apply to products of a category: those of its
+ * ancestors (root first) and its own, the nearest definition of a key winning.
+ */
+async function categoryAttributes(categoryId) {
+  const category = await ProductCategory.findById(categoryId).select('ancestors attributes').lean();
+  if (!category) return [];
+  const ancestors = await ProductCategory.find({ _id: { $in: category.ancestors || [] } })
+    .select('attributes')
+    .lean();
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+  const definitions = new Map();
+  [...(category.ancestors || []).map(id => byId.get(id.toString())).filter(Boolean), category]
+    .forEach(entry => (entry.attributes || []).forEach(definition => definitions.set(definition.key, definition)));
+  return [...definitions.values()];
+}
+
+// Cast a value to an attribute's type; throws on a value it cannot hold
+function castValue(definition, value) {
+  const { key, type, allowedValues } = definition;
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error(`Attribute "${key}" must be a number`);
+      return number;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`Attribute "${key}" must be true or false`);
+    case 'select':
+      if (!allowedValues.includes(String(value))) {
+        throw new Error(`Attribute "${key}" must be one of: ${allowedValues.join(', ')}`);
+      }
+      return String(value);
+    case 'multiselect': {
+      const values = Array.isArray(value) ? value.map(String) : [String(value)];
+      const invalid = values.find(entry => !allowedValues.includes(entry));
+      if (invalid !== undefined) {
+        throw new Error(`Attribute "${key}" values must be among: ${allowedValues.join(', ')} (got ${invalid})`);
+      }
+      return [...new Set(values)];
+    }
+    default:
+      if (typeof value === 'object') throw new Error(`Attribute "${key}" must be text`);
+      return String(value).trim();
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check a product's attribute values against the definitions of its
+ * category and return them cast to their types. Unknown keys and missing
+ * required attributes are rejected. Throws an Error with a client-facing
+ * message.
+ */
+function validateAttributeValues(definitions, values) {
+  if (values instanceof Map) values = Object.fromEntries(values);
+  if (values === undefined || values === null) values = {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error('attributes must be an object of attribute values by key');
+  }
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+  const unknown = Object.keys(values).find(key => !byKey.has(key));
+  if (unknown) {
+    const known = definitions.map(definition => definition.key).join(', ') || 'none';
+    throw new Error(`Unknown attribute "${unknown}" for this category (attributes: ${known})`);
+  }
+
+  const result = {};
+  definitions.forEach(definition => {
+    const value = values[definition.key];
+    if (isEmpty(value)) {
+      if (definition.required) throw new Error(`Attribute "${definition.label || definition.key}" is required`);
+      return;
+    }
+    result[definition.key] = castValue(definition, value);
+  });
+  return result;
+}
+
+// A filter value as every type it may be stored as ('220' also matches 220, 'true' matches true)
+function filterValues(value) {
+  const text = String(value).trim();
+  const values = [text];
+  if (text !== '' && Number.isFinite(Number(text))) values.push(Number(text));
+  if (text === 'true' || text === 'false') values.push(text === 'true');
+  return values;
+}
+
+/**
+ * Product query conditions from attribute filters, e.g. the query string
+ * `attributes[fabric]=cotton,linen&attributes[voltage][min]=110`:
+ * comma-separated values match any of them (and any value of a
+ * multiselect), `min`/`max` give a numeric range. Throws an Error with a
+ * client-facing message.
+ */
+function attributeFilter(filters) {
+  if (filters === undefined) return {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Filter attributes as attributes[key]=value');
+  }
+  const conditions = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Unknown attribute key "${key}"`);
+    const path = `attributes.${key}`;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const range = {};
+      ['min', 'max'].forEach(bound => {
+        if (value[bound] === undefined) return;
+        const number = Number(value[bound]);
+        if (value[bound] === '' || !Number.isFinite(number)) throw new Error(`attributes[${key}][${bound}] must be a number`);
+        range[bound === 'min' ? '$gte' : '$lte'] = number;
+      });
+      if (Object.keys(range).length === 0) throw new Error(`Filter attribute "${key}" by value, min or max`);
+      conditions[path] = range;
+      return;
+    }
+    const values = [].concat(value).flatMap(entry => String(entry).split(',')).filter(entry => entry.trim() !== '');
+    if (values.length === 0) return;
+    conditions[path] = { $in: values.flatMap(filterValues) };
+  });
+  return conditions;
+}
+
+module.exports = {
+  normalizeDefinitions,
+  categoryAttributes,
+  validateAttributeValues,
+  attributeFilter
+};
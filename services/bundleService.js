@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+
+// A bundle (kit) holds no stock: it is made up on sale from its components,
+// which are deducted from the sale location. Its availability is the number
+// of complete bundles the component stock at one location can make.
+
+/**
+ * Validate and normalize bundle components ([{ product, quantity }]).
+ * Components must be active, stocked products (not bundles or variant
+ * parents). Throws an Error with a client-facing message.
+ */
+async function validateComponents(components, bundleId = null) {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw new Error('A bundle needs at least one component');
+  }
+  for (const component of components) {
+    if (!component || !mongoose.Types.ObjectId.isValid(component.product)) {
+      throw new Error('Every bundle component needs a valid product ID');
+    }
+    if (!Number.isInteger(component.quantity) || component.quantity < 1) {
+      throw new Error(`Quantity of component ${component.product} must be a whole number of at least 1`);
+    }
+    if (bundleId && bundleId.toString() === component.product.toString()) {
+      throw new Error('A bundle cannot contain itself');
+    }
+  }
+
+  const productIds = components.map(component => component.product.toString());
+  if (new Set(productIds).size !== productIds.length) {
+    throw new Error('A product can only appear once in a bundle: increase its quantity instead');
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } }).select('name isActive isBundle hasVariants');
+  for (const productId of productIds) {
+    const product = products.find(p => p._id.toString() === productId);
+    if (!product || !product.isActive) throw new Error(`Active component product ${productId} not found`);
+    if (product.isBundle) throw new Error(`${product.name} is a bundle: bundles cannot contain other bundles`);
+    if (product.hasVariants) throw new Error(`${product.name} has variants: use one of its variants as the component`);
+  }
+
+  return components.map(component => ({ product: component.product, quantity: component.quantity }));
+}
+
+/**
+ * Component stock deducted by selling `quantity` of a bundle.
+ */
+const componentDemand = (bundle, quantity) =>
+  bundle.bundleComponents.map(component => ({
+    product: component.product,
+    quantity: component.quantity * quantity
+  }));
+
+/**
+ * Number of each bundle that can be made up, keyed by bundle id. At a given
+ * location, or summed over every location when `locationId` is omitted.
+ */
+async function bundleAvailability(bundles, locationId = null) {
+  const availability = new Map();
+  if (bundles.length === 0) return availability;
+
+  const componentIds = [...new Set(bundles.flatMap(bundle =>
+    bundle.bundleComponents.map(component => component.product.toString())))];
+  const filter = { product: { $in: componentIds } };
+  if (locationId) filter.location = locationId;
+  const inventory = await Inventory.find(filter).select('product location quantity').lean();
+
+  // stock[locationId][productId] = quantity
+  const stock = new Map();
+  inventory.forEach(inv => {
+    const locationKey = inv.location.toString();
+    if (!stock.has(locationKey)) stock.set(locationKey, new Map());
+    stock.get(locationKey).set(inv.product.toString(), Math.max(inv.quantity, 0));
+  });
+
+  bundles.forEach(bundle => {
+    let total = 0;
+    stock.forEach(locationStock => {
+      total += Math.min(...bundle.bundleComponents.map(component =>
+        Math.floor((locationStock.get(component.product.toString()) || 0) / component.quantity)));
+    });
+    availability.set(bundle._id.toString(), total);
+  });
+  return availability;
+}
+
+module.exports = {
+  validateComponents,
+  componentDemand,
+  bundleAvailability
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const ProductCategory = require('../models/ProductCategory');
+
+// Product categories form a tree. Each category keeps its `parent` and its
+// `ancestors` (root first), so a subtree is found with a single query on
+// `ancestors` and a move rewrites the ancestors of the moved subtree.
+
+const slugify = (name) => name.toLowerCase().replace(/\s+/g, '-');
+
+// Slug of a category under `parent`: the parent's slug, then its own name
+const categorySlug = (name, parent = null) => (parent ? `${parent.slug}/${slugify(name)}` : slugify(name));
+
+// Ids of a category and of every category below it
+async function descendantIds(categoryId) {
+  const descendants = await ProductCategory.find({ ancestors: categoryId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(String(categoryId)), ...descendants.map(category => category._id)];
+}
+
+// The path from the root down to `category`, inclusive
+async function breadcrumbs(category) {
+  const ancestors = await ProductCategory.find({ _id: { $in: category.ancestors } })
+    .select('name slug depth')
+    .lean();
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+  return [
+    ...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+    { _id: category._id, name: category.name, slug: category.slug, depth: category.depth }
+  ];
+}
+
+/**
+ * Nest a flat list of categories into trees ({ ...category, children }).
+ * Categories whose parent is not in the list become roots.
+ */
+function buildTree(categories) {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+}
+
+/**
+ * Place `category` under `parent` (null for the root) and rewrite the
+ * ancestors, depth and slug of everything below it. A category cannot move
+ * into its own subtree. Throws an Error with a client-facing message.
+ */
+async function moveCategory(category, parent) {
+  if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+    throw new Error('A category cannot be moved under itself or one of its subcategories');
+  }
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  await relocateSubtree(category, {
+    parent: parent ? parent._id : null,
+    ancestors,
+    slug: categorySlug(category.name, parent)
+  });
+  return category;
+}
+
+/**
+ * Give `category` its new parent, ancestors and slug, and carry the change
+ * down to its descendants (their slugs start with the category's slug).
+ * Also used after a rename, which changes the slugs below.
+ */
+async function relocateSubtree(category, { parent, ancestors, slug }) {
+  const oldSlug = category.slug || '';
+  const oldDepth = category.ancestors.length;
+  category.parent = parent;
+  category.ancestors = ancestors;
+  category.depth = ancestors.length;
+  category.slug = slug;
+  await category.save();
+
+  const descendants = await ProductCategory.find({ ancestors: category._id }).select('ancestors slug');
+  if (descendants.length === 0) return;
+  await ProductCategory.bulkWrite(descendants.map(descendant => {
+    // Keep the part of the path below the moved category
+    const below = descendant.ancestors.slice(oldDepth);
+    const descendantAncestors = [...ancestors, ...below];
+    const descendantSlug = descendant.slug && descendant.slug.startsWith(`${oldSlug}/`)
+      ? `${slug}${descendant.slug.slice(oldSlug.length)}`
+      : descendant.slug;
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: descendantAncestors, depth: descendantAncestors.length, slug: descendantSlug } }
+      }
+    };
+  }));
+}
+
+/**
+ * Aggregation stages rolling lines up by product category. `productField`
+ * holds the product id of each document or unwound line; `quantity`,
+ * `value` and optional `cost` are the expressions summed per category.
+ *
+ * `level` picks the tree level to group at (0 = top-level categories):
+ * products count towards their ancestor at that level, or towards their
+ * own category when it sits higher up. Without a level products count
+ * towards their own category. Products without a category are grouped
+ * under a null categoryId.
+ */
+function categoryRollupStages({ productField, quantity, value, cost, level = null }) {
+  const groupKey = level === null
+    ? '$rollupCategory._id'
+    : {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$rollupCategory.ancestors', []] } }, level] },
+        { $arrayElemAt: ['$rollupCategory.ancestors', level] },
+        '$rollupCategory._id'
+      ]
+    };
+
+  return [
+    { $lookup: { from: 'products', localField: productField, foreignField: '_id', as: 'rollupProduct' } },
+    { $unwind: '$rollupProduct' },
+    { $lookup: { from: 'productcategories', localField: 'rollupProduct.category', foreignField: '_id', as: 'rollupCategory' } },
+    { $unwind: { path: '$rollupCategory', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: groupKey,
+        quantity: { $sum: quantity },
+        value: { $sum: value },
+        ...(cost && { cost: { $sum: cost } }),
+        products: { $addToSet: '$rollupProduct._id' }
+      }
+    },
+    { $lookup: { from: 'productcategories', localField: '_id', foreignField: '_id', as: 'category' } },
+    { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        categoryId: '$_id',
+        name: { $ifNull: ['$category.name', 'Uncategorized'] },
+        slug: '$category.slug',
+        depth: '$category.depth',
+        parent: '$category.parent',
+        quantity: 1,
+        value: 1,
+        ...(cost && { cost: 1, grossProfit: { $subtract: ['$value', '$cost'] } }),
+        productCount: { $size: '$products' }
+      }
+    },
+    { $sort: { value: -1 } }
+  ];
+}
+
+module.exports = {
+  categorySlug,
+  descendantIds,
+  breadcrumbs,
+  buildTree,
+  moveCategory,
+  relocateSubtree,
+  categoryRollupStages
+};
@@ -0,0 +1,100 @@
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const { baseQuantityOf } = require('./unitService');
+
+// Product cost is a weighted average over the stock on hand (all locations),
+// updated from purchase unit costs when purchases are received. Sales copy
+// the cost at the time of sale onto each line, so margins are not rewritten
+// by later purchases.
+
+// Cost per line unit of a purchase line after its line discount, before tax
+const effectiveUnitCost = (item) => {
+  const quantity = Number(item.quantity) || 0;
+  if (quantity <= 0) return 0;
+  return Math.max(0, (Number(item.unitCost) * quantity - (Number(item.discount) || 0)) / quantity);
+};
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Fold received purchase items into the product weighted-average costs. Must
+ * run before the received quantities are added to inventory. Returns the
+ * { product, previousCost, cost } changes.
+ */
+async function applyPurchaseCosts(items, { session } = {}) {
+  // Several lines of the same product are received as one quantity
+  const receipts = new Map();
+  for (const item of items) {
+    const productId = (item.product._id || item.product).toString();
+    const receipt = receipts.get(productId) || { quantity: 0, value: 0 };
+    // Costs are kept per base unit
+    receipt.quantity += baseQuantityOf(item);
+    receipt.value += effectiveUnitCost(item) * (Number(item.quantity) || 0);
+    receipts.set(productId, receipt);
+  }
+
+  const productIds = [...receipts.keys()];
+  const [products, stock] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('cost').session(session || null),
+    Inventory.find({ product: { $in: productIds } }).select('product quantity').session(session || null)
+  ]);
+
+  const changes = [];
+  for (const product of products) {
+    const receipt = receipts.get(product._id.toString());
+    if (receipt.quantity <= 0) continue;
+    const onHand = stock
+      .filter(inv => inv.product.equals(product._id))
+      .reduce((sum, inv) => sum + Math.max(inv.quantity, 0), 0);
+    const previousCost = product.cost || 0;
+    const cost = roundCost((onHand * previousCost + receipt.value) / (onHand + receipt.quantity));
+
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { cost, costUpdatedAt: new Date() } },
+      { session: session || null }
+    );
+    changes.push({ product: product._id, previousCost, cost });
+  }
+  return changes;
+}
+
+// Aggregation expressions for an unwound sale line ($items)
+const SALE_LINE_REVENUE = {
+  $multiply: [
+    '$items.price',
+    '$items.quantity',
+    { $subtract: [1, { $divide: [{ $ifNull: ['$items.discount', 0] }, 100] }] }
+  ]
+};
+const SALE_LINE_COST = { $multiply: ['$items.quantity', { $ifNull: ['$items.cost', 0] }] };
+
+// Cost of goods of a whole sale document
+const SALE_COST = {
+  $sum: {
+    $map: {
+      input: '$items',
+      as: 'item',
+      in: { $multiply: ['$$item.quantity', { $ifNull: ['$$item.cost', 0] }] }
+    }
+  }
+};
+// Sale revenue before tax (total already includes line and sale discounts)
+const SALE_NET_REVENUE = { $subtract: ['$total', { $ifNull: ['$tax', 0] }] };
+
+// Sales that no longer count towards revenue and cost of goods sold
+const NON_REVENUE_SALE_STATUSES = ['cancelled', 'refunded'];
+
+const grossMargin = (revenue, cost) => (revenue > 0 ? parseFloat((((revenue - cost) / revenue) * 100).toFixed(2)) : 0);
+
+module.exports = {
+  effectiveUnitCost,
+  roundCost,
+  applyPurchaseCosts,
+  SALE_LINE_REVENUE,
+  SALE_LINE_COST,
+  SALE_COST,
+  SALE_NET_REVENUE,
+  NON_REVENUE_SALE_STATUSES,
+  grossMargin
+};
@@ -36,65 +36,211 @@
 
 
 const { Resend } = require('resend'); // Import Resend
+const nodemailer = require('nodemailer');
 const { compile } = require('handlebars');
 const fs = require('fs');
 const path = require('path');
 
-// Instantiate Resend client with API Key from .env
-const resend = new Resend(process.env.RESEND_API_KEY);
+// --- Transports ---
+// EMAIL_TRANSPORT selects how mail leaves the app:
+//   'resend' (default) - Resend API, needs RESEND_API_KEY
+//   'smtp'             - any SMTP server (e.g. a local MailHog/Mailpit catcher on
+//                        SMTP_HOST/SMTP_PORT), optional SMTP_USER/SMTP_PASS/SMTP_SECURE
+// A transport is an object with `isConfigured()` and `send({ from, to, subject, html })`.
+// `send` resolves with provider data and throws on failure.
 
-// Keep template compilation logic
-const templateSource = fs.readFileSync(
-  path.join(__dirname, 'templates/lowStockAlert.hbs'),
-  'utf8'
-);
-const template = compile(templateSource);
+const createResendTransport = () => {
+  let client = null;
+  return {
+    name: 'resend',
+    isConfigured: () => !!process.env.RESEND_API_KEY,
+    send: async (message) => {
+      // Instantiate lazily so the app can boot without a Resend key
+      if (!client) client = new Resend(process.env.RESEND_API_KEY);
+      const { data, error } = await client.emails.send(message);
+      if (error) {
+        const err = new Error(error.message || 'Resend error');
+        err.name = error.name || err.name;
+        err.statusCode = error.statusCode;
+        throw err;
+      }
+      return data;
+    }
+  };
+};
+
+const createSmtpTransport = () => {
+  let transporter = null;
+  return {
+    name: 'smtp',
+    isConfigured: () => !!process.env.SMTP_HOST,
+    send: async (message) => {
+      if (!transporter) {
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 1025,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+      const info = await transporter.sendMail({ ...message, to: message.to.join(', ') });
+      return { id: info.messageId };
+    }
+  };
+};
+
+const transportFactories = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport
+};
+
+let activeTransport = null;
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = (process.env.EMAIL_TRANSPORT || 'resend').toLowerCase();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transportFactories).join(', ')}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Replace the transport (e.g. with an in-memory one in tests). Pass null to go
+// back to the one selected by EMAIL_TRANSPORT.
+exports.setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const isEmailConfigured = () => !!process.env.EMAIL_FROM && getTransport().isConfigured();
+
+// --- Templates ---
+
+const templateCache = {};
+const renderTemplate = (name, data) => {
+  if (!templateCache[name]) {
+    const source = fs.readFileSync(path.join(__dirname, `templates/${name}.hbs`), 'utf8');
+    templateCache[name] = compile(source);
+  }
+  return templateCache[name](data);
+};
+
+const supportEmail = () => process.env.SUPPORT_EMAIL || 'support@yourverifieddomain.com';
+
+// --- Low stock alerts ---
 
 exports.sendLowStockEmail = async (product, recipients) => {
   // Check if email service is properly configured
-  if (!process.env.RESEND_API_KEY || !process.env.EMAIL_FROM) {
+  if (!isEmailConfigured()) {
     console.warn('Email service not configured - skipping email notification');
     return { skipped: true, reason: 'Email service not configured' };
   }
 
   // Template data remains the same
-  const html = template({
+  const html = renderTemplate('lowStockAlert', {
     productName: product.name,
     currentStock: product.quantity,
     threshold: product.notifyAt,
     productLink: `${process.env.CLIENT_URL}/products/${product._id}`,
-    supportEmail: process.env.SUPPORT_EMAIL || 'support@yourverifieddomain.com'
+    supportEmail: supportEmail()
   });
 
   try {
-    // Use resend.emails.send()
-    const { data, error } = await resend.emails.send({
+    const data = await getTransport().send({
       from: process.env.EMAIL_FROM, // Use EMAIL_FROM from .env (verified domain)
       to: recipients.map(u => u.email), // Pass emails as an array
       subject: `Low Stock Alert: ${product.name}`,
       html: html // Pass the compiled HTML
     });
 
-    if (error) {
-      console.error('Error sending email via Resend:', error);
-      // Don't throw on rate limiting or domain verification errors to prevent crash
-      if (error.name === 'rate_limit_exceeded' || error.statusCode === 403) {
-        console.warn('Email service issue - continuing without email notification');
-        return { skipped: true, reason: error.message || 'Email service issue' };
-      }
-      throw new Error(`Failed to send low stock email: ${error.message}`);
-    }
-
-    console.log('Low stock email sent successfully via Resend:', data);
+    console.log(`Low stock email sent successfully via ${getTransport().name}:`, data);
     return data; // Return the success response data
 
   } catch (err) {
     console.error('Exception caught while sending email:', err);
-    // For non-critical errors, don't crash the application
-    if (err.message.includes('rate_limit_exceeded') || err.message.includes('domain is not verified')) {
+    // Don't throw on rate limiting or domain verification errors to prevent crash
+    if (err.name === 'rate_limit_exceeded' || err.statusCode === 403 ||
+        err.message.includes('rate_limit_exceeded') || err.message.includes('domain is not verified')) {
       console.warn('Email service issue - continuing without email notification');
       return { skipped: true, reason: err.message };
     }
-    throw err;
+    throw new Error(`Failed to send low stock email: ${err.message}`);
+  }
+};
+
+// --- Account emails ---
+
+// Send a single transactional email. Returns { skipped: true } instead of
+// throwing when email is not configured or fails, so account flows keep working.
+const sendAccountEmail = async ({ to, subject, html }) => {
+  if (!isEmailConfigured()) {
+    console.warn(`Email service not configured - skipping "${subject}" email to ${to}`);
+    return { skipped: true, reason: 'Email service not configured' };
+  }
+
+  try {
+    return await getTransport().send({
+      from: process.env.EMAIL_FROM,
+      to: [to],
+      subject,
+      html
+    });
+  } catch (err) {
+    console.error(`Error sending "${subject}" email via ${getTransport().name}:`, err);
+    return { skipped: true, reason: err.message || 'Email service issue' };
   }
-};
\ No newline at end of file
+};
+
+exports.sendInvitationEmail = async (user, token, { invitedBy, expiresInHours }) => {
+  const activationLink = `${process.env.CLIENT_URL}/activate?token=${token}`;
+  const html = renderTemplate('userInvitation', {
+    name: user.name,
+    invitedByName: invitedBy?.name || 'An administrator',
+    role: user.role,
+    activationLink,
+    expiresInHours,
+    supportEmail: supportEmail()
+  });
+
+  const result = await sendAccountEmail({
+    to: user.email,
+    subject: 'You have been invited to StockFlow',
+    html
+  });
+  return { ...result, activationLink };
+};
+
+exports.sendPasswordResetEmail = async (user, token, { expiresInMinutes }) => {
+  const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+  const html = renderTemplate('passwordReset', {
+    name: user.name,
+    resetLink,
+    expiresInMinutes,
+    supportEmail: supportEmail()
+  });
+
+  return sendAccountEmail({
+    to: user.email,
+    subject: 'Reset your StockFlow password',
+    html
+  });
+};
+
+exports.sendEmailVerificationEmail = async (user, token, { expiresInHours }) => {
+  const verificationLink = `${process.env.CLIENT_URL}/verify-email?token=${token}`;
+  const html = renderTemplate('emailVerification', {
+    name: user.name,
+    verificationLink,
+    expiresInHours,
+    supportEmail: supportEmail()
+  });
+
+  return sendAccountEmail({
+    to: user.email,
+    subject: 'Verify your StockFlow email address',
+    html
+  });
+};
@@ -136,8 +136,7 @@ class EnhancedNotificationService {
       }, ['admin', 'manager']);
 
       // Emit real-time notification
-      const io = this.getSocket();
-      io.emit('notification', {
+      emitToOrganization(notification.organization, 'notification', {
         type: 'stock_adjustment',
         notification: notification,
         data: {
@@ -174,8 +173,7 @@ class EnhancedNotificationService {
 
       // Emit real-time notification for large sales
       if (sale.total > 500) {
-        const io = this.getSocket();
-        io.emit('notification', {
+        emitToOrganization(notification.organization, 'notification', {
           type: 'sale_completed',
           notification: notification,
           data: {
@@ -192,22 +190,25 @@ class EnhancedNotificationService {
     }
   }
 
-  // Create expiry warning notification
-  async createExpiryWarningNotification(inventoryItem, daysUntilExpiry) {
+  // Create expiry warning notification (for one lot of the inventory record, if given)
+  async createExpiryWarningNotification(inventoryItem, daysUntilExpiry, lot = null) {
     try {
       const product = await Product.findById(inventoryItem.product);
       const location = await inventoryItem.populate('location');
+      const lotLabel = lot && lot.lotNumber ? ` (lot ${lot.lotNumber}, ${lot.quantity} units)` : '';
       
       const notification = await Notification.createRoleNotification({
         type: 'expiry_warning',
         title: 'Product Expiry Warning',
-        message: `${product.name} expires in ${daysUntilExpiry} days at ${location.location.name}`,
+        message: `${product.name}${lotLabel} expires in ${daysUntilExpiry} days at ${location.location.name}`,
         data: {
           productId: product._id,
           inventoryId: inventoryItem._id,
           locationId: inventoryItem.location,
-          expiryDate: inventoryItem.expiryDate,
-          daysUntilExpiry: daysUntilExpiry
+          expiryDate: lot ? lot.expiryDate : inventoryItem.expiryDate,
+          quantity: lot ? lot.quantity : inventoryItem.quantity,
+          daysUntilExpiry: daysUntilExpiry,
+          ...(lot && { additionalData: { lotId: lot._id, lotNumber: lot.lotNumber } })
         },
         priority: daysUntilExpiry <= 3 ? 'high' : 'medium',
         targetLocations: [inventoryItem.location]
@@ -215,8 +216,7 @@ class EnhancedNotificationService {
 
       // Emit real-time notification for urgent expiries
       if (daysUntilExpiry <= 7) {
-        const io = this.getSocket();
-        io.emit('notification', {
+        emitToOrganization(notification.organization, 'notification', {
           type: 'expiry_warning',
           notification: notification,
           data: {
@@ -255,8 +255,7 @@ class EnhancedNotificationService {
       }, ['admin', 'manager']);
 
       // Emit real-time notification
-      const io = this.getSocket();
-      io.emit('notification', {
+      emitToOrganization(notification.organization, 'notification', {
         type: 'transfer_completed',
         notification: notification,
         data: {
@@ -286,8 +285,7 @@ class EnhancedNotificationService {
 
       // Emit real-time notification for high priority alerts
       if (priority === 'high' || priority === 'critical') {
-        const io = this.getSocket();
-        io.emit('notification', {
+        emitToOrganization(notification.organization, 'notification', {
           type: 'system_alert',
           notification: notification,
           data: {
@@ -380,26 +378,45 @@ class EnhancedNotificationService {
         const startOfDay = new Date(targetDate.setHours(0, 0, 0, 0));
         const endOfDay = new Date(targetDate.setHours(23, 59, 59, 999));
 
+        const notifiedBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const isDue = (entry) => !entry.lastNotified || entry.lastNotified < notifiedBefore;
+
+        // Records without lots expire as a whole; others lot by lot
         const expiringItems = await Inventory.find({
-          expiryDate: {
-            $gte: startOfDay,
-            $lte: endOfDay
-          },
           quantity: { $gt: 0 },
           $or: [
-            { lastNotified: { $exists: false } },
-            { lastNotified: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+            {
+              'lots.0': { $exists: false },
+              expiryDate: { $gte: startOfDay, $lte: endOfDay },
+              $or: [
+                { lastNotified: { $exists: false } },
+                { lastNotified: { $lt: notifiedBefore } }
+              ]
+            },
+            { lots: { $elemMatch: { expiryDate: { $gte: startOfDay, $lte: endOfDay }, quantity: { $gt: 0 } } } }
           ]
         }).populate('product location');
 
+        let warnings = 0;
         for (const item of expiringItems) {
-          await this.createExpiryWarningNotification(item, days);
-          
-          item.lastNotified = new Date();
+          if (item.lots.length === 0) {
+            await this.createExpiryWarningNotification(item, days);
+            item.lastNotified = new Date();
+            warnings++;
+          } else {
+            const lots = item.lots.filter(lot => lot.quantity > 0 && lot.expiryDate &&
+              lot.expiryDate >= startOfDay && lot.expiryDate <= endOfDay && isDue(lot));
+            if (lots.length === 0) continue;
+            for (const lot of lots) {
+              await this.createExpiryWarningNotification(item, days, lot);
+              lot.lastNotified = new Date();
+              warnings++;
+            }
+          }
           await item.save();
         }
 
-        console.log(`Processed ${expiringItems.length} expiry warnings for ${days} days`);
+        console.log(`Processed ${warnings} expiry warnings for ${days} days`);
       }
     } catch (error) {
       console.error('Error checking expiring products:', error);
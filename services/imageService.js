@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage } = require('canvas');
+const Product = require('../models/Product');
+
+// Product images are stored under public/uploads/products and served
+// statically. Each upload keeps its original and gets resized renditions
+// next to it, named after it (product-123.jpg -> product-123-thumbnail.jpg).
+
+const PRODUCT_IMAGE_DIR = path.join(__dirname, '..', 'public', 'uploads', 'products');
+const PRODUCT_IMAGE_URL = '/uploads/products';
+
+// Allowed upload types (extension and mime type)
+const IMAGE_TYPES = /jpg|jpeg|png|gif|webp/;
+
+// Longest side, in pixels, of each rendition. Smaller images are not enlarged.
+const RENDITIONS = {
+  thumbnail: 200,
+  medium: 800
+};
+
+// canvas cannot decode WebP: such uploads are served as they are
+const UNDECODABLE = ['.webp'];
+
+const isAllowedImage = (file) =>
+  IMAGE_TYPES.test(path.extname(file.originalname).toLowerCase()) && IMAGE_TYPES.test(file.mimetype);
+
+const urlFor = (filename) => `${PRODUCT_IMAGE_URL}/${filename}`;
+
+// Local file behind a product image URL, or null for anything else (e.g. external URLs)
+function fileForUrl(url) {
+  if (typeof url !== 'string' || !url.startsWith(`${PRODUCT_IMAGE_URL}/`)) return null;
+  const filename = path.basename(url);
+  return filename ? path.join(PRODUCT_IMAGE_DIR, filename) : null;
+}
+
+/**
+ * Create the renditions of an uploaded product image (a file in
+ * PRODUCT_IMAGE_DIR) and return the gallery entry fields:
+ * { url, mediumUrl, thumbnailUrl, width, height }.
+ * PNG and GIF renditions stay PNG to keep transparency; others become JPEG.
+ * Throws if the file is not a readable image.
+ */
+async function createRenditions(filename) {
+  const source = path.join(PRODUCT_IMAGE_DIR, filename);
+  const ext = path.extname(filename).toLowerCase();
+  const url = urlFor(filename);
+  if (UNDECODABLE.includes(ext)) {
+    return { url, mediumUrl: url, thumbnailUrl: url };
+  }
+
+  let image;
+  try {
+    image = await loadImage(source);
+  } catch (err) {
+    throw new Error(`${filename} is not a readable image`);
+  }
+
+  const keepsAlpha = ['.png', '.gif'].includes(ext);
+  const base = path.basename(filename, path.extname(filename));
+  const entry = { url, width: image.width, height: image.height };
+  for (const [name, maxSide] of Object.entries(RENDITIONS)) {
+    const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+    const renditionName = `${base}-${name}${keepsAlpha ? '.png' : '.jpg'}`;
+    const buffer = keepsAlpha ? canvas.toBuffer('image/png') : canvas.toBuffer('image/jpeg', { quality: 0.82 });
+    await fs.promises.writeFile(path.join(PRODUCT_IMAGE_DIR, renditionName), buffer);
+    entry[`${name}Url`] = urlFor(renditionName);
+  }
+  return entry;
+}
+
+// Delete files, ignoring ones that are already gone
+async function removeFiles(files) {
+  await Promise.all(files.map(file => fs.promises.unlink(file).catch(err => {
+    if (err.code !== 'ENOENT') console.error(`Failed to delete image file ${file}:`, err.message);
+  })));
+}
+
+/**
+ * Delete the files of gallery images (original and renditions) that no
+ * other product still uses; variants may share their parent's image URLs.
+ * `productId` is the product the images were removed from.
+ */
+async function deleteImageFiles(images, productId = null) {
+  const urls = [...new Set(images.flatMap(image => [image.url, image.mediumUrl, image.thumbnailUrl]).filter(Boolean))];
+  if (urls.length === 0) return;
+
+  const filter = {
+    $or: [
+      { imageUrl: { $in: urls } },
+      { thumbnailUrl: { $in: urls } },
+      { 'images.url': { $in: urls } },
+      { 'images.mediumUrl': { $in: urls } },
+      { 'images.thumbnailUrl': { $in: urls } }
+    ]
+  };
+  if (productId) filter._id = { $ne: productId };
+  const others = await Product.find(filter).select('imageUrl thumbnailUrl images').lean();
+  const inUse = new Set(others.flatMap(product => [
+    product.imageUrl,
+    product.thumbnailUrl,
+    ...(product.images || []).flatMap(image => [image.url, image.mediumUrl, image.thumbnailUrl])
+  ]));
+
+  await removeFiles(urls.filter(url => !inUse.has(url)).map(fileForUrl).filter(Boolean));
+}
+
+// Delete freshly uploaded files (multer) that will not be kept
+const discardUploads = (files = []) => removeFiles(files.map(file => file.path));
+
+module.exports = {
+  PRODUCT_IMAGE_DIR,
+  isAllowedImage,
+  createRenditions,
+  deleteImageFiles,
+  discardUploads
+};
@@ -1,8 +1,13 @@
 const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Purchase = require('../models/Purchase');
+const { ITEMS_BASE_QUANTITY } = require('./unitService');
 
 /**
  * Optimized MongoDB aggregation pipelines for inventory operations
  * Using MongoDB MCP best practices for performance and data consistency
+ * Pipelines run through the Mongoose models so they are scoped to the
+ * current organization.
  */
 
 class InventoryAnalyticsService {
@@ -163,7 +168,7 @@ class InventoryAnalyticsService {
       }
     ];
 
-    return await mongoose.connection.db.collection('inventories').aggregate(pipeline).toArray();
+    return await Inventory.aggregate(pipeline);
   }
 
   /**
@@ -217,7 +222,7 @@ class InventoryAnalyticsService {
             ]
           },
           totalItems: { $size: '$items' },
-          totalQuantity: { $sum: '$items.quantity' }
+          totalQuantity: ITEMS_BASE_QUANTITY
         }
       },
       {
@@ -291,7 +296,7 @@ class InventoryAnalyticsService {
       }
     ];
 
-    return await mongoose.connection.db.collection('purchases').aggregate(pipeline).toArray();
+    return await Purchase.aggregate(pipeline);
   }
 
   /**
@@ -448,7 +453,7 @@ class InventoryAnalyticsService {
       }
     ];
 
-    return await mongoose.connection.db.collection('inventories').aggregate(pipeline).toArray();
+    return await Inventory.aggregate(pipeline);
   }
 
   /**
@@ -647,7 +652,7 @@ class InventoryAnalyticsService {
       }
     ];
 
-    return await mongoose.connection.db.collection('inventories').aggregate(pipeline).toArray();
+    return await Inventory.aggregate(pipeline);
   }
 }
 
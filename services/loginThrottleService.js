@@ -0,0 +1,96 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MAX_ATTEMPTS_PER_ACCOUNT = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5;
+const MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const ATTEMPT_WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+/**
+ * Count one failed attempt for a key. Returns the lock expiry when this
+ * attempt reached the limit, otherwise null.
+ */
+async function registerFailure(key, maxAttempts) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+  const windowEnd = new Date(now.getTime() + ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+
+  // Count inside the current window, or start a new one
+  let throttle = await LoginThrottle.findOneAndUpdate(
+    { key, windowStartedAt: { $gte: windowStart } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!throttle) {
+    try {
+      throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $set: { attempts: 1, windowStartedAt: now, expiresAt: windowEnd }, $unset: { lockedUntil: 1 } },
+        { new: true, upsert: true }
+      );
+    } catch (err) {
+      // Lost an upsert race with a parallel attempt: count on its document
+      if (err.code !== 11000) throw err;
+      throttle = await LoginThrottle.findOneAndUpdate({ key }, { $inc: { attempts: 1 } }, { new: true });
+    }
+  }
+
+  if (throttle.attempts < maxAttempts) return null;
+
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  await LoginThrottle.updateOne(
+    { _id: throttle._id },
+    { $set: { lockedUntil, attempts: 0, windowStartedAt: now, expiresAt: lockedUntil } }
+  );
+  return lockedUntil;
+}
+
+async function getLockedUntil(key) {
+  const throttle = await LoginThrottle.findOne({ key, lockedUntil: { $gt: new Date() } });
+  return throttle ? throttle.lockedUntil : null;
+}
+
+/**
+ * Latest lock expiry applying to a login attempt (account or IP), or null.
+ */
+async function getLoginLock(email, ip) {
+  const locks = (await Promise.all([getLockedUntil(accountKey(email)), getLockedUntil(ipKey(ip))])).filter(Boolean);
+  if (locks.length === 0) return null;
+  return new Date(Math.max(...locks.map(date => date.getTime())));
+}
+
+/**
+ * Count a failed login. Returns which counters just locked, e.g.
+ * { accountLockedUntil: Date|null, ipLockedUntil: Date|null }.
+ */
+async function registerLoginFailure(email, ip) {
+  const [accountLockedUntil, ipLockedUntil] = await Promise.all([
+    registerFailure(accountKey(email), MAX_ATTEMPTS_PER_ACCOUNT),
+    registerFailure(ipKey(ip), MAX_ATTEMPTS_PER_IP)
+  ]);
+  return { accountLockedUntil, ipLockedUntil };
+}
+
+/**
+ * Forget the failed attempts of an account after a successful login. The IP
+ * counter is kept so one valid account cannot be used to reset it.
+ */
+async function clearAccountFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Whether an account is currently locked (for admin views).
+ */
+async function getAccountLock(email) {
+  return getLockedUntil(accountKey(email));
+}
+
+module.exports = {
+  getLoginLock,
+  registerLoginFailure,
+  clearAccountFailures,
+  getAccountLock
+};
@@ -0,0 +1,183 @@
+// Lots split the stock of an inventory record by delivery: each has its own
+// lot number, expiry date and received date. Stock leaves lots
+// first-expiry-first-out (lots without an expiry last, older deliveries
+// first among equal expiries).
+//
+// Stock added without a lot (adjustments, stock entered before lots were
+// recorded) is "untracked": the part of Inventory.quantity that no lot holds.
+// It ranks as the oldest delivery, with the record's own expiryDate while the
+// record has no lots. Once lots exist, Inventory.expiryDate is the earliest
+// expiry of the lots still holding stock.
+//
+// These helpers change the inventory document in memory; the caller saves it.
+
+const lotTotal = (inventory) => (inventory.lots || []).reduce((sum, lot) => sum + lot.quantity, 0);
+
+// Stock of a record held in no lot
+const untrackedQuantity = (inventory) => Math.max(0, inventory.quantity - lotTotal(inventory));
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+// FEFO order: earliest expiry first, no expiry last, then oldest delivery
+function fefoCompare(a, b) {
+  const expiryA = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+  const expiryB = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+  if (expiryA !== expiryB) return expiryA - expiryB;
+  const receivedA = a.receivedAt ? new Date(a.receivedAt).getTime() : -Infinity;
+  const receivedB = b.receivedAt ? new Date(b.receivedAt).getTime() : -Infinity;
+  return receivedA === receivedB ? 0 : receivedA - receivedB;
+}
+
+/**
+ * Check a lot from a request ({ lotNumber, expiryDate }) and return it with
+ * the expiry as a Date. Throws an Error with a client-facing message.
+ */
+function parseLot(lot = {}) {
+  const lotNumber = lot.lotNumber === undefined || lot.lotNumber === null ? undefined : String(lot.lotNumber).trim();
+  let expiryDate;
+  if (lot.expiryDate !== undefined && lot.expiryDate !== null && lot.expiryDate !== '') {
+    expiryDate = new Date(lot.expiryDate);
+    if (Number.isNaN(expiryDate.getTime())) throw new Error(`Invalid expiry date "${lot.expiryDate}"`);
+  }
+  return { lotNumber: lotNumber || undefined, expiryDate };
+}
+
+/**
+ * Lot of each purchase line being received: the lot number and expiry on
+ * the line, overridden by those given at receipt (`lots`: [{ item, lotNumber,
+ * expiryDate }], `item` being the line's _id). Returns a Map of line id to
+ * { lotNumber, expiryDate }. Throws an Error with a client-facing message.
+ */
+function receiptLots(items, lots = []) {
+  if (!Array.isArray(lots)) throw new Error('lots must be an array of { item, lotNumber, expiryDate }');
+  const byLine = new Map(items.map(item => [item._id.toString(), parseLot(item)]));
+  for (const entry of lots) {
+    const lineId = entry && entry.item ? String(entry.item) : '';
+    if (!byLine.has(lineId)) throw new Error(`Purchase line "${lineId}" not found`);
+    const given = parseLot(entry);
+    byLine.set(lineId, {
+      lotNumber: given.lotNumber || byLine.get(lineId).lotNumber,
+      expiryDate: given.expiryDate || byLine.get(lineId).expiryDate
+    });
+  }
+  return byLine;
+}
+
+/**
+ * Add `quantity` to an inventory record as a lot. A lot with the same number
+ * and expiry is topped up. The first lot of a record turns the stock it
+ * already held into an opening lot, so that stock keeps its expiry.
+ */
+function receiveIntoLots(inventory, { quantity, lotNumber, expiryDate, receivedAt = new Date(), purchase, transfer }) {
+  if (!(quantity > 0)) return null;
+  if (inventory.lots.length === 0 && inventory.quantity > 0) {
+    inventory.lots.push({
+      expiryDate: inventory.expiryDate || undefined,
+      receivedAt: inventory.createdAt || receivedAt,
+      quantity: inventory.quantity
+    });
+  }
+
+  let lot = inventory.lots.find(entry => (entry.lotNumber || null) === (lotNumber || null) &&
+    sameDate(entry.expiryDate, expiryDate) && (lotNumber || sameDate(entry.receivedAt, receivedAt)));
+  if (lot) {
+    lot.quantity += quantity;
+  } else {
+    inventory.lots.push({ lotNumber, expiryDate, receivedAt, quantity, purchase, transfer });
+    lot = inventory.lots[inventory.lots.length - 1];
+  }
+  inventory.quantity += quantity;
+  return lot;
+}
+
+/**
+ * Take `quantity` out of an inventory record, first-expiry-first-out.
+ * Returns what was taken per lot ({ lot, lotNumber, expiryDate, receivedAt,
+ * quantity }; `lot` is null for untracked stock). The caller checks that
+ * the record holds enough.
+ */
+function takeFromLots(inventory, quantity) {
+  const untracked = untrackedQuantity(inventory);
+  const sources = [
+    ...inventory.lots.filter(lot => lot.quantity > 0),
+    ...(untracked > 0 ? [{ untracked: true, quantity: untracked, expiryDate: inventory.lots.length ? null : inventory.expiryDate }] : [])
+  ].sort(fefoCompare);
+
+  const taken = [];
+  let remaining = quantity;
+  for (const source of sources) {
+    if (remaining <= 0) break;
+    const amount = Math.min(source.quantity, remaining);
+    if (!source.untracked) source.quantity -= amount;
+    remaining -= amount;
+    taken.push({
+      lot: source.untracked ? null : source._id,
+      lotNumber: source.lotNumber,
+      expiryDate: source.expiryDate || undefined,
+      receivedAt: source.receivedAt,
+      quantity: amount
+    });
+  }
+  inventory.quantity -= quantity;
+  inventory.lots = inventory.lots.filter(lot => lot.quantity > 0);
+  return taken;
+}
+
+/**
+ * Put stock taken by takeFromLots() back into its lots (recreating lots
+ * that ran out since).
+ */
+function returnToLots(inventory, taken) {
+  for (const entry of taken) {
+    const lot = entry.lot && inventory.lots.id(entry.lot);
+    if (lot) {
+      lot.quantity += entry.quantity;
+      inventory.quantity += entry.quantity;
+    } else if (entry.lot || entry.lotNumber || entry.expiryDate) {
+      receiveIntoLots(inventory, entry);
+    } else {
+      inventory.quantity += entry.quantity;
+    }
+  }
+}
+
+/**
+ * Bring the lots of a record in line with its quantity: stock removed
+ * without going through the lots (adjustments, counts) leaves them
+ * first-expiry-first-out. Sets expiryDate to the earliest lot expiry.
+ */
+function reconcileLots(inventory) {
+  if (!inventory.lots || inventory.lots.length === 0) {
+    // The last lot ran out: its expiry no longer applies
+    if (inventory.isModified('lots')) inventory.expiryDate = undefined;
+    return;
+  }
+  let excess = lotTotal(inventory) - inventory.quantity;
+  if (excess > 0) {
+    [...inventory.lots].sort(fefoCompare).forEach(lot => {
+      const amount = Math.min(lot.quantity, excess);
+      lot.quantity -= amount;
+      excess -= amount;
+    });
+    inventory.lots = inventory.lots.filter(lot => lot.quantity > 0);
+  }
+  const expiries = inventory.lots.filter(lot => lot.expiryDate).map(lot => new Date(lot.expiryDate).getTime());
+  inventory.expiryDate = expiries.length > 0 ? new Date(Math.min(...expiries)) : undefined;
+}
+
+// Lots as recorded on audit entries and transfers
+const lotSummary = (taken) => taken
+  .filter(entry => entry.lot || entry.lotNumber || entry.expiryDate)
+  .map(({ lot, lotNumber, expiryDate, receivedAt, quantity }) => ({ lot, lotNumber, expiryDate, receivedAt, quantity }));
+
+module.exports = {
+  fefoCompare,
+  untrackedQuantity,
+  parseLot,
+  receiptLots,
+  receiveIntoLots,
+  takeFromLots,
+  returnToLots,
+  reconcileLots,
+  lotSummary
+};
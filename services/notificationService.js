@@ -3,6 +3,8 @@ const User = require('../models/User');
 const { sendLowStockEmail } = require('./emailService');
 const { getIO } = require('../socket');
 const enhancedNotificationService = require('./enhancedNotificationService');
+const { forEachOrganization } = require('./organizationService');
+const { applyDuePriceChanges } = require('./priceService');
 
 async function checkLowStock() {
   try {
@@ -14,27 +16,42 @@ async function checkLowStock() {
   }
 }
 
+// Scheduled checks run once per organization so their queries and the
+// notifications they create stay within that tenant
+const checkLowStockForAllOrganizations = () => forEachOrganization(() => checkLowStock());
+const checkExpiringForAllOrganizations = () =>
+  forEachOrganization(() => enhancedNotificationService.checkExpiringProducts());
+const applyDuePriceChangesForAllOrganizations = () => forEachOrganization(() => applyDuePriceChanges());
+
 function startScheduler() {
   // Initial checks
-  checkLowStock().catch(console.error);
+  checkLowStockForAllOrganizations().catch(console.error);
   
   // Initial expiry check
-  enhancedNotificationService.checkExpiringProducts().catch(console.error);
+  checkExpiringForAllOrganizations().catch(console.error);
+
+  // Scheduled price changes that fell due while the server was down
+  applyDuePriceChangesForAllOrganizations().catch(console.error);
 
   // Hourly low stock checks
   const lowStockInterval = setInterval(() => {
-    checkLowStock().catch(console.error);
+    checkLowStockForAllOrganizations().catch(console.error);
   }, 60 * 60 * 1000); // Every hour
 
   // Daily expiry checks at 9 AM
   const expiryInterval = setInterval(() => {
     const now = new Date();
     if (now.getHours() === 9 && now.getMinutes() === 0) {
-      enhancedNotificationService.checkExpiringProducts().catch(console.error);
+      checkExpiringForAllOrganizations().catch(console.error);
     }
   }, 60 * 1000); // Check every minute for the right time
 
-  return { lowStockInterval, expiryInterval };
+  // Scheduled price changes are applied within a minute of their time
+  const priceChangeInterval = setInterval(() => {
+    applyDuePriceChangesForAllOrganizations().catch(console.error);
+  }, 60 * 1000);
+
+  return { lowStockInterval, expiryInterval, priceChangeInterval };
 }
 
 module.exports = {
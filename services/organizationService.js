@@ -0,0 +1,100 @@
+const Organization = require('../models/Organization');
+const ExpenseCategory = require('../models/ExpenseCategory');
+const ProductCategory = require('../models/ProductCategory');
+const { runWithOrganization } = require('./tenantContext');
+const { ensureSystemRoles } = require('./permissionService');
+
+const defaultExpenseCategories = [
+  { name: 'Supplies', description: 'Office and business supplies', isDefault: true },
+  { name: 'Rent', description: 'Office or warehouse rent', isDefault: true },
+  { name: 'Utilities', description: 'Electricity, water, internet, etc.', isDefault: true },
+  { name: 'Salaries', description: 'Employee salaries and wages', isDefault: true },
+  { name: 'Marketing', description: 'Advertising and marketing expenses', isDefault: true },
+  { name: 'Travel', description: 'Business travel expenses', isDefault: true },
+  { name: 'Equipment', description: 'Machinery and equipment', isDefault: true },
+  { name: 'Software', description: 'Software subscriptions and licenses', isDefault: true },
+  { name: 'Taxes', description: 'Business taxes', isDefault: true },
+  { name: 'Other', description: 'Other miscellaneous expenses', isDefault: true }
+];
+
+const defaultProductCategories = [
+  { name: 'Electronics', description: 'Electronic devices and accessories', isDefault: true },
+  { name: 'Clothing', description: 'Apparel and fashion items', isDefault: true },
+  { name: 'Food & Beverages', description: 'Food and drink products', isDefault: true },
+  { name: 'Home & Kitchen', description: 'Home goods and kitchen items', isDefault: true },
+  { name: 'Beauty & Personal Care', description: 'Beauty and personal care products', isDefault: true },
+  { name: 'Sports & Outdoors', description: 'Sports equipment and outdoor gear', isDefault: true },
+  { name: 'Books & Media', description: 'Books, movies, and other media', isDefault: true },
+  { name: 'Toys & Games', description: 'Toys and games for all ages', isDefault: true },
+  { name: 'Health & Wellness', description: 'Health and wellness products', isDefault: true },
+  { name: 'Other', description: 'Other miscellaneous products', isDefault: true }
+];
+
+async function insertDefaultExpenseCategories() {
+  for (const cat of defaultExpenseCategories) {
+    await ExpenseCategory.updateOne(
+      { name: cat.name, createdBy: null },
+      { $setOnInsert: cat },
+      { upsert: true }
+    );
+  }
+}
+
+async function insertDefaultProductCategories() {
+  for (const cat of defaultProductCategories) {
+    // Generate slug from name for uniqueness
+    const slug = cat.name.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    await ProductCategory.updateOne(
+      { name: cat.name, createdBy: null },
+      { $setOnInsert: { ...cat, slug } },
+      { upsert: true }
+    );
+  }
+}
+
+/**
+ * Seed the built-in roles and default categories of an organization.
+ * Safe to run repeatedly: existing documents are left untouched.
+ */
+async function seedOrganizationDefaults(organizationId) {
+  return runWithOrganization(organizationId, async () => {
+    await ensureSystemRoles();
+    await insertDefaultExpenseCategories();
+    await insertDefaultProductCategories();
+  });
+}
+
+/**
+ * Create an organization and seed its defaults.
+ */
+async function createOrganization({ name, ...data }) {
+  const organization = await Organization.create({
+    ...data,
+    name,
+    slug: await Organization.generateUniqueSlug(name)
+  });
+  await seedOrganizationDefaults(organization._id);
+  return organization;
+}
+
+/**
+ * Run `fn(organization)` once per active organization, inside that
+ * organization's context. Used by background jobs, which have no request to
+ * derive the tenant from. A failure in one organization does not stop the rest.
+ */
+async function forEachOrganization(fn) {
+  const organizations = await Organization.find({ isActive: true });
+  for (const organization of organizations) {
+    try {
+      await runWithOrganization(organization._id, () => fn(organization));
+    } catch (error) {
+      console.error(`Task failed for organization ${organization.slug}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  createOrganization,
+  seedOrganizationDefaults,
+  forEachOrganization
+};
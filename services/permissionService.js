@@ -0,0 +1,104 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions');
+const { getOrganizationId } = require('./tenantContext');
+
+// Role permissions are read on almost every request, so keep them in memory
+// for a short while. Changes made through the roles API invalidate the cache.
+// Roles belong to an organization, so entries are keyed by both.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const cacheKey = (roleKey) => `${getOrganizationId() || 'none'}:${roleKey}`;
+
+async function getPermissionsForRole(roleKey) {
+  if (!roleKey || !getOrganizationId()) return [];
+  const key = cacheKey(roleKey);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ key: roleKey }).select('permissions').lean();
+  const permissions = role?.permissions || [];
+  cache.set(key, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+/**
+ * Whether the role of a user requires two-factor authentication. Called at
+ * login, before any tenant context exists, so the organization is explicit.
+ */
+async function roleRequiresTwoFactor(user) {
+  const role = await Role.findOne({ organization: user.organization, key: user.role })
+    .select('requireTwoFactor')
+    .lean();
+  return !!role?.requireTwoFactor;
+}
+
+/**
+ * Load the permissions of every role a user holds (account-wide and per
+ * location) into user.$locals.rolePermissions, keyed by role. Used by the
+ * synchronous location checks on the User model.
+ */
+async function loadRolePermissions(user) {
+  const roleKeys = [...new Set([user.role, ...(user.locationRoles || []).map(a => a.role)])];
+  const entries = await Promise.all(roleKeys.map(async key => [key, await getPermissionsForRole(key)]));
+  user.$locals.rolePermissions = Object.fromEntries(entries);
+  return user.$locals.rolePermissions;
+}
+
+function invalidateRole(roleKey) {
+  if (roleKey) cache.delete(cacheKey(roleKey));
+  else cache.clear();
+}
+
+/**
+ * Whether a list of granted permissions covers `permission`.
+ * Supports the '*' wildcard and prefix wildcards such as 'reports.*'.
+ */
+function permissionMatches(granted, permission) {
+  return granted.some(p =>
+    p === '*' ||
+    p === permission ||
+    (p.endsWith('.*') && permission.startsWith(p.slice(0, -1)))
+  );
+}
+
+async function userHasPermission(user, permission) {
+  if (!user) return false;
+  // API key principals carry their own permissions
+  const granted = user.isApiKey ? user.permissions : await getPermissionsForRole(user.role);
+  return permissionMatches(granted, permission);
+}
+
+/**
+ * Expand wildcard entries into the concrete permissions of the catalog.
+ */
+function expandPermissions(permissions) {
+  return Object.keys(PERMISSIONS).filter(p => permissionMatches(permissions, p));
+}
+
+/**
+ * Create the built-in roles of the current organization if they are missing.
+ * Existing roles are left untouched so permission edits made by admins
+ * survive restarts.
+ */
+async function ensureSystemRoles() {
+  for (const role of SYSTEM_ROLES) {
+    await Role.updateOne(
+      { key: role.key },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+  invalidateRole();
+}
+
+module.exports = {
+  getPermissionsForRole,
+  roleRequiresTwoFactor,
+  loadRolePermissions,
+  invalidateRole,
+  permissionMatches,
+  userHasPermission,
+  expandPermissions,
+  ensureSystemRoles
+};
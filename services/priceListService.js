@@ -0,0 +1,85 @@
+const PriceList = require('../models/PriceList');
+const { baseQuantityOf } = require('./unitService');
+
+// Prices differing by less than this are the same price
+const PRICE_TOLERANCE = 0.005;
+
+const idsInclude = (ids, id) => ids.some(value => value.toString() === id.toString());
+
+/**
+ * Active price lists applying to a sale at `locationId` for a customer of
+ * `customerGroup`, most specific first: lists matching both, then customer
+ * group lists, then location lists, then lists for everyone. Priority breaks
+ * ties within a level.
+ */
+async function applicablePriceLists({ locationId, customerGroup } = {}) {
+  const group = customerGroup ? String(customerGroup).trim().toLowerCase() : null;
+  const audience = [{ locations: { $size: 0 }, customerGroups: { $size: 0 } }];
+  if (locationId) audience.push({ locations: locationId });
+  if (group) audience.push({ customerGroups: group });
+
+  const lists = await PriceList.find({ isActive: true, $or: audience }).lean();
+  return lists
+    .filter(list =>
+      (list.locations.length === 0 || (locationId && idsInclude(list.locations, locationId))) &&
+      (list.customerGroups.length === 0 || (group && list.customerGroups.includes(group))))
+    .map(list => ({
+      list,
+      level: (list.customerGroups.length > 0 ? 2 : 0) + (list.locations.length > 0 ? 1 : 0)
+    }))
+    .sort((a, b) => b.level - a.level || b.list.priority - a.list.priority)
+    .map(({ list }) => list);
+}
+
+/**
+ * Unit price of `quantity` units of `product` from the first list pricing it.
+ * A variant missing from a list takes its parent's entry there. Falls back to
+ * Product.price.
+ */
+function resolvePrice(lists, product, quantity) {
+  for (const list of lists) {
+    const item = list.items.find(entry => entry.product.equals(product._id)) ||
+      (product.parentProduct && list.items.find(entry => entry.product.equals(product.parentProduct)));
+    if (!item) continue;
+
+    const tier = [...item.tiers]
+      .sort((a, b) => b.minQuantity - a.minQuantity)
+      .find(entry => quantity >= entry.minQuantity);
+    return {
+      price: tier ? tier.price : item.price,
+      priceList: list._id,
+      priceListName: list.name,
+      minQuantity: tier ? tier.minQuantity : null
+    };
+  }
+  return { price: product.price, priceList: null, priceListName: null, minQuantity: null };
+}
+
+/**
+ * Resolve the price of each sale line. List prices and tiers are per base
+ * unit: tiers apply to the total base quantity of a product in the sale and
+ * the price is returned per unit of the line (`unitFactor`). `products` maps
+ * product ids to loaded products.
+ */
+async function resolveSalePrices(items, products, { locationId, customerGroup } = {}) {
+  const lists = await applicablePriceLists({ locationId, customerGroup });
+  const quantities = new Map();
+  items.forEach(item => {
+    const productId = item.product.toString();
+    quantities.set(productId, (quantities.get(productId) || 0) + baseQuantityOf(item));
+  });
+  return items.map(item => {
+    const productId = item.product.toString();
+    const resolved = resolvePrice(lists, products.get(productId), quantities.get(productId));
+    return { ...resolved, price: parseFloat((resolved.price * (item.unitFactor || 1)).toFixed(2)) };
+  });
+}
+
+const isSamePrice = (a, b) => Math.abs(a - b) < PRICE_TOLERANCE;
+
+module.exports = {
+  applicablePriceLists,
+  resolvePrice,
+  resolveSalePrices,
+  isSamePrice
+};
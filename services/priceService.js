@@ -0,0 +1,175 @@
+const Product = require('../models/Product');
+const ProductPrice = require('../models/ProductPrice');
+
+/**
+ * Record that `product.price` (already saved) replaced `previousPrice` at
+ * `at`. Products changed for the first time get their original price as
+ * history from their creation date.
+ */
+async function recordPriceChange(product, previousPrice, {
+  at = new Date(),
+  userId,
+  reason,
+  source = 'manual',
+  effectiveTo = null,
+  revertPrice = null,
+  scheduledEntry = null
+} = {}) {
+  const current = await ProductPrice.findOne({ product: product._id, status: 'active' });
+  if (current) {
+    current.status = 'ended';
+    current.effectiveTo = at;
+    await current.save();
+  } else if (previousPrice !== undefined && previousPrice !== null) {
+    await ProductPrice.create({
+      product: product._id,
+      price: previousPrice,
+      effectiveFrom: product.createdAt || at,
+      effectiveTo: at,
+      status: 'ended',
+      source: 'initial'
+    });
+  }
+
+  const entry = scheduledEntry || new ProductPrice({ product: product._id, createdBy: userId });
+  Object.assign(entry, {
+    price: product.price,
+    effectiveFrom: at,
+    effectiveTo,
+    status: 'active',
+    revertPrice,
+    source,
+    reason
+  });
+  return entry.save();
+}
+
+/**
+ * Keep inherited variant prices in line with the parent price, with history.
+ */
+async function syncInheritedPrices(parent, { userId, at = new Date() } = {}) {
+  const variants = await Product.find({ parentProduct: parent._id, priceOverride: null, price: { $ne: parent.price } });
+  for (const variant of variants) {
+    const previousPrice = variant.price;
+    variant.price = parent.price;
+    await variant.save();
+    await recordPriceChange(variant, previousPrice, {
+      at,
+      userId,
+      source: 'inherited',
+      reason: `Price of ${parent.name} changed`
+    });
+  }
+  return variants.length;
+}
+
+/**
+ * Set the selling price of a product now: saves the product, records the
+ * history entry (activating `scheduledEntry` if given) and updates
+ * inheriting variants.
+ */
+async function applyPrice(product, price, {
+  userId,
+  reason,
+  source = 'manual',
+  effectiveTo = null,
+  revertPrice = null,
+  scheduledEntry = null
+} = {}) {
+  const previousPrice = product.price;
+  const at = new Date();
+  product.price = price;
+  // A price set on a variant overrides the inherited one
+  if (product.parentProduct) product.priceOverride = price;
+  product.auditLog.push({
+    user: userId,
+    action: source === 'scheduled' ? 'scheduled_price_applied' : 'price_changed',
+    changes: { price: { from: previousPrice, to: price } },
+    timestamp: at
+  });
+  await product.save();
+
+  const entry = await recordPriceChange(product, previousPrice, {
+    at, userId, reason, source, effectiveTo, revertPrice, scheduledEntry
+  });
+  if (product.hasVariants) await syncInheritedPrices(product, { userId, at });
+  return entry;
+}
+
+/**
+ * Price in effect for a product at a date, as { price, effectiveFrom,
+ * effectiveTo, entry }. Null when the product did not exist yet.
+ */
+async function getPriceAt(product, date) {
+  const entry = await ProductPrice.findOne({
+    product: product._id,
+    status: { $in: ['active', 'ended'] },
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1, createdAt: -1 });
+
+  if (entry) {
+    return { price: entry.price, effectiveFrom: entry.effectiveFrom, effectiveTo: entry.status === 'ended' ? entry.effectiveTo : null, entry };
+  }
+  // No history before that date: the product still has its original price,
+  // unless it has history from later on or did not exist yet
+  if (date < product.createdAt || await ProductPrice.exists({ product: product._id, status: { $in: ['active', 'ended'] } })) {
+    return null;
+  }
+  return { price: product.price, effectiveFrom: product.createdAt, effectiveTo: null, entry: null };
+}
+
+/**
+ * Apply due scheduled changes for the current organization: first the ends
+ * of temporary prices, then scheduled prices whose start has passed.
+ */
+async function applyDuePriceChanges(now = new Date()) {
+  let applied = 0;
+
+  const endedTemporary = await ProductPrice.find({
+    status: 'active',
+    effectiveTo: { $ne: null, $lte: now },
+    revertPrice: { $ne: null }
+  }).sort({ effectiveTo: 1 });
+  for (const entry of endedTemporary) {
+    const product = await Product.findById(entry.product);
+    if (!product) continue;
+    await applyPrice(product, entry.revertPrice, {
+      userId: entry.createdBy,
+      source: 'scheduled',
+      reason: `End of temporary price ${entry.price}`
+    });
+    applied++;
+  }
+
+  const due = await ProductPrice.find({ status: 'scheduled', effectiveFrom: { $lte: now } }).sort({ effectiveFrom: 1 });
+  for (const entry of due) {
+    const product = await Product.findById(entry.product);
+    if (!product || (entry.effectiveTo && entry.effectiveTo <= now)) {
+      // Product removed, or the whole window passed while the scheduler was down
+      entry.status = 'cancelled';
+      entry.cancelledAt = now;
+      await entry.save();
+      continue;
+    }
+    await applyPrice(product, entry.price, {
+      userId: entry.createdBy,
+      reason: entry.reason,
+      source: 'scheduled',
+      effectiveTo: entry.effectiveTo,
+      // A temporary price returns to the price it replaced
+      revertPrice: entry.effectiveTo ? product.price : null,
+      scheduledEntry: entry
+    });
+    applied++;
+  }
+
+  return applied;
+}
+
+module.exports = {
+  recordPriceChange,
+  syncInheritedPrices,
+  applyPrice,
+  getPriceAt,
+  applyDuePriceChanges
+};
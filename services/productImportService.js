@@ -0,0 +1,328 @@
+const path = require('path');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const ProductCategory = require('../models/ProductCategory');
+const Brand = require('../models/Brand');
+const Location = require('../models/Location');
+const Inventory = require('../models/Inventory');
+
+const MAX_ROWS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS) || 10000;
+const DEFAULT_BATCH_SIZE = 500;
+
+// Target fields and the column headers recognized for them (case-insensitive).
+// A custom mapping { field: 'Column header' } takes precedence.
+const FIELD_ALIASES = {
+  name: ['name', 'product name', 'product'],
+  sku: ['sku', 'product code', 'code'],
+  barcode: ['barcode', 'ean', 'upc'],
+  description: ['description'],
+  price: ['price', 'selling price', 'unit price'],
+  cost: ['cost', 'cost price', 'unit cost'],
+  category: ['category', 'category name'],
+  brand: ['brand', 'brand name'],
+  isActive: ['active', 'is active', 'isactive'],
+  location: ['location', 'location name', 'warehouse', 'store'],
+  quantity: ['quantity', 'initial quantity', 'qty', 'stock'],
+  minStock: ['min stock', 'minstock', 'minimum stock'],
+  notifyAt: ['notify at', 'notifyat'],
+  expiryDate: ['expiry date', 'expirydate', 'expiry']
+};
+const INVENTORY_FIELDS = ['quantity', 'minStock', 'notifyAt', 'expiryDate'];
+
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase();
+
+// Plain value of an ExcelJS cell (formulas, rich text and links included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    return String(value);
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX upload into { headers, rows }, rows
+ * being objects keyed by header with their 1-based sheet row number.
+ */
+async function parseFile(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (extension === '.csv') {
+    // Keep values as text: SKUs like "00123" must not become numbers
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+  } else if (extension === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    throw new Error('Only .csv and .xlsx files can be imported');
+  }
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new Error('The file has no data rows');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellValue(cell.value));
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    let empty = true;
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(column).value);
+      if (value !== '') empty = false;
+      values[header] = value;
+    });
+    if (!empty) rows.push({ rowNumber, values });
+  });
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+  }
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Column header used for each target field: the custom mapping, or the first
+ * header matching one of the field aliases.
+ */
+function resolveColumns(headers, mapping = {}) {
+  const unknownFields = Object.keys(mapping).filter(field => !FIELD_ALIASES[field]);
+  if (unknownFields.length > 0) {
+    throw new Error(`Unknown import fields in mapping: ${unknownFields.join(', ')}`);
+  }
+  const missingHeaders = Object.values(mapping).filter(header => !headers.includes(header));
+  if (missingHeaders.length > 0) {
+    throw new Error(`Mapped columns not found in the file: ${missingHeaders.join(', ')}`);
+  }
+
+  const columns = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    columns[field] = mapping[field] || headers.find(header => aliases.includes(normalizeHeader(header)));
+  }
+  for (const required of ['name', 'sku', 'price', 'category']) {
+    if (!columns[required]) throw new Error(`No column found for required field "${required}"`);
+  }
+  return columns;
+}
+
+const parseBoolean = (value) => {
+  if (value === '' || value === undefined) return true;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'active'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'inactive'].includes(text)) return false;
+  return null;
+};
+
+const parseNumber = (value) => {
+  if (value === '' || value === undefined) return undefined;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Lookup by name (case-insensitive) or by ID
+const buildLookup = (documents) => {
+  const byKey = new Map();
+  documents.forEach(doc => {
+    byKey.set(doc._id.toString(), doc);
+    byKey.set(doc.name.trim().toLowerCase(), doc);
+  });
+  return (value) => byKey.get(String(value).trim().toLowerCase()) || byKey.get(String(value).trim());
+};
+
+/**
+ * Validate parsed rows without writing anything. Returns every row with its
+ * errors and, when valid, the product and inventory data to create.
+ * `canStockLocation(location)` decides whether initial stock may be added there.
+ */
+async function validateRows(rows, columns, { canStockLocation = () => true } = {}) {
+  const read = (row, field) => (columns[field] ? row.values[columns[field]] : '');
+
+  const skus = rows.map(row => String(read(row, 'sku')).trim()).filter(Boolean);
+  const barcodes = rows.map(row => String(read(row, 'barcode')).trim()).filter(Boolean);
+  const [categories, brands, locations, existing] = await Promise.all([
+    ProductCategory.find({ status: 'active' }).select('name'),
+    Brand.find({ status: 'active' }).select('name'),
+    Location.find({ isActive: true }).select('name'),
+    Product.find({ $or: [{ sku: { $in: skus } }, { barcode: { $in: barcodes } }, { barcodeAliases: { $in: barcodes } }] })
+      .select('sku barcode barcodeAliases')
+  ]);
+  const findCategory = buildLookup(categories);
+  const findBrand = buildLookup(brands);
+  const findLocation = buildLookup(locations);
+  const existingSkus = new Set(existing.map(p => p.sku));
+  const existingBarcodes = new Set(existing.flatMap(p => [p.barcode, ...(p.barcodeAliases || [])]).filter(Boolean));
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+
+  return rows.map(row => {
+    const errors = [];
+    const name = String(read(row, 'name')).trim();
+    const sku = String(read(row, 'sku')).trim();
+    const barcode = String(read(row, 'barcode')).trim();
+    const price = parseNumber(read(row, 'price'));
+    const cost = parseNumber(read(row, 'cost'));
+    const isActive = parseBoolean(read(row, 'isActive'));
+
+    if (!name) errors.push('Name is required');
+    if (!sku) {
+      errors.push('SKU is required');
+    } else if (existingSkus.has(sku)) {
+      errors.push(`SKU ${sku} already exists`);
+    } else if (seenSkus.has(sku)) {
+      errors.push(`SKU ${sku} is repeated (row ${seenSkus.get(sku)})`);
+    } else {
+      seenSkus.set(sku, row.rowNumber);
+    }
+    if (barcode) {
+      if (existingBarcodes.has(barcode)) {
+        errors.push(`Barcode ${barcode} already exists`);
+      } else if (seenBarcodes.has(barcode)) {
+        errors.push(`Barcode ${barcode} is repeated (row ${seenBarcodes.get(barcode)})`);
+      } else {
+        seenBarcodes.set(barcode, row.rowNumber);
+      }
+    }
+    if (price === undefined || Number.isNaN(price) || price <= 0) errors.push('Price must be a positive number');
+    if (Number.isNaN(cost) || cost < 0) errors.push('Cost must be a non-negative number');
+    if (isActive === null) errors.push('Active must be yes/no or true/false');
+
+    const categoryValue = read(row, 'category');
+    const category = categoryValue !== '' ? findCategory(categoryValue) : null;
+    if (categoryValue === '') errors.push('Category is required');
+    else if (!category) errors.push(`Unknown category "${categoryValue}"`);
+
+    const brandValue = read(row, 'brand');
+    const brand = brandValue !== '' ? findBrand(brandValue) : null;
+    if (brandValue !== '' && !brand) errors.push(`Unknown brand "${brandValue}"`);
+
+    // Initial stock is optional and needs a location
+    let inventory = null;
+    const locationValue = read(row, 'location');
+    const hasStockFields = INVENTORY_FIELDS.some(field => read(row, field) !== '');
+    if (locationValue !== '') {
+      const location = findLocation(locationValue);
+      const quantity = parseNumber(read(row, 'quantity')) ?? 0;
+      const minStock = parseNumber(read(row, 'minStock')) ?? 5;
+      const notifyAt = parseNumber(read(row, 'notifyAt')) ?? minStock;
+      const expiryValue = read(row, 'expiryDate');
+      const expiryDate = expiryValue !== '' ? new Date(expiryValue) : null;
+
+      if (!location) errors.push(`Unknown location "${locationValue}"`);
+      else if (!canStockLocation(location)) errors.push(`You cannot add stock at ${location.name}`);
+      if (Number.isNaN(quantity) || quantity < 0) errors.push('Quantity must be a non-negative number');
+      if (Number.isNaN(minStock) || minStock < 0) errors.push('Min stock must be a non-negative number');
+      if (Number.isNaN(notifyAt) || notifyAt < 0) errors.push('Notify at must be a non-negative number');
+      if (expiryDate && Number.isNaN(expiryDate.getTime())) errors.push(`Invalid expiry date "${expiryValue}"`);
+
+      if (location) inventory = { location: location._id, quantity, minStock, notifyAt, expiryDate };
+    } else if (hasStockFields) {
+      errors.push('A location is required when providing stock details');
+    }
+
+    if (errors.length > 0) return { rowNumber: row.rowNumber, sku, errors };
+    return {
+      rowNumber: row.rowNumber,
+      sku,
+      errors,
+      product: {
+        name,
+        description: String(read(row, 'description')).trim() || undefined,
+        sku,
+        barcode: barcode || undefined,
+        price,
+        cost: cost ?? 0,
+        category: category._id,
+        brand: brand?._id,
+        isActive
+      },
+      inventory
+    };
+  });
+}
+
+/**
+ * Create the valid rows in batches. Rows failing at write time (e.g. a SKU
+ * created meanwhile) are reported and do not stop the other rows.
+ */
+async function commitRows(validRows, userId, batchSize = DEFAULT_BATCH_SIZE) {
+  const created = [];
+  const failed = [];
+
+  for (let start = 0; start < validRows.length; start += batchSize) {
+    const batch = validRows.slice(start, start + batchSize);
+    const documents = batch.map(row => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...row.product,
+      createdBy: userId,
+      auditLog: [{ user: userId, action: 'imported', timestamp: new Date() }]
+    }));
+
+    let insertedIds;
+    const writeErrors = new Map();
+    try {
+      const inserted = await Product.insertMany(documents, { ordered: false });
+      insertedIds = new Set(inserted.map(doc => doc._id.toString()));
+    } catch (err) {
+      if (!Array.isArray(err.writeErrors)) throw err;
+      insertedIds = new Set((err.insertedDocs || []).map(doc => doc._id.toString()));
+      err.writeErrors.forEach(writeError => {
+        const message = writeError.err?.errmsg || writeError.errmsg || 'Write failed';
+        writeErrors.set(writeError.index, message.includes('E11000') ? 'Duplicate SKU or barcode' : message);
+      });
+    }
+
+    const inventories = [];
+    batch.forEach((row, index) => {
+      const productId = documents[index]._id;
+      if (!insertedIds.has(productId.toString())) {
+        // Documents failing validation are skipped by insertMany without a write error
+        failed.push({ rowNumber: row.rowNumber, sku: row.sku, errors: [writeErrors.get(index) || 'Product failed validation'] });
+        return;
+      }
+      created.push({ rowNumber: row.rowNumber, sku: row.sku, productId });
+      if (row.inventory) {
+        inventories.push({
+          product: productId,
+          location: row.inventory.location,
+          quantity: row.inventory.quantity,
+          minStock: row.inventory.minStock,
+          notifyAt: row.inventory.notifyAt,
+          expiryDate: row.inventory.expiryDate,
+          auditLog: [{
+            user: userId,
+            action: 'initial_stock',
+            adjustment: row.inventory.quantity,
+            note: 'Initial stock added during product import',
+            newQuantity: row.inventory.quantity,
+            timestamp: new Date()
+          }]
+        });
+      }
+    });
+    if (inventories.length > 0) {
+      await Inventory.insertMany(inventories);
+    }
+  }
+
+  return { created, failed };
+}
+
+module.exports = {
+  FIELD_ALIASES,
+  DEFAULT_BATCH_SIZE,
+  parseFile,
+  resolveColumns,
+  validateRows,
+  commitRows
+};
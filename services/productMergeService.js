@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const Sale = require('../models/Sale');
+const Purchase = require('../models/Purchase');
+const StockAdjustment = require('../models/StockAdjustment');
+const StockTransfer = require('../models/StockTransfer');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const PriceList = require('../models/PriceList');
+const ProductPrice = require('../models/ProductPrice');
+const SupplierProduct = require('../models/SupplierProduct');
+const SerialNumber = require('../models/SerialNumber');
+const { receiveIntoLots } = require('./lotService');
+const { resolveUnit } = require('./unitService');
+
+// Merging folds a duplicate product into the product that survives: its
+// stock is added to the survivor's, every document pointing at it points at
+// the survivor, its barcodes become barcode aliases of the survivor and the
+// duplicate itself is deleted.
+
+// Units the lines of sales and purchases, adjustments and transfers of a product were entered in
+async function unitsUsed(productId) {
+  const lineUnits = (Model) => Model.aggregate([
+    { $match: { 'items.product': productId } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': productId, 'items.unit': { $nin: [null, ''] } } },
+    { $group: { _id: '$items.unit' } }
+  ]).then(groups => groups.map(group => group._id));
+  const units = [
+    ...await lineUnits(Sale),
+    ...await lineUnits(Purchase),
+    ...await StockAdjustment.distinct('unit', { product: productId }),
+    ...await StockTransfer.distinct('unit', { product: productId })
+  ];
+  return [...new Set(units.filter(Boolean))];
+}
+
+/**
+ * Check that `duplicate` can be merged into `survivor`. Throws an Error with
+ * a client-facing message.
+ */
+async function checkMergeable(survivor, duplicate) {
+  if (survivor._id.equals(duplicate._id)) throw new Error('A product cannot be merged into itself');
+  if (survivor.hasVariants || duplicate.hasVariants) {
+    throw new Error('Products with variants cannot be merged: merge their variants instead');
+  }
+  if (survivor.isBundle !== duplicate.isBundle) {
+    throw new Error('A bundle can only be merged with another bundle');
+  }
+  if (Boolean(survivor.serialized) !== Boolean(duplicate.serialized)) {
+    throw new Error('A serialized product can only be merged with another serialized product');
+  }
+  if (survivor.bundleComponents.some(component => component.product.equals(duplicate._id))) {
+    throw new Error(`${duplicate.name} is a component of ${survivor.name}`);
+  }
+  // Stock and cost are per base unit: the duplicate's are only the survivor's in the same one
+  const survivorBase = survivor.baseUnit || 'unit';
+  const duplicateBase = duplicate.baseUnit || 'unit';
+  if (survivorBase.toLowerCase() !== duplicateBase.toLowerCase()) {
+    throw new Error(`${duplicate.name} is stocked by the ${duplicateBase} and ${survivor.name} by the ${survivorBase}: only products with the same base unit can be merged`);
+  }
+  const missing = (await unitsUsed(duplicate._id)).filter(unit => {
+    try {
+      resolveUnit(survivor, unit);
+      return false;
+    } catch (err) {
+      return true;
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`${duplicate.name} was bought, sold or moved in unit(s) ${survivor.name} does not have: ${missing.join(', ')}`);
+  }
+  if (survivor.serialized) {
+    const serials = await SerialNumber.distinct('serial', { product: duplicate._id });
+    const shared = await SerialNumber.distinct('serial', { product: survivor._id, serial: { $in: serials } });
+    if (shared.length > 0) throw new Error(`Both products have units with serial number(s): ${shared.join(', ')}`);
+  }
+}
+
+// Re-point array entries matching `field` = from at `path` (e.g. items.$[line].product)
+const repointLines = (Model, arrayPath, field, from, to, session) => Model.updateMany(
+  { [`${arrayPath}.${field}`]: from },
+  { $set: { [`${arrayPath}.$[line].${field}`]: to } },
+  { arrayFilters: [{ [`line.${field}`]: from }], session }
+);
+
+/**
+ * Add the stock of `duplicate` to `survivor`, location by location, and
+ * carry its stock into the survivor's weighted-average cost. Returns the
+ * moved quantities per location.
+ */
+async function mergeInventory(survivor, duplicate, { userId, session }) {
+  const records = await Inventory.find({ product: duplicate._id }).session(session);
+  const targets = await Inventory.find({ product: survivor._id }).session(session);
+  const targetByLocation = new Map(targets.map(record => [record.location.toString(), record]));
+  const survivorStock = targets.reduce((sum, record) => sum + record.quantity, 0);
+  const note = `Merged from ${duplicate.name} (${duplicate.sku})`;
+
+  const moved = [];
+  for (const record of records) {
+    const target = targetByLocation.get(record.location.toString());
+    if (target) {
+      // The duplicate's lots become lots of the survivor
+      const previousQuantity = target.quantity;
+      record.lots.forEach(lot => receiveIntoLots(target, { ...lot.toObject(), quantity: lot.quantity }));
+      target.quantity = previousQuantity + record.quantity;
+      target.auditLog.push({ user: userId, action: 'product_merge', adjustment: record.quantity, newQuantity: target.quantity, note });
+      await target.save({ session });
+      await Inventory.deleteOne({ _id: record._id }, { session });
+    } else {
+      // No stock of the survivor there yet: the record itself moves over
+      await Inventory.updateOne(
+        { _id: record._id },
+        {
+          $set: { product: survivor._id },
+          $push: { auditLog: { user: userId, action: 'product_merge', adjustment: 0, newQuantity: record.quantity, note } }
+        },
+        { session }
+      );
+    }
+    moved.push({ location: record.location, quantity: record.quantity });
+  }
+
+  const duplicateStock = moved.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (duplicateStock > 0) {
+    const cost = (survivorStock * (survivor.cost || 0) + duplicateStock * (duplicate.cost || 0)) / (survivorStock + duplicateStock);
+    survivor.cost = Math.round(cost * 10000) / 10000;
+    survivor.costUpdatedAt = new Date();
+  }
+  return moved;
+}
+
+/**
+ * Point the entries of price lists and bundles at the survivor. Where the
+ * survivor is already listed, the duplicate's entry is dropped (price lists)
+ * or added to it (bundle component quantities).
+ */
+async function mergeListings(survivor, duplicate, session) {
+  const lists = await PriceList.find({ 'items.product': duplicate._id }).session(session);
+  for (const list of lists) {
+    if (list.items.some(item => item.product.equals(survivor._id))) {
+      list.items = list.items.filter(item => !item.product.equals(duplicate._id));
+    } else {
+      list.items.forEach(item => { if (item.product.equals(duplicate._id)) item.product = survivor._id; });
+    }
+    await list.save({ session });
+  }
+
+  const bundles = await Product.find({ 'bundleComponents.product': duplicate._id }).session(session);
+  for (const bundle of bundles) {
+    const duplicateEntry = bundle.bundleComponents.find(component => component.product.equals(duplicate._id));
+    const survivorEntry = bundle.bundleComponents.find(component => component.product.equals(survivor._id));
+    if (survivorEntry) {
+      survivorEntry.quantity += duplicateEntry.quantity;
+      bundle.bundleComponents = bundle.bundleComponents.filter(component => component !== duplicateEntry);
+    } else {
+      duplicateEntry.product = survivor._id;
+    }
+    await bundle.save({ session });
+  }
+  return { priceLists: lists.length, bundles: bundles.length };
+}
+
+/**
+ * Move the duplicate's supplier records to the survivor. A supplier that
+ * already sells the survivor keeps its terms for it; the survivor keeps its
+ * preferred supplier if it has one.
+ */
+async function mergeSupplierProducts(survivor, duplicate, session) {
+  const records = await SupplierProduct.find({ product: duplicate._id }).session(session);
+  const existing = await SupplierProduct.find({ product: survivor._id }).select('supplier isPreferred').session(session);
+  const suppliers = new Set(existing.map(record => record.supplier.toString()));
+  let hasPreferred = existing.some(record => record.isPreferred);
+
+  let moved = 0;
+  for (const record of records) {
+    if (suppliers.has(record.supplier.toString())) {
+      await SupplierProduct.deleteOne({ _id: record._id }, { session });
+      continue;
+    }
+    const isPreferred = record.isPreferred && !hasPreferred;
+    hasPreferred = hasPreferred || isPreferred;
+    await SupplierProduct.updateOne({ _id: record._id }, { $set: { product: survivor._id, isPreferred } }, { session });
+    moved++;
+  }
+  return moved;
+}
+
+// Move the duplicate's registered units (serial numbers) to the survivor
+async function mergeSerials(survivor, duplicate, session) {
+  const moved = await SerialNumber.updateMany({ product: duplicate._id }, { $set: { product: survivor._id } }, { session });
+  return moved.modifiedCount;
+}
+
+/**
+ * Merge `duplicate` into `survivor` (both loaded products) in one
+ * transaction. Returns a summary of what moved, for the audit trail.
+ * `checked` skips checkMergeable() when the caller has already run it.
+ */
+async function mergeProducts(survivor, duplicate, { userId, reason, checked = false } = {}) {
+  if (!checked) await checkMergeable(survivor, duplicate);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const inventory = await mergeInventory(survivor, duplicate, { userId, session });
+    const from = duplicate._id;
+    const to = survivor._id;
+
+    // One operation at a time: a transaction's session is not shared concurrently
+    const sales = await repointLines(Sale, 'items', 'product', from, to, session);
+    const saleComponents = await Sale.updateMany(
+      { 'items.components.product': from },
+      { $set: { 'items.$[].components.$[line].product': to } },
+      { arrayFilters: [{ 'line.product': from }], session }
+    );
+    const purchases = await repointLines(Purchase, 'items', 'product', from, to, session);
+    const adjustments = await StockAdjustment.updateMany({ product: from }, { $set: { product: to } }, { session });
+    const transfers = await StockTransfer.updateMany({ product: from }, { $set: { product: to } }, { session });
+    const invoices = await repointLines(Invoice, 'items', 'product', from, to, session);
+    const notifications = await Notification.updateMany({ 'data.productId': from }, { $set: { 'data.productId': to } }, { session });
+    const listings = await mergeListings(survivor, duplicate, session);
+    const supplierProducts = await mergeSupplierProducts(survivor, duplicate, session);
+    const serials = await mergeSerials(survivor, duplicate, session);
+
+    // The duplicate's own price history ends with it
+    const prices = await ProductPrice.deleteMany({ product: from }, { session });
+
+    const aliases = [duplicate.barcode, ...(duplicate.barcodeAliases || [])]
+      .filter(barcode => barcode && barcode !== survivor.barcode && !survivor.barcodeAliases.includes(barcode));
+    survivor.barcodeAliases.push(...aliases);
+    survivor.auditLog.push({
+      user: userId,
+      action: 'merged',
+      changes: { mergedProduct: { id: duplicate._id, name: duplicate.name, sku: duplicate.sku }, reason },
+      timestamp: new Date()
+    });
+
+    // Free the duplicate's barcode before the survivor takes it as an alias
+    await Product.deleteOne({ _id: from }, { session });
+    await survivor.save({ session });
+
+    await session.commitTransaction();
+    return {
+      inventory,
+      sales: sales.modifiedCount + saleComponents.modifiedCount,
+      purchases: purchases.modifiedCount,
+      stockAdjustments: adjustments.modifiedCount,
+      stockTransfers: transfers.modifiedCount,
+      invoices: invoices.modifiedCount,
+      notifications: notifications.modifiedCount,
+      priceLists: listings.priceLists,
+      bundles: listings.bundles,
+      supplierProducts,
+      serialNumbers: serials,
+      priceHistoryRemoved: prices.deletedCount,
+      barcodeAliases: aliases
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = {
+  checkMergeable,
+  mergeProducts
+};
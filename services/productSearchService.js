@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Product search runs on the Product text index (name, sku, barcode,
+// description; see models/Product.js) and is ranked by text score. Query
+// words the index does not know are corrected to the closest word of a
+// product name, so "shrit" finds shirts. Results are paged with an opaque
+// cursor holding the sort value and id of the last product returned.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STOCK_STATUSES = ['in_stock', 'low_stock', 'out_of_stock'];
+
+// field and direction of each sort; `relevance` needs a query
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  name: { field: 'name', direction: 1 },
+  '-name': { field: 'name', direction: -1 },
+  price: { field: 'price', direction: 1 },
+  '-price': { field: 'price', direction: -1 },
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 }
+};
+
+// How many product names are read to find a correction for one word
+const CORRECTION_CANDIDATES = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordsOf = (text) => String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Edit distance with adjacent transpositions counting as one edit
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Regex matching text containing `word` with at most one edit
+function oneEditPattern(word) {
+  const chars = [...word].map(escapeRegex);
+  const variants = [];
+  for (let i = 0; i < chars.length; i++) {
+    // a different or a missing character at i
+    variants.push([...chars.slice(0, i), '.?', ...chars.slice(i + 1)].join(''));
+    // two neighbouring characters swapped
+    if (i < chars.length - 1) {
+      variants.push([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)].join(''));
+    }
+  }
+  // an extra character anywhere
+  for (let i = 0; i <= chars.length; i++) {
+    variants.push([...chars.slice(0, i), '.', ...chars.slice(i)].join(''));
+  }
+  return variants.join('|');
+}
+
+/**
+ * Replace query words that match no product with the closest word (one edit
+ * away) from a product name. Words shorter than four letters and words with
+ * digits (SKUs, sizes) are left alone. Returns { query, corrections }.
+ */
+async function correctQuery(query) {
+  const words = wordsOf(query);
+  const corrections = [];
+  const corrected = await Promise.all(words.map(async word => {
+    if (word.length < 4 || /\d/.test(word)) return word;
+    if (await Product.exists({ $text: { $search: word } })) return word;
+
+    const candidates = await Product.find({ name: { $regex: oneEditPattern(word), $options: 'i' } })
+      .select('name')
+      .limit(CORRECTION_CANDIDATES)
+      .lean();
+    let best = null;
+    candidates.flatMap(candidate => wordsOf(candidate.name)).forEach(candidate => {
+      const distance = editDistance(word, candidate);
+      if (distance <= 1 && (!best || distance < best.distance)) best = { word: candidate, distance };
+    });
+    if (!best) return word;
+    corrections.push({ from: word, to: best.word });
+    return best.word;
+  }));
+  return { query: corrected.join(' '), corrections };
+}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+// Decode a cursor for `sort`; throws on anything we did not issue
+function decodeCursor(cursor, sort) {
+  const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad cursor');
+  const value = sort.field === 'createdAt' ? new Date(v) : v;
+  if (sort.field === 'createdAt' && Number.isNaN(value.getTime())) throw new Error('bad cursor');
+  return { value, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Products after the cursor position, in sort order (ties broken by _id)
+const afterCursor = (sort, { value, id }) => ({
+  $or: [
+    { [sort.field]: { [sort.direction === 1 ? '$gt' : '$lt']: value } },
+    { [sort.field]: value, _id: { $gt: id } }
+  ]
+});
+
+/**
+ * Stages adding `stockQuantity` and `stockStatus` ('in_stock', 'low_stock',
+ * 'out_of_stock') at a location. Parent products count their variants'
+ * stock; bundles count how many their components can make up. Low stock is
+ * at or below the inventory's notifyAt level.
+ */
+function stockStages(locationId) {
+  const location = new mongoose.Types.ObjectId(String(locationId));
+  const quantityOf = (ids) => ({
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$stockRecords', cond: { $in: ['$$this.product', ids] } } },
+        in: '$$this.quantity'
+      }
+    }
+  });
+  const ownIds = { $concatArrays: [['$_id'], '$stockVariants._id'] };
+
+  return [
+    { $lookup: { from: 'products', localField: '_id', foreignField: 'parentProduct', as: 'stockVariants' } },
+    {
+      $lookup: {
+        from: 'inventories',
+        let: { ids: { $concatArrays: [ownIds, { $ifNull: ['$bundleComponents.product', []] }] } },
+        pipeline: [
+          { $match: { location, $expr: { $in: ['$product', '$$ids'] } } },
+          { $project: { product: 1, quantity: 1, notifyAt: 1 } }
+        ],
+        as: 'stockRecords'
+      }
+    },
+    {
+      $addFields: {
+        stockQuantity: {
+          $cond: [
+            { $eq: ['$isBundle', true] },
+            {
+              $ifNull: [{
+                $min: {
+                  $map: {
+                    input: '$bundleComponents',
+                    as: 'component',
+                    in: { $floor: { $divide: [quantityOf(['$$component.product']), '$$component.quantity'] } }
+                  }
+                }
+              }, 0]
+            },
+            quantityOf(ownIds)
+          ]
+        },
+        stockThreshold: {
+          $cond: [
+            { $eq: ['$isBundle', true] },
+            0,
+            {
+              $sum: {
+                $map: {
+                  input: { $filter: { input: '$stockRecords', cond: { $in: ['$$this.product', ownIds] } } },
+                  in: { $ifNull: ['$$this.notifyAt', 0] }
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        stockStatus: {
+          $switch: {
+            branches: [
+              { case: { $lte: ['$stockQuantity', 0] }, then: 'out_of_stock' },
+              { case: { $lte: ['$stockQuantity', '$stockThreshold'] }, then: 'low_stock' }
+            ],
+            default: 'in_stock'
+          }
+        }
+      }
+    },
+    { $project: { stockVariants: 0, stockRecords: 0, stockThreshold: 0 } }
+  ];
+}
+
+// Counts per value of `field`, with the name of the referenced document
+const facetStages = (field, from) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $lookup: { from, localField: '_id', foreignField: '_id', as: 'ref' } },
+  { $project: { _id: 0, id: '$_id', name: { $ifNull: [{ $first: '$ref.name' }, null] }, count: 1 } },
+  { $sort: { count: -1, name: 1 } }
+];
+
+/**
+ * Check search options from a request and resolve the sort, page size and
+ * cursor position. Throws an Error with a client-facing message.
+ */
+function searchOptions({
+  query = '',
+  filter = {},
+  locationId = null,
+  stockStatus = null,
+  sort: sortName = null,
+  limit = DEFAULT_LIMIT,
+  cursor = null,
+  facets = true
+} = {}) {
+  const text = String(query || '').trim();
+  const sort = SORTS[sortName || (text ? 'relevance' : 'name')];
+  if (!sort) throw new Error(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  if (sort.field === 'score' && !text) throw new Error('Sorting by relevance needs a search query');
+  if (stockStatus && !STOCK_STATUSES.includes(stockStatus)) {
+    throw new Error(`stockStatus must be one of: ${STOCK_STATUSES.join(', ')}`);
+  }
+  if (stockStatus && !locationId) throw new Error('Filtering by stockStatus needs a locationId');
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let position = null;
+  if (cursor) {
+    try {
+      position = decodeCursor(cursor, sort);
+    } catch (err) {
+      throw new Error('Invalid cursor');
+    }
+  }
+  return { text, filter, locationId, stockStatus: stockStatus || null, sort, pageSize, position, facets };
+}
+
+/**
+ * Search products with options checked by searchOptions().
+ *
+ * `filter` is a Product query (category, brand, isActive, ...) applied
+ * before ranking. `query` is the search text; without it every product
+ * of the filter is listed. `locationId` adds stock quantity and status to
+ * every product and allows `stockStatus` filtering and its facet. Facets
+ * count every product matching the search and filters, across all pages.
+ *
+ * Returns { products, total, nextCursor, corrections, facets }.
+ */
+async function searchProducts({ text, filter, locationId, stockStatus, sort, pageSize, position, facets }) {
+  let corrections = [];
+  let search = text;
+  if (text) ({ query: search, corrections } = await correctQuery(text));
+
+  // Aggregations are not cast like queries: cast the filter first
+  const match = Product.find().cast(Product, { ...filter });
+  if (search) match.$text = { $search: search };
+
+  const pipeline = [
+    { $match: match },
+    ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    ...(locationId ? stockStages(locationId) : []),
+    ...(stockStatus ? [{ $match: { stockStatus } }] : [])
+  ];
+  const [result] = await Product.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        products: [
+          ...(position ? [{ $match: afterCursor(sort, position) }] : []),
+          { $sort: { [sort.field]: sort.direction, _id: 1 } },
+          { $limit: pageSize + 1 },
+          { $project: { auditLog: 0 } }
+        ],
+        total: [{ $count: 'count' }],
+        ...(facets && {
+          categories: facetStages('category', 'productcategories'),
+          brands: facetStages('brand', 'brands'),
+          ...(locationId && {
+            stockStatus: [
+              { $group: { _id: '$stockStatus', count: { $sum: 1 } } },
+              { $project: { _id: 0, status: '$_id', count: 1 } },
+              { $sort: { status: 1 } }
+            ]
+          })
+        })
+      }
+    }
+  ]);
+
+  const hasMore = result.products.length > pageSize;
+  const products = result.products.slice(0, pageSize);
+  await Product.populate(products, [
+    { path: 'category', select: 'name slug' },
+    { path: 'brand', select: 'name' }
+  ]);
+  const last = products[products.length - 1];
+
+  return {
+    products,
+    total: result.total[0]?.count || 0,
+    nextCursor: hasMore ? encodeCursor(last[sort.field], last._id.toString()) : null,
+    corrections,
+    ...(facets && {
+      facets: {
+        categories: result.categories,
+        brands: result.brands,
+        ...(locationId && {
+          stockStatus: STOCK_STATUSES.map(status => ({
+            status,
+            count: result.stockStatus.find(entry => entry.status === status)?.count || 0
+          }))
+        })
+      }
+    })
+  };
+}
+
+module.exports = {
+  SORTS,
+  STOCK_STATUSES,
+  editDistance,
+  correctQuery,
+  searchOptions,
+  searchProducts
+};
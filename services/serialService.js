@@ -0,0 +1,240 @@
+const SerialNumber = require('../models/SerialNumber');
+const Product = require('../models/Product');
+const { baseQuantityOf } = require('./unitService');
+
+// Serialized products (Product.serialized) are tracked unit by unit: every
+// base unit received, transferred, sold or written off is named by its serial number, and
+// the registry (models/SerialNumber.js) keeps each unit's status, location
+// and history. Bundles are not serialized themselves; selling one names the
+// serial numbers of its serialized components.
+
+const idOf = (value) => (value._id || value).toString();
+
+/**
+ * Check a list of serial numbers from a request. Throws an Error with a
+ * client-facing message.
+ */
+function parseSerials(value, label) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`Serial numbers of ${label} must be a list`);
+  const serials = value.map(serial => (typeof serial === 'string' || typeof serial === 'number' ? String(serial).trim() : ''));
+  if (serials.some(serial => !serial)) throw new Error(`Serial numbers of ${label} cannot be empty`);
+  const duplicate = serials.find((serial, index) => serials.indexOf(serial) !== index);
+  if (duplicate) throw new Error(`Serial number ${duplicate} is given more than once for ${label}`);
+  return serials;
+}
+
+const productsById = async (ids) => new Map(
+  (await Product.find({ _id: { $in: ids } }).select('name serialized')).map(product => [product._id.toString(), product])
+);
+
+/**
+ * Serial numbers of each purchase line being received: those on the line,
+ * replaced by those given at receipt (`given`: [{ item, serialNumbers }],
+ * `item` being the line's _id). Lines of serialized products need one per
+ * base unit received, none of them already in stock or in transit. Returns
+ * a Map of line id to serial numbers. Throws an Error with a client-facing
+ * message.
+ */
+async function receiptSerials(items, given = []) {
+  if (!Array.isArray(given)) throw new Error('serials must be an array of { item, serialNumbers }');
+  const byLine = new Map(items.map(item => [item._id.toString(), item.serialNumbers || []]));
+  for (const entry of given) {
+    const lineId = entry && entry.item ? String(entry.item) : '';
+    if (!byLine.has(lineId)) throw new Error(`Purchase line "${lineId}" not found`);
+    byLine.set(lineId, entry.serialNumbers);
+  }
+
+  const products = await productsById(items.map(item => item.product._id || item.product));
+  const serialsByProduct = new Map();
+  for (const item of items) {
+    const lineId = item._id.toString();
+    const product = products.get(idOf(item.product));
+    const serials = parseSerials(byLine.get(lineId), product.name);
+    if (!product.serialized) {
+      if (serials.length > 0) throw new Error(`${product.name} is not serialized: serial numbers cannot be given`);
+      byLine.set(lineId, []);
+      continue;
+    }
+    const quantity = baseQuantityOf(item);
+    if (serials.length !== quantity) {
+      throw new Error(`${product.name} is serialized: give ${quantity} serial number(s) (got ${serials.length})`);
+    }
+    const received = serialsByProduct.get(product._id.toString()) || [];
+    const repeated = serials.find(serial => received.includes(serial));
+    if (repeated) throw new Error(`Serial number ${repeated} of ${product.name} is given more than once`);
+    serialsByProduct.set(product._id.toString(), [...received, ...serials]);
+    byLine.set(lineId, serials);
+  }
+
+  // A unit sold or written off earlier may come back; one still held cannot arrive again
+  for (const [productId, serials] of serialsByProduct) {
+    const held = await SerialNumber.find({ product: productId, serial: { $in: serials }, status: { $nin: ['sold', 'written_off'] } }).select('serial');
+    if (held.length > 0) {
+      throw new Error(`${products.get(productId).name} serial number(s) already in stock: ${held.map(entry => entry.serial).join(', ')}`);
+    }
+  }
+  return byLine;
+}
+
+/**
+ * Check serial numbers of stock leaving a location (a sale line, a
+ * transfer): one per base unit of each serialized product in `demand`
+ * ([{ product, quantity }]), each in stock at `locationId`. Products that
+ * are not serialized need none. Returns the serial numbers. Throws an Error
+ * with a client-facing message.
+ */
+async function checkStockSerials(serialNumbers, demand, locationId, label) {
+  const serials = parseSerials(serialNumbers, label);
+  const products = await productsById(demand.map(entry => entry.product));
+  const needed = demand.filter(entry => products.get(idOf(entry.product))?.serialized);
+  if (needed.length === 0) {
+    if (serials.length > 0) throw new Error(`${label} is not serialized: serial numbers cannot be given`);
+    return [];
+  }
+  const total = needed.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (serials.length !== total) {
+    throw new Error(`${label} is serialized: give ${total} serial number(s) (got ${serials.length})`);
+  }
+
+  const found = await SerialNumber.find({
+    serial: { $in: serials },
+    product: { $in: needed.map(entry => entry.product) },
+    status: 'in_stock',
+    location: locationId
+  }).select('serial product');
+  const missing = serials.filter(serial => !found.some(entry => entry.serial === serial));
+  if (missing.length > 0) throw new Error(`Serial number(s) not in stock at this location: ${missing.join(', ')}`);
+  for (const entry of needed) {
+    const count = found.filter(unit => unit.product.equals(entry.product)).length;
+    if (count !== entry.quantity) {
+      const { name } = products.get(idOf(entry.product));
+      throw new Error(`${label} needs ${entry.quantity} serial number(s) of ${name} (got ${count})`);
+    }
+  }
+  return serials;
+}
+
+/**
+ * Serial numbers of a stock adjustment changing `product`'s stock at
+ * `locationId` by `change` base units. Serialized stock only grows through
+ * purchase receipts; removing it (damage, loss, counts) names one unit in
+ * stock there per base unit removed. Returns the serial numbers (none for
+ * other products). Throws an Error with a client-facing message.
+ */
+async function adjustmentSerials(product, change, serialNumbers, locationId) {
+  if (!product.serialized) {
+    if (serialNumbers !== undefined && serialNumbers !== null && [].concat(serialNumbers).length > 0) {
+      throw new Error(`${product.name} is not serialized: serial numbers cannot be given`);
+    }
+    return [];
+  }
+  if (change > 0) {
+    throw new Error(`${product.name} is serialized: add stock by receiving a purchase with its serial numbers`);
+  }
+  return checkStockSerials(serialNumbers, [{ product: product._id, quantity: -change }], locationId, product.name);
+}
+
+/**
+ * Move units to a new status. Fields of the registry entry not given
+ * (location, transfer, sale, customer) are cleared; `event` is added to
+ * their history.
+ */
+async function moveSerials(filter, { status, location, transfer, sale, customer, customerName }, event, { session } = {}) {
+  const fields = { location, transfer, sale, customer, customerName };
+  const set = { status };
+  const unset = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value) set[field] = value;
+    else unset[field] = 1;
+  });
+  return SerialNumber.updateMany(
+    filter,
+    { $set: set, $unset: unset, $push: { history: { ...event, timestamp: new Date() } } },
+    { session: session || null }
+  );
+}
+
+/**
+ * Register received units in stock at `location`. Units sold earlier are
+ * taken back into stock with their history.
+ */
+async function receiveSerials(productId, serials, { location, purchase, userId, session } = {}) {
+  for (const serial of serials) {
+    await SerialNumber.updateOne(
+      { product: productId, serial },
+      {
+        $set: { status: 'in_stock', location, purchase },
+        $unset: { transfer: 1, sale: 1, customer: 1, customerName: 1 },
+        $push: { history: { action: 'received', location, purchase, user: userId, timestamp: new Date() } }
+      },
+      { upsert: true, session: session || null }
+    );
+  }
+}
+
+/**
+ * Take units removed by a stock adjustment out of stock at `location`.
+ */
+const writeOffSerials = (productId, serials, { location, userId, note, session } = {}) => moveSerials(
+  { product: productId, serial: { $in: serials }, status: 'in_stock', location },
+  { status: 'written_off' },
+  { action: 'written_off', location, note, user: userId },
+  { session }
+);
+
+// Units of a transfer leave its source location
+const shipSerials = (transfer, userId) => moveSerials(
+  { product: transfer.product, serial: { $in: transfer.serialNumbers }, status: 'in_stock', location: transfer.fromLocation },
+  { status: 'in_transit', transfer: transfer._id },
+  { action: 'transfer_out', location: transfer.fromLocation, transfer: transfer._id, user: userId }
+);
+
+// Units of a transfer arrive at its destination
+const receiveTransferSerials = (transfer, userId) => moveSerials(
+  { product: transfer.product, serial: { $in: transfer.serialNumbers }, status: 'in_transit', transfer: transfer._id },
+  { status: 'in_stock', location: transfer.toLocation },
+  { action: 'transfer_in', location: transfer.toLocation, transfer: transfer._id, user: userId }
+);
+
+// Products whose units a sale line takes from stock
+const lineProducts = (item) => [item.product, ...(item.components || []).map(component => component.product)];
+
+/**
+ * Mark the units named on a saved sale's lines as sold to its customer.
+ */
+async function sellSerials(sale) {
+  const customerName = sale.customer?.name;
+  for (const item of sale.items) {
+    if (!item.serialNumbers || item.serialNumbers.length === 0) continue;
+    await moveSerials(
+      { product: { $in: lineProducts(item) }, serial: { $in: item.serialNumbers }, status: 'in_stock', location: sale.location },
+      { status: 'sold', sale: sale._id, customer: sale.customer?.customerId, customerName },
+      { action: 'sold', location: sale.location, sale: sale._id, customerName, user: sale.createdBy }
+    );
+  }
+}
+
+/**
+ * Put the units of a sale being reversed back in stock at its location.
+ */
+async function returnSaleSerials(sale, userId) {
+  return moveSerials(
+    { sale: sale._id, status: 'sold' },
+    { status: 'in_stock', location: sale.location },
+    { action: 'sale_reversed', location: sale.location, sale: sale._id, user: userId }
+  );
+}
+
+module.exports = {
+  parseSerials,
+  receiptSerials,
+  checkStockSerials,
+  adjustmentSerials,
+  receiveSerials,
+  writeOffSerials,
+  shipSerials,
+  receiveTransferSerials,
+  sellSerials,
+  returnSaleSerials
+};
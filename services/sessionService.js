@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without a hash lookup and a replayed (already rotated) secret can be detected.
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashSecret(secret) };
+}
+
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(user, sessionId) {
+  const locations = (user.locations || []).map(loc => loc._id || loc);
+  return jwt.sign(
+    { id: user._id, role: user.role, locations, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+  );
+}
+
+/**
+ * Start a new session for a user (login / register).
+ * Returns the access token, the refresh token and the session document.
+ */
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    expiresAt: refreshExpiry(),
+    ipAddress: req?.ip || req?.connection?.remoteAddress,
+    userAgent: req?.get ? req.get('User-Agent') : undefined
+  });
+  const { token: refreshToken, hash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a secret that was already rotated away revokes the whole session,
+ * since it means the token was copied.
+ * Throws an Error with a `status` property when the token cannot be used.
+ */
+async function rotateRefreshToken(refreshToken, loadUser) {
+  const parsed = parseRefreshToken(refreshToken);
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  };
+  if (!parsed) throw fail('Invalid refresh token.');
+
+  const current = await Session.findById(parsed.sessionId);
+  if (!current || !current.isActive()) throw fail('Session has expired or been revoked.');
+
+  const user = await loadUser(current.user);
+  if (!user || !user.active) {
+    await revokeSession(current._id, { reason: 'user_deactivated' });
+    throw fail('User account is inactive.');
+  }
+
+  // Swap the hash in one step: of two requests presenting the same secret,
+  // only the first finds it; the other is treated as reuse
+  const { token: newRefreshToken, hash } = buildRefreshToken(current._id);
+  const session = await Session.findOneAndUpdate(
+    { _id: current._id, refreshTokenHash: hashSecret(parsed.secret), revokedAt: null },
+    {
+      $set: { refreshTokenHash: hash, lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+  if (!session) {
+    await revokeSession(current._id, { reason: 'token_reuse' });
+    console.warn(`Refresh token reuse detected for session ${current._id} (user ${current.user}). Session revoked.`);
+    throw fail('Refresh token has already been used. Please log in again.');
+  }
+
+  return {
+    accessToken: signAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    session,
+    user
+  };
+}
+
+async function revokeSession(sessionId, { reason = 'logout', revokedBy } = {}) {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every active session of a user. `exceptSessionId` keeps one session
+ * alive (e.g. the device that asked to sign out the others).
+ */
+async function revokeAllUserSessions(userId, { reason = 'logout_all', revokedBy, exceptSessionId } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+  });
+  return result.modifiedCount;
+}
+
+async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+}
+
+async function getActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive,
+  getActiveSessions,
+  parseRefreshToken
+};
@@ -0,0 +1,111 @@
+const SupplierProduct = require('../models/SupplierProduct');
+const { effectiveUnitCost, roundCost } = require('./costingService');
+const { baseQuantityOf } = require('./unitService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a supplier product that are set by hand; the rest come from
+// received purchases
+const EDITABLE_FIELDS = ['supplierSku', 'contractCost', 'minimumOrderQuantity', 'leadTimeDays', 'isPreferred', 'notes'];
+
+/**
+ * Check the editable fields of a supplier product from a request body and
+ * return those present. Throws an Error with a client-facing message.
+ */
+function supplierProductFields(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    fields[field] = body[field];
+  });
+  ['contractCost', 'minimumOrderQuantity', 'leadTimeDays'].forEach(field => {
+    if (fields[field] === undefined || fields[field] === null) return;
+    const number = Number(fields[field]);
+    if (fields[field] === '' || !Number.isFinite(number) || number < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    fields[field] = number;
+  });
+  if (fields.isPreferred !== undefined) fields.isPreferred = fields.isPreferred === true || fields.isPreferred === 'true';
+  return fields;
+}
+
+/**
+ * Make `record` the only preferred supplier of its product. Call before
+ * saving a record that became preferred.
+ */
+async function clearOtherPreferred(record, { session } = {}) {
+  await SupplierProduct.updateMany(
+    { product: record.product, isPreferred: true, _id: { $ne: record._id } },
+    { $set: { isPreferred: false } },
+    { session: session || null }
+  );
+}
+
+/**
+ * Update the supplier products of a purchase being received: the last cost
+ * per base unit of each product (several lines of a product are averaged),
+ * the last purchase and the lead time from purchase date to `receivedAt`.
+ * Products the supplier did not have a record for get one.
+ */
+async function recordPurchaseReceipt(purchase, { receivedAt = new Date(), userId, session } = {}) {
+  const supplierId = purchase.supplier._id || purchase.supplier;
+  const receipts = new Map();
+  for (const item of purchase.items) {
+    const productId = (item.product._id || item.product).toString();
+    const receipt = receipts.get(productId) || { product: item.product._id || item.product, quantity: 0, value: 0 };
+    receipt.quantity += baseQuantityOf(item);
+    receipt.value += effectiveUnitCost(item) * (Number(item.quantity) || 0);
+    receipts.set(productId, receipt);
+  }
+
+  const leadTimeDays = purchase.purchaseDate
+    ? Math.max(0, Math.round((receivedAt - new Date(purchase.purchaseDate)) / DAY_MS))
+    : undefined;
+
+  const updated = [];
+  for (const receipt of receipts.values()) {
+    if (receipt.quantity <= 0) continue;
+    const set = {
+      lastCost: roundCost(receipt.value / receipt.quantity),
+      lastPurchase: purchase._id,
+      lastReceivedAt: receivedAt
+    };
+    const setOnInsert = userId ? { createdBy: userId } : {};
+    if (leadTimeDays !== undefined) {
+      set.lastLeadTimeDays = leadTimeDays;
+      // The observed lead time stands in for a quoted one on new records
+      setOnInsert.leadTimeDays = leadTimeDays;
+    }
+
+    await SupplierProduct.updateOne(
+      { supplier: supplierId, product: receipt.product },
+      { $set: set, $setOnInsert: setOnInsert },
+      { upsert: true, session: session || null }
+    );
+    updated.push({ product: receipt.product, ...set });
+  }
+  return updated;
+}
+
+/**
+ * Suppliers of a product with their terms: the preferred one first, then by
+ * cost (contract cost where agreed, else last cost).
+ */
+async function productSuppliers(productId) {
+  const records = await SupplierProduct.find({ product: productId })
+    .populate('supplier', 'supplierName code email phone')
+    .select('-organization -__v')
+    .lean();
+  const costOf = (record) => record.contractCost ?? record.lastCost ?? Infinity;
+  return records
+    .map(record => ({ ...record, cost: record.contractCost ?? record.lastCost ?? null }))
+    .sort((a, b) => (b.isPreferred - a.isPreferred) || (costOf(a) - costOf(b)));
+}
+
+module.exports = {
+  supplierProductFields,
+  clearOtherPreferred,
+  recordPurchaseReceipt,
+  productSuppliers
+};
@@ -0,0 +1,22 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Tracks the organization (tenant) of the code currently running.
+// verifyToken starts a context for every authenticated request; background
+// jobs start one per organization. Queries on tenant-scoped models are
+// filtered by it (see models/plugins/tenantPlugin.js).
+const storage = new AsyncLocalStorage();
+
+function runWithOrganization(organizationId, fn) {
+  const id = organizationId ? new mongoose.Types.ObjectId(String(organizationId._id || organizationId)) : null;
+  return storage.run({ organizationId: id }, fn);
+}
+
+function getOrganizationId() {
+  return storage.getStore()?.organizationId || null;
+}
+
+module.exports = {
+  runWithOrganization,
+  getOrganizationId
+};
@@ -0,0 +1,93 @@
+// Inventory is always kept in a product's base unit (e.g. 'bottle'). A
+// product may also be bought or sold in other units (e.g. a 'case' of 24),
+// each with the number of base units it holds.
+//
+// Sale and purchase lines keep `quantity` and their price or cost in the
+// unit of the line, and record the stock moved in `baseQuantity`. Transfers
+// and stock adjustments carry no prices: their quantity is stored in base
+// units, with the unit it was entered in kept alongside.
+
+const USAGES = ['purchase', 'sale'];
+
+/**
+ * Validate a product's extra units ([{ name, factor, purchase, sale }]).
+ * Throws an Error with a client-facing message.
+ */
+function normalizeUnits(baseUnit, units) {
+  if (!Array.isArray(units)) throw new Error('units must be an array');
+  const base = String(baseUnit || 'unit').trim().toLowerCase();
+  const seen = new Set([base]);
+  return units.map(unit => {
+    const name = unit && typeof unit.name === 'string' ? unit.name.trim() : '';
+    if (!name) throw new Error('Every unit needs a name');
+    if (seen.has(name.toLowerCase())) throw new Error(`Unit "${name}" is defined more than once (or is the base unit)`);
+    seen.add(name.toLowerCase());
+    if (typeof unit.factor !== 'number' || !(unit.factor > 0)) {
+      throw new Error(`Unit "${name}" needs a positive factor (base units per ${name})`);
+    }
+    return {
+      name,
+      factor: unit.factor,
+      purchase: unit.purchase !== false,
+      sale: unit.sale !== false
+    };
+  });
+}
+
+/**
+ * The unit `unitName` of a product and its factor. No name means the base
+ * unit. With a usage ('purchase' or 'sale') the unit must allow it.
+ */
+function resolveUnit(product, unitName, usage = null) {
+  const baseUnit = product.baseUnit || 'unit';
+  if (unitName === undefined || unitName === null || unitName === '' ||
+      String(unitName).trim().toLowerCase() === baseUnit.toLowerCase()) {
+    return { unit: baseUnit, factor: 1 };
+  }
+  const unit = (product.units || []).find(u => u.name.toLowerCase() === String(unitName).trim().toLowerCase());
+  if (!unit) {
+    const known = [baseUnit, ...(product.units || []).map(u => u.name)].join(', ');
+    throw new Error(`${product.name} has no unit "${unitName}" (units: ${known})`);
+  }
+  if (usage && USAGES.includes(usage) && unit[usage] === false) {
+    throw new Error(`${product.name} cannot be ${usage === 'sale' ? 'sold' : 'purchased'} by the ${unit.name}`);
+  }
+  return { unit: unit.name, factor: unit.factor };
+}
+
+/**
+ * Convert `quantity` in `unitName` to the product's base unit. Stock is kept
+ * in whole base units.
+ */
+function toBaseQuantity(product, quantity, unitName, usage = null) {
+  const { unit, factor } = resolveUnit(product, unitName, usage);
+  const baseQuantity = Math.round(quantity * factor * 1e6) / 1e6;
+  if (!Number.isInteger(baseQuantity)) {
+    throw new Error(`${quantity} ${unit} of ${product.name} is not a whole number of ${product.baseUnit || 'unit'}s`);
+  }
+  return { unit, unitFactor: factor, baseQuantity };
+}
+
+// Base quantity of a sale or purchase line (lines from before units existed are in base units)
+const baseQuantityOf = (item) => item.baseQuantity ?? (Number(item.quantity) || 0) * (item.unitFactor || 1);
+
+// Aggregation expressions: base quantity of an unwound line ($items), and of all lines of a document
+const LINE_BASE_QUANTITY = { $ifNull: ['$items.baseQuantity', '$items.quantity'] };
+const ITEMS_BASE_QUANTITY = {
+  $sum: {
+    $map: {
+      input: '$items',
+      as: 'item',
+      in: { $ifNull: ['$$item.baseQuantity', '$$item.quantity'] }
+    }
+  }
+};
+
+module.exports = {
+  normalizeUnits,
+  resolveUnit,
+  toBaseQuantity,
+  baseQuantityOf,
+  LINE_BASE_QUANTITY,
+  ITEMS_BASE_QUANTITY
+};
@@ -0,0 +1,162 @@
+const Product = require('../models/Product');
+
+// Variants are regular products pointing at a parent. The parent holds the
+// option axes (Size, Color, ...) and the shared definition; stock, sales and
+// purchases always reference the variants.
+
+const normalizeOptions = (options) => {
+  if (!Array.isArray(options) || options.length === 0) {
+    throw new Error('variantOptions must be a non-empty array of { name, values }');
+  }
+  const seenNames = new Set();
+  return options.map(option => {
+    const name = String(option?.name || '').trim();
+    if (!name) throw new Error('Each variant option needs a name');
+    // Option names become keys of variantAttributes
+    if (/[.$]/.test(name)) throw new Error(`Variant option "${name}" cannot contain "." or "$"`);
+    if (seenNames.has(name.toLowerCase())) throw new Error(`Duplicate variant option "${name}"`);
+    seenNames.add(name.toLowerCase());
+
+    const values = [...new Set((option.values || []).map(value => String(value).trim()).filter(Boolean))];
+    if (values.length === 0) throw new Error(`Variant option "${name}" needs at least one value`);
+    return { name, values };
+  });
+};
+
+// Every combination of option values, e.g. [{ Size: 'S', Color: 'Red' }, ...]
+const combinations = (options) => options.reduce(
+  (combos, option) => combos.flatMap(combo => option.values.map(value => ({ ...combo, [option.name]: value }))),
+  [{}]
+);
+
+const attributesOf = (variant) => (variant.variantAttributes instanceof Map
+  ? Object.fromEntries(variant.variantAttributes)
+  : { ...(variant.variantAttributes || {}) });
+
+// Key comparing attribute sets regardless of option order
+const combinationKey = (options, attributes) => options.map(option => attributes[option.name] ?? '').join('\u0000');
+
+const variantSku = (parent, options, attributes) => [
+  parent.sku,
+  ...options.map(option => String(attributes[option.name]).toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+].join('-');
+
+const variantName = (parent, options, attributes) => `${parent.name} - ${options.map(option => attributes[option.name]).join(' / ')}`;
+
+/**
+ * Validate attributes for a single variant against the parent options.
+ * Returns the attributes restricted to (and complete for) those options.
+ */
+const validateAttributes = (parent, attributes) => {
+  const result = {};
+  for (const option of parent.variantOptions) {
+    const value = attributes?.[option.name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Missing value for variant option "${option.name}"`);
+    }
+    if (!option.values.includes(String(value))) {
+      throw new Error(`"${value}" is not a value of variant option "${option.name}"`);
+    }
+    result[option.name] = String(value);
+  }
+  return result;
+};
+
+/**
+ * Build (unsaved) variant documents for a parent. `overrides` lets callers set
+ * sku, barcode and priceOverride for a given combination.
+ */
+const buildVariant = (parent, attributes, userId, overrides = {}) => {
+  const options = parent.variantOptions;
+  const priceOverride = overrides.priceOverride ?? null;
+  return new Product({
+    name: variantName(parent, options, attributes),
+    description: parent.description,
+    imageUrl: parent.imageUrl,
+    thumbnailUrl: parent.thumbnailUrl,
+    sku: overrides.sku ? String(overrides.sku).trim() : variantSku(parent, options, attributes),
+    barcode: overrides.barcode ? String(overrides.barcode).trim() : undefined,
+    category: parent.category,
+    brand: parent.brand,
+    attributes: parent.attributes,
+    price: priceOverride ?? parent.price,
+    priceOverride,
+    cost: parent.cost,
+    baseUnit: parent.baseUnit,
+    units: parent.units,
+    serialized: parent.serialized,
+    isActive: parent.isActive,
+    parentProduct: parent._id,
+    variantAttributes: attributes,
+    createdBy: userId,
+    auditLog: [{ user: userId, action: 'created', changes: { parentProduct: parent._id, variantAttributes: attributes } }]
+  });
+};
+
+/**
+ * Create the variants missing for the parent's option combinations. Existing
+ * variants are left untouched. `beforeInsert` can check (and reject) the built
+ * variants before they are saved. Returns the created variants.
+ */
+const generateVariants = async (parent, userId, overrides = [], { beforeInsert } = {}) => {
+  const options = parent.variantOptions;
+  const existing = await Product.find({ parentProduct: parent._id }).select('variantAttributes');
+  const existingKeys = new Set(existing.map(variant => combinationKey(options, attributesOf(variant))));
+
+  const variants = combinations(options)
+    .filter(attributes => !existingKeys.has(combinationKey(options, attributes)))
+    .map(attributes => {
+      const override = overrides.find(o => combinationKey(options, o.attributes || {}) === combinationKey(options, attributes));
+      return buildVariant(parent, attributes, userId, override);
+    });
+
+  if (variants.length === 0) return [];
+  if (beforeInsert) await beforeInsert(variants);
+  return Product.insertMany(variants);
+};
+
+/**
+ * Aggregation stages rolling line items up by product, or by parent product
+ * when `byParent` is set (products without a parent count as their own).
+ * Expects the pipeline to be at one line per document, with the product id at
+ * `productField` and the quantity and value expressions given. With a `cost`
+ * expression the rows also carry cost and gross profit.
+ */
+const productRollupStages = ({ productField, quantity, value, cost, byParent }) => [
+  { $lookup: { from: 'products', localField: productField, foreignField: '_id', as: 'rollupProduct' } },
+  { $unwind: '$rollupProduct' },
+  {
+    $group: {
+      _id: byParent ? { $ifNull: ['$rollupProduct.parentProduct', '$rollupProduct._id'] } : '$rollupProduct._id',
+      quantity: { $sum: quantity },
+      value: { $sum: value },
+      ...(cost && { cost: { $sum: cost } }),
+      variants: { $addToSet: '$rollupProduct._id' }
+    }
+  },
+  { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+  { $unwind: '$product' },
+  {
+    $project: {
+      _id: 0,
+      productId: '$_id',
+      name: '$product.name',
+      sku: '$product.sku',
+      hasVariants: '$product.hasVariants',
+      quantity: 1,
+      value: 1,
+      ...(cost && { cost: 1, grossProfit: { $subtract: ['$value', '$cost'] } }),
+      variantCount: { $size: '$variants' }
+    }
+  },
+  { $sort: { value: -1 } }
+];
+
+module.exports = {
+  normalizeOptions,
+  validateAttributes,
+  attributesOf,
+  buildVariant,
+  generateVariants,
+  productRollupStages
+};
@@ -1,6 +1,76 @@
 // socket.js
+const mongoose = require('mongoose');
+const Location = require('./models/Location');
+const { resolveAccessToken } = require('./middleware/authJWT');
+const { userHasPermission } = require('./services/permissionService');
+const { runWithOrganization } = require('./services/tenantContext');
+
 let ioInstance = null;
 
+// --- Room names ---
+// User and location ids are unique across organizations; everything else is
+// suffixed with the organization so tenants never share a room.
+const organizationRoom = (organizationId) => `organization_${organizationId}`;
+const allSalesRoom = (organizationId) => `all_sales_${organizationId}`;
+const productDefinitionsRoom = (organizationId) => `product_definitions_${organizationId}`;
+const roleRoom = (organizationId, role) => `role_${organizationId}_${role}`;
+const globalNotificationsRoom = (organizationId) => `global_notifications_${organizationId}`;
+
+const NOTIFICATION_ROOM_PREFIXES = ['user_', 'role_', 'location_notifications_', 'global_notifications_'];
+const isNotificationRoom = (room) => NOTIFICATION_ROOM_PREFIXES.some(prefix => room.startsWith(prefix));
+
+// Handshake: the same checks as verifyToken (valid token, live session, active user and organization)
+async function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.split(' ')[1];
+  if (!token) return next(new Error('Access denied. No token provided.'));
+
+  try {
+    const { user, organization, expiresAt } = await resolveAccessToken(token);
+    socket.data.user = user;
+    socket.data.organizationId = organization._id;
+    socket.data.expiresAt = expiresAt;
+    next();
+  } catch (err) {
+    if (err.status) return next(new Error(err.message));
+    if (err.name === 'TokenExpiredError') return next(new Error('Token expired.'));
+    if (err.name === 'JsonWebTokenError') return next(new Error('Invalid token.'));
+    console.error('Socket authentication error:', err);
+    next(new Error('Failed to authenticate token.'));
+  }
+}
+
+// Run a query scoped to the socket's organization
+const inOrganization = (socket, fn) => runWithOrganization(socket.data.organizationId, fn);
+
+const socketHasPermission = (socket, permission) =>
+  inOrganization(socket, () => userHasPermission(socket.data.user, permission));
+
+async function canAccessLocation(socket, locationId) {
+  if (!mongoose.Types.ObjectId.isValid(locationId)) return false;
+  if (!socket.data.user.hasAccessToLocation(locationId)) return false;
+  // Admins may access every location, but only of their own organization
+  return !!(await inOrganization(socket, () => Location.exists({ _id: locationId })));
+}
+
+// Locations whose notifications the user receives: all of them for admins
+async function getSocketLocations(socket) {
+  const { user } = socket.data;
+  if (user.role === 'admin') {
+    return inOrganization(socket, () => Location.find({ isActive: true }).distinct('_id'));
+  }
+  return user.locations.map(loc => loc._id || loc);
+}
+
+function notificationRooms(socket, locations) {
+  const { user, organizationId } = socket.data;
+  return [
+    `user_${user._id}`,
+    roleRoom(organizationId, user.role),
+    ...locations.map(locationId => `location_notifications_${locationId}`),
+    globalNotificationsRoom(organizationId)
+  ];
+}
+
 function initSocket(server) {
   const io = require('socket.io')(server, {
     cors: {
@@ -16,92 +86,96 @@ function initSocket(server) {
     }
   });
 
+  // Every connection must present a valid access token: io(url, { auth: { token } })
+  io.use(authenticateSocket);
+
   io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+    const { user, organizationId } = socket.data;
+    console.log(`Client connected: ${socket.id} (user ${user._id})`);
+
+    // Organization-wide broadcasts (see emitToOrganization)
+    socket.join(organizationRoom(organizationId));
+
+    // Access tokens are short-lived: drop the connection when it expires,
+    // the client reconnects with a refreshed token
+    const expiryTimer = setTimeout(() => socket.disconnect(true), Math.max(0, socket.data.expiresAt - Date.now()));
 
     // --- Join General Rooms (Optional - for admins or broad updates) ---
-    socket.on('subscribeToAllSales', () => { // Example for an admin feed
-        // Optional: Add role check here based on socket auth if implemented
-        socket.join('all_sales');
-        console.log(`Client ${socket.id} joined all_sales room`);
+    socket.on('subscribeToAllSales', async () => { // Example for an admin feed
+      if (!(await socketHasPermission(socket, 'sales.list'))) {
+        console.warn(`Client ${socket.id} (user ${user._id}) refused all_sales room`);
+        return socket.emit('subscribedToAllSales', { success: false, error: 'Forbidden: Requires permission: sales.list' });
+      }
+      socket.join(allSalesRoom(organizationId));
+      console.log(`Client ${socket.id} joined all_sales room`);
+      socket.emit('subscribedToAllSales', { success: true });
     });
 
-    socket.on('subscribeToProductDefinitions', () => { // For changes to Product schema itself
-        socket.join('product_definitions');
-        console.log(`Client ${socket.id} joined product_definitions room`);
+    socket.on('subscribeToProductDefinitions', async () => { // For changes to Product schema itself
+      if (!(await socketHasPermission(socket, 'products.view'))) {
+        return socket.emit('subscribedToProductDefinitions', { success: false, error: 'Forbidden: Requires permission: products.view' });
+      }
+      socket.join(productDefinitionsRoom(organizationId));
+      console.log(`Client ${socket.id} joined product_definitions room`);
+      socket.emit('subscribedToProductDefinitions', { success: true });
     });
 
     // --- Join Notification Rooms ---
-    socket.on('subscribeToNotifications', (userData) => {
-      if (userData && userData.userId) {
-        // Join user-specific notification room
-        socket.join(`user_${userData.userId}`);
-        console.log(`Client ${socket.id} joined user notification room: user_${userData.userId}`);
-        
-        // Join role-based notification room
-        if (userData.role) {
-          socket.join(`role_${userData.role}`);
-          console.log(`Client ${socket.id} joined role notification room: role_${userData.role}`);
-        }
-        
-        // Join location-based notification rooms
-        if (userData.locations && Array.isArray(userData.locations)) {
-          userData.locations.forEach(locationId => {
-            socket.join(`location_notifications_${locationId}`);
-            console.log(`Client ${socket.id} joined location notification room: location_notifications_${locationId}`);
-          });
-        }
-        
-        // Join global notifications room
-        socket.join('global_notifications');
-        console.log(`Client ${socket.id} joined global notifications room`);
-        
-        socket.emit('notificationSubscriptionSuccess', { 
-          success: true, 
-          userId: userData.userId,
-          role: userData.role,
-          locations: userData.locations || []
+    // User, role and locations come from the token, never from the payload
+    socket.on('subscribeToNotifications', async (userData) => {
+      if (userData?.userId && String(userData.userId) !== String(user._id)) {
+        console.warn(`Client ${socket.id} (user ${user._id}) tried to subscribe to notifications of user ${userData.userId}`);
+        return socket.emit('notificationSubscriptionError', {
+          success: false,
+          error: 'You can only subscribe to your own notifications'
         });
-      } else {
-        console.warn(`Client ${socket.id} tried to subscribe to notifications without user data.`);
-        socket.emit('notificationSubscriptionError', { 
-          success: false, 
-          error: 'User data is required for notification subscription' 
+      }
+
+      try {
+        const locations = await getSocketLocations(socket);
+        for (const room of notificationRooms(socket, locations)) {
+          socket.join(room);
+        }
+        console.log(`Client ${socket.id} joined notification rooms of user ${user._id}`);
+
+        socket.emit('notificationSubscriptionSuccess', {
+          success: true,
+          userId: user._id,
+          role: user.role,
+          locations
         });
+      } catch (error) {
+        console.error(`Notification subscription failed for client ${socket.id}:`, error);
+        socket.emit('notificationSubscriptionError', { success: false, error: 'Failed to subscribe to notifications' });
       }
     });
 
-    socket.on('unsubscribeFromNotifications', (userData) => {
-      if (userData && userData.userId) {
-        socket.leave(`user_${userData.userId}`);
-        if (userData.role) socket.leave(`role_${userData.role}`);
-        if (userData.locations) {
-          userData.locations.forEach(locationId => {
-            socket.leave(`location_notifications_${locationId}`);
-          });
-        }
-        socket.leave('global_notifications');
-        console.log(`Client ${socket.id} unsubscribed from notification rooms`);
+    socket.on('unsubscribeFromNotifications', () => {
+      for (const room of socket.rooms) {
+        if (isNotificationRoom(room)) socket.leave(room);
       }
+      console.log(`Client ${socket.id} unsubscribed from notification rooms`);
     });
 
 
     // --- Join Location-Specific Rooms ---
-    socket.on('subscribeToLocation', (locationId) => {
-      if (locationId) {
-        // **IMPORTANT**: Add authentication/authorization here!
-        // Verify that the user associated with this socket IS ALLOWED
-        // to view data for this locationId before joining the room.
-        // This might involve checking the JWT associated with the socket connection.
-        console.log(`Client ${socket.id} attempting to join room for location: ${locationId}`);
+    socket.on('subscribeToLocation', async (locationId) => {
+      if (!locationId) {
+        console.warn(`Client ${socket.id} tried to subscribe without a locationId.`);
+        return socket.emit('subscribedToLocation', { success: false, error: 'locationId is required' });
+      }
+      try {
+        if (!(await canAccessLocation(socket, locationId))) {
+          console.warn(`Forbidden socket subscription: user ${user._id} (${user.email}) attempting to join location ${locationId}`);
+          return socket.emit('subscribedToLocation', { success: false, locationId, error: 'Forbidden: You do not have access to this location.' });
+        }
         const roomName = `location_${locationId}`;
         socket.join(roomName);
         console.log(`Client ${socket.id} joined room: ${roomName}`);
-        // You could emit a confirmation back to the client here
         socket.emit('subscribedToLocation', { success: true, locationId });
-      } else {
-         console.warn(`Client ${socket.id} tried to subscribe without a locationId.`);
-         socket.emit('subscribedToLocation', { success: false, error: 'locationId is required' });
+      } catch (error) {
+        console.error(`Location subscription failed for client ${socket.id}:`, error);
+        socket.emit('subscribedToLocation', { success: false, locationId, error: 'Failed to subscribe to location' });
       }
     });
 
@@ -117,8 +191,8 @@ function initSocket(server) {
 
 
     socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
       console.log('Client disconnected:', socket.id);
-      // Consider cleanup if you track socket/user/room mappings
     });
   });
 
@@ -138,7 +212,7 @@ function getIO() {
 // Use this for general sale feed (e.g., admin)
 function emitNewSaleToAll(sale) {
   const io = getIO();
-  io.to('all_sales').emit('newSale', sale); // Send full sale object
+  io.to(allSalesRoom(sale.organization)).emit('newSale', sale); // Send full sale object
 }
 
 // Use this to notify a specific location about a new sale occurring there
@@ -169,7 +243,7 @@ function emitInventoryAdjustment(inventoryData) {
 // Example for Product Definition changes (call from productController)
 function emitProductDefinitionUpdate(product) {
     const io = getIO();
-    io.to('product_definitions').emit('productUpdated', product);
+    io.to(productDefinitionsRoom(product.organization)).emit('productUpdated', product);
 }
 
 // Example for Transfer updates (call from stockTransferController)
@@ -191,10 +265,10 @@ function emitNotificationToUser(userId, notification) {
   io.to(`user_${userId}`).emit('notification', notification);
 }
 
-// Emit notification to users with specific role
+// Emit notification to users with specific role (in the notification's organization)
 function emitNotificationToRole(role, notification) {
   const io = getIO();
-  io.to(`role_${role}`).emit('notification', notification);
+  io.to(roleRoom(notification.organization, role)).emit('notification', notification);
 }
 
 // Emit notification to users at specific location
@@ -203,10 +277,16 @@ function emitNotificationToLocation(locationId, notification) {
   io.to(`location_notifications_${locationId}`).emit('notification', notification);
 }
 
-// Emit global notification to all connected users
+// Emit global notification to all connected users of the notification's organization
 function emitGlobalNotification(notification) {
   const io = getIO();
-  io.to('global_notifications').emit('notification', notification);
+  io.to(globalNotificationsRoom(notification.organization)).emit('notification', notification);
+}
+
+// Emit an event to every connected user of an organization
+function emitToOrganization(organizationId, event, payload) {
+  const io = getIO();
+  io.to(organizationRoom(organizationId)).emit(event, payload);
 }
 
 // Emit notification based on notification target settings
@@ -267,6 +347,8 @@ module.exports = {
   emitGlobalNotification,
   emitNotificationByTarget,
   emitNotificationCountUpdate,
-  emitNotificationRead
+  emitNotificationRead,
+  emitToOrganization,
+  organizationRoom
   // No longer export the old emitNewSale
 };
\ No newline at end of file